@@ -0,0 +1,173 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it, vi } from 'vitest'
+
+import {
+    handleIframeCommandMessage,
+    IframeCommandError,
+    isOriginAllowed,
+    runIframeCommand,
+} from '@/api/iframeCommands.api'
+import {
+    IFRAME_COMMAND_ERRORS,
+    IFRAME_COMMAND_RESPONSE_TYPE,
+    IFRAME_COMMAND_TYPE,
+    IFRAME_COMMANDS,
+} from '@/api/iframeProtocol'
+import { LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+describe('iFrame commands API unit tests', () => {
+    let fakeStore
+    beforeEach(() => {
+        fakeStore = {
+            state: {
+                position: { projection: LV95 },
+                layers: {
+                    activeLayers: [{ id: 'active.layer', timeConfig: null }],
+                },
+            },
+            getters: {
+                getLayerConfigById: (layerId) => (layerId === 'known.layer' ? {} : null),
+                getActiveLayersById: () => [],
+            },
+            dispatch: vi.fn().mockImplementation(() => Promise.resolve()),
+        }
+    })
+
+    async function expectCommandError(command, payload, code) {
+        try {
+            await runIframeCommand(fakeStore, command, payload)
+            expect.fail('An error should have been raised')
+        } catch (error) {
+            expect(error).to.be.instanceOf(IframeCommandError)
+            expect(error.code).to.eq(code)
+        }
+    }
+
+    describe('isOriginAllowed', () => {
+        it('allows the configured hosts and their subdomains', () => {
+            expect(isOriginAllowed(window.location.origin)).to.be.true
+            expect(isOriginAllowed('https://admin.ch')).to.be.true
+            expect(isOriginAllowed('https://intranet.example.admin.ch')).to.be.true
+        })
+        it('allows local pages on development', () => {
+            expect(isOriginAllowed('http://localhost:8080')).to.be.true
+        })
+        it('refuses other hosts', () => {
+            expect(isOriginAllowed('https://notadmin.ch')).to.be.false
+            expect(isOriginAllowed('https://admin.ch.example.com')).to.be.false
+            expect(isOriginAllowed('null')).to.be.false
+        })
+    })
+    describe('runIframeCommand', () => {
+        it('reprojects the center before dispatching it', async () => {
+            await runIframeCommand(fakeStore, IFRAME_COMMANDS.SET_CENTER, {
+                center: [7.438632, 46.951082],
+                projection: WGS84.epsg,
+            })
+            expect(fakeStore.dispatch).toHaveBeenCalledOnce()
+            const [action, { center }] = fakeStore.dispatch.mock.calls[0]
+            expect(action).to.eq('setCenter')
+            expect(center[0]).to.be.closeTo(2600000, 1)
+            expect(center[1]).to.be.closeTo(1200000, 1)
+        })
+        it('adds a layer from the config', async () => {
+            await runIframeCommand(fakeStore, IFRAME_COMMANDS.ADD_LAYER, {
+                layerId: 'known.layer',
+                opacity: 0.5,
+            })
+            const [action, { layerConfig }] = fakeStore.dispatch.mock.calls[0]
+            expect(action).to.eq('addLayer')
+            expect(layerConfig).to.deep.include({ id: 'known.layer', visible: true, opacity: 0.5 })
+        })
+        it('toggles or sets the visibility of an active layer', async () => {
+            await runIframeCommand(fakeStore, IFRAME_COMMANDS.TOGGLE_LAYER, {
+                layerId: 'active.layer',
+            })
+            await runIframeCommand(fakeStore, IFRAME_COMMANDS.TOGGLE_LAYER, {
+                layerId: 'active.layer',
+                visible: false,
+            })
+            expect(fakeStore.dispatch.mock.calls[0][0]).to.eq('toggleLayerVisibility')
+            expect(fakeStore.dispatch.mock.calls[0][1].index).to.eq(0)
+            expect(fakeStore.dispatch.mock.calls[1][0]).to.eq('setLayerVisibility')
+            expect(fakeStore.dispatch.mock.calls[1][1].visible).to.be.false
+        })
+        it('removes the marker if no coordinate is given', async () => {
+            await runIframeCommand(fakeStore, IFRAME_COMMANDS.ADD_MARKER, { coordinate: null })
+            expect(fakeStore.dispatch.mock.calls[0][0]).to.eq('clearPinnedLocation')
+        })
+        it('raises errors with a code', async () => {
+            await expectCommandError('doSomething', {}, IFRAME_COMMAND_ERRORS.UNKNOWN_COMMAND)
+            await expectCommandError(
+                IFRAME_COMMANDS.SET_CENTER,
+                { center: [1] },
+                IFRAME_COMMAND_ERRORS.INVALID_PAYLOAD
+            )
+            await expectCommandError(
+                IFRAME_COMMANDS.SET_CENTER,
+                { center: [1, 2], projection: 'EPSG:1234' },
+                IFRAME_COMMAND_ERRORS.INVALID_PAYLOAD
+            )
+            await expectCommandError(
+                IFRAME_COMMANDS.ADD_LAYER,
+                { layerId: 'unknown.layer' },
+                IFRAME_COMMAND_ERRORS.UNKNOWN_LAYER
+            )
+            await expectCommandError(
+                IFRAME_COMMANDS.SET_TIME,
+                { layerId: 'active.layer', year: 2020 },
+                IFRAME_COMMAND_ERRORS.INVALID_PAYLOAD
+            )
+            await expectCommandError(
+                IFRAME_COMMANDS.SET_3D,
+                { active: 'yes' },
+                IFRAME_COMMAND_ERRORS.INVALID_PAYLOAD
+            )
+            expect(fakeStore.dispatch).not.toHaveBeenCalled()
+        })
+    })
+    describe('handleIframeCommandMessage', () => {
+        function createEvent(data, origin = 'https://intranet.admin.ch') {
+            return { data, origin, source: { postMessage: vi.fn() } }
+        }
+
+        it('replies with the ID of the request', async () => {
+            const event = createEvent({
+                type: IFRAME_COMMAND_TYPE,
+                id: 42,
+                command: IFRAME_COMMANDS.SET_ZOOM,
+                payload: { zoom: 5 },
+            })
+            await handleIframeCommandMessage(fakeStore, event)
+            expect(fakeStore.dispatch).toHaveBeenCalledOnce()
+            expect(event.source.postMessage).toHaveBeenCalledWith(
+                {
+                    type: IFRAME_COMMAND_RESPONSE_TYPE,
+                    id: 42,
+                    command: IFRAME_COMMANDS.SET_ZOOM,
+                    success: true,
+                },
+                'https://intranet.admin.ch'
+            )
+        })
+        it('silently ignores commands from origins that are not allowed', async () => {
+            const event = createEvent(
+                {
+                    type: IFRAME_COMMAND_TYPE,
+                    id: 'abc',
+                    command: IFRAME_COMMANDS.SET_ZOOM,
+                    payload: { zoom: 5 },
+                },
+                'https://example.com'
+            )
+            await handleIframeCommandMessage(fakeStore, event)
+            expect(fakeStore.dispatch).not.toHaveBeenCalled()
+            expect(event.source.postMessage).not.toHaveBeenCalled()
+        })
+        it('ignores messages that are not commands', async () => {
+            const event = createEvent({ type: 'gaChange', payload: {} })
+            await handleIframeCommandMessage(fakeStore, event)
+            expect(event.source.postMessage).not.toHaveBeenCalled()
+        })
+    })
+})
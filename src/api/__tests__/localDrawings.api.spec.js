@@ -0,0 +1,130 @@
+import { expect } from 'chai'
+import { IDBFactory } from 'fake-indexeddb'
+import { afterEach, beforeEach, describe, it, vi } from 'vitest'
+
+import {
+    createLocalDrawing,
+    deleteLocalDrawing,
+    duplicateLocalDrawing,
+    getAllLocalDrawings,
+    getLocalDrawing,
+    getUniqueDrawingName,
+    LocalDrawingStorageError,
+    updateLocalDrawing,
+} from '@/api/localDrawings.api'
+
+describe('Local drawings API', () => {
+    describe('getUniqueDrawingName', () => {
+        it('keeps the name when it is not used yet', () => {
+            expect(getUniqueDrawingName('Parcel', [])).to.eq('Parcel')
+            expect(getUniqueDrawingName(' Parcel ', ['Road'])).to.eq('Parcel')
+        })
+        it('suffixes the name with the first free number', () => {
+            expect(getUniqueDrawingName('Parcel', ['Parcel'])).to.eq('Parcel (2)')
+            expect(getUniqueDrawingName('Parcel', ['Parcel', 'Parcel (2)'])).to.eq('Parcel (3)')
+        })
+        it("doesn't stack suffixes when duplicating a suffixed name", () => {
+            expect(getUniqueDrawingName('Parcel (2)', ['Parcel', 'Parcel (2)'])).to.eq('Parcel (3)')
+        })
+    })
+    describe('local library storage', () => {
+        beforeEach(() => {
+            // a fresh database for each test
+            vi.stubGlobal('indexedDB', new IDBFactory())
+            vi.useFakeTimers({ toFake: ['Date'] })
+            vi.setSystemTime(1000)
+        })
+        afterEach(() => {
+            vi.useRealTimers()
+            vi.unstubAllGlobals()
+        })
+
+        it('saves a new drawing and loads it back', async () => {
+            const drawing = await createLocalDrawing('Parcel', '<kml>parcel</kml>')
+            expect(drawing.id).to.be.a('string').and.not.be.empty
+            expect(drawing).to.deep.include({
+                name: 'Parcel',
+                kmlData: '<kml>parcel</kml>',
+                created: 1000,
+                updated: 1000,
+                fileId: null,
+                adminId: null,
+                published: null,
+            })
+            expect(await getLocalDrawing(drawing.id)).to.deep.eq(drawing)
+        })
+        it('returns null when loading a drawing that does not exist', async () => {
+            expect(await getLocalDrawing('unknown')).to.be.null
+        })
+        it('lists all drawings, the most recently updated first', async () => {
+            expect(await getAllLocalDrawings()).to.be.an('array').that.is.empty
+            const first = await createLocalDrawing('First', '<kml>1</kml>')
+            vi.setSystemTime(2000)
+            const second = await createLocalDrawing('Second', '<kml>2</kml>')
+            expect((await getAllLocalDrawings()).map((drawing) => drawing.id)).to.deep.eq([
+                second.id,
+                first.id,
+            ])
+            vi.setSystemTime(3000)
+            await updateLocalDrawing(first.id, { kmlData: '<kml>1 bis</kml>' })
+            expect((await getAllLocalDrawings()).map((drawing) => drawing.id)).to.deep.eq([
+                first.id,
+                second.id,
+            ])
+        })
+        it('updates a drawing, touching the update timestamp only for content changes', async () => {
+            const drawing = await createLocalDrawing('Parcel', '<kml>parcel</kml>')
+            vi.setSystemTime(2000)
+            const renamed = await updateLocalDrawing(drawing.id, { name: 'Field' }, false)
+            expect(renamed).to.deep.include({ name: 'Field', updated: 1000 })
+            const updated = await updateLocalDrawing(drawing.id, { kmlData: '<kml>field</kml>' })
+            expect(updated).to.deep.include({
+                id: drawing.id,
+                name: 'Field',
+                kmlData: '<kml>field</kml>',
+                created: 1000,
+                updated: 2000,
+            })
+            expect(await getLocalDrawing(drawing.id)).to.deep.eq(updated)
+        })
+        it('fails to update or duplicate a drawing that does not exist', async () => {
+            let error = null
+            try {
+                await updateLocalDrawing('unknown', { name: 'Field' })
+            } catch (e) {
+                error = e
+            }
+            expect(error).to.be.an.instanceOf(LocalDrawingStorageError)
+            error = null
+            try {
+                await duplicateLocalDrawing('unknown', 'Field')
+            } catch (e) {
+                error = e
+            }
+            expect(error).to.be.an.instanceOf(LocalDrawingStorageError)
+        })
+        it('duplicates a drawing without its publication', async () => {
+            const drawing = await createLocalDrawing('Parcel', '<kml>parcel</kml>')
+            await updateLocalDrawing(drawing.id, { fileId: 'file', adminId: 'admin' }, false)
+            const copy = await duplicateLocalDrawing(drawing.id, 'Parcel (2)')
+            expect(copy.id).to.not.eq(drawing.id)
+            expect(copy).to.deep.include({
+                name: 'Parcel (2)',
+                kmlData: '<kml>parcel</kml>',
+                fileId: null,
+                adminId: null,
+            })
+            expect(await getAllLocalDrawings()).to.have.length(2)
+        })
+        it('deletes a drawing', async () => {
+            const kept = await createLocalDrawing('Kept', '<kml>kept</kml>')
+            const deleted = await createLocalDrawing('Deleted', '<kml>deleted</kml>')
+            await deleteLocalDrawing(deleted.id)
+            expect(await getLocalDrawing(deleted.id)).to.be.null
+            expect((await getAllLocalDrawings()).map((drawing) => drawing.id)).to.deep.eq([kept.id])
+            // deleting an unknown drawing is a no-op
+            await deleteLocalDrawing('unknown')
+            expect(await getAllLocalDrawings()).to.have.length(1)
+        })
+    })
+})
@@ -1,10 +1,19 @@
+import axios from 'axios'
 import { expect } from 'chai'
-import { describe, it } from 'vitest'
+import { afterEach, describe, it, vi } from 'vitest'
 
-import { PrintLayout, PrintLayoutAttribute } from '@/api/print.api.js'
+import {
+    createAtlasPages,
+    getClientSidePrintLayouts,
+    PrintLayout,
+    PrintLayoutAttribute,
+    readPrintCapabilities,
+} from '@/api/print.api.js'
 import { PRINT_DPI_COMPENSATION } from '@/config/print.config'
 import { adjustWidth } from '@/utils/styleUtils'
 
+import printCapabilities from '../../../tests/cypress/fixtures/print/capabilities.json'
+
 describe('Print API unit tests', () => {
     describe('PrintLayoutAttribute tests', () => {
         it('Correctly tells that a param is invalid', () => {
@@ -27,7 +36,105 @@ describe('Print API unit tests', () => {
             expect(testInstance.scales).to.eql(scales)
         })
     })
+    describe('getClientSidePrintLayouts', () => {
+        it('describes the layouts like the print server does', () => {
+            const layouts = getClientSidePrintLayouts()
+            expect(layouts).to.have.length.greaterThan(0)
+            layouts.forEach((layout) => {
+                expect(layout).to.be.an.instanceOf(PrintLayout)
+                expect(layout.scales).to.have.length.greaterThan(0)
+                const mapAttribute = layout.attributes.find((attribute) => attribute.name === 'map')
+                expect(mapAttribute.clientParams.width.default).to.be.greaterThan(0)
+                expect(mapAttribute.clientParams.height.default).to.be.greaterThan(0)
+            })
+        })
+    })
+    describe('createAtlasPages', () => {
+        const encodedMap = {
+            center: [0, 0],
+            scale: 25000,
+            rotation: 45,
+            layers: [{ type: 'wmts', layer: 'background' }],
+        }
+        const frames = [
+            [0, 0, 100, 50],
+            [100, 0, 200, 50],
+        ]
+        it('gives an overview page, then one page per frame', () => {
+            const pages = createAtlasPages(encodedMap, frames, 50000, 'My title')
+            expect(pages).to.have.length(3)
+            const [overview, ...framePages] = pages
+
+            expect(overview.map.center).to.deep.eq([100, 25])
+            expect(overview.map.scale).to.eq(50000)
+            expect(overview.map.rotation).to.eq(0)
+            expect(overview.map.layers).to.have.length(2)
+            const [framesLayer, backgroundLayer] = overview.map.layers
+            expect(backgroundLayer).to.eq(encodedMap.layers[0])
+            expect(framesLayer.type).to.eq('geojson')
+            expect(framesLayer.geoJson.features.map((feature) => feature.properties.page)).to.eql([
+                '1',
+                '2',
+            ])
+            expect(framesLayer.geoJson.features[1].geometry.coordinates[0]).to.deep.eq([
+                [100, 0],
+                [200, 0],
+                [200, 50],
+                [100, 50],
+                [100, 0],
+            ])
+
+            expect(framePages.map((page) => page.map.center)).to.deep.eq([
+                [50, 25],
+                [150, 25],
+            ])
+            framePages.forEach((page) => {
+                expect(page.map.scale).to.eq(25000)
+                expect(page.map.rotation).to.eq(0)
+                expect(page.map.layers).to.eq(encodedMap.layers)
+            })
+            pages.forEach((page) => expect(page.title.startsWith('My title - ')).to.be.true)
+            expect(new Set(pages.map((page) => page.title))).to.have.property('size', 3)
+        })
+    })
+    describe('printing atlases on the print server', () => {
+        afterEach(() => {
+            vi.restoreAllMocks()
+        })
+        it('only uses the datasource attribute a layout declares', () => {
+            expect(new PrintLayout('no datasource').atlasAttributeName).to.be.null
+            const layout = new PrintLayout(
+                'with datasource',
+                new PrintLayoutAttribute('pages', 'DataSourceAttributeValue')
+            )
+            expect(layout.atlasAttributeName).to.eq('pages')
+        })
+        it('can not print atlases with the layouts of the geoadmin print server', async () => {
+            vi.spyOn(axios, 'get').mockResolvedValue({ data: printCapabilities })
+            const layouts = await readPrintCapabilities()
+            expect(layouts).to.have.length(printCapabilities.layouts.length)
+            layouts.forEach((layout) => {
+                expect(layout.atlasAttributeName).to.be.null
+                // the map attribute is kept for single page prints
+                expect(layout.attributes.some((attribute) => attribute.name === 'map')).to.be.true
+            })
+        })
+        it('can print atlases with a layout having a datasource', async () => {
+            const capabilities = structuredClone(printCapabilities)
+            capabilities.layouts[0].attributes.push({
+                name: 'pages',
+                type: 'DataSourceAttributeValue',
+            })
+            vi.spyOn(axios, 'get').mockResolvedValue({ data: capabilities })
+            const [layoutWithPages, otherLayout] = await readPrintCapabilities()
+            expect(layoutWithPages.atlasAttributeName).to.eq('pages')
+            expect(otherLayout.atlasAttributeName).to.be.null
+        })
+    })
     describe('PrintLayout tests', () => {
+        afterEach(() => {
+            vi.restoreAllMocks()
+        })
         it('Filters out invalid attributes inputs', () => {
             const testInstance = new PrintLayout('test', null, '', undefined, 0)
             expect(testInstance.attributes).to.be.an('Array').lengthOf(0)
@@ -63,6 +170,20 @@ describe('Print API unit tests', () => {
             )
             expect(scalesInMapAttr.scales).to.eql(scales)
         })
+        it('tells which attributes a layout has', () => {
+            const layout = new PrintLayout('test', new PrintLayoutAttribute('title', 'String'))
+            expect(layout.hasAttribute('title')).to.be.true
+            expect(layout.hasAttribute('comment')).to.be.false
+        })
+        it('has no title nor comment in the layouts of the geoadmin print server', async () => {
+            vi.spyOn(axios, 'get').mockResolvedValue({ data: printCapabilities })
+            const layouts = await readPrintCapabilities()
+            layouts.forEach((layout) => {
+                expect(layout.hasAttribute('map')).to.be.true
+                expect(layout.hasAttribute('title')).to.be.false
+                expect(layout.hasAttribute('comment')).to.be.false
+            })
+        })
         it('calculate the width correctly with the "adjustWidth" function', () => {
             // invalid values should return 0
             expect(adjustWidth(100, 'invalid value')).to.eql(0)
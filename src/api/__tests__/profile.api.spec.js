@@ -64,6 +64,17 @@ describe('Profile calculation', () => {
         // from 210 to 90, so -120, but it's in absolute form
         expect(testProfile.totalDescent).to.eq(120)
     })
+    it('calculates hiking time correctly, including the last step of each segment', () => {
+        // all steps of the test profile are steeper than 40%, so the linear formula is used
+        // 50m at +220% (18.7min), 100m at -120% (10.8min), 50m at +220% (18.7min)
+        expect(testProfile.hikingTime).to.eq(48)
+        const flatSegment = new ElevationProfileSegment([
+            { coordinate: [0, 0], dist: 0, elevation: 100, hasElevationData: true },
+            { coordinate: [0, 1000], dist: 1000, elevation: 100, hasElevationData: true },
+        ])
+        // flat terrain: ~14.3 minutes per kilometer
+        expect(flatSegment.hikingTime).to.eq(14)
+    })
     it('calculates slope distance correctly', () => {
         // here we calculate with Pythagoras between each point
         // so that we take into account the difference of altitude/elevation
@@ -75,6 +86,55 @@ describe('Profile calculation', () => {
     })
 })
 
+describe('Profile sections', () => {
+    const profile = new ElevationProfile([
+        new ElevationProfileSegment([
+            { coordinate: [0, 0], dist: 0, elevation: 100, hasElevationData: true },
+            { coordinate: [0, 100], dist: 100, elevation: 120, hasElevationData: true },
+            { coordinate: [0, 200], dist: 200, elevation: 90, hasElevationData: true },
+        ]),
+        new ElevationProfileSegment([
+            { coordinate: [0, 200], dist: 200, elevation: 90, hasElevationData: true },
+            { coordinate: [100, 200], dist: 300, elevation: 140, hasElevationData: true },
+        ]),
+    ])
+
+    it('calculates the steepest slope, going up or down', () => {
+        // 20%, -30% and 50%
+        expect(profile.maxSlope).to.approximately(50, 0.001)
+        expect(profile.segments[0].maxSlope).to.approximately(30, 0.001)
+        expect(new ElevationProfile([]).maxSlope).to.eq(0)
+    })
+    it('slices the profile between two distances, interpolating the ends', () => {
+        const section = profile.slice(50, 250)
+        expect(section.segments).to.have.length(2)
+        expect(section.minDist).to.eq(50)
+        expect(section.maxDist).to.eq(250)
+        const [first] = section.points
+        expect(first.coordinate).to.deep.eq([0, 50])
+        expect(first.elevation).to.eq(110)
+        const last = section.points.slice(-1)[0]
+        expect(last.coordinate).to.deep.eq([50, 200])
+        expect(last.elevation).to.eq(115)
+        // 110 -> 120, then 90 -> 115
+        expect(section.totalAscent).to.approximately(35, 0.001)
+        expect(section.totalDescent).to.approximately(30, 0.001)
+    })
+    it('splits the profile at the given distances', () => {
+        const sections = profile.splitAt([250, 100, 1000, 0])
+        expect(sections).to.have.length(3)
+        expect(sections.map((section) => [section.minDist, section.maxDist])).to.deep.eq([
+            [0, 100],
+            [100, 250],
+            [250, 300],
+        ])
+        expect(sections.reduce((total, section) => total + section.totalAscent, 0)).to.eq(
+            profile.totalAscent
+        )
+        expect(profile.splitAt([])).to.have.length(1)
+    })
+})
+
 describe('splitIfTooManyPoints', () => {
     /**
      * @param {Number} pointsCount
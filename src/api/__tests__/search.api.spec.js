@@ -1,7 +1,21 @@
 import { expect } from 'chai'
-import { describe, it } from 'vitest'
+import proj4 from 'proj4'
+import { afterEach, describe, it } from 'vitest'
 
-import { sanitizeTitle } from '@/api/search.api'
+import GPXLayer from '@/api/layers/GPXLayer.class'
+import KMLLayer from '@/api/layers/KMLLayer.class'
+import { sanitizeTitle, SearchResultTypes } from '@/api/search.api'
+import GeoadminLocationSearchProvider from '@/api/search/GeoadminLocationSearchProvider.class'
+import LocalFeatureSearchProvider from '@/api/search/LocalFeatureSearchProvider.class'
+import NominatimSearchProvider from '@/api/search/NominatimSearchProvider.class'
+import OgcApiFeaturesSearchProvider from '@/api/search/OgcApiFeaturesSearchProvider.class'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import {
+    getSearchProviders,
+    registerSearchProvider,
+    unregisterSearchProvider,
+} from '@/api/search/searchProviders'
+import { LV95, WEBMERCATOR, WGS84 } from '@/utils/coordinates/coordinateSystems'
 
 describe('Builds object by extracting all relevant attributes from the backend', () => {
     describe('FeatureSearchResult.getSimpleTitle', () => {
@@ -17,3 +31,275 @@ describe('Builds object by extracting all relevant attributes from the backend',
         })
     })
 })
+
+describe('Search providers', () => {
+    class TestSearchProvider extends SearchProvider {
+        constructor(id, priority, response = []) {
+            super({ id, category: `${id}-category`, priority })
+            this.response = response
+        }
+        async query() {
+            if (this.response instanceof Error) {
+                throw this.response
+            }
+            return this.response
+        }
+        parseResults(response) {
+            return response.map((title) => ({ id: title, title }))
+        }
+    }
+
+    describe('registry', () => {
+        afterEach(() => {
+            unregisterSearchProvider('test-low')
+            unregisterSearchProvider('test-high')
+        })
+        it('registers the geoadmin providers by default, sorted by priority', () => {
+            expect(getSearchProviders().map((provider) => provider.category)).to.deep.equal([
+                'locations',
+                'localfeatures',
+                'layers',
+                'featuresearch',
+            ])
+        })
+        it('sorts registered providers by priority', () => {
+            registerSearchProvider(new TestSearchProvider('test-low', -1))
+            registerSearchProvider(new TestSearchProvider('test-high', 100))
+            const ids = getSearchProviders().map((provider) => provider.id)
+            expect(ids[0]).to.eq('test-high')
+            expect(ids.at(-1)).to.eq('test-low')
+        })
+        it('replaces a provider registered with the same ID', () => {
+            registerSearchProvider(new TestSearchProvider('test-low', -1))
+            registerSearchProvider(new TestSearchProvider('test-low', 100))
+            const providers = getSearchProviders().filter((provider) => provider.id === 'test-low')
+            expect(providers).to.have.length(1)
+            expect(providers[0].priority).to.eq(100)
+        })
+        it('refuses anything that is not a provider', () => {
+            expect(() => registerSearchProvider({ id: 'test-low', category: 'test' })).to.throw()
+        })
+    })
+
+    describe('SearchProvider.search', () => {
+        it('adds the category and the provider ID to the parsed results', async () => {
+            const results = await new TestSearchProvider('test', 0, ['a', 'b']).search({})
+            expect(results).to.deep.equal([
+                { id: 'a', title: 'a', category: 'test-category', providerId: 'test' },
+                { id: 'b', title: 'b', category: 'test-category', providerId: 'test' },
+            ])
+        })
+        it('falls back to an empty result if the query fails', async () => {
+            const provider = new TestSearchProvider('test', 0, new Error('backend down'))
+            expect(await provider.search({})).to.deep.equal([])
+        })
+    })
+
+    describe('GeoadminLocationSearchProvider', () => {
+        it('parses and reprojects the backend results', () => {
+            const results = new GeoadminLocationSearchProvider().parseResults(
+                {
+                    data: {
+                        results: [
+                            {
+                                attrs: {
+                                    label: '<b>Bern</b>',
+                                    detail: 'bern',
+                                    featureId: '351',
+                                    lon: 7.44,
+                                    lat: 46.95,
+                                    zoomlevel: 4,
+                                    geom_st_box2d: 'BOX(2595000 1195000,2605000 1205000)',
+                                },
+                            },
+                            // results without attributes are ignored
+                            {},
+                        ],
+                    },
+                },
+                { outputProjection: WEBMERCATOR }
+            )
+            expect(results).to.have.length(1)
+            const [result] = results
+            expect(result.resultType).to.eq(SearchResultTypes.LOCATION)
+            expect(result.sanitizedTitle).to.eq('Bern')
+            expect(result.featureId).to.eq('351')
+            expect(result.extent).to.have.length(2)
+            const [lon, lat] = proj4(WEBMERCATOR.epsg, WGS84.epsg, result.coordinate)
+            expect(lon).to.be.closeTo(7.44, 0.0001)
+            expect(lat).to.be.closeTo(46.95, 0.0001)
+        })
+    })
+
+    describe('NominatimSearchProvider', () => {
+        const provider = new NominatimSearchProvider({ url: 'https://nominatim.example.com' })
+        it('parses places, escaping their name', () => {
+            const [place, point] = provider.parseResults(
+                {
+                    data: [
+                        {
+                            osm_type: 'relation',
+                            osm_id: 1682248,
+                            display_name: 'Bern <Schweiz>',
+                            type: 'city',
+                            lat: '46.9484742',
+                            lon: '7.4521749',
+                            boundingbox: ['46.919', '46.990', '7.294', '7.495'],
+                        },
+                        {
+                            osm_type: 'node',
+                            osm_id: 1,
+                            display_name: 'Bundesplatz 3',
+                            lat: '46.9466',
+                            lon: '7.4441',
+                            boundingbox: ['46.9466', '46.9466', '7.4441', '7.4441'],
+                        },
+                    ],
+                },
+                { outputProjection: LV95 }
+            )
+            expect(provider.url).to.eq('https://nominatim.example.com/')
+            expect(place.resultType).to.eq(SearchResultTypes.LOCATION)
+            expect(place.id).to.eq('nominatim-relation1682248')
+            expect(place.title).to.eq('Bern &lt;Schweiz&gt;')
+            expect(place.sanitizedTitle).to.eq('Bern ')
+            expect(place.description).to.eq('city')
+            expect(place.coordinate[0]).to.be.closeTo(2600000, 2000)
+            expect(place.coordinate[1]).to.be.closeTo(1200000, 2000)
+            expect(place.extent).to.have.length(2)
+            expect(place.zoom).to.be.null
+            // a point has no extent, the map must zoom to a 1:25'000 scale instead
+            expect(point.extent).to.deep.equal([])
+            expect(point.zoom).to.eq(LV95.get1_25000ZoomLevel())
+        })
+    })
+
+    describe('OgcApiFeaturesSearchProvider', () => {
+        const provider = new OgcApiFeaturesSearchProvider({
+            id: 'assets',
+            collectionUrl: 'https://example.com/ogcapi/collections/assets/',
+            searchProperty: 'asset_id',
+            descriptionProperty: 'kind',
+        })
+        it('parses features, using their extent', () => {
+            const [line, point] = provider.parseResults(
+                {
+                    data: {
+                        type: 'FeatureCollection',
+                        features: [
+                            {
+                                type: 'Feature',
+                                id: 12,
+                                properties: { asset_id: 'A-12', kind: 'pipe' },
+                                geometry: {
+                                    type: 'LineString',
+                                    coordinates: [
+                                        [7.4, 46.9],
+                                        [7.5, 47.0],
+                                    ],
+                                },
+                            },
+                            {
+                                type: 'Feature',
+                                id: 13,
+                                properties: { asset_id: 'A-13' },
+                                geometry: { type: 'Point', coordinates: [7.4, 46.9] },
+                            },
+                            // features without geometry can't be shown on the map
+                            { type: 'Feature', id: 14, properties: {}, geometry: null },
+                        ],
+                    },
+                },
+                { outputProjection: WGS84 }
+            )
+            expect(provider.collectionUrl).to.eq('https://example.com/ogcapi/collections/assets')
+            expect(line.id).to.eq('assets-12')
+            expect(line.title).to.eq('A-12')
+            expect(line.description).to.eq('pipe')
+            expect(line.extent).to.deep.equal([
+                [7.4, 46.9],
+                [7.5, 47.0],
+            ])
+            expect(line.coordinate[0]).to.be.closeTo(7.45, 0.0001)
+            expect(line.coordinate[1]).to.be.closeTo(46.95, 0.0001)
+            expect(point.description).to.eq('')
+            expect(point.extent).to.deep.equal([])
+            expect(point.coordinate).to.deep.equal([7.4, 46.9])
+            expect(point.zoom).to.eq(WGS84.get1_25000ZoomLevel())
+        })
+    })
+
+    describe('LocalFeatureSearchProvider', () => {
+        const kmlLayer = new KMLLayer({
+            kmlFileUrl: 'assets.kml',
+            kmlData: `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>Assets</name>
+        <Placemark id="hydrant-1">
+            <name>Hydrant &lt;1&gt;</name>
+            <description><![CDATA[<p>Near the <b>station</b></p>]]></description>
+            <ExtendedData><Data name="asset"><value>H-0042</value></Data></ExtendedData>
+            <Point><coordinates>7.44,46.95</coordinates></Point>
+        </Placemark>
+        <Placemark id="pipe-1">
+            <name>Main pipe</name>
+            <description>Goes to hydrant 1</description>
+            <LineString><coordinates>7.44,46.95 7.45,46.96</coordinates></LineString>
+        </Placemark>
+    </Document>
+</kml>`,
+        })
+        const gpxLayer = new GPXLayer({
+            gpxFileUrl: 'track.gpx',
+            gpxData: `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+    <wpt lat="46.95" lon="7.44"><name>Summit station</name></wpt>
+</gpx>`,
+        })
+
+        async function searchLocalFeatures(queryString, layersToSearch = [kmlLayer, gpxLayer]) {
+            return await new LocalFeatureSearchProvider().search({
+                queryString,
+                lang: 'en',
+                outputProjection: LV95,
+                layersToSearch,
+            })
+        }
+
+        it('finds features by name, description and extended data, name matches first', async () => {
+            const results = await searchLocalFeatures('hydrant')
+            expect(results.map((result) => result.featureId)).to.deep.equal(['hydrant-1', 'pipe-1'])
+            expect((await searchLocalFeatures('h-0042')).map((r) => r.featureId)).to.deep.equal([
+                'hydrant-1',
+            ])
+            // HTML tags of the description aren't searched
+            expect(await searchLocalFeatures('<b>')).to.deep.equal([])
+        })
+        it('requires all words of the query to match', async () => {
+            const results = await searchLocalFeatures('station summit')
+            expect(results).to.have.length(1)
+            expect(results[0].layer).to.eq(gpxLayer)
+            expect(results[0].feature.title).to.eq('Summit station')
+        })
+        it('gives results that select and zoom to the feature', async () => {
+            const [hydrant, pipe] = await searchLocalFeatures('hydrant')
+            expect(hydrant.resultType).to.eq(SearchResultTypes.FEATURE)
+            expect(hydrant.category).to.eq('localfeatures')
+            expect(hydrant.title).to.eq('<strong>Assets</strong><br/>Hydrant &lt;1&gt;')
+            expect(hydrant.sanitizedTitle).to.eq('Hydrant ')
+            expect(hydrant.feature.layer).to.eq(kmlLayer)
+            expect(hydrant.extent).to.deep.equal([])
+            expect(hydrant.zoom).to.eq(LV95.get1_25000ZoomLevel())
+            expect(hydrant.coordinate[0]).to.be.closeTo(2600104, 1)
+            expect(pipe.extent).to.have.length(2)
+            expect(pipe.zoom).to.be.null
+        })
+        it('ignores layers without data', async () => {
+            const results = await searchLocalFeatures('hydrant', [
+                new KMLLayer({ kmlFileUrl: 'loading.kml' }),
+            ])
+            expect(results).to.deep.equal([])
+        })
+    })
+})
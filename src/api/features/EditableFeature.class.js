@@ -12,6 +12,9 @@ export const EditableFeatureTypes = {
     ANNOTATION: 'ANNOTATION',
     LINEPOLYGON: 'LINEPOLYGON',
     MEASURE: 'MEASURE',
+    CIRCLE: 'CIRCLE',
+    RECTANGLE: 'RECTANGLE',
+    FREEHAND: 'FREEHAND',
 }
 
 /** Describe a feature that can be edited by the user, such as feature from the current drawing */
@@ -33,6 +36,8 @@ export default class EditableFeature extends SelectableFeature {
      * @param {DrawingIcon} featureData.icon Icon that will be covering this feature, can be null
      * @param {FeatureStyleSize} featureData.iconSize Size of the icon (if defined) that will be
      *   covering this feature
+     * @param {Number | null} featureData.radius Radius in meters of the circle (only for circle
+     *   features)
      */
     constructor(featureData) {
         const {
@@ -48,6 +53,7 @@ export default class EditableFeature extends SelectableFeature {
             fillColor = RED,
             icon = null,
             iconSize = MEDIUM,
+            radius = null,
         } = featureData
         super({ id, coordinates, title, description, geometry, isEditable: true })
         this._featureType = featureType
@@ -57,6 +63,7 @@ export default class EditableFeature extends SelectableFeature {
         this._fillColor = fillColor
         this._icon = icon
         this._iconSize = iconSize
+        this._radius = radius
         this._geodesicCoordinates = null
         this._isDragged = false
     }
@@ -78,6 +85,17 @@ export default class EditableFeature extends SelectableFeature {
         )
     }
 
+    /**
+     * Circles and rectangles would lose their shape if one of their vertices was moved, so their
+     * geometry can't be modified once drawn
+     */
+    hasFixedShape() {
+        return (
+            this.featureType === EditableFeatureTypes.CIRCLE ||
+            this.featureType === EditableFeatureTypes.RECTANGLE
+        )
+    }
+
     // getters and setters for all properties (with event emit for setters)
     get featureType() {
         return this._featureType
@@ -218,4 +236,13 @@ export default class EditableFeature extends SelectableFeature {
     set geodesicCoordinates(coordinates) {
         this._geodesicCoordinates = coordinates
     }
+
+    /** @returns {Number | null} Radius in meters of the circle (only for circle features) */
+    get radius() {
+        return this._radius
+    }
+
+    set radius(radius) {
+        this._radius = radius
+    }
 }
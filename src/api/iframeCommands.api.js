@@ -0,0 +1,331 @@
+import getFeature from '@/api/features/features.api'
+import {
+    IFRAME_COMMAND_ERRORS,
+    IFRAME_COMMAND_RESPONSE_TYPE,
+    IFRAME_COMMAND_TYPE,
+    IFRAME_COMMANDS,
+} from '@/api/iframeProtocol'
+import { EMBED_API_ALLOWED_HOSTNAMES } from '@/config/staging.config'
+import allCoordinateSystems from '@/utils/coordinates/coordinateSystems'
+import {
+    flattenExtent,
+    normalizeExtent,
+    projExtent,
+    reprojectAndRound,
+} from '@/utils/coordinates/coordinateUtils'
+import log from '@/utils/logging'
+
+const dispatcher = { dispatcher: 'iframeCommands.api' }
+
+/**
+ * Error raised when a command from the iFrame's parent can't be run
+ *
+ * @property {String} message Technical english message, sent back to the parent
+ * @property {IFRAME_COMMAND_ERRORS} code
+ */
+export class IframeCommandError extends Error {
+    constructor(message, code) {
+        super(message)
+        this.code = code
+        this.name = 'IframeCommandError'
+    }
+}
+
+/**
+ * Tells if a page is allowed to send commands to the embedded viewer. The viewer itself is always
+ * allowed (e.g. for the preview of the embed share menu), as well as all hosts of
+ * {@link EMBED_API_ALLOWED_HOSTNAMES} and their subdomains.
+ *
+ * @param {String} origin Origin of the message (e.g. "https://www.example.admin.ch")
+ * @returns {Boolean}
+ */
+export function isOriginAllowed(origin) {
+    if (origin === window.location.origin) {
+        return true
+    }
+    try {
+        const { hostname } = new URL(origin)
+        return EMBED_API_ALLOWED_HOSTNAMES.some(
+            (allowedHostname) =>
+                hostname === allowedHostname || hostname.endsWith(`.${allowedHostname}`)
+        )
+    } catch (error) {
+        log.debug(`Invalid origin ${origin}`, error)
+        return false
+    }
+}
+
+function invalidPayload(message) {
+    return new IframeCommandError(message, IFRAME_COMMAND_ERRORS.INVALID_PAYLOAD)
+}
+
+function isNumberArray(value, length) {
+    return (
+        Array.isArray(value) &&
+        value.length === length &&
+        value.every((entry) => typeof entry === 'number' && Number.isFinite(entry))
+    )
+}
+
+/**
+ * @param {Object} store
+ * @param {String | undefined} epsg
+ * @returns {CoordinateSystem}
+ */
+function getPayloadProjection(store, epsg) {
+    if (epsg === undefined || epsg === null) {
+        return store.state.position.projection
+    }
+    const projection = allCoordinateSystems.find(
+        (coordinateSystem) => coordinateSystem.epsg === epsg
+    )
+    if (!projection) {
+        throw invalidPayload(`Unsupported projection ${epsg}`)
+    }
+    return projection
+}
+
+function getPayloadCoordinate(store, coordinate, epsg) {
+    if (!isNumberArray(coordinate, 2)) {
+        throw invalidPayload(`Invalid coordinate ${JSON.stringify(coordinate)}`)
+    }
+    return reprojectAndRound(
+        getPayloadProjection(store, epsg),
+        store.state.position.projection,
+        coordinate
+    )
+}
+
+/**
+ * @param {LayerTimeConfig} timeConfig
+ * @param {String | Number} year
+ * @returns {String | Number | null} The year as stored in the time entries of the layer, or `null`
+ *   if the layer has no data for this year
+ */
+function findTimeEntryYear(timeConfig, year) {
+    const timeEntry =
+        timeConfig?.getTimeEntryForYear(year) ??
+        timeConfig?.getTimeEntryForYear(parseInt(year)) ??
+        timeConfig?.getTimeEntryForYear(`${year}`)
+    return timeEntry?.year ?? null
+}
+
+function getActiveLayerIndex(store, layerId) {
+    const index = store.state.layers.activeLayers.findIndex((layer) => layer.id === layerId)
+    if (index === -1) {
+        throw new IframeCommandError(
+            `No active layer with ID ${layerId}`,
+            IFRAME_COMMAND_ERRORS.UNKNOWN_LAYER
+        )
+    }
+    return index
+}
+
+/** Functions running each command, receiving the store and the payload of the command */
+const commandHandlers = {
+    [IFRAME_COMMANDS.SET_CENTER]: async (store, { center, projection }) => {
+        await store.dispatch('setCenter', {
+            center: getPayloadCoordinate(store, center, projection),
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.SET_ZOOM]: async (store, { zoom }) => {
+        if (typeof zoom !== 'number' || zoom < 0) {
+            throw invalidPayload(`Invalid zoom ${zoom}`)
+        }
+        await store.dispatch('setZoom', { zoom, ...dispatcher })
+    },
+    [IFRAME_COMMANDS.FIT_EXTENT]: async (store, { extent, projection }) => {
+        if (!isNumberArray(extent, 4)) {
+            throw invalidPayload(`Invalid extent ${JSON.stringify(extent)}`)
+        }
+        await store.dispatch('zoomToExtent', {
+            extent: normalizeExtent(
+                projExtent(
+                    getPayloadProjection(store, projection),
+                    store.state.position.projection,
+                    extent
+                )
+            ),
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.ADD_LAYER]: async (store, { layerId, visible = true, opacity, year }) => {
+        const layerConfig = store.getters.getLayerConfigById(layerId)
+        if (!layerConfig) {
+            throw new IframeCommandError(
+                `Unknown layer ${layerId}`,
+                IFRAME_COMMAND_ERRORS.UNKNOWN_LAYER
+            )
+        }
+        const customAttributes = {}
+        if (year !== undefined && year !== null) {
+            customAttributes.year = findTimeEntryYear(layerConfig.timeConfig, year)
+            if (customAttributes.year === null) {
+                throw invalidPayload(`Layer ${layerId} has no data for year ${year}`)
+            }
+        }
+        await store.dispatch('addLayer', {
+            layerConfig: { id: layerId, visible, opacity, customAttributes },
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.REMOVE_LAYER]: async (store, { layerId }) => {
+        getActiveLayerIndex(store, layerId)
+        await store.dispatch('removeLayer', { layerId, ...dispatcher })
+    },
+    [IFRAME_COMMANDS.TOGGLE_LAYER]: async (store, { layerId, visible }) => {
+        const index = getActiveLayerIndex(store, layerId)
+        if (typeof visible === 'boolean') {
+            await store.dispatch('setLayerVisibility', { index, visible, ...dispatcher })
+        } else {
+            await store.dispatch('toggleLayerVisibility', { index, ...dispatcher })
+        }
+    },
+    [IFRAME_COMMANDS.SET_TIME]: async (store, { layerId, year }) => {
+        const index = getActiveLayerIndex(store, layerId)
+        const timeConfig = store.state.layers.activeLayers[index].timeConfig
+        if (!timeConfig) {
+            throw invalidPayload(`Layer ${layerId} is not time enabled`)
+        }
+        const timeEntryYear = findTimeEntryYear(timeConfig, year)
+        if (timeEntryYear === null) {
+            throw invalidPayload(`Layer ${layerId} has no data for year ${year}`)
+        }
+        await store.dispatch('setTimedLayerCurrentYear', {
+            index,
+            year: timeEntryYear,
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.SELECT_FEATURE]: async (store, { layerId, featureId, zoom = false }) => {
+        if (featureId === undefined || featureId === null) {
+            throw invalidPayload('Missing feature ID')
+        }
+        const layer =
+            store.getters.getActiveLayersById(layerId)[0] ??
+            store.getters.getLayerConfigById(layerId)
+        if (!layer) {
+            throw new IframeCommandError(
+                `Unknown layer ${layerId}`,
+                IFRAME_COMMAND_ERRORS.UNKNOWN_LAYER
+            )
+        }
+        const feature = await getFeature(layer, featureId, store.state.position.projection, {
+            lang: store.state.i18n.lang,
+            screenWidth: store.state.ui.width,
+            screenHeight: store.state.ui.height,
+            mapExtent: flattenExtent(store.getters.extent),
+        })
+        await store.dispatch('setSelectedFeatures', { features: [feature], ...dispatcher })
+        if (zoom && feature.extent) {
+            await store.dispatch('zoomToExtent', {
+                extent: normalizeExtent(feature.extent),
+                ...dispatcher,
+            })
+        }
+    },
+    [IFRAME_COMMANDS.HIGHLIGHT_FEATURE]: async (store, { featureId = null }) => {
+        await store.dispatch('setHighlightedFeatureId', {
+            highlightedFeatureId: featureId,
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.ADD_MARKER]: async (store, { coordinate = null, projection }) => {
+        if (coordinate === null) {
+            await store.dispatch('clearPinnedLocation', dispatcher)
+            return
+        }
+        await store.dispatch('setPinnedLocation', {
+            coordinates: getPayloadCoordinate(store, coordinate, projection),
+            ...dispatcher,
+        })
+    },
+    [IFRAME_COMMANDS.SET_3D]: async (store, { active }) => {
+        if (typeof active !== 'boolean') {
+            throw invalidPayload(`Invalid 3D flag ${active}`)
+        }
+        await store.dispatch('set3dActive', { active, ...dispatcher })
+    },
+}
+
+/**
+ * Runs a command received from the iFrame's parent, through the matching Vuex actions.
+ *
+ * @param {Object} store Vuex store
+ * @param {IFRAME_COMMANDS} command
+ * @param {Object} [payload={}] Default is `{}`
+ * @returns {Promise<void>}
+ * @throws {IframeCommandError} If the command is unknown, or can't be run with this payload
+ */
+export async function runIframeCommand(store, command, payload = {}) {
+    const handler = Object.hasOwn(commandHandlers, command) ? commandHandlers[command] : null
+    if (!handler) {
+        throw new IframeCommandError(
+            `Unknown command ${command}`,
+            IFRAME_COMMAND_ERRORS.UNKNOWN_COMMAND
+        )
+    }
+    if (typeof payload !== 'object' || payload === null || Array.isArray(payload)) {
+        throw invalidPayload('The payload must be an object')
+    }
+    try {
+        await handler(store, payload)
+    } catch (error) {
+        if (error instanceof IframeCommandError) {
+            throw error
+        }
+        log.error(`Failed to run iframe command ${command}`, payload, error)
+        throw new IframeCommandError(
+            error?.message ?? `${error}`,
+            IFRAME_COMMAND_ERRORS.COMMAND_FAILED
+        )
+    }
+}
+
+/**
+ * Handles a message event, running the command it holds (if it is one) and sending the response
+ * back to the source of the message.
+ *
+ * Commands coming from a page that isn't allowed to send commands (see {@link isOriginAllowed}) are
+ * ignored without any response, so that such a page can't even tell that the API exists.
+ *
+ * @param {Object} store Vuex store
+ * @param {MessageEvent} event
+ * @returns {Promise<void>}
+ */
+export async function handleIframeCommandMessage(store, event) {
+    if (event.data?.type !== IFRAME_COMMAND_TYPE) {
+        return
+    }
+    if (!isOriginAllowed(event.origin)) {
+        log.warn(`Ignoring iframe command from ${event.origin}, this origin is not allowed`)
+        return
+    }
+    const { id = null, command, payload } = event.data
+    const response = { type: IFRAME_COMMAND_RESPONSE_TYPE, id, command, success: true }
+    try {
+        log.debug(`Running iframe command ${command} from ${event.origin}`, payload)
+        await runIframeCommand(store, command, payload ?? {})
+    } catch (error) {
+        log.warn(`Iframe command ${command} from ${event.origin} failed`, error)
+        response.success = false
+        response.error = {
+            code: error.code ?? IFRAME_COMMAND_ERRORS.COMMAND_FAILED,
+            message: error.message,
+        }
+    }
+    event.source?.postMessage(response, event.origin)
+}
+
+/**
+ * Starts listening to the commands sent by the iFrame's parent
+ *
+ * @param {Object} store Vuex store
+ * @returns {Function} A function that stops listening
+ */
+export function listenToIframeCommands(store) {
+    const listener = (event) => handleIframeCommandMessage(store, event)
+    window.addEventListener('message', listener)
+    return () => window.removeEventListener('message', listener)
+}
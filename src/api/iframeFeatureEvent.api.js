@@ -1,28 +1,8 @@
+import { IFRAME_EVENTS } from '@/api/iframeProtocol'
 import log from '@/utils/logging'
 
 const targetWindow = parent ?? window.parent ?? window.opener ?? window.top
 
-/**
- * All events fired by the iFrame postMessage implementation.
- *
- * @enum
- */
-export const IFRAME_EVENTS = {
-    /**
-     * Event raised whenever the app changes its state (the URL changed).
-     *
-     * Payload of this event : a String with the new URL of the viewer
-     */
-    CHANGE: 'gaChange',
-    /**
-     * Event raised when a feature has been selected. Will fire as many events as there are feature
-     * selected on the map (won't bundle all features into one event)
-     *
-     * Payload of this event : a JSON containing the layerId and featureId of the selected feature
-     */
-    FEATURE_SELECTION: 'gaFeatureSelection',
-}
-
 /**
  * Sends information to the iFrame's parent about features, through the use of the postMessage
  * HTML/Javascript API.
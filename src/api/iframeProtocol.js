@@ -0,0 +1,161 @@
+/**
+ * Messages exchanged through the postMessage API between the embedded viewer and the page embedding
+ * it. This module must stay free of any dependency, as it is shared between the app and the embed
+ * client library (see src/embedClient).
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Window/postMessage
+ */
+
+/**
+ * All events fired by the iFrame postMessage implementation.
+ *
+ * @enum
+ */
+export const IFRAME_EVENTS = {
+    /**
+     * Event raised whenever the app changes its state (the URL changed).
+     *
+     * Payload of this event : a String with the new URL of the viewer
+     */
+    CHANGE: 'gaChange',
+    /**
+     * Event raised when a feature has been selected. Will fire as many events as there are feature
+     * selected on the map (won't bundle all features into one event)
+     *
+     * Payload of this event : a JSON containing the layerId and featureId of the selected feature
+     */
+    FEATURE_SELECTION: 'gaFeatureSelection',
+}
+
+/**
+ * Message type of the commands sent by the iFrame's parent to the embedded viewer.
+ *
+ * A command message must look like
+ *
+ *     {
+ *         "type": "gaCommand",
+ *         "id": "any-string-or-number",
+ *         "command": "setCenter",
+ *         "payload": { "center": [2600000, 1200000] }
+ *     }
+ *
+ * The `id` is optional, it is sent back in the response so that the parent can match a response
+ * with its request.
+ *
+ * @type {String}
+ */
+export const IFRAME_COMMAND_TYPE = 'gaCommand'
+
+/**
+ * Message type of the responses sent back to the iFrame's parent, one per command received.
+ *
+ * A response looks like
+ *
+ *     { "type": "gaCommandResponse", "id": "...", "command": "setCenter", "success": true }
+ *
+ * Or, if the command failed
+ *
+ *     {
+ *         "type": "gaCommandResponse",
+ *         "id": "...",
+ *         "command": "setCenter",
+ *         "success": false,
+ *         "error": { "code": "INVALID_PAYLOAD", "message": "..." }
+ *     }
+ *
+ * @type {String}
+ */
+export const IFRAME_COMMAND_RESPONSE_TYPE = 'gaCommandResponse'
+
+/**
+ * All commands that the iFrame's parent can send to the embedded viewer.
+ *
+ * Coordinates and extents can be given with a `projection` (an EPSG code among the supported ones,
+ * e.g. "EPSG:2056" or "EPSG:4326"), if not they must be expressed in the projection of the map.
+ *
+ * @enum
+ */
+export const IFRAME_COMMANDS = {
+    /**
+     * Centers the map on a coordinate.
+     *
+     * Payload : `{ center: [x, y], projection?: String }`
+     */
+    SET_CENTER: 'setCenter',
+    /**
+     * Changes the zoom level of the map.
+     *
+     * Payload : `{ zoom: Number }`
+     */
+    SET_ZOOM: 'setZoom',
+    /**
+     * Zooms the map so that the extent is visible.
+     *
+     * Payload : `{ extent: [minX, minY, maxX, maxY], projection?: String }`
+     */
+    FIT_EXTENT: 'fitExtent',
+    /**
+     * Adds a layer from the layers' config.
+     *
+     * Payload : `{ layerId: String, visible?: Boolean, opacity?: Number, year?: String }`
+     */
+    ADD_LAYER: 'addLayer',
+    /**
+     * Removes all active layers with this ID.
+     *
+     * Payload : `{ layerId: String }`
+     */
+    REMOVE_LAYER: 'removeLayer',
+    /**
+     * Shows or hides an active layer. If `visible` isn't given, the visibility is toggled.
+     *
+     * Payload : `{ layerId: String, visible?: Boolean }`
+     */
+    TOGGLE_LAYER: 'toggleLayer',
+    /**
+     * Changes the year shown by an active time enabled layer.
+     *
+     * Payload : `{ layerId: String, year: String }`
+     */
+    SET_TIME: 'setTime',
+    /**
+     * Selects a feature of a layer, showing its information in the infobox.
+     *
+     * Payload : `{ layerId: String, featureId: String | Number, zoom?: Boolean }`
+     */
+    SELECT_FEATURE: 'selectFeature',
+    /**
+     * Highlights one of the selected features (or removes the highlight if `featureId` is null).
+     *
+     * Payload : `{ featureId: String | Number | null }`
+     */
+    HIGHLIGHT_FEATURE: 'highlightFeature',
+    /**
+     * Places a marker on the map (or removes it if `coordinate` is null).
+     *
+     * Payload : `{ coordinate: [x, y] | null, projection?: String }`
+     */
+    ADD_MARKER: 'addMarker',
+    /**
+     * Switches between the 2D and the 3D viewer.
+     *
+     * Payload : `{ active: Boolean }`
+     */
+    SET_3D: 'set3d',
+}
+
+/**
+ * Codes of the errors sent back to the iFrame's parent.
+ *
+ * @enum
+ */
+export const IFRAME_COMMAND_ERRORS = {
+    /** The command isn't one of {@link IFRAME_COMMANDS} */
+    UNKNOWN_COMMAND: 'UNKNOWN_COMMAND',
+    /** The payload is missing a value, or has a value of the wrong type */
+    INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+    /** The layer doesn't exist (or isn't active, for commands working on active layers) */
+    UNKNOWN_LAYER: 'UNKNOWN_LAYER',
+    /** Something went wrong while running the command */
+    COMMAND_FAILED: 'COMMAND_FAILED',
+}
@@ -94,9 +94,10 @@ export default class ExternalLayer extends AbstractLayer {
      *   Default is `null`
      * @param {LayerTimeConfig | null} [externalLayerData.timeConfig=null] Time series config (if
      *   available). Default is `null`
-     * @param {Number} [externalLayerData.currentYear=null] Current year of the time series config
-     *   to use. This parameter is needed as it is set in the URL while the timeConfig parameter is
-     *   not yet available and parse later on from the GetCapabilities. Default is `null`
+     * @param {Number | String} [externalLayerData.currentYear=null] Current year (or complete
+     *   timestamp) of the time series config to use. This parameter is needed as it is set in the
+     *   URL while the timeConfig parameter is not yet available and parse later on from the
+     *   GetCapabilities. Default is `null`
      * @param {Object | null} [externalLayerData.customAttributes=null] The custom attributes
      *   (except the well known updateDelays, adminId, features and year) passed with the layer id
      *   in url. Default is `null`
@@ -1,7 +1,7 @@
 import AbstractLayer, { LayerAttribution } from '@/api/layers/AbstractLayer.class'
 import { InvalidLayerDataError } from '@/api/layers/InvalidLayerData.error'
-import { encodeExternalLayerParam } from '@/api/layers/layers-external.api'
 import LayerTypes from '@/api/layers/LayerTypes.enum'
+import { encodeExternalLayerParam } from '@/router/storeSync/urlParamParsers'
 
 export default class GPXLayer extends AbstractLayer {
     /**
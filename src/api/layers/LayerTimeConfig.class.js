@@ -89,11 +89,25 @@ export default class LayerTimeConfig {
     }
 
     /**
-     * @param {Number} year
+     * @param {Number | String} year A year, or the complete timestamp of an entry (used to select
+     *   one of the entries of a year, when the layer has {@link hasSubYearlyTimestamps})
      * @returns {LayerTimeConfigEntry | null}
      */
     getTimeEntryForYear(year) {
-        return this.timeEntries.find((entry) => entry.year === year) ?? null
+        return (
+            this.timeEntries.find((entry) => entry.year === year) ??
+            this.timeEntries.find((entry) => entry.timestamp === `${year}`) ??
+            null
+        )
+    }
+
+    /**
+     * @returns {Boolean} True if some years have more than one timestamp (e.g. monthly or daily
+     *   data), in which case the year isn't enough to select a timestamp
+     */
+    hasSubYearlyTimestamps() {
+        const years = this.years.filter((year) => Number.isInteger(year))
+        return new Set(years).size < years.length
     }
 
     /**
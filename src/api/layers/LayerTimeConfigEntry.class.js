@@ -1,4 +1,5 @@
 import { isTimestampYYYYMMDD } from '@/utils/numberUtils'
+import { parseTimeDimensionDate } from '@/utils/timeDimensionUtils'
 
 /**
  * Year we are using to describe the timestamp "all data" for WMS (and also for WMTS as there is no
@@ -56,9 +57,11 @@ export default class LayerTimeConfigEntry {
             if (isTimestampYYYYMMDD(timestamp)) {
                 this.year = parseInt(timestamp.substring(0, 4))
             } else {
-                const date = new Date(timestamp)
-                if (!isNaN(date)) {
-                    this.year = date.getFullYear()
+                // reading the year in UTC, so that e.g. 2020-01-01 doesn't become 2019 in the
+                // time zones west of Greenwich
+                const date = parseTimeDimensionDate(timestamp)
+                if (date) {
+                    this.year = date.getUTCFullYear()
                 } else {
                     this.year = null
                 }
@@ -12,5 +12,6 @@ const LayerTypes = {
     VECTOR: 'VECTOR',
     GROUP: 'GROUP',
     GEOTIFF: 'GEOTIFF',
+    VECTOR_FILE: 'VECTOR_FILE',
 }
 export default LayerTypes
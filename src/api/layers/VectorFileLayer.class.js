@@ -0,0 +1,73 @@
+import AbstractLayer, { LayerAttribution } from '@/api/layers/AbstractLayer.class'
+import { InvalidLayerDataError } from '@/api/layers/InvalidLayerData.error'
+import LayerTypes from '@/api/layers/LayerTypes.enum'
+
+/**
+ * Metadata for a vector layer loaded client-side from a file (GeoJSON, zipped ESRI Shapefile or
+ * FlatGeobuf). Whatever the format of the source file, its content is kept as a GeoJSON
+ * FeatureCollection expressed in WGS84.
+ *
+ * @WARNING DON'T USE GETTER AND SETTER ! Instances of this class will be used a Vue 3 reactive
+ * object which SHOULD BE plain javascript object ! For convenience we use class instances but this
+ * has some limitations and javascript class getter and setter are not correctly supported which
+ * introduced subtle bugs. As rule of thumb we should avoid any public methods with side effects on
+ * properties, properties should change be changed either by the constructor or directly by setting
+ * them, not through a functions that updates other properties as it can lead to subtle bugs due
+ * to Vue reactivity engine.
+ */
+export default class VectorFileLayer extends AbstractLayer {
+    /**
+     * @param {String} vectorFileLayerData.fileSource URL to the file (can also be a local file
+     *   name)
+     * @param {Boolean} [vectorFileLayerData.visible=true] If the layer is visible on the map (or
+     *   hidden). Default is `true`
+     * @param {Number} [vectorFileLayerData.opacity=1.0] The opacity of this layer, between 0.0
+     *   (transparent) and 1.0 (opaque). Default is `1.0`
+     * @param {String | null} [vectorFileLayerData.name=null] Name of this layer, if nothing is
+     *   given the file name will be used. Default is `null`
+     * @param {VectorFileFormats | null} [vectorFileLayerData.format=null] Format of the source
+     *   file. Default is `null`
+     * @param {Object | null} [vectorFileLayerData.geoJsonData=null] Content of the file, as a
+     *   GeoJSON FeatureCollection expressed in WGS84. Default is `null`
+     * @throws InvalidLayerDataError if no `vectorFileLayerData` is given or if it is invalid
+     */
+    constructor(vectorFileLayerData) {
+        if (!vectorFileLayerData) {
+            throw new InvalidLayerDataError('Missing vector file layer data', vectorFileLayerData)
+        }
+        const {
+            fileSource = null,
+            visible = true,
+            opacity = 1.0,
+            name = null,
+            format = null,
+            geoJsonData = null,
+        } = vectorFileLayerData
+        if (fileSource === null) {
+            throw new InvalidLayerDataError('Missing vector file source', vectorFileLayerData)
+        }
+        const isLocalFile = !fileSource.startsWith('http')
+        const attributionName = isLocalFile ? fileSource : new URL(fileSource).hostname
+        const fileName = isLocalFile
+            ? fileSource
+            : fileSource.substring(fileSource.lastIndexOf('/') + 1)
+        super({
+            name: name ?? fileName,
+            id: fileSource,
+            type: LayerTypes.VECTOR_FILE,
+            baseUrl: fileSource,
+            opacity: opacity ?? 1.0,
+            visible: visible ?? true,
+            attributions: [new LayerAttribution(attributionName)],
+            hasTooltip: false,
+            hasDescription: false,
+            hasLegend: false,
+            isExternal: true,
+            isLoading: !geoJsonData,
+        })
+        this.isLocalFile = isLocalFile
+        this.fileSource = fileSource
+        this.format = format
+        this.geoJsonData = geoJsonData
+    }
+}
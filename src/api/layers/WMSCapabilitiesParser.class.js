@@ -1,4 +1,3 @@
-import { range } from 'lodash'
 import { WMSCapabilities } from 'ol/format'
 import proj4 from 'proj4'
 
@@ -12,6 +11,7 @@ import LayerTimeConfigEntry from '@/api/layers/LayerTimeConfigEntry.class'
 import { WMS_SUPPORTED_VERSIONS } from '@/config/map.config'
 import allCoordinateSystems, { WGS84 } from '@/utils/coordinates/coordinateSystems'
 import log from '@/utils/logging'
+import { parseTimeDimensionValues } from '@/utils/timeDimensionUtils'
 
 function findLayer(layerId, startFrom, parents) {
     let found = {}
@@ -454,45 +454,6 @@ export default class WMSCapabilitiesParser {
             .flat()
     }
 
-    _parseDimesionValues(layerId, rawValues) {
-        const parseYear = (value) => {
-            const date = new Date(value)
-            if (!isNaN(date)) {
-                return date.getFullYear()
-            }
-            return null
-        }
-        return rawValues
-            .split(',')
-            .map((v) => {
-                if (v.includes('/')) {
-                    const [min, max, res] = v.split('/')
-                    const minYear = parseYear(min)
-                    const maxYear = parseYear(max)
-                    if (minYear === null || maxYear === null) {
-                        log.warn(
-                            `Unsupported dimension min/max value "${min}"/"${max}" for layer ${layerId}`
-                        )
-                        return null
-                    }
-                    let step = 1
-                    const periodMatch = /P(\d+)Y/.exec(res)
-                    if (periodMatch) {
-                        step = periodMatch[1]
-                    } else {
-                        log.warn(
-                            `Unsupported dimension resolution "${res}" for layer ${layerId}, fallback to 1 year period`
-                        )
-                    }
-                    return range(minYear, maxYear, step)
-                }
-                return v
-            })
-            .flat()
-            .filter((v) => !!v)
-            .map((v) => `${v}`)
-    }
-
     _getDimensions(layerId, layer) {
         return (
             layer.Dimension?.map(
@@ -500,7 +461,7 @@ export default class WMSCapabilitiesParser {
                     new WMSDimension(
                         d.name,
                         d.default,
-                        this._parseDimesionValues(layerId, d.values ?? ''),
+                        parseTimeDimensionValues(d.values ?? '', layerId),
                         {
                             current: d.current ?? false,
                         }
@@ -14,6 +14,7 @@ import LayerTimeConfig from '@/api/layers/LayerTimeConfig.class'
 import LayerTimeConfigEntry from '@/api/layers/LayerTimeConfigEntry.class'
 import allCoordinateSystems, { WGS84 } from '@/utils/coordinates/coordinateSystems'
 import log from '@/utils/logging'
+import { parseTimeDimensionValues } from '@/utils/timeDimensionUtils'
 
 function parseCrs(crs) {
     let epsgNumber = crs?.split(':').pop()
@@ -389,7 +390,14 @@ export default class WMTSCapabilitiesParser {
 
     _getDimensions(layerId, layer) {
         return (
-            layer.Dimension?.map((d) => new WMTSDimension(d.Identifier, d.Default, d.Value)) ?? []
+            layer.Dimension?.map(
+                (d) =>
+                    new WMTSDimension(
+                        d.Identifier,
+                        d.Default,
+                        parseTimeDimensionValues(d.Value ?? [], layerId)
+                    )
+            ) ?? []
         )
     }
 
@@ -750,3 +750,32 @@ describe('EX_GeographicBoundingBox - Group of layers', () => {
         expect(layer.id).toBe('OpenData-AV 3.2.2')
     })
 })
+
+describe('WMSCapabilitiesParser - time dimension', () => {
+    it('Parse ISO 8601 interval time dimension', () => {
+        const content = `<?xml version='1.0' encoding="UTF-8" standalone="no"?>
+        <WMS_Capabilities version="1.3.0">
+            <Capability>
+                <Layer>
+                    <Title>WMS BGDI</Title>
+                    <Layer queryable="1" opaque="0" cascaded="1">
+                        <Name>daily.layer</Name>
+                        <Title>Daily layer</Title>
+                        <Dimension name="time" units="ISO8601" default="2024-12-31">2020-01-01/2024-12-31/P1D</Dimension>
+                    </Layer>
+                </Layer>
+            </Capability>
+        </WMS_Capabilities>
+        `
+        const capabilities = new WMSCapabilitiesParser(content, 'https://wms.geo.admin.ch')
+        const layer = capabilities.getExternalLayerObject('daily.layer', WGS84)
+        expect(layer.timeConfig.timeEntries).toHaveLength(1827)
+        expect(layer.timeConfig.hasTimestamp('2022-06-15')).to.be.true
+        expect(layer.timeConfig.hasSubYearlyTimestamps()).to.be.true
+        expect(layer.timeConfig.currentTimestamp).toBe('2024-12-31')
+        expect(layer.timeConfig.currentYear).toBe(2024)
+        // with several timestamps per year, the complete timestamp can be used to select an entry
+        expect(layer.timeConfig.getTimeEntryForYear(2022).year).toBe(2022)
+        expect(layer.timeConfig.getTimeEntryForYear('2022-06-15').timestamp).toBe('2022-06-15')
+    })
+})
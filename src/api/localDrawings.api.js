@@ -0,0 +1,183 @@
+import log from '@/utils/logging'
+
+const DATABASE_NAME = 'web-mapviewer'
+const DATABASE_VERSION = 1
+const DRAWINGS_STORE_NAME = 'drawings'
+
+/**
+ * A drawing stored locally, in the browser's IndexedDB, so that it can be edited without network
+ *
+ * @typedef LocalDrawing
+ * @property {String} id Unique ID of this drawing (in the local library)
+ * @property {String} name Name given by the user to this drawing
+ * @property {String} kmlData Content of the drawing, as KML
+ * @property {Number} created Creation timestamp
+ * @property {Number} updated Last modification timestamp
+ * @property {String | null} fileId ID of the KML on the backend, if this drawing has been published
+ * @property {String | null} adminId Admin ID of the KML on the backend, if this drawing has been
+ *   published
+ * @property {Number | null} published Timestamp of the last publication on the backend
+ */
+
+export class LocalDrawingStorageError extends Error {}
+
+function openDatabase() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new LocalDrawingStorageError('IndexedDB is not available in this browser'))
+            return
+        }
+        const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION)
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DRAWINGS_STORE_NAME, { keyPath: 'id' })
+        }
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () =>
+            reject(
+                new LocalDrawingStorageError(
+                    `Could not open local drawings database: ${request.error?.message}`
+                )
+            )
+    })
+}
+
+/**
+ * Runs an operation on the drawings object store, within its own transaction
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest | undefined} operation
+ * @returns {Promise<any>} The result of the request returned by the operation
+ */
+async function runInTransaction(mode, operation) {
+    const database = await openDatabase()
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = database.transaction(DRAWINGS_STORE_NAME, mode)
+            const request = operation(transaction.objectStore(DRAWINGS_STORE_NAME))
+            transaction.oncomplete = () => resolve(request?.result)
+            transaction.onerror = transaction.onabort = () =>
+                reject(
+                    new LocalDrawingStorageError(
+                        `Local drawings transaction failed: ${transaction.error?.message}`
+                    )
+                )
+        })
+    } finally {
+        database.close()
+    }
+}
+
+function generateLocalDrawingId() {
+    return `local-drawing-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+}
+
+/**
+ * Returns the given name, suffixed with a number if it is already used by another drawing
+ *
+ * @param {String} name
+ * @param {String[]} existingNames
+ * @returns {String}
+ */
+export function getUniqueDrawingName(name, existingNames) {
+    const trimmedName = name.trim()
+    if (!existingNames.includes(trimmedName)) {
+        return trimmedName
+    }
+    const baseName = trimmedName.replace(/ \(\d+\)$/, '')
+    let counter = 2
+    while (existingNames.includes(`${baseName} (${counter})`)) {
+        counter++
+    }
+    return `${baseName} (${counter})`
+}
+
+/**
+ * Returns all drawings of the local library, the most recently updated first
+ *
+ * @returns {Promise<LocalDrawing[]>}
+ */
+export async function getAllLocalDrawings() {
+    const drawings = await runInTransaction('readonly', (store) => store.getAll())
+    return drawings.sort((a, b) => b.updated - a.updated)
+}
+
+/**
+ * @param {String} id
+ * @returns {Promise<LocalDrawing | null>}
+ */
+export async function getLocalDrawing(id) {
+    return (await runInTransaction('readonly', (store) => store.get(id))) ?? null
+}
+
+/**
+ * Add a new drawing to the local library
+ *
+ * @param {String} name
+ * @param {String} kmlData
+ * @returns {Promise<LocalDrawing>}
+ */
+export async function createLocalDrawing(name, kmlData) {
+    const now = Date.now()
+    const drawing = {
+        id: generateLocalDrawingId(),
+        name,
+        kmlData,
+        created: now,
+        updated: now,
+        fileId: null,
+        adminId: null,
+        published: null,
+    }
+    await runInTransaction('readwrite', (store) => store.add(drawing))
+    log.debug(`Local drawing ${drawing.id} created`)
+    return drawing
+}
+
+/**
+ * Update some properties of a drawing of the local library
+ *
+ * @param {String} id
+ * @param {Partial<LocalDrawing>} changes
+ * @param {Boolean} [isContentChange=true] If the update timestamp should be updated. Default is
+ *   `true`
+ * @returns {Promise<LocalDrawing>} The updated drawing
+ */
+export async function updateLocalDrawing(id, changes, isContentChange = true) {
+    const drawing = await getLocalDrawing(id)
+    if (!drawing) {
+        throw new LocalDrawingStorageError(`Local drawing ${id} doesn't exist`)
+    }
+    const updatedDrawing = {
+        ...drawing,
+        ...changes,
+        id,
+        updated: isContentChange ? Date.now() : drawing.updated,
+    }
+    await runInTransaction('readwrite', (store) => store.put(updatedDrawing))
+    return updatedDrawing
+}
+
+/**
+ * Copy a drawing of the local library. The copy isn't linked to the publication of the original
+ * drawing.
+ *
+ * @param {String} id
+ * @param {String} name Name of the copy
+ * @returns {Promise<LocalDrawing>} The copy
+ */
+export async function duplicateLocalDrawing(id, name) {
+    const drawing = await getLocalDrawing(id)
+    if (!drawing) {
+        throw new LocalDrawingStorageError(`Local drawing ${id} doesn't exist`)
+    }
+    return await createLocalDrawing(name, drawing.kmlData)
+}
+
+/**
+ * @param {String} id
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalDrawing(id) {
+    await runInTransaction('readwrite', (store) => store.delete(id))
+    log.debug(`Local drawing ${id} deleted`)
+}
@@ -6,6 +6,7 @@ import {
     requestReport,
 } from '@geoblocks/mapfishprint'
 import axios from 'axios'
+import { createEmpty, extend, getCenter } from 'ol/extent'
 import { Circle } from 'ol/style'
 
 import { unProxifyUrl } from '@/api/file-proxy.api'
@@ -14,8 +15,10 @@ import {
     getViewerDedicatedServicesBaseUrl,
     getWmsBaseUrl,
 } from '@/config/baseUrl.config'
+import { CLIENT_SIDE_PRINT_LAYOUTS, CLIENT_SIDE_PRINT_SCALES } from '@/config/print.config'
 import i18n from '@/modules/i18n'
 import log from '@/utils/logging'
+import { wrapDegrees } from '@/utils/numberUtils'
 import { adjustWidth } from '@/utils/styleUtils'
 
 const PRINTING_DEFAULT_POLL_INTERVAL = 2000 // interval between each polling of the printing job status (ms)
@@ -241,6 +244,31 @@ export class PrintLayout {
     get scales() {
         return this.attributes.find((attribute) => attribute.name === 'map')?.scales || []
     }
+
+    /**
+     * Flag telling if this layout has an attribute with this name, i.e. if its value is used by the
+     * print server when sent with the print job
+     *
+     * @param {String} name
+     * @returns {boolean}
+     */
+    hasAttribute(name) {
+        return this.attributes.some((attribute) => attribute.name === name)
+    }
+
+    /**
+     * Name of the attribute receiving the pages of a multi-page print (an atlas), i.e. the
+     * attribute of the DataSourceProcessor of this layout on the print server. Null if the layout
+     * has none, an atlas can then only be printed in the browser with this layout.
+     *
+     * @returns {String | null}
+     */
+    get atlasAttributeName() {
+        return (
+            this.attributes.find((attribute) => attribute.type === 'DataSourceAttributeValue')
+                ?.name ?? null
+        )
+    }
 }
 
 /** @returns Promise<PrintLayout[]> */
@@ -274,6 +302,28 @@ export function readPrintCapabilities() {
     })
 }
 
+/**
+ * Layouts that can be used to print the map in the browser when the print server can't be reached,
+ * described the same way as the layouts given by the print server
+ *
+ * @returns {PrintLayout[]}
+ */
+export function getClientSidePrintLayouts() {
+    return CLIENT_SIDE_PRINT_LAYOUTS.map(
+        ({ name, width, height }) =>
+            new PrintLayout(
+                name,
+                new PrintLayoutAttribute(
+                    'map',
+                    'MapAttributeValues',
+                    null,
+                    { width: { default: width }, height: { default: height } },
+                    { scales: CLIENT_SIDE_PRINT_SCALES }
+                )
+            )
+    )
+}
+
 /**
  * Error when requesting a printing of the map
  *
@@ -291,6 +341,91 @@ export class PrintError extends Error {
     }
 }
 
+/**
+ * Style of the outline and number of the atlas pages, drawn on the overview page
+ *
+ * @see https://mapfish.github.io/mapfish-print-doc/styles.html
+ */
+const ATLAS_FRAMES_STYLE = {
+    version: '2',
+    '*': {
+        symbolizers: [
+            { type: 'line', strokeColor: '#e60000', strokeOpacity: 0.9, strokeWidth: 2 },
+            {
+                type: 'text',
+                label: '[page]',
+                fontColor: '#e60000',
+                fontSize: '16px',
+                fontWeight: 'bold',
+                haloColor: '#ffffff',
+                haloOpacity: 1,
+                haloRadius: 2,
+            },
+        ],
+    },
+}
+
+/**
+ * Describes the pages of an atlas for the print server: an overview page showing where all pages
+ * are, then one page per frame (at the selected scale, without rotation).
+ *
+ * @param {Object} encodedMap Map attribute of the print spec, as given by the MFPEncoder
+ * @param {[Number, Number, Number, Number][]} frames Extents of the pages, see the `atlasFrames`
+ *   getter of the print store
+ * @param {Number} overviewScale Scale of the overview page, see {@link getAtlasOverviewScale}
+ * @param {String} [title=''] Title written on the printed pages. Default is `''`
+ * @returns {{ map: Object; title: String }[]} One entry per printed page
+ */
+export function createAtlasPages(encodedMap, frames, overviewScale, title = '') {
+    const withTitle = (pageLabel) => (title?.trim() ? `${title.trim()} - ${pageLabel}` : pageLabel)
+    const framesLayer = {
+        type: 'geojson',
+        geoJson: {
+            type: 'FeatureCollection',
+            features: frames.map(([minX, minY, maxX, maxY], index) => ({
+                type: 'Feature',
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [
+                        [
+                            [minX, minY],
+                            [maxX, minY],
+                            [maxX, maxY],
+                            [minX, maxY],
+                            [minX, minY],
+                        ],
+                    ],
+                },
+                properties: { page: `${index + 1}` },
+            })),
+        },
+        style: ATLAS_FRAMES_STYLE,
+    }
+    return [
+        {
+            map: {
+                ...encodedMap,
+                center: getCenter(frames.reduce((all, frame) => extend(all, frame), createEmpty())),
+                scale: overviewScale,
+                rotation: 0,
+                // the first layer is drawn on top of the others
+                layers: [framesLayer, ...encodedMap.layers],
+            },
+            title: withTitle(i18n.global.t('print_atlas_overview')),
+        },
+        ...frames.map((frame, index) => ({
+            map: {
+                ...encodedMap,
+                center: getCenter(frame),
+                rotation: 0,
+            },
+            title: withTitle(
+                i18n.global.t('print_atlas_page', { page: index + 1, total: frames.length })
+            ),
+        })),
+    ]
+}
+
 /**
  * @param {Map} olMap OL map
  * @param {String[]} [config.attributions=[]] List of all attributions of layers currently visible
@@ -307,11 +442,26 @@ export class PrintError extends Error {
  *   Default is `false`
  * @param {CoordinateSystem} [config.projection=null] The projection used by the map, necessary when
  *   the grid is to be printed (it can otherwise be null). Default is `null`
+ * @param {CoordinateSystem | null} [config.gridProjection=null] The projection of the printed
+ *   coordinate grid, if it must differ from the one of the map. Default is `null`
+ * @param {String} [config.title=''] Title written on the printed page, only sent if the layout has
+ *   a "title" attribute. Default is `''`
+ * @param {String} [config.comment=''] Free text written on the printed page, only sent if the
+ *   layout has a "comment" attribute. Default is `''`
+ * @param {Number} [config.rotation=0] Rotation of the print frame relative to the map, in degrees
+ *   (clockwise). The printed map is rotated the other way so that the frame is upright on the page.
+ *   Default is `0`
  * @param {String[]} [config.excludedLayerIDs=[]] List of the IDs of OpenLayers layer to exclude
  *   from the print. Default is `[]`
  * @param {String | null} [config.dpi=null] The DPI of the printed map. Default is `null`
  * @param {String | null} [config.outputFilename=null] Output file name, without extension. When
  *   null, let the server decide. Default is `null`
+ * @param {[Number, Number, Number, Number][]} [config.atlasFrames=[]] Extents of the pages of an
+ *   atlas. When given, all pages of the atlas are printed (see {@link createAtlasPages}) instead of
+ *   the current view of the map. The layout must have an attribute for them (see
+ *   {@link PrintLayout.atlasAttributeName}). Default is `[]`
+ * @param {Number | null} [config.atlasOverviewScale=null] Scale of the overview page of the atlas,
+ *   required with `atlasFrames`. Default is `null`
  */
 async function transformOlMapToPrintParams(olMap, config) {
     const {
@@ -324,9 +474,15 @@ async function transformOlMapToPrintParams(olMap, config) {
         lang = null,
         printGrid = false,
         projection = null,
+        gridProjection = null,
+        title = '',
+        comment = '',
+        rotation = 0,
         excludedLayerIDs = [],
         dpi = null,
         outputFilename = null,
+        atlasFrames = [],
+        atlasOverviewScale = null,
     } = config
 
     if (!qrCodeUrl) {
@@ -344,12 +500,18 @@ async function transformOlMapToPrintParams(olMap, config) {
     if (!lang) {
         throw new PrintError('Missing lang')
     }
-    if (printGrid && !projection) {
+    if (printGrid && !projection && !gridProjection) {
         throw new PrintError('Missing projection to print the grid')
     }
     if (!dpi) {
         throw new PrintError('Missing DPI for printing')
     }
+    if (atlasFrames.length > 0 && !layout.atlasAttributeName) {
+        throw new PrintError(`Layout ${layout.name} can't print an atlas`)
+    }
+    if (atlasFrames.length > 0 && !atlasOverviewScale) {
+        throw new PrintError('Missing scale of the atlas overview')
+    }
     const customizer = new GeoAdminCustomizer(excludedLayerIDs, dpi)
     const attributionsOneLine = attributions.length > 0 ? `© ${attributions.join(', ')}` : ''
 
@@ -361,6 +523,9 @@ async function transformOlMapToPrintParams(olMap, config) {
             dpi: dpi,
             customizer: customizer,
         })
+        if (rotation) {
+            encodedMap.rotation = wrapDegrees(encodedMap.rotation - rotation)
+        }
         // Note (IS): This is a dirty fix to handle empty text annotation. See PB-790
         // It should be removed once the issue is fixed in the mapfishprint library
         encodedMap.layers.forEach((layer) => {
@@ -376,7 +541,7 @@ async function transformOlMapToPrintParams(olMap, config) {
                 opacity: 1,
                 singleTile: true,
                 type: 'WMS',
-                layers: [`org.epsg.grid_${projection.epsgNumber}`],
+                layers: [`org.epsg.grid_${(gridProjection ?? projection).epsgNumber}`],
                 format: 'image/png',
                 styles: [''],
                 customParams: {
@@ -401,6 +566,21 @@ async function transformOlMapToPrintParams(olMap, config) {
             lang,
             outputFilename,
         }
+        if (title?.trim() && layout.hasAttribute('title')) {
+            spec.attributes.title = title.trim()
+        }
+        if (atlasFrames.length > 0) {
+            delete spec.attributes.map
+            spec.attributes[layout.atlasAttributeName] = createAtlasPages(
+                encodedMap,
+                atlasFrames,
+                atlasOverviewScale,
+                title
+            )
+        }
+        if (comment?.trim() && layout.hasAttribute('comment')) {
+            spec.attributes.comment = comment.trim()
+        }
         if (layersWithLegends.length > 0) {
             spec.attributes.legend = {
                 name: i18n.global.t('legend'),
@@ -458,11 +638,25 @@ function printSpecReplacer(key, value) {
  *   Default is `false`
  * @param {CoordinateSystem} [config.projection=null] The projection used by the map, necessary when
  *   the grid is to be printed (it can otherwise be null). Default is `null`
+ * @param {CoordinateSystem | null} [config.gridProjection=null] The projection of the printed
+ *   coordinate grid, if it must differ from the one of the map. Default is `null`
+ * @param {String} [config.title=''] Title written on the printed page, only sent if the layout has
+ *   a "title" attribute. Default is `''`
+ * @param {String} [config.comment=''] Free text written on the printed page, only sent if the
+ *   layout has a "comment" attribute. Default is `''`
+ * @param {Number} [config.rotation=0] Rotation of the print frame relative to the map, in degrees
+ *   (clockwise). The printed map is rotated the other way so that the frame is upright on the page.
+ *   Default is `0`
  * @param {String[]} [config.excludedLayerIDs=[]] List of IDs of OpenLayers layer to exclude from
  *   the print. Default is `[]`
  * @param {String | null} [config.outputFilename=null] Output file name, without extension. When
  *   null, let the server decide. Default is `null`
  * @param {String | null} [config.dpi=null] The DPI of the printed map. Default is `null`
+ * @param {[Number, Number, Number, Number][]} [config.atlasFrames=[]] Extents of the pages of an
+ *   atlas. When given, all pages of the atlas are printed in this job instead of the current view
+ *   of the map. Default is `[]`
+ * @param {Number | null} [config.atlasOverviewScale=null] Scale of the overview page of the atlas,
+ *   required with `atlasFrames`. Default is `null`
  * @returns {Promise<MFPReportResponse>} A job running on our printing backend (needs to be polled
  *   using {@link waitForPrintJobCompletion} to wait until its completion)
  */
@@ -477,9 +671,15 @@ export async function createPrintJob(map, config) {
         lang = null,
         printGrid = false,
         projection = null,
+        gridProjection = null,
+        title = '',
+        comment = '',
+        rotation = 0,
         excludedLayerIDs = [],
         outputFilename = null,
         dpi = null,
+        atlasFrames = [],
+        atlasOverviewScale = null,
     } = config
     try {
         const printingSpec = await transformOlMapToPrintParams(map, {
@@ -492,9 +692,15 @@ export async function createPrintJob(map, config) {
             lang,
             printGrid,
             projection,
+            gridProjection,
+            title,
+            comment,
+            rotation,
             excludedLayerIDs,
             outputFilename,
             dpi,
+            atlasFrames,
+            atlasOverviewScale,
         })
         if (!isPrintingSpecSizeValid(printingSpec)) {
             throw new PrintError('Printing spec is too large', 'print_request_too_large')
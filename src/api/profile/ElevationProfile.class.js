@@ -41,6 +41,14 @@ export default class ElevationProfile {
         return this.segments.slice(-1)[0].maxDist
     }
 
+    /**
+     * @returns {Number} Distance of the first point from the start of the profile (0 unless this is
+     *   a section of a profile)
+     */
+    get minDist() {
+        return this.points[0]?.dist ?? 0
+    }
+
     /** @returns {Number} */
     get maxElevation() {
         if (!this.hasElevationData) {
@@ -79,6 +87,13 @@ export default class ElevationProfile {
         }, 0)
     }
 
+    /** @returns {Number} Steepest slope of the profile, in percent (going up or down) */
+    get maxSlope() {
+        return this.segments.reduce((maxSlope, currentSegment) => {
+            return Math.max(maxSlope, currentSegment.maxSlope)
+        }, 0)
+    }
+
     /** @returns {Number} Sum of slope/surface distances (distance on the ground) */
     get slopeDistance() {
         return this.segments.reduce((slopeDistance, currentSegment) => {
@@ -86,6 +101,38 @@ export default class ElevationProfile {
         }, 0)
     }
 
+    /**
+     * @param {Number} startDist
+     * @param {Number} endDist
+     * @returns {ElevationProfile} The section of this profile between the two distances (from the
+     *   start of the profile)
+     */
+    slice(startDist, endDist) {
+        return new ElevationProfile(
+            this.segments
+                .map((segment) => segment.slice(startDist, endDist))
+                .filter((segment) => segment?.points.length > 1)
+        )
+    }
+
+    /**
+     * Splits the profile at the given distances, e.g. at markers placed by the user on the plot
+     *
+     * @param {Number[]} distances Distances (from the start of the profile) where the profile must
+     *   be split. Distances outside the profile are ignored
+     * @returns {ElevationProfile[]} The sections of the profile, from the start to the end
+     */
+    splitAt(distances) {
+        const boundaries = [
+            this.minDist,
+            ...distances
+                .filter((dist) => dist > this.minDist && dist < this.maxDist)
+                .toSorted((a, b) => a - b),
+            this.maxDist,
+        ].filter((dist, index, self) => self.indexOf(dist) === index)
+        return boundaries.slice(1).map((endDist, index) => this.slice(boundaries[index], endDist))
+    }
+
     get coordinates() {
         return this.points.map((point) => point.coordinate)
     }
@@ -1,3 +1,40 @@
+/**
+ * @param {ElevationProfilePoint} from
+ * @param {ElevationProfilePoint} to
+ * @returns {Number | null} Slope between the two points, in percent (positive when going up), or
+ *   null if it can't be calculated (missing elevation, or points at the same distance)
+ */
+export function getSlopeBetweenPoints(from, to) {
+    const distanceDelta = to.dist - from.dist
+    if (!from.hasElevationData || !to.hasElevationData || !distanceDelta) {
+        return null
+    }
+    return ((to.elevation - from.elevation) * 100.0) / distanceDelta
+}
+
+/**
+ * @param {ElevationProfilePoint} from
+ * @param {ElevationProfilePoint} to
+ * @param {Number} dist Distance (from the start of the profile) of the point to create, between the
+ *   distances of the two points
+ * @returns {ElevationProfilePoint} A point between the two points, linearly interpolated
+ */
+export function interpolatePoint(from, to, dist) {
+    const ratio = to.dist === from.dist ? 0 : (dist - from.dist) / (to.dist - from.dist)
+    const hasElevationData = from.hasElevationData && to.hasElevationData
+    return {
+        dist,
+        coordinate: [
+            from.coordinate[0] + ratio * (to.coordinate[0] - from.coordinate[0]),
+            from.coordinate[1] + ratio * (to.coordinate[1] - from.coordinate[1]),
+        ],
+        elevation: hasElevationData
+            ? from.elevation + ratio * (to.elevation - from.elevation)
+            : null,
+        hasElevationData,
+    }
+}
+
 export default class ElevationProfileSegment {
     /** @param {ElevationProfilePoint[]} points */
     constructor(points) {
@@ -72,6 +109,54 @@ export default class ElevationProfileSegment {
         )
     }
 
+    /**
+     * @returns {Number} Steepest slope between two consecutive points of this segment, in percent
+     *   (always positive, going up or down)
+     */
+    get maxSlope() {
+        if (!this.hasElevationData) {
+            return 0
+        }
+        return this.points.reduce((maxSlope, currentPoint, currentIndex, points) => {
+            if (currentIndex === 0) {
+                return maxSlope
+            }
+            const slope = getSlopeBetweenPoints(points[currentIndex - 1], currentPoint)
+            return slope === null ? maxSlope : Math.max(maxSlope, Math.abs(slope))
+        }, 0)
+    }
+
+    /**
+     * @param {Number} startDist
+     * @param {Number} endDist
+     * @returns {ElevationProfileSegment | null} The part of this segment between the two distances
+     *   (from the start of the profile), with points interpolated at both ends. Null if the segment
+     *   has no point between the two distances.
+     */
+    slice(startDist, endDist) {
+        if (
+            this.points.length === 0 ||
+            startDist >= this.lastPoint.dist ||
+            endDist <= this.points[0].dist
+        ) {
+            return null
+        }
+        const points = []
+        this.points.forEach((point, index) => {
+            const previousPoint = this.points[index - 1]
+            if (previousPoint && previousPoint.dist < startDist && point.dist > startDist) {
+                points.push(interpolatePoint(previousPoint, point, startDist))
+            }
+            if (point.dist >= startDist && point.dist <= endDist) {
+                points.push(point)
+            }
+            if (previousPoint && previousPoint.dist < endDist && point.dist > endDist) {
+                points.push(interpolatePoint(previousPoint, point, endDist))
+            }
+        })
+        return new ElevationProfileSegment(points)
+    }
+
     /** @returns {Number} Sum of slope/surface distances (distance on the ground) */
     get slopeDistance() {
         if (!this.hasElevationData) {
@@ -116,7 +201,7 @@ export default class ElevationProfileSegment {
         return Math.round(
             this.points
                 .map((currentPoint, index, points) => {
-                    if (index < points.length - 2) {
+                    if (index < points.length - 1) {
                         const nextPoint = points[index + 1]
 
                         const distanceDelta = nextPoint.dist - currentPoint.dist
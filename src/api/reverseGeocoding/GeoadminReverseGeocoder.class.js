@@ -0,0 +1,151 @@
+import axios from 'axios'
+import proj4 from 'proj4'
+
+import ReverseGeocoder, {
+    ReverseGeocodingResult,
+} from '@/api/reverseGeocoding/ReverseGeocoder.class'
+import { getApi3BaseUrl } from '@/config/baseUrl.config'
+import { LV95 } from '@/utils/coordinates/coordinateSystems'
+
+const ADDRESS_LAYER_ID = 'ch.swisstopo.amtliches-gebaeudeadressverzeichnis'
+const POSTAL_CODE_LAYER_ID = 'ch.swisstopo-vd.ortschaftenverzeichnis_plz'
+const MUNICIPALITY_LAYER_ID = 'ch.swisstopo.swissboundaries3d-gemeinde-flaeche.fill'
+const CANTON_LAYER_ID = 'ch.swisstopo.swissboundaries3d-kanton-flaeche.fill'
+const PARCEL_LAYER_ID = 'ch.kantone.cadastralwebmap-farbe'
+
+/**
+ * How far (in meters) an address can be from the coordinate to still be considered as its nearest
+ * address
+ *
+ * @type {Number}
+ */
+export const ADDRESS_SEARCH_RADIUS = 50
+
+// size of the fake "screen" given to the identify endpoint, used to express the search radius as a
+// pixel tolerance
+const IMAGE_SIZE = 100
+
+/**
+ * @param {Object} result An identify result
+ * @returns {Object} The attributes of the result (named properties if the result is GeoJSON)
+ */
+function getAttributes(result) {
+    return result?.properties ?? result?.attributes ?? {}
+}
+
+/**
+ * @param {Object} result An identify result, with its geometry as GeoJSON
+ * @returns {Number[] | null} The first point of the geometry
+ */
+function getFirstPoint(result) {
+    const coordinates = result?.geometry?.coordinates
+    if (!Array.isArray(coordinates)) {
+        return null
+    }
+    // addresses can be given as Point or MultiPoint
+    return Array.isArray(coordinates[0]) ? coordinates[0] : coordinates
+}
+
+/**
+ * Reverse geocodes coordinates with the identify endpoint of our backend, in the Swiss official
+ * directories (building addresses, localities, swissBOUNDARIES3D and the cadastral web map)
+ */
+export default class GeoadminReverseGeocoder extends ReverseGeocoder {
+    constructor() {
+        super('geoadmin')
+    }
+
+    async reverseGeocode(coordinate, projection, lang) {
+        // our backend works best with LV95, that's what all the layers used here are stored in
+        const lv95Coordinate = proj4(projection.epsg, LV95.epsg, coordinate)
+        const [addressResponse, areaResponse] = await Promise.all([
+            this.identify(lv95Coordinate, [ADDRESS_LAYER_ID], lang, {
+                tolerance: IMAGE_SIZE / 2,
+                returnGeometry: true,
+                limit: 10,
+            }),
+            this.identify(
+                lv95Coordinate,
+                [POSTAL_CODE_LAYER_ID, MUNICIPALITY_LAYER_ID, CANTON_LAYER_ID, PARCEL_LAYER_ID],
+                lang,
+                { tolerance: 0, returnGeometry: false }
+            ),
+        ])
+        return this.parseResults(
+            addressResponse.data?.results ?? [],
+            areaResponse.data?.results ?? [],
+            lv95Coordinate
+        )
+    }
+
+    /**
+     * @param {Number[]} lv95Coordinate
+     * @param {String[]} layerIds
+     * @param {String} lang
+     * @param {Object} options Extra params of the identify request
+     * @returns {Promise<AxiosResponse>}
+     */
+    identify(lv95Coordinate, layerIds, lang, options) {
+        const [x, y] = lv95Coordinate
+        return axios.get(`${getApi3BaseUrl()}rest/services/all/MapServer/identify`, {
+            // params described as https://api3.geo.admin.ch/services/sdiservices.html#identify-features
+            params: {
+                layers: `all:${layerIds.join(',')}`,
+                sr: LV95.epsgNumber,
+                geometry: `${x},${y}`,
+                geometryType: 'esriGeometryPoint',
+                geometryFormat: 'geojson',
+                // the map extent is chosen so that the image width covers twice the search radius
+                mapExtent: [
+                    x - ADDRESS_SEARCH_RADIUS,
+                    y - ADDRESS_SEARCH_RADIUS,
+                    x + ADDRESS_SEARCH_RADIUS,
+                    y + ADDRESS_SEARCH_RADIUS,
+                ].join(','),
+                imageDisplay: `${IMAGE_SIZE},${IMAGE_SIZE},96`,
+                lang,
+                ...options,
+            },
+        })
+    }
+
+    /**
+     * @param {Object[]} addressResults Identify results of the address layer, with their geometry
+     * @param {Object[]} areaResults Identify results of the other layers (postal codes,
+     *   municipalities, cantons and parcels)
+     * @param {Number[]} lv95Coordinate The coordinate that was reverse geocoded
+     * @returns {ReverseGeocodingResult}
+     */
+    parseResults(addressResults, areaResults, lv95Coordinate) {
+        const [x, y] = lv95Coordinate
+        const nearestAddress = getAttributes(
+            addressResults
+                .map((result) => {
+                    const point = getFirstPoint(result)
+                    return {
+                        result,
+                        distance: point ? Math.hypot(point[0] - x, point[1] - y) : Infinity,
+                    }
+                })
+                .sort((a, b) => a.distance - b.distance)[0]?.result
+        )
+        const findAttributes = (layerId) =>
+            getAttributes(areaResults.find((result) => result.layerBodId === layerId))
+        const postalCode = findAttributes(POSTAL_CODE_LAYER_ID)
+        const municipality = findAttributes(MUNICIPALITY_LAYER_ID)
+        const canton = findAttributes(CANTON_LAYER_ID)
+        const parcel = findAttributes(PARCEL_LAYER_ID)
+
+        // the street name is given in all its official languages (most of the time only one)
+        const street = [nearestAddress.strname ?? []].flat()[0]
+        return new ReverseGeocodingResult({
+            address: street ? `${street} ${nearestAddress.deinr ?? ''}`.trim() : null,
+            postalCode: `${postalCode.plz ?? nearestAddress.dplz4 ?? ''}` || null,
+            locality: postalCode.langtext ?? nearestAddress.dplzname ?? null,
+            municipality: municipality.gemname ?? nearestAddress.ggdename ?? null,
+            canton: canton.name ?? canton.ak ?? municipality.kanton ?? nearestAddress.gdekt ?? null,
+            parcel: parcel.number ? `${parcel.number}` : null,
+            egrid: parcel.egris_egrid ?? null,
+        })
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * What is known about the place at a coordinate (all values can be null if there's nothing there,
+ * e.g. in the middle of a lake, or outside of Switzerland)
+ */
+export class ReverseGeocodingResult {
+    /**
+     * @param {String | null} [result.address] Nearest address, street and house number (e.g.
+     *   `Seftigenstrasse 264`). Default is `null`
+     * @param {String | null} [result.postalCode] Postal code of the coordinate (e.g. `3084`).
+     *   Default is `null`
+     * @param {String | null} [result.locality] Locality the postal code belongs to (e.g. `Wabern`).
+     *   Default is `null`
+     * @param {String | null} [result.municipality] Name of the municipality (e.g. `Köniz`). Default
+     *   is `null`
+     * @param {String | null} [result.canton] Name, or abbreviation, of the canton (e.g. `BE`).
+     *   Default is `null`
+     * @param {String | null} [result.parcel] Number of the cadastral parcel. Default is `null`
+     * @param {String | null} [result.egrid] Federal identifier of the cadastral parcel (E-GRID).
+     *   Default is `null`
+     */
+    constructor(result = {}) {
+        const {
+            address = null,
+            postalCode = null,
+            locality = null,
+            municipality = null,
+            canton = null,
+            parcel = null,
+            egrid = null,
+        } = result
+        this.address = address
+        this.postalCode = postalCode
+        this.locality = locality
+        this.municipality = municipality
+        this.canton = canton
+        this.parcel = parcel
+        this.egrid = egrid
+    }
+
+    /** @returns {Boolean} True if nothing was found at this coordinate */
+    get isEmpty() {
+        return [this.address, this.postalCode, this.municipality, this.canton, this.parcel].every(
+            (value) => !value
+        )
+    }
+}
+
+/**
+ * Source of reverse geocoding, giving the address and administrative units of a coordinate.
+ *
+ * A reverse geocoder must implement {@link ReverseGeocoder#reverseGeocode}. The one in use is given
+ * by {@link getReverseGeocoder}, see {@link GeoadminReverseGeocoder} for the default one.
+ */
+export default class ReverseGeocoder {
+    /** @param {String} id Unique ID of this reverse geocoder */
+    constructor(id) {
+        this.id = id
+    }
+
+    /**
+     * @abstract
+     * @param {Number[]} _coordinate Coordinate to reverse geocode
+     * @param {CoordinateSystem} _projection Projection in which the coordinate is expressed
+     * @param {String} _lang ISO code of the lang in which names should be given (if the source is
+     *   multilingual)
+     * @returns {Promise<ReverseGeocodingResult>}
+     */
+    async reverseGeocode(_coordinate, _projection, _lang) {
+        throw new Error(`Reverse geocoder ${this.id} doesn't implement reverseGeocode`)
+    }
+}
@@ -0,0 +1,133 @@
+import { expect } from 'chai'
+import { afterEach, describe, it } from 'vitest'
+
+import GeoadminReverseGeocoder from '@/api/reverseGeocoding/GeoadminReverseGeocoder.class'
+import ReverseGeocoder, {
+    ReverseGeocodingResult,
+} from '@/api/reverseGeocoding/ReverseGeocoder.class'
+import {
+    getReverseGeocoder,
+    reverseGeocode,
+    setReverseGeocoder,
+} from '@/api/reverseGeocoding/reverseGeocoders'
+import { LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+/** Local stand-in, answering with the same place wherever the coordinate is */
+class StandInReverseGeocoder extends ReverseGeocoder {
+    constructor() {
+        super('stand-in')
+        this.requests = []
+    }
+
+    async reverseGeocode(coordinate, projection, lang) {
+        this.requests.push({ coordinate, projection, lang })
+        return new ReverseGeocodingResult({ municipality: 'Bern', canton: 'BE' })
+    }
+}
+
+describe('GeoadminReverseGeocoder', () => {
+    const geocoder = new GeoadminReverseGeocoder()
+    const coordinate = [2600000, 1200000]
+    const address = (street, houseNumber, x, y) => ({
+        layerBodId: 'ch.swisstopo.amtliches-gebaeudeadressverzeichnis',
+        geometry: { type: 'MultiPoint', coordinates: [[x, y]] },
+        properties: {
+            strname: [street],
+            deinr: houseNumber,
+            dplz4: 3011,
+            dplzname: 'Bern',
+            ggdename: 'Bern',
+            gdekt: 'BE',
+        },
+    })
+    const areas = [
+        {
+            layerBodId: 'ch.swisstopo-vd.ortschaftenverzeichnis_plz',
+            properties: { plz: 3011, langtext: 'Bern' },
+        },
+        {
+            layerBodId: 'ch.swisstopo.swissboundaries3d-gemeinde-flaeche.fill',
+            properties: { gemname: 'Bern', kanton: 'BE' },
+        },
+        {
+            layerBodId: 'ch.swisstopo.swissboundaries3d-kanton-flaeche.fill',
+            properties: { name: 'Bern / Berne', ak: 'BE' },
+        },
+        {
+            layerBodId: 'ch.kantone.cadastralwebmap-farbe',
+            properties: { number: 1234, egris_egrid: 'CH123456789012' },
+        },
+    ]
+
+    it('gives the nearest address, and the areas the coordinate is in', () => {
+        const result = geocoder.parseResults(
+            [
+                address('Bundesplatz', '3', coordinate[0] + 30, coordinate[1]),
+                address('Bundesgasse', '1', coordinate[0] - 10, coordinate[1] + 10),
+            ],
+            areas,
+            coordinate
+        )
+        expect(result).to.be.an.instanceOf(ReverseGeocodingResult)
+        expect(result.isEmpty).to.be.false
+        expect(result.address).to.eq('Bundesgasse 1')
+        expect(result.postalCode).to.eq('3011')
+        expect(result.locality).to.eq('Bern')
+        expect(result.municipality).to.eq('Bern')
+        expect(result.canton).to.eq('Bern / Berne')
+        expect(result.parcel).to.eq('1234')
+        expect(result.egrid).to.eq('CH123456789012')
+    })
+    it('falls back to what the address gives if an area is missing', () => {
+        const result = geocoder.parseResults(
+            [address('Bundesgasse', '1', ...coordinate)],
+            [],
+            coordinate
+        )
+        expect(result.postalCode).to.eq('3011')
+        expect(result.municipality).to.eq('Bern')
+        expect(result.canton).to.eq('BE')
+        expect(result.parcel).to.be.null
+    })
+    it('gives an empty result if there is nothing at the coordinate', () => {
+        const result = geocoder.parseResults([], [], coordinate)
+        expect(result.isEmpty).to.be.true
+        expect(result.address).to.be.null
+        expect(result.postalCode).to.be.null
+    })
+})
+
+describe('reverseGeocoders', () => {
+    afterEach(() => {
+        setReverseGeocoder(null)
+    })
+
+    it('uses the geoadmin reverse geocoder by default', () => {
+        expect(getReverseGeocoder()).to.be.an.instanceOf(GeoadminReverseGeocoder)
+    })
+    it('can be replaced by another reverse geocoder', async () => {
+        const standIn = new StandInReverseGeocoder()
+        setReverseGeocoder(standIn)
+        const result = await reverseGeocode([7.44, 46.95], WGS84, 'de')
+        expect(result.municipality).to.eq('Bern')
+        expect(standIn.requests).to.deep.equal([
+            { coordinate: [7.44, 46.95], projection: WGS84, lang: 'de' },
+        ])
+
+        setReverseGeocoder(null)
+        expect(getReverseGeocoder()).to.be.an.instanceOf(GeoadminReverseGeocoder)
+    })
+    it('refuses anything that is not a reverse geocoder', () => {
+        expect(() => setReverseGeocoder({ reverseGeocode: () => null })).to.throw()
+    })
+    it('rejects invalid coordinates', async () => {
+        setReverseGeocoder(new StandInReverseGeocoder())
+        let error = null
+        try {
+            await reverseGeocode([2600000], LV95, 'de')
+        } catch (e) {
+            error = e
+        }
+        expect(error).to.be.an.instanceOf(Error)
+    })
+})
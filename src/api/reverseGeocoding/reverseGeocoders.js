@@ -0,0 +1,49 @@
+import GeoadminReverseGeocoder from '@/api/reverseGeocoding/GeoadminReverseGeocoder.class'
+import ReverseGeocoder from '@/api/reverseGeocoding/ReverseGeocoder.class'
+import { getCustomReverseGeocoder } from '@/config/reverseGeocoding.config'
+import log from '@/utils/logging'
+
+const defaultReverseGeocoder = new GeoadminReverseGeocoder()
+
+/** @type {ReverseGeocoder} */
+let reverseGeocoder = defaultReverseGeocoder
+
+/**
+ * Replaces the reverse geocoder used by the location popup (e.g. with a local stand-in in tests)
+ *
+ * @param {ReverseGeocoder | null} geocoder The reverse geocoder to use, or null to go back to the
+ *   default (geoadmin) one
+ */
+export function setReverseGeocoder(geocoder) {
+    if (geocoder && !(geocoder instanceof ReverseGeocoder)) {
+        throw new Error(`A reverse geocoder must be an instance of ReverseGeocoder`)
+    }
+    reverseGeocoder = geocoder ?? defaultReverseGeocoder
+}
+
+/** @returns {ReverseGeocoder} The reverse geocoder in use */
+export function getReverseGeocoder() {
+    return reverseGeocoder
+}
+
+/**
+ * Reverse geocodes a coordinate with the reverse geocoder in use
+ *
+ * @param {Number[]} coordinate
+ * @param {CoordinateSystem} projection Projection in which the coordinate is expressed
+ * @param {String} lang
+ * @returns {Promise<ReverseGeocodingResult>}
+ */
+export async function reverseGeocode(coordinate, projection, lang) {
+    if (!Array.isArray(coordinate) || coordinate.length !== 2) {
+        throw new Error('Invalid coordinate, no reverse geocoding requested')
+    }
+    return await reverseGeocoder.reverseGeocode(coordinate, projection, lang)
+}
+
+try {
+    setReverseGeocoder(getCustomReverseGeocoder())
+} catch (error) {
+    // a misconfigured reverse geocoder shouldn't prevent the location popup from working
+    log.error(`Invalid reverse geocoder given by the config, using the default one`, error)
+}
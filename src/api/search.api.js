@@ -2,13 +2,12 @@ import axios from 'axios'
 import proj4 from 'proj4'
 
 import { getServiceSearchBaseUrl } from '@/config/baseUrl.config'
-import CoordinateSystem from '@/utils/coordinates/CoordinateSystem.class'
 import { LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
 import CustomCoordinateSystem from '@/utils/coordinates/CustomCoordinateSystem.class'
 import LV95CoordinateSystem from '@/utils/coordinates/LV95CoordinateSystem.class'
-import log from '@/utils/logging'
 
 // API file that covers the backend endpoint http://api3.geo.admin.ch/services/sdiservices.html#search
+// The searches themselves are run by search providers, see @/api/search/searchProviders.js
 
 /**
  * Error when building/sending/parsing a search request
@@ -32,6 +31,8 @@ export const SearchResultTypes = {
     LAYER: 'LAYER',
     LOCATION: 'LOCATION',
     FEATURE: 'FEATURE',
+    /** A query searched previously, selecting it searches it again */
+    RECENT_SEARCH: 'RECENT_SEARCH',
 }
 
 // comes from https://stackoverflow.com/questions/5002111/how-to-strip-html-tags-from-string-in-javascript
@@ -56,6 +57,9 @@ export function sanitizeTitle(title = '') {
  * @param {String} sanitizedTitle The title without any HTML tags (will keep what's inside <b> or
  *   <i> tags if there are)
  * @param {String} description A description of this search result (plain text only, no HTML)
+ * @param {String} category ID of the category in which this result is listed (set by the provider
+ *   that gave this result, see {@link SearchProvider})
+ * @param {String} providerId ID of the provider that gave this result
  */
 
 /**
@@ -86,6 +90,8 @@ export function sanitizeTitle(title = '') {
  * @extends LocationSearchResult
  * @typedef {Object} LayerFeatureSearchResult
  * @param {GeoAdminLayer} layer The layer of this feature.
+ * @param {LayerFeature | null} feature The feature itself, if it is already known (e.g. features of
+ *   local KML/GPX files). Otherwise, it is requested from the backend when selected.
  */
 
 /**
@@ -93,9 +99,10 @@ export function sanitizeTitle(title = '') {
  * @param {String} lang
  * @param {String} type
  * @param {CancelToken} cancelToken
+ * @param {Object} [extraParams={}] Default is `{}`
  * @returns Promise<Array<Any>>
  */
-const generateAxiosSearchRequest = (query, lang, type, cancelToken, extraParams = {}) => {
+export function generateAxiosSearchRequest(query, lang, type, cancelToken, extraParams = {}) {
     return axios.get(`${getServiceSearchBaseUrl()}rest/services/ech/SearchServer`, {
         cancelToken,
         params: {
@@ -108,7 +115,11 @@ const generateAxiosSearchRequest = (query, lang, type, cancelToken, extraParams
     })
 }
 
-function parseLayerResult(result) {
+/**
+ * @param {Object} result Result of the geoadmin search backend
+ * @returns {LayerSearchResult}
+ */
+export function parseLayerResult(result) {
     if (!result.attrs) {
         throw new SearchError('Invalid layer result, cannot be parsed')
     }
@@ -123,7 +134,13 @@ function parseLayerResult(result) {
     }
 }
 
-function parseLocationResult(result, outputProjection) {
+/**
+ * @param {Object} result Result of the geoadmin search backend
+ * @param {CoordinateSystem} outputProjection Projection in which the coordinate and extent of the
+ *   result are returned (the backend gives them in LV95)
+ * @returns {LocationSearchResult}
+ */
+export function parseLocationResult(result, outputProjection) {
     if (!result.attrs) {
         throw new SearchError('Invalid location result, cannot be parsed')
     }
@@ -180,150 +197,3 @@ function parseLocationResult(result, outputProjection) {
         zoom,
     }
 }
-
-async function searchLayers(queryString, lang, cancelToken) {
-    try {
-        const layerResponse = await generateAxiosSearchRequest(
-            queryString,
-            lang,
-            'layers',
-            cancelToken.token
-        )
-        // checking that there is something of interest to parse
-        const resultWithAttrs = layerResponse?.data.results?.filter((result) => result.attrs)
-        return resultWithAttrs?.map(parseLayerResult) ?? []
-    } catch (error) {
-        log.error(`Failed to search layer, fallback to empty result`, error)
-        return []
-    }
-}
-
-/**
- * Search locations for this query string in our backend, returning results reprojected to the
- * outputProjection (if it isn't LV95 already)
- *
- * @param outputProjection
- * @param queryString
- * @param lang
- * @param cancelToken
- * @returns {Promise<LocationSearchResult[]>}
- */
-async function searchLocation(outputProjection, queryString, lang, cancelToken) {
-    try {
-        const locationResponse = await generateAxiosSearchRequest(
-            queryString,
-            lang,
-            'locations',
-            cancelToken.token
-        )
-        // checking that there is something of interest to parse
-        const resultWithAttrs = locationResponse?.data.results?.filter((result) => result.attrs)
-        return (
-            resultWithAttrs.map((location) => parseLocationResult(location, outputProjection)) ?? []
-        )
-    } catch (error) {
-        log.error(`Failed to search locations, fallback to empty result`, error)
-        return []
-    }
-}
-
-/**
- * @param outputProjection
- * @param queryString
- * @param layer
- * @param lang
- * @param cancelToken
- * @returns {Promise<LayerFeatureSearchResult[]>}
- */
-async function searchLayerFeatures(outputProjection, queryString, layer, lang, cancelToken) {
-    try {
-        const layerFeatureResponse = await generateAxiosSearchRequest(
-            queryString,
-            lang,
-            'featuresearch',
-            cancelToken.token,
-            {
-                features: layer.id,
-                timeEnabled: false,
-            }
-        )
-        // checking that there is something of interest to parse
-        const resultWithAttrs = layerFeatureResponse?.data.results?.filter((result) => result.attrs)
-        return (
-            resultWithAttrs.map((layerFeature) => {
-                const layerContent = parseLayerResult(layerFeature)
-                const locationContent = parseLocationResult(layerFeature, outputProjection)
-                const title = `<strong>${layer.name}</strong><br/>${layerContent.title}`
-                return {
-                    ...layerContent,
-                    ...locationContent,
-                    resultType: SearchResultTypes.FEATURE,
-                    title,
-                    layer,
-                }
-            }) ?? []
-        )
-    } catch (error) {
-        log.error(
-            `Failed to search layer features for layer ${layer.id}, fallback to empty result`,
-            error
-        )
-        return []
-    }
-}
-
-let cancelToken = null
-/**
- * @param {CoordinateSystem} config.outputProjection The projection in which the search results must
- *   be returned
- * @param {String} config.queryString The query string that describe what is wanted from the search
- * @param {String} config.lang The lang ISO code in which the search must be conducted
- * @param {GeoAdminLayer[]} [config.layersToSearch=[]] List of searchable layers for which to fire
- *   search requests. Default is `[]`
- * @returns {Promise<SearchResult[]>}
- */
-export default async function search(config) {
-    const { outputProjection = null, queryString = null, lang = null, layersToSearch = [] } = config
-    if (!(outputProjection instanceof CoordinateSystem)) {
-        const errorMessage = `A valid output projection is required to start a search request`
-        log.error(errorMessage)
-        throw new SearchError(errorMessage)
-    }
-    if (!lang || lang.length !== 2) {
-        const errorMessage = `A valid lang ISO code is required to start a search request, received: ${lang}`
-        log.error(errorMessage)
-        throw SearchError(errorMessage)
-    }
-    if (!queryString || queryString.length < 2) {
-        const errorMessage = `At least to character are needed to launch a backend search, received: ${queryString}`
-        log.error(errorMessage)
-        throw SearchError(errorMessage)
-    }
-    // if a request is currently pending, we cancel it to start the new one
-    if (cancelToken) {
-        cancelToken.cancel('new search query')
-    }
-    cancelToken = axios.CancelToken.source()
-
-    /** @type {Promise<SearchResult[]>[]} */
-    const allRequests = [
-        searchLayers(queryString, lang, cancelToken),
-        searchLocation(outputProjection, queryString, lang, cancelToken),
-    ]
-
-    if (layersToSearch.some((layer) => layer.searchable)) {
-        allRequests.push(
-            ...layersToSearch
-                .filter((layer) => layer.searchable)
-                .map((layer) =>
-                    searchLayerFeatures(outputProjection, queryString, layer, lang, cancelToken)
-                )
-        )
-    }
-
-    // letting all requests finish in parallel
-    const allResults = await Promise.all(allRequests)
-    cancelToken = null
-
-    return allResults.flat()
-}
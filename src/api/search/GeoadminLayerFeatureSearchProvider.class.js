@@ -0,0 +1,80 @@
+import axios from 'axios'
+
+import {
+    generateAxiosSearchRequest,
+    parseLayerResult,
+    parseLocationResult,
+    SearchResultTypes,
+} from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import log from '@/utils/logging'
+
+/**
+ * Searches features of the visible searchable layers, through the geoadmin search backend (one
+ * request per layer)
+ */
+export default class GeoadminLayerFeatureSearchProvider extends SearchProvider {
+    constructor() {
+        super({ id: 'geoadmin-layer-features', category: 'featuresearch', priority: 10 })
+    }
+
+    /**
+     * @param {SearchContext} context
+     * @param {CancelToken} cancelToken
+     * @returns {Promise<{ layer: GeoAdminLayer; response: Object | null }[]>}
+     */
+    async query(context, cancelToken) {
+        const { queryString, lang, layersToSearch = [] } = context
+        return await Promise.all(
+            layersToSearch
+                .filter((layer) => layer.searchable)
+                .map(async (layer) => {
+                    try {
+                        const response = await generateAxiosSearchRequest(
+                            queryString,
+                            lang,
+                            'featuresearch',
+                            cancelToken,
+                            {
+                                features: layer.id,
+                                timeEnabled: false,
+                            }
+                        )
+                        return { layer, response }
+                    } catch (error) {
+                        if (axios.isCancel(error)) {
+                            throw error
+                        }
+                        // a failing layer shouldn't prevent the others to give their results
+                        log.error(
+                            `Failed to search layer features for layer ${layer.id}, fallback to empty result`,
+                            error
+                        )
+                        return { layer, response: null }
+                    }
+                })
+        )
+    }
+
+    parseResults(layerResponses, context) {
+        return layerResponses.flatMap(
+            ({ layer, response }) =>
+                response?.data.results
+                    ?.filter((result) => result.attrs)
+                    .map((layerFeature) => {
+                        const layerContent = parseLayerResult(layerFeature)
+                        const locationContent = parseLocationResult(
+                            layerFeature,
+                            context.outputProjection
+                        )
+                        return {
+                            ...layerContent,
+                            ...locationContent,
+                            resultType: SearchResultTypes.FEATURE,
+                            title: `<strong>${layer.name}</strong><br/>${layerContent.title}`,
+                            layer,
+                        }
+                    }) ?? []
+        )
+    }
+}
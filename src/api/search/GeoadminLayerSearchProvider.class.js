@@ -0,0 +1,23 @@
+import { generateAxiosSearchRequest, parseLayerResult } from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+
+/** Searches layers of the geoadmin layers config, through the geoadmin search backend */
+export default class GeoadminLayerSearchProvider extends SearchProvider {
+    constructor() {
+        super({ id: 'geoadmin-layers', category: 'layers', priority: 20 })
+    }
+
+    async query(context, cancelToken) {
+        const { queryString, lang } = context
+        return await generateAxiosSearchRequest(queryString, lang, 'layers', cancelToken)
+    }
+
+    parseResults(response) {
+        // checking that there is something of interest to parse
+        return (
+            response?.data.results
+                ?.filter((result) => result.attrs)
+                .map((result) => parseLayerResult(result)) ?? []
+        )
+    }
+}
@@ -0,0 +1,26 @@
+import { generateAxiosSearchRequest, parseLocationResult } from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+
+/**
+ * Searches locations (addresses, places, parcels, etc...) through the geoadmin search backend,
+ * returning results reprojected to the output projection (if it isn't LV95 already)
+ */
+export default class GeoadminLocationSearchProvider extends SearchProvider {
+    constructor() {
+        super({ id: 'geoadmin-locations', category: 'locations', priority: 30 })
+    }
+
+    async query(context, cancelToken) {
+        const { queryString, lang } = context
+        return await generateAxiosSearchRequest(queryString, lang, 'locations', cancelToken)
+    }
+
+    parseResults(response, context) {
+        // checking that there is something of interest to parse
+        return (
+            response?.data.results
+                ?.filter((result) => result.attrs)
+                .map((result) => parseLocationResult(result, context.outputProjection)) ?? []
+        )
+    }
+}
@@ -0,0 +1,157 @@
+import GeoJSON from 'ol/format/GeoJSON'
+import GPX from 'ol/format/GPX'
+import KML from 'ol/format/KML'
+
+import LayerFeature from '@/api/features/LayerFeature.class'
+import GPXLayer from '@/api/layers/GPXLayer.class'
+import KMLLayer from '@/api/layers/KMLLayer.class'
+import { sanitizeTitle, SearchResultTypes } from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import { WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { normalizeExtent } from '@/utils/coordinates/coordinateUtils'
+import { escapeHtml } from '@/utils/utils'
+
+/**
+ * Maximum number of results given by the provider, the best matches (on the feature name) being
+ * kept first
+ *
+ * @type {Number}
+ */
+export const MAX_LOCAL_FEATURE_RESULTS = 50
+
+// properties set by OpenLayers (or by our drawing module) that aren't worth searching in
+const IGNORED_PROPERTIES = ['name', 'description', 'styleUrl', 'editableFeature', 'geodesic']
+
+/**
+ * @typedef {Object} LocalFeatureIndexEntry
+ * @property {LayerFeature} feature
+ * @property {String} name Lower cased name of the feature
+ * @property {String} text Lower cased name, description and extended data of the feature
+ */
+
+/**
+ * Searches features of the visible KML and GPX layers (imported files, and the current drawing),
+ * client-side, by their name, description and extended data.
+ *
+ * The features are parsed once per layer data and projection, and kept in an index until the layer
+ * data changes.
+ */
+export default class LocalFeatureSearchProvider extends SearchProvider {
+    constructor() {
+        super({ id: 'local-features', category: 'localfeatures', priority: 25 })
+        /**
+         * @type {Map<
+         *     String,
+         *     { data: String; epsg: String; entries: LocalFeatureIndexEntry[] }
+         * >}
+         */
+        this.indexByLayerId = new Map()
+    }
+
+    async query(context) {
+        const { layersToSearch = [] } = context
+        return layersToSearch.filter(
+            (layer) =>
+                (layer instanceof KMLLayer && layer.kmlData) ||
+                (layer instanceof GPXLayer && layer.gpxData)
+        )
+    }
+
+    parseResults(layers, context) {
+        const { queryString, outputProjection } = context
+        const words = queryString.trim().toLowerCase().split(/\s+/)
+        // forgetting layers that have been removed from the map
+        const layerIds = layers.map((layer) => layer.id)
+        Array.from(this.indexByLayerId.keys())
+            .filter((layerId) => !layerIds.includes(layerId))
+            .forEach((layerId) => this.indexByLayerId.delete(layerId))
+
+        return (
+            layers
+                .flatMap((layer) => this.getIndex(layer, outputProjection))
+                .filter((entry) => words.every((word) => entry.text.includes(word)))
+                // features matching on their name first
+                .map((entry) => ({
+                    entry,
+                    nameMatches: words.every((word) => entry.name.includes(word)),
+                }))
+                .sort((a, b) => Number(b.nameMatches) - Number(a.nameMatches))
+                .slice(0, MAX_LOCAL_FEATURE_RESULTS)
+                .map(({ entry: { feature } }) => {
+                    const [bottomLeft, topRight] = feature.extent
+                    const isPoint = bottomLeft[0] === topRight[0] && bottomLeft[1] === topRight[1]
+                    return {
+                        resultType: SearchResultTypes.FEATURE,
+                        id: `${feature.layer.id}-${feature.id}`,
+                        // both come from files or user inputs, they must not be rendered as HTML
+                        title: `<strong>${escapeHtml(feature.layer.name)}</strong><br/>${escapeHtml(feature.title)}`,
+                        sanitizedTitle: sanitizeTitle(feature.title),
+                        description: '',
+                        featureId: feature.id,
+                        layer: feature.layer,
+                        feature,
+                        coordinate: [
+                            (bottomLeft[0] + topRight[0]) / 2,
+                            (bottomLeft[1] + topRight[1]) / 2,
+                        ],
+                        extent: isPoint ? [] : feature.extent,
+                        zoom: isPoint ? outputProjection.get1_25000ZoomLevel() : null,
+                    }
+                })
+        )
+    }
+
+    /**
+     * @param {KMLLayer | GPXLayer} layer
+     * @param {CoordinateSystem} projection
+     * @returns {LocalFeatureIndexEntry[]}
+     */
+    getIndex(layer, projection) {
+        const data = layer instanceof KMLLayer ? layer.kmlData : layer.gpxData
+        const cachedIndex = this.indexByLayerId.get(layer.id)
+        if (cachedIndex?.data === data && cachedIndex.epsg === projection.epsg) {
+            return cachedIndex.entries
+        }
+        const format = layer instanceof KMLLayer ? new KML({ extractStyles: false }) : new GPX()
+        const geoJson = new GeoJSON()
+        const entries = format
+            .readFeatures(data, {
+                dataProjection: WGS84.epsg, // KML and GPX files are always in WGS84
+                featureProjection: projection.epsg,
+            })
+            .filter((olFeature) => olFeature.getGeometry())
+            .map((olFeature, index) => {
+                const geometry = olFeature.getGeometry()
+                const name = `${olFeature.get('name') ?? ''}`
+                const description = sanitizeTitle(`${olFeature.get('description') ?? ''}`)
+                const extendedData = Object.entries(olFeature.getProperties())
+                    .filter(
+                        ([key, value]) =>
+                            key !== olFeature.getGeometryName() &&
+                            !IGNORED_PROPERTIES.includes(key) &&
+                            ['string', 'number'].includes(typeof value)
+                    )
+                    .map(([, value]) => value)
+                const feature = new LayerFeature({
+                    layer,
+                    // GPX features don't have an ID
+                    id: olFeature.getId() ?? `${index}`,
+                    name: name || `${olFeature.getId() ?? index + 1}`,
+                    data: {
+                        title: name,
+                        description: olFeature.get('description'),
+                    },
+                    coordinates: geometry.getCoordinates(),
+                    geometry: geoJson.writeGeometryObject(geometry),
+                    extent: normalizeExtent(geometry.getExtent()),
+                })
+                return {
+                    feature,
+                    name: name.toLowerCase(),
+                    text: [name, description, ...extendedData].join(' ').toLowerCase(),
+                }
+            })
+        this.indexByLayerId.set(layer.id, { data, epsg: projection.epsg, entries })
+        return entries
+    }
+}
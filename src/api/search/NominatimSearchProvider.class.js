@@ -0,0 +1,95 @@
+import axios from 'axios'
+
+import { sanitizeTitle, SearchResultTypes } from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import { WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { reprojectAndRound } from '@/utils/coordinates/coordinateUtils'
+import { escapeHtml } from '@/utils/utils'
+
+/**
+ * Searches places through a Nominatim geocoder (e.g. a self-hosted address gazetteer).
+ *
+ * Not registered by default, see {@link getCustomSearchProviders} to add one.
+ *
+ * @see https://nominatim.org/release-docs/latest/api/Search/
+ */
+export default class NominatimSearchProvider extends SearchProvider {
+    /**
+     * @param {String} providerConfig.url Base URL of the Nominatim service (the `search` endpoint
+     *   is appended to it)
+     * @param {String} [providerConfig.id='nominatim'] Default is `'nominatim'`
+     * @param {String} [providerConfig.category] Default is the ID of the provider
+     * @param {String} [providerConfig.categoryLabel] Default is `'Nominatim'`
+     * @param {Number} [providerConfig.priority=0] Default is `0`
+     * @param {Number} [providerConfig.limit=10] Maximum number of results. Default is `10`
+     * @param {String[]} [providerConfig.countryCodes=[]] Restricts the results to these countries
+     *   (ISO 3166-1 alpha-2 codes). Default is `[]`
+     */
+    constructor(providerConfig) {
+        const {
+            url,
+            id = 'nominatim',
+            category = id,
+            categoryLabel = 'Nominatim',
+            priority = 0,
+            limit = 10,
+            countryCodes = [],
+        } = providerConfig
+        super({ id, category, categoryLabel, priority })
+        this.url = url.endsWith('/') ? url : `${url}/`
+        this.limit = limit
+        this.countryCodes = countryCodes
+    }
+
+    async query(context, cancelToken) {
+        const { queryString, lang } = context
+        return await axios.get(`${this.url}search`, {
+            cancelToken,
+            params: {
+                q: queryString.trim(),
+                format: 'jsonv2',
+                limit: this.limit,
+                'accept-language': lang,
+                ...(this.countryCodes.length > 0
+                    ? { countrycodes: this.countryCodes.join(',') }
+                    : {}),
+            },
+        })
+    }
+
+    parseResults(response, context) {
+        const { outputProjection } = context
+        const places = Array.isArray(response?.data) ? response.data : []
+        return places.map((place) => {
+            const coordinate = reprojectAndRound(WGS84, outputProjection, [
+                Number(place.lon),
+                Number(place.lat),
+            ])
+            let extent = []
+            // Nominatim bounding boxes are given as [minLat, maxLat, minLon, maxLon]
+            if (Array.isArray(place.boundingbox) && place.boundingbox.length === 4) {
+                const [minLat, maxLat, minLon, maxLon] = place.boundingbox.map(Number)
+                if (minLat !== maxLat && minLon !== maxLon) {
+                    extent = [
+                        reprojectAndRound(WGS84, outputProjection, [minLon, minLat]),
+                        reprojectAndRound(WGS84, outputProjection, [maxLon, maxLat]),
+                    ]
+                }
+            }
+            const featureId = `${this.id}-${place.osm_type ?? ''}${place.osm_id ?? place.place_id}`
+            // the title comes from a third party, it must not be rendered as HTML
+            const title = escapeHtml(place.display_name)
+            return {
+                resultType: SearchResultTypes.LOCATION,
+                id: featureId,
+                title,
+                sanitizedTitle: sanitizeTitle(place.display_name),
+                description: place.type ?? '',
+                featureId,
+                coordinate,
+                extent,
+                zoom: extent.length === 0 ? outputProjection.get1_25000ZoomLevel() : null,
+            }
+        })
+    }
+}
@@ -0,0 +1,96 @@
+import bbox from '@turf/bbox'
+import axios from 'axios'
+
+import { sanitizeTitle, SearchResultTypes } from '@/api/search.api'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import { WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { reprojectAndRound } from '@/utils/coordinates/coordinateUtils'
+import { escapeHtml } from '@/utils/utils'
+
+/**
+ * Searches the features of an OGC API Features collection whose property (e.g. an asset ID) matches
+ * the query, using the collection's queryables as query parameters.
+ *
+ * Not registered by default, see {@link getCustomSearchProviders} to add one.
+ *
+ * @see https://docs.ogc.org/is/17-069r4/17-069r4.html#_parameters_for_filtering_on_feature_properties
+ */
+export default class OgcApiFeaturesSearchProvider extends SearchProvider {
+    /**
+     * @param {String} providerConfig.id
+     * @param {String} providerConfig.collectionUrl URL of the collection (e.g.
+     *   `https://example.com/ogcapi/collections/assets`), the `items` endpoint is appended to it
+     * @param {String} providerConfig.searchProperty Property (queryable) of the features compared
+     *   to the query
+     * @param {String} [providerConfig.titleProperty] Property used as title of the results. Default
+     *   is the search property
+     * @param {String} [providerConfig.descriptionProperty] Property used as description of the
+     *   results. Default is `null` (no description)
+     * @param {String} [providerConfig.category] Default is the ID of the provider
+     * @param {String} [providerConfig.categoryLabel] Default is the ID of the provider
+     * @param {Number} [providerConfig.priority=0] Default is `0`
+     * @param {Number} [providerConfig.limit=10] Maximum number of results. Default is `10`
+     */
+    constructor(providerConfig) {
+        const {
+            id,
+            collectionUrl,
+            searchProperty,
+            titleProperty = searchProperty,
+            descriptionProperty = null,
+            category = id,
+            categoryLabel = id,
+            priority = 0,
+            limit = 10,
+        } = providerConfig
+        super({ id, category, categoryLabel, priority })
+        this.collectionUrl = collectionUrl.replace(/\/$/, '')
+        this.searchProperty = searchProperty
+        this.titleProperty = titleProperty
+        this.descriptionProperty = descriptionProperty
+        this.limit = limit
+    }
+
+    async query(context, cancelToken) {
+        return await axios.get(`${this.collectionUrl}/items`, {
+            cancelToken,
+            headers: { Accept: 'application/geo+json' },
+            params: {
+                [this.searchProperty]: context.queryString.trim(),
+                limit: this.limit,
+            },
+        })
+    }
+
+    parseResults(response, context) {
+        const { outputProjection } = context
+        // without a crs parameter, the geometries are given in CRS84 (WGS84 lon/lat)
+        return (response?.data?.features ?? [])
+            .filter((feature) => feature.geometry)
+            .map((feature) => {
+                const [minLon, minLat, maxLon, maxLat] = feature.bbox ?? bbox(feature)
+                const bottomLeft = reprojectAndRound(WGS84, outputProjection, [minLon, minLat])
+                const topRight = reprojectAndRound(WGS84, outputProjection, [maxLon, maxLat])
+                const isPoint = minLon === maxLon && minLat === maxLat
+                const text = `${feature.properties?.[this.titleProperty] ?? feature.id}`
+                const featureId = `${this.id}-${feature.id ?? text}`
+                return {
+                    resultType: SearchResultTypes.LOCATION,
+                    id: featureId,
+                    // the title comes from a third party, it must not be rendered as HTML
+                    title: escapeHtml(text),
+                    sanitizedTitle: sanitizeTitle(text),
+                    description: this.descriptionProperty
+                        ? `${feature.properties?.[this.descriptionProperty] ?? ''}`
+                        : '',
+                    featureId,
+                    coordinate: [
+                        (bottomLeft[0] + topRight[0]) / 2,
+                        (bottomLeft[1] + topRight[1]) / 2,
+                    ].map(outputProjection.roundCoordinateValue),
+                    extent: isPoint ? [] : [bottomLeft, topRight],
+                    zoom: isPoint ? outputProjection.get1_25000ZoomLevel() : null,
+                }
+            })
+    }
+}
@@ -0,0 +1,119 @@
+import axios from 'axios'
+
+import log from '@/utils/logging'
+
+/**
+ * Everything a search provider needs to know to run a search
+ *
+ * @typedef {Object} SearchContext
+ * @property {String} queryString The query string that describe what is wanted from the search
+ * @property {String} lang The lang ISO code in which the search must be conducted
+ * @property {CoordinateSystem} outputProjection The projection in which the search results must be
+ *   returned
+ * @property {AbstractLayer[]} layersToSearch Layers currently visible on the map (that a provider
+ *   can search into, if they are searchable)
+ */
+
+/**
+ * Source of search results (a backend, a gazetteer, etc...)
+ *
+ * A provider must implement {@link SearchProvider#query} and {@link SearchProvider#parseResults}. The
+ * search store runs all providers registered in {@link getSearchProviders} in parallel, and the
+ * results are listed grouped by category, categories being sorted by the priority of the provider
+ * giving them.
+ *
+ * See the built-in providers (e.g. {@link GeoadminLocationSearchProvider}) for examples.
+ */
+export default class SearchProvider {
+    /**
+     * @param {String} providerConfig.id Unique ID of this provider
+     * @param {String} providerConfig.category ID of the category in which the results are listed.
+     *   Providers can share a category.
+     * @param {String} [providerConfig.categoryLabel] Title of the category in the search results,
+     *   either a translation key or a text. Default is `${category}_results_header`
+     * @param {Number} [providerConfig.priority=0] The higher the priority, the higher the results
+     *   of this provider are listed. Default is `0`
+     */
+    constructor(providerConfig) {
+        const {
+            id,
+            category,
+            categoryLabel = `${category}_results_header`,
+            priority = 0,
+        } = providerConfig
+        this.id = id
+        this.category = category
+        this.categoryLabel = categoryLabel
+        this.priority = priority
+        this.cancelTokenSource = null
+    }
+
+    /**
+     * Sends the search request(s) to the source.
+     *
+     * @abstract
+     * @param {SearchContext} _context
+     * @param {CancelToken} _cancelToken Axios cancel token to give to the requests, so that they
+     *   can be cancelled when a new search is started
+     * @returns {Promise<any>} The raw response of the source, given as is to
+     *   {@link SearchProvider#parseResults}
+     */
+    async query(_context, _cancelToken) {
+        throw new Error(`Search provider ${this.id} doesn't implement query`)
+    }
+
+    /**
+     * Parses the raw response given by {@link SearchProvider#query} into search results. The
+     * category and the provider ID are added to the results afterward, they do not need to be set
+     * here.
+     *
+     * @abstract
+     * @param {any} _response
+     * @param {SearchContext} _context
+     * @returns {SearchResult[]}
+     */
+    parseResults(_response, _context) {
+        throw new Error(`Search provider ${this.id} doesn't implement parseResults`)
+    }
+
+    /**
+     * Runs a search, cancelling the one currently pending (if any). Errors are logged and fall back
+     * to an empty result, so that a failing provider doesn't prevent other providers to give their
+     * results.
+     *
+     * @param {SearchContext} context
+     * @returns {Promise<SearchResult[]>}
+     */
+    async search(context) {
+        this.cancel()
+        const cancelTokenSource = axios.CancelToken.source()
+        this.cancelTokenSource = cancelTokenSource
+        try {
+            const response = await this.query(context, cancelTokenSource.token)
+            return this.parseResults(response, context).map((result) => ({
+                ...result,
+                category: this.category,
+                providerId: this.id,
+            }))
+        } catch (error) {
+            if (axios.isCancel(error)) {
+                log.debug(`Search of provider ${this.id} cancelled`)
+            } else {
+                log.error(`Search of provider ${this.id} failed, fallback to empty result`, error)
+            }
+            return []
+        } finally {
+            if (this.cancelTokenSource === cancelTokenSource) {
+                this.cancelTokenSource = null
+            }
+        }
+    }
+
+    /** Cancels the pending search of this provider (if any) */
+    cancel() {
+        if (this.cancelTokenSource) {
+            this.cancelTokenSource.cancel('new search query')
+            this.cancelTokenSource = null
+        }
+    }
+}
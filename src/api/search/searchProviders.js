@@ -0,0 +1,64 @@
+import GeoadminLayerFeatureSearchProvider from '@/api/search/GeoadminLayerFeatureSearchProvider.class'
+import GeoadminLayerSearchProvider from '@/api/search/GeoadminLayerSearchProvider.class'
+import GeoadminLocationSearchProvider from '@/api/search/GeoadminLocationSearchProvider.class'
+import LocalFeatureSearchProvider from '@/api/search/LocalFeatureSearchProvider.class'
+import SearchProvider from '@/api/search/SearchProvider.class'
+import { getCustomSearchProviders } from '@/config/search.config'
+import log from '@/utils/logging'
+
+/** @type {SearchProvider[]} */
+const providers = []
+
+/**
+ * Adds a provider to the ones run on each search, replacing the provider with the same ID (if there
+ * is one)
+ *
+ * @param {SearchProvider} provider
+ */
+export function registerSearchProvider(provider) {
+    if (!(provider instanceof SearchProvider)) {
+        throw new Error(`A search provider must be an instance of SearchProvider`)
+    }
+    if (!provider.id || !provider.category) {
+        throw new Error(`A search provider must have an ID and a category`)
+    }
+    if (unregisterSearchProvider(provider.id)) {
+        log.warn(`Search provider ${provider.id} replaced`)
+    }
+    providers.push(provider)
+}
+
+/**
+ * @param {String} providerId
+ * @returns {Boolean} True if a provider with this ID was registered (and has been removed)
+ */
+export function unregisterSearchProvider(providerId) {
+    const index = providers.findIndex((provider) => provider.id === providerId)
+    if (index < 0) {
+        return false
+    }
+    providers[index].cancel()
+    providers.splice(index, 1)
+    return true
+}
+
+/**
+ * @returns {SearchProvider[]} All registered providers, sorted by priority (highest first). The
+ *   order of registration is kept for providers with the same priority.
+ */
+export function getSearchProviders() {
+    return [...providers].sort((a, b) => b.priority - a.priority)
+}
+
+registerSearchProvider(new GeoadminLocationSearchProvider())
+registerSearchProvider(new LocalFeatureSearchProvider())
+registerSearchProvider(new GeoadminLayerSearchProvider())
+registerSearchProvider(new GeoadminLayerFeatureSearchProvider())
+getCustomSearchProviders().forEach((provider) => {
+    try {
+        registerSearchProvider(provider)
+    } catch (error) {
+        // a misconfigured provider shouldn't prevent the search from working with the others
+        log.error(`Invalid search provider given by the search config, ignoring it`, error)
+    }
+})
@@ -0,0 +1,81 @@
+import log from '@/utils/logging'
+
+const RECENT_SEARCHES_STORAGE_KEY = 'web-mapviewer.search.recent'
+const FAVOURITES_STORAGE_KEY = 'web-mapviewer.search.favourites'
+
+/**
+ * Maximum number of recent searches kept, the oldest being dropped first
+ *
+ * @type {Number}
+ */
+export const MAX_RECENT_SEARCHES = 10
+
+/**
+ * A search result starred by the user, kept in the browser's local storage.
+ *
+ * Only search results that can be serialized (locations and layers) can be starred, the coordinate,
+ * extent and zoom of locations being expressed in the projection the result was starred in.
+ *
+ * @typedef {LocationSearchResult | LayerSearchResult} SearchFavourite
+ * @property {String} favouriteId Key of this favourite, see {@link getSearchFavouriteId}
+ * @property {String | null} projection EPSG code of the projection of the coordinate, extent and
+ *   zoom (null for layers)
+ */
+
+/**
+ * @param {String} key
+ * @returns {any[]} The array stored under this key, or an empty array if there is none (or if the
+ *   local storage isn't available)
+ */
+function readArray(key) {
+    try {
+        const value = JSON.parse(localStorage.getItem(key))
+        return Array.isArray(value) ? value : []
+    } catch (error) {
+        log.error(`Could not read ${key} from the local storage`, error)
+        return []
+    }
+}
+
+/**
+ * @param {String} key
+ * @param {any[]} value
+ */
+function writeArray(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value))
+    } catch (error) {
+        // the local storage can be full or disabled (e.g. private browsing), searching still works
+        log.error(`Could not write ${key} to the local storage`, error)
+    }
+}
+
+/**
+ * @param {SearchResult} entry
+ * @returns {String} Key identifying a search result (or a favourite) among all others
+ */
+export function getSearchFavouriteId(entry) {
+    return `${entry.resultType}|${entry.layerId ?? entry.featureId ?? entry.id}`
+}
+
+/** @returns {String[]} The recent search queries, the most recent first */
+export function loadRecentSearches() {
+    return readArray(RECENT_SEARCHES_STORAGE_KEY).filter((query) => typeof query === 'string')
+}
+
+/** @param {String[]} recentSearches */
+export function saveRecentSearches(recentSearches) {
+    writeArray(RECENT_SEARCHES_STORAGE_KEY, recentSearches)
+}
+
+/** @returns {SearchFavourite[]} */
+export function loadSearchFavourites() {
+    return readArray(FAVOURITES_STORAGE_KEY).filter(
+        (favourite) => favourite?.favouriteId && favourite.resultType && favourite.sanitizedTitle
+    )
+}
+
+/** @param {SearchFavourite[]} favourites */
+export function saveSearchFavourites(favourites) {
+    writeArray(FAVOURITES_STORAGE_KEY, favourites)
+}
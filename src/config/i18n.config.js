@@ -0,0 +1,13 @@
+/**
+ * Languages that are official in Switzerland, and are all served by this app
+ *
+ * @type {String[]}
+ */
+export const OFFICIAL_SWISS_LANG = ['de', 'fr', 'it', 'rm']
+
+/**
+ * All languages served by this app
+ *
+ * @type {String[]}
+ */
+export const SUPPORTED_LANG = ['en', ...OFFICIAL_SWISS_LANG]
@@ -1,3 +1,49 @@
 // In the old mapviewer, a magic number (90) was set to make some compensation between the print and the viewer,
 // to keep the scale between the two services. In the current implementation, 144 seems to be giving the best results.
 export const PRINT_DPI_COMPENSATION = 144
+
+/**
+ * Scales proposed when printing without the print server (the print server gives its own scales in
+ * its capabilities)
+ *
+ * @type {Number[]}
+ */
+export const CLIENT_SIDE_PRINT_SCALES = [
+    500, 1000, 2500, 5000, 10000, 20000, 25000, 50000, 100000, 200000, 300000, 500000, 1000000,
+    1500000, 2500000,
+]
+
+/**
+ * Layouts used when the print server can't be reached (e.g. in offline setups), with the size of
+ * their map in PostScript points (1/72 inch), as the print server gives it
+ *
+ * @type {{ name: String; width: Number; height: Number }[]}
+ */
+export const CLIENT_SIDE_PRINT_LAYOUTS = [
+    { name: '1. A4 landscape', width: 802, height: 535 },
+    { name: '2. A4 portrait', width: 555, height: 782 },
+    { name: '3. A3 landscape', width: 1150, height: 782 },
+    { name: '4. A3 portrait', width: 802, height: 1130 },
+]
+
+/**
+ * Resolutions proposed when exporting the map in the browser, in DPI
+ *
+ * @type {Number[]}
+ */
+export const CLIENT_SIDE_PRINT_DPIS = [96, 150, 300]
+
+/**
+ * Maximum size (width x height) of the map image rendered in the browser, in pixels. Above this,
+ * the DPI is lowered so that browsers don't run out of memory (or refuse to create the canvas).
+ *
+ * @type {Number}
+ */
+export const CLIENT_SIDE_PRINT_MAX_PIXELS = 40000000
+
+/**
+ * Maximum number of pages of a print atlas (pages covering a line or an area)
+ *
+ * @type {Number}
+ */
+export const PRINT_ATLAS_MAX_PAGES = 50
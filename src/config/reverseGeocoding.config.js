@@ -0,0 +1,13 @@
+/**
+ * Hook for deployments to use their own reverse geocoder (e.g. a national address register of
+ * another country) instead of the built-in geoadmin one, in the location popup.
+ *
+ * The reverse geocoder is an instance of a subclass of {@link ReverseGeocoder}, e.g.
+ *
+ *     return new MyAddressRegisterReverseGeocoder({ url: 'https://example.com/addresses' })
+ *
+ * @returns {ReverseGeocoder | null} The reverse geocoder to use, or null to use the geoadmin one
+ */
+export function getCustomReverseGeocoder() {
+    return null
+}
@@ -0,0 +1,27 @@
+/**
+ * Hook for deployments to add their own search providers (e.g. an address gazetteer, or an OGC API
+ * Features collection) next to the built-in geoadmin ones. They are registered on startup, and can
+ * also be added later with {@link registerSearchProvider}.
+ *
+ * Providers are instances of a subclass of {@link SearchProvider}, the generic
+ * {@link NominatimSearchProvider} and {@link OgcApiFeaturesSearchProvider} can be configured without
+ * writing any code, e.g.
+ *
+ *     return [
+ *         new NominatimSearchProvider({
+ *             url: 'https://nominatim.example.com/',
+ *             categoryLabel: 'Addresses',
+ *             priority: 40,
+ *         }),
+ *         new OgcApiFeaturesSearchProvider({
+ *             id: 'assets',
+ *             collectionUrl: 'https://example.com/ogcapi/collections/assets',
+ *             searchProperty: 'asset_id',
+ *         }),
+ *     ]
+ *
+ * @returns {SearchProvider[]}
+ */
+export function getCustomSearchProviders() {
+    return []
+}
@@ -64,3 +64,16 @@ export const REPORT_PROBLEM_HOSTNAMES = [
  * @type {String[]}
  */
 export const WHITELISTED_HOSTNAMES = ['test.map.geo.admin.ch', 'map.geo.admin.ch']
+
+/**
+ * Hosts (and all their subdomains) of the pages allowed to drive the embedded viewer through the
+ * postMessage command API (see iframeCommands.api.js). Pages served locally are only allowed on
+ * development and integration.
+ *
+ * @type {String[]}
+ */
+export const EMBED_API_ALLOWED_HOSTNAMES = [
+    'admin.ch',
+    'bgdi.ch',
+    ...(['development', 'integration'].includes(ENVIRONMENT) ? ['localhost'] : []),
+]
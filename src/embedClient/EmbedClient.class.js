@@ -0,0 +1,320 @@
+import {
+    IFRAME_COMMAND_RESPONSE_TYPE,
+    IFRAME_COMMAND_TYPE,
+    IFRAME_COMMANDS,
+    IFRAME_EVENTS,
+} from '@/api/iframeProtocol'
+import { buildEmbedUrl, parseEmbedUrl } from '@/embedClient/embedUrl'
+
+/** @type {Number} */
+export const DEFAULT_COMMAND_TIMEOUT = 10000
+
+/**
+ * Events that can be listened to with {@link EmbedClient.on}
+ *
+ * @enum
+ */
+export const EmbedClientEvents = {
+    /**
+     * The state of the viewer changed (the user moved the map, added a layer, etc...).
+     *
+     * Callback argument : `{ url: String, state: EmbedState }`
+     */
+    CHANGE: 'change',
+    /**
+     * A feature has been selected on the map (one event per selected feature).
+     *
+     * Callback argument : `{ layerId: String, featureId: String | Number }`
+     */
+    FEATURE_SELECTION: 'featureSelection',
+}
+
+/**
+ * Error raised when a command sent to the embedded viewer failed
+ *
+ * @property {String} message Technical english message
+ * @property {String} code One of the error codes of the viewer (e.g. "INVALID_PAYLOAD"), or
+ *   "TIMEOUT"/"DESTROYED" if the viewer didn't answer
+ */
+export class EmbedCommandError extends Error {
+    constructor(message, code) {
+        super(message)
+        this.code = code
+        this.name = 'EmbedCommandError'
+    }
+}
+
+/**
+ * Embeds the viewer in a page, and gives access to its events and commands through the postMessage
+ * API of the iFrame.
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Web/API/Window/postMessage
+ */
+export default class EmbedClient {
+    /**
+     * @param {HTMLElement} container Element in which the iFrame will be added
+     * @param {EmbedOptions} [options]
+     * @param {String | Number} [options.width='100%'] Width of the iFrame, numbers are in pixels.
+     *   Default is `'100%'`
+     * @param {String | Number} [options.height=400] Height of the iFrame, numbers are in pixels.
+     *   Default is `400`
+     * @param {String} [options.title='map.geo.admin.ch'] Title of the iFrame (for accessibility).
+     *   Default is `'map.geo.admin.ch'`
+     * @throws {EmbedOptionsError} If one of the options is invalid
+     */
+    constructor(container, options = {}) {
+        const { width = '100%', height = 400, title = 'map.geo.admin.ch' } = options
+        this.options = options
+        this.url = buildEmbedUrl(options)
+        this.iframe = container.ownerDocument.createElement('iframe')
+        this.iframe.src = this.url
+        this.iframe.title = title
+        this.iframe.allow = 'geolocation'
+        this.iframe.style.border = '0'
+        this.iframe.style.width = typeof width === 'number' ? `${width}px` : width
+        this.iframe.style.height = typeof height === 'number' ? `${height}px` : height
+        container.appendChild(this.iframe)
+
+        this.window = container.ownerDocument.defaultView
+        this.origin = new URL(this.url).origin
+        this.listeners = Object.fromEntries(
+            Object.values(EmbedClientEvents).map((event) => [event, []])
+        )
+        this.pendingCommands = new Map()
+        this.lastCommandId = 0
+        this.onMessage = this.onMessage.bind(this)
+        this.window.addEventListener('message', this.onMessage)
+    }
+
+    /**
+     * @param {String} event One of {@link EmbedClientEvents}
+     * @param {Function} callback
+     * @returns {Function} Function removing this callback
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            throw new Error(`Unknown event ${event}`)
+        }
+        this.listeners[event].push(callback)
+        return () => this.off(event, callback)
+    }
+
+    /**
+     * @param {String} event One of {@link EmbedClientEvents}
+     * @param {Function} callback
+     */
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event] = this.listeners[event].filter(
+                (listener) => listener !== callback
+            )
+        }
+    }
+
+    /**
+     * Reloads the viewer with new options. Options not given here are kept.
+     *
+     * @param {EmbedOptions} options
+     * @throws {EmbedOptionsError} If one of the options is invalid
+     */
+    setOptions(options) {
+        this.options = { ...this.options, ...options }
+        this.url = buildEmbedUrl(this.options)
+        this.iframe.src = this.url
+    }
+
+    /**
+     * Sends a command to the embedded viewer.
+     *
+     * @param {String} command One of {@link IFRAME_COMMANDS}
+     * @param {Object} [payload]
+     * @param {Number} [timeout] In milliseconds. Default is {@link DEFAULT_COMMAND_TIMEOUT}
+     * @returns {Promise<void>} Resolved when the viewer has run the command
+     * @throws {EmbedCommandError} (the promise is rejected with it) If the command failed
+     */
+    sendCommand(command, payload = {}, timeout = DEFAULT_COMMAND_TIMEOUT) {
+        if (!this.iframe) {
+            return Promise.reject(
+                new EmbedCommandError('The embed client has been destroyed', 'DESTROYED')
+            )
+        }
+        this.lastCommandId += 1
+        const id = this.lastCommandId
+        return new Promise((resolve, reject) => {
+            const timeoutId = this.window.setTimeout(() => {
+                this.pendingCommands.delete(id)
+                reject(new EmbedCommandError(`No response to command ${command}`, 'TIMEOUT'))
+            }, timeout)
+            this.pendingCommands.set(id, { resolve, reject, timeoutId })
+            this.iframe.contentWindow.postMessage(
+                { type: IFRAME_COMMAND_TYPE, id, command, payload },
+                this.origin
+            )
+        })
+    }
+
+    /**
+     * @param {[Number, Number]} center
+     * @param {String} [projection] EPSG code of the center, the projection of the map is used if
+     *   not given
+     * @returns {Promise<void>}
+     */
+    setCenter(center, projection) {
+        return this.sendCommand(IFRAME_COMMANDS.SET_CENTER, { center, projection })
+    }
+
+    /**
+     * @param {Number} zoom
+     * @returns {Promise<void>}
+     */
+    setZoom(zoom) {
+        return this.sendCommand(IFRAME_COMMANDS.SET_ZOOM, { zoom })
+    }
+
+    /**
+     * @param {[Number, Number, Number, Number]} extent As `[minX, minY, maxX, maxY]`
+     * @param {String} [projection] EPSG code of the extent, the projection of the map is used if
+     *   not given
+     * @returns {Promise<void>}
+     */
+    fitExtent(extent, projection) {
+        return this.sendCommand(IFRAME_COMMANDS.FIT_EXTENT, { extent, projection })
+    }
+
+    /**
+     * @param {String} layerId
+     * @param {Object} [options]
+     * @param {Boolean} [options.visible]
+     * @param {Number} [options.opacity]
+     * @param {String} [options.year]
+     * @returns {Promise<void>}
+     */
+    addLayer(layerId, options = {}) {
+        return this.sendCommand(IFRAME_COMMANDS.ADD_LAYER, { layerId, ...options })
+    }
+
+    /**
+     * @param {String} layerId
+     * @returns {Promise<void>}
+     */
+    removeLayer(layerId) {
+        return this.sendCommand(IFRAME_COMMANDS.REMOVE_LAYER, { layerId })
+    }
+
+    /**
+     * @param {String} layerId
+     * @param {Boolean} [visible] The visibility is toggled if not given
+     * @returns {Promise<void>}
+     */
+    toggleLayer(layerId, visible) {
+        return this.sendCommand(IFRAME_COMMANDS.TOGGLE_LAYER, { layerId, visible })
+    }
+
+    /**
+     * @param {String} layerId ID of an active time enabled layer
+     * @param {String} year
+     * @returns {Promise<void>}
+     */
+    setTime(layerId, year) {
+        return this.sendCommand(IFRAME_COMMANDS.SET_TIME, { layerId, year })
+    }
+
+    /**
+     * @param {String} layerId
+     * @param {String | Number} featureId
+     * @param {Object} [options]
+     * @param {Boolean} [options.zoom] Zooms on the feature once selected
+     * @returns {Promise<void>}
+     */
+    selectFeature(layerId, featureId, options = {}) {
+        return this.sendCommand(IFRAME_COMMANDS.SELECT_FEATURE, {
+            layerId,
+            featureId,
+            ...options,
+        })
+    }
+
+    /**
+     * @param {String | Number | null} featureId One of the selected features, or null to remove the
+     *   highlight
+     * @returns {Promise<void>}
+     */
+    highlightFeature(featureId) {
+        return this.sendCommand(IFRAME_COMMANDS.HIGHLIGHT_FEATURE, { featureId })
+    }
+
+    /**
+     * @param {[Number, Number] | null} coordinate Null removes the marker
+     * @param {String} [projection] EPSG code of the coordinate, the projection of the map is used
+     *   if not given
+     * @returns {Promise<void>}
+     */
+    addMarker(coordinate, projection) {
+        return this.sendCommand(IFRAME_COMMANDS.ADD_MARKER, { coordinate, projection })
+    }
+
+    /**
+     * @param {Boolean} active
+     * @returns {Promise<void>}
+     */
+    set3d(active) {
+        return this.sendCommand(IFRAME_COMMANDS.SET_3D, { active })
+    }
+
+    /** Removes the iFrame and stops listening to its messages */
+    destroy() {
+        this.window.removeEventListener('message', this.onMessage)
+        this.pendingCommands.forEach(({ reject, timeoutId }) => {
+            this.window.clearTimeout(timeoutId)
+            reject(new EmbedCommandError('The embed client has been destroyed', 'DESTROYED'))
+        })
+        this.pendingCommands.clear()
+        this.iframe.remove()
+        this.iframe = null
+    }
+
+    /** @param {MessageEvent} event */
+    onMessage(event) {
+        if (!this.iframe || event.source !== this.iframe.contentWindow) {
+            return
+        }
+        const { type, payload } = event.data ?? {}
+        if (type === IFRAME_EVENTS.CHANGE && payload?.newUrl) {
+            this.url = payload.newUrl
+            this.emit(EmbedClientEvents.CHANGE, {
+                url: payload.newUrl,
+                state: parseEmbedUrl(payload.newUrl),
+            })
+        } else if (type === IFRAME_EVENTS.FEATURE_SELECTION && payload) {
+            this.emit(EmbedClientEvents.FEATURE_SELECTION, {
+                layerId: payload.layerId,
+                featureId: payload.featureId,
+            })
+        } else if (type === IFRAME_COMMAND_RESPONSE_TYPE) {
+            this.resolveCommand(event.data)
+        }
+    }
+
+    emit(event, data) {
+        this.listeners[event].forEach((callback) => callback(data))
+    }
+
+    resolveCommand({ id, command, success, error }) {
+        const pendingCommand = this.pendingCommands.get(id)
+        if (!pendingCommand) {
+            return
+        }
+        this.pendingCommands.delete(id)
+        this.window.clearTimeout(pendingCommand.timeoutId)
+        if (success) {
+            pendingCommand.resolve()
+        } else {
+            pendingCommand.reject(
+                new EmbedCommandError(
+                    error?.message ?? `Command ${command} failed`,
+                    error?.code ?? 'COMMAND_FAILED'
+                )
+            )
+        }
+    }
+}
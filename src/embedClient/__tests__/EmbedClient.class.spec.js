@@ -0,0 +1,196 @@
+import { expect } from 'chai'
+import { afterEach, beforeEach, describe, it, vi } from 'vitest'
+
+import {
+    IFRAME_COMMAND_RESPONSE_TYPE,
+    IFRAME_COMMAND_TYPE,
+    IFRAME_COMMANDS,
+} from '@/api/iframeProtocol'
+import EmbedClient, { EmbedClientEvents, EmbedCommandError } from '@/embedClient/EmbedClient.class'
+import { EmbedOptionsError } from '@/embedClient/embedUrl'
+
+describe('EmbedClient unit tests', () => {
+    let container
+    let client
+    beforeEach(() => {
+        container = document.createElement('div')
+        document.body.appendChild(container)
+        client = new EmbedClient(container, {
+            baseUrl: 'https://viewer.example.com',
+            lang: 'en',
+            height: 300,
+        })
+        // simulating the viewer inside the iFrame
+        vi.spyOn(client.iframe.contentWindow, 'postMessage').mockImplementation(() => {})
+    })
+    afterEach(() => {
+        if (client.iframe) {
+            client.destroy()
+        }
+        container.remove()
+    })
+
+    function sendFromViewer(data, source = client.iframe.contentWindow) {
+        window.dispatchEvent(
+            new MessageEvent('message', { data, origin: 'https://viewer.example.com', source })
+        )
+    }
+
+    it('creates the iFrame from the options', () => {
+        const iframe = container.querySelector('iframe')
+        expect(iframe).to.eq(client.iframe)
+        expect(iframe.src).to.eq('https://viewer.example.com/#/embed?lang=en')
+        expect(iframe.style.height).to.eq('300px')
+        expect(iframe.style.width).to.eq('100%')
+        expect(() => new EmbedClient(container, { zoom: 'far' })).to.throw(EmbedOptionsError)
+    })
+    it('reloads the iFrame with new options', () => {
+        client.setOptions({ zoom: 4 })
+        expect(client.iframe.src).to.eq('https://viewer.example.com/#/embed?lang=en&z=4')
+    })
+    it('parses the change events of the viewer', () => {
+        const callback = vi.fn()
+        const unsubscribe = client.on(EmbedClientEvents.CHANGE, callback)
+        const newUrl = 'https://viewer.example.com/#/embed?lang=de&z=3&layers=some.layer,f'
+        sendFromViewer({ type: 'gaChange', payload: { newUrl } })
+        expect(callback).toHaveBeenCalledOnce()
+        const [{ url, state }] = callback.mock.calls[0]
+        expect(url).to.eq(newUrl)
+        expect(state.lang).to.eq('de')
+        expect(state.zoom).to.eq(3)
+        expect(state.layers[0]).to.deep.include({ id: 'some.layer', visible: false })
+
+        unsubscribe()
+        sendFromViewer({ type: 'gaChange', payload: { newUrl } })
+        expect(callback).toHaveBeenCalledOnce()
+    })
+    it('forwards the feature selection events', () => {
+        const callback = vi.fn()
+        client.on(EmbedClientEvents.FEATURE_SELECTION, callback)
+        sendFromViewer({
+            type: 'gaFeatureSelection',
+            payload: { layerId: 'some.layer', featureId: 42 },
+        })
+        expect(callback).toHaveBeenCalledWith({ layerId: 'some.layer', featureId: 42 })
+    })
+    it('ignores messages that are not coming from its iFrame', () => {
+        const callback = vi.fn()
+        client.on(EmbedClientEvents.FEATURE_SELECTION, callback)
+        sendFromViewer(
+            { type: 'gaFeatureSelection', payload: { layerId: 'some.layer', featureId: 42 } },
+            window
+        )
+        expect(callback).not.toHaveBeenCalled()
+        expect(() => client.on('unknownEvent', callback)).to.throw()
+    })
+    it('resolves or rejects commands with the response of the viewer', async () => {
+        const success = client.setZoom(5)
+        const failure = client.addLayer('unknown.layer')
+        const { postMessage } = client.iframe.contentWindow
+        expect(postMessage).toHaveBeenCalledTimes(2)
+        const [successMessage, targetOrigin] = postMessage.mock.calls[0]
+        const [failureMessage] = postMessage.mock.calls[1]
+        expect(successMessage).to.deep.include({
+            type: IFRAME_COMMAND_TYPE,
+            command: 'setZoom',
+            payload: { zoom: 5 },
+        })
+        expect(targetOrigin).to.eq('https://viewer.example.com')
+
+        sendFromViewer({
+            type: IFRAME_COMMAND_RESPONSE_TYPE,
+            id: failureMessage.id,
+            command: failureMessage.command,
+            success: false,
+            error: { code: 'UNKNOWN_LAYER', message: 'Unknown layer unknown.layer' },
+        })
+        sendFromViewer({
+            type: IFRAME_COMMAND_RESPONSE_TYPE,
+            id: successMessage.id,
+            command: successMessage.command,
+            success: true,
+        })
+        await success
+        try {
+            await failure
+            expect.fail('An error should have been raised')
+        } catch (error) {
+            expect(error).to.be.instanceOf(EmbedCommandError)
+            expect(error.code).to.eq('UNKNOWN_LAYER')
+        }
+    })
+    it('has a wrapper for each command of the viewer', () => {
+        const { postMessage } = client.iframe.contentWindow
+        const expectedPayloads = {
+            [IFRAME_COMMANDS.SET_CENTER]: [
+                () => client.setCenter([7.4, 46.9], 'EPSG:4326'),
+                { center: [7.4, 46.9], projection: 'EPSG:4326' },
+            ],
+            [IFRAME_COMMANDS.SET_ZOOM]: [() => client.setZoom(3), { zoom: 3 }],
+            [IFRAME_COMMANDS.FIT_EXTENT]: [
+                () => client.fitExtent([1, 2, 3, 4]),
+                { extent: [1, 2, 3, 4], projection: undefined },
+            ],
+            [IFRAME_COMMANDS.ADD_LAYER]: [
+                () => client.addLayer('some.layer', { opacity: 0.5 }),
+                { layerId: 'some.layer', opacity: 0.5 },
+            ],
+            [IFRAME_COMMANDS.REMOVE_LAYER]: [
+                () => client.removeLayer('some.layer'),
+                { layerId: 'some.layer' },
+            ],
+            [IFRAME_COMMANDS.TOGGLE_LAYER]: [
+                () => client.toggleLayer('some.layer', false),
+                { layerId: 'some.layer', visible: false },
+            ],
+            [IFRAME_COMMANDS.SET_TIME]: [
+                () => client.setTime('some.layer', '2020'),
+                { layerId: 'some.layer', year: '2020' },
+            ],
+            [IFRAME_COMMANDS.SELECT_FEATURE]: [
+                () => client.selectFeature('some.layer', 42, { zoom: true }),
+                { layerId: 'some.layer', featureId: 42, zoom: true },
+            ],
+            [IFRAME_COMMANDS.HIGHLIGHT_FEATURE]: [
+                () => client.highlightFeature(null),
+                { featureId: null },
+            ],
+            [IFRAME_COMMANDS.ADD_MARKER]: [
+                () => client.addMarker([2600000, 1200000]),
+                { coordinate: [2600000, 1200000], projection: undefined },
+            ],
+            [IFRAME_COMMANDS.SET_3D]: [() => client.set3d(true), { active: true }],
+        }
+        expect(Object.keys(expectedPayloads)).to.have.members(Object.values(IFRAME_COMMANDS))
+        Object.entries(expectedPayloads).forEach(([command, [sendCommand, payload]]) => {
+            postMessage.mockClear()
+            // pending commands are rejected by the destroy in afterEach
+            sendCommand().catch(() => {})
+            expect(postMessage).toHaveBeenCalledOnce()
+            expect(postMessage.mock.calls[0][0]).to.deep.include({ command, payload })
+        })
+    })
+    it('rejects commands without response', async () => {
+        vi.useFakeTimers()
+        const command = client.sendCommand('setZoom', { zoom: 5 }, 100)
+        vi.advanceTimersByTime(101)
+        vi.useRealTimers()
+        try {
+            await command
+            expect.fail('An error should have been raised')
+        } catch (error) {
+            expect(error.code).to.eq('TIMEOUT')
+        }
+    })
+    it('removes the iFrame when destroyed', async () => {
+        const command = client.setZoom(5)
+        client.destroy()
+        expect(container.querySelector('iframe')).to.be.null
+        try {
+            await command
+            expect.fail('An error should have been raised')
+        } catch (error) {
+            expect(error.code).to.eq('DESTROYED')
+        }
+    })
+})
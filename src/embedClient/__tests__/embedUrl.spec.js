@@ -0,0 +1,148 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import { DEFAULT_PROJECTION } from '@/config/map.config'
+import {
+    buildEmbedUrl,
+    DEFAULT_EMBED_PROJECTION,
+    EmbedOptionsError,
+    parseEmbedUrl,
+} from '@/embedClient/embedUrl'
+import { PROJECTION_BOUNDS } from '@/router/storeSync/urlParamValidators'
+import allCoordinateSystems from '@/utils/coordinates/coordinateSystems'
+
+describe('Embed URL unit tests', () => {
+    function expectInvalidOption(options, option) {
+        try {
+            buildEmbedUrl(options)
+            expect.fail('An error should have been raised')
+        } catch (error) {
+            expect(error).to.be.instanceOf(EmbedOptionsError)
+            expect(error.option).to.eq(option)
+        }
+    }
+
+    describe('buildEmbedUrl', () => {
+        it('points to the embed view of the default viewer', () => {
+            expect(buildEmbedUrl()).to.eq('https://map.geo.admin.ch/#/embed')
+            expect(buildEmbedUrl({ baseUrl: 'https://test.example.com/' })).to.eq(
+                'https://test.example.com/#/embed'
+            )
+        })
+        it('translates the options into URL params', () => {
+            const url = buildEmbedUrl({
+                lang: 'fr',
+                projection: 2056,
+                center: [2600000, 1200000],
+                zoom: 5,
+                bgLayer: null,
+                layers: [
+                    { id: 'some.layer' },
+                    { id: 'hidden.layer', visible: false, opacity: 0.5 },
+                    { id: 'time.layer', year: 1990, opacity: 0.7 },
+                    { id: 'feature.layer', features: [1, 'abc'] },
+                ],
+                crosshair: 'marker',
+                crosshairPosition: [2600001, 1200001],
+                compareRatio: 0.3,
+                timeSlider: 1990,
+                featureInfo: 'tooltip',
+            })
+            const params = new URLSearchParams(url.split('?')[1])
+            expect(params.get('lang')).to.eq('fr')
+            expect(params.get('sr')).to.eq('2056')
+            expect(params.get('center')).to.eq('2600000,1200000')
+            expect(params.get('z')).to.eq('5')
+            expect(params.get('bgLayer')).to.eq('void')
+            expect(params.get('layers')).to.eq(
+                'some.layer;hidden.layer,f,0.5;time.layer@year=1990,,0.7;feature.layer@features=1:abc'
+            )
+            expect(params.get('crosshair')).to.eq('marker,2600001,1200001')
+            expect(params.get('compareRatio')).to.eq('0.3')
+            expect(params.get('timeSlider')).to.eq('1990')
+            expect(params.get('featureInfo')).to.eq('tooltip')
+        })
+        it('validates the options the same way the viewer does', () => {
+            expectInvalidOption({ lang: 'es' }, 'lang')
+            expectInvalidOption({ projection: 1234 }, 'projection')
+            // LV95 is the default projection
+            expectInvalidOption({ center: [7.4, 46.9] }, 'center')
+            expectInvalidOption({ zoom: -1 }, 'zoom')
+            expectInvalidOption({ layers: [{ id: 'some.layer', opacity: 2 }] }, 'layers')
+            expectInvalidOption({ crosshair: 'star' }, 'crosshair')
+            expectInvalidOption({ compareRatio: 1.5 }, 'compareRatio')
+            expectInvalidOption({ compareRatio: 0.5, compareMode: 'diagonal' }, 'compareRatio')
+            expectInvalidOption({ compareRatio: 0.5, compareLayer: '' }, 'compareLayer')
+            expectInvalidOption({ timeSlider: 1200 }, 'timeSlider')
+            expectInvalidOption({ featureInfo: 'popup' }, 'featureInfo')
+            expect(buildEmbedUrl({ projection: 4326, center: [7.4, 46.9] })).to.contain(
+                'center=7.4%2C46.9'
+            )
+        })
+    })
+    describe('parseEmbedUrl', () => {
+        it('reads the state from a URL sent by the viewer', () => {
+            const state = parseEmbedUrl(
+                'https://map.geo.admin.ch/#/embed?lang=de&center=2600000,1200000&z=7.5&bgLayer=void' +
+                    '&layers=some.layer;hidden.layer,f,0.5;time.layer@year=1990;feature.layer@features=1:abc' +
+                    '&crosshair=marker,2600001,1200001&3d&timeSlider=1990,1980-2000,time.layer'
+            )
+            expect(state.lang).to.eq('de')
+            expect(state.projection).to.be.null
+            expect(state.center).to.deep.eq([2600000, 1200000])
+            expect(state.zoom).to.eq(7.5)
+            expect(state.bgLayer).to.be.null
+            expect(state.layers).to.have.length(4)
+            expect(state.layers[0]).to.deep.include({ id: 'some.layer', visible: true })
+            expect(state.layers[1]).to.deep.include({
+                id: 'hidden.layer',
+                visible: false,
+                opacity: 0.5,
+            })
+            expect(state.layers[2].year).to.eq(1990)
+            expect(state.layers[3].features).to.deep.eq(['1', 'abc'])
+            expect(state.timeSlider).to.eq(1990)
+            expect(state.crosshair).to.eq('marker')
+            expect(state.crosshairPosition).to.deep.eq([2600001, 1200001])
+            expect(state.is3d).to.be.true
+        })
+        it('reads back the URL it has built', () => {
+            const options = {
+                projection: 2056,
+                center: [2600000, 1200000],
+                zoom: 3,
+                layers: [{ id: 'some.layer', visible: false, opacity: 0.2 }],
+                compareRatio: 0.4,
+                compareMode: 'spyglass',
+                compareLayer: 'some.layer',
+                is3d: true,
+            }
+            const state = parseEmbedUrl(buildEmbedUrl(options))
+            expect(state.projection).to.eq(2056)
+            expect(state.center).to.deep.eq(options.center)
+            expect(state.zoom).to.eq(3)
+            expect(state.layers[0]).to.deep.include(options.layers[0])
+            expect(state.compareRatio).to.eq(0.4)
+            expect(state.compareMode).to.eq('spyglass')
+            expect(state.compareLayer).to.eq('some.layer')
+            expect(state.is3d).to.be.true
+        })
+    })
+    describe('consistency with the app', () => {
+        // the embed client can't import the coordinate systems of the app (they depend on proj4),
+        // so it has its own copy of their EPSG numbers and bounds
+        it('uses the default projection of the app', () => {
+            expect(DEFAULT_EMBED_PROJECTION).to.eq(DEFAULT_PROJECTION.epsgNumber)
+        })
+        it('validates coordinates with the bounds of the coordinate systems of the app', () => {
+            expect(Object.keys(PROJECTION_BOUNDS).map(Number)).to.have.members(
+                allCoordinateSystems.map((coordinateSystem) => coordinateSystem.epsgNumber)
+            )
+            allCoordinateSystems.forEach((coordinateSystem) => {
+                expect(PROJECTION_BOUNDS[coordinateSystem.epsgNumber]).to.deep.eq(
+                    coordinateSystem.bounds.flatten
+                )
+            })
+        })
+    })
+})
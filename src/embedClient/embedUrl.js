@@ -0,0 +1,318 @@
+import {
+    encodeLayerParam,
+    parseLayersParam,
+    readCameraFromUrlParam,
+    readCenterFromUrlParam,
+    readZoomFromUrlParam,
+} from '@/router/storeSync/urlParamParsers'
+import {
+    isValidCenter,
+    isValidCompareRatio,
+    isValidCrossHair,
+    isValidFeatureInfoPosition,
+    isValidLang,
+    isValidProjection,
+    isValidTimeSliderYear,
+    isValidZoom,
+} from '@/router/storeSync/urlParamValidators'
+import CompareSliderModes from '@/store/modules/CompareSliderModes.enum'
+
+/** @type {String} */
+export const DEFAULT_EMBED_BASE_URL = 'https://map.geo.admin.ch'
+
+/**
+ * EPSG number of the projection used by the viewer when none is given (LV95)
+ *
+ * @type {Number}
+ */
+export const DEFAULT_EMBED_PROJECTION = 2056
+
+/**
+ * A layer shown by the embedded viewer
+ *
+ * @typedef {Object} EmbedLayer
+ * @property {String} id ID of the layer (as in the layers' config of the viewer)
+ * @property {Boolean} [visible=true] Default is `true`
+ * @property {Number} [opacity] Opacity between 0 and 1, the default opacity of the layer is used if
+ *   not set
+ * @property {Number | String} [year] Year to show, for time enabled layers
+ * @property {(String | Number)[]} [features] IDs of the features to select on this layer
+ */
+
+/**
+ * Options describing the state of the embedded viewer. All of them are optional, the viewer will
+ * use its defaults for anything that isn't set.
+ *
+ * @typedef {Object} EmbedOptions
+ * @property {String} [baseUrl] URL of the viewer, default is {@link DEFAULT_EMBED_BASE_URL}
+ * @property {String} [lang] One of "de", "fr", "it", "rm" or "en"
+ * @property {Number} [projection] EPSG number of the projection of the map (e.g. 2056)
+ * @property {[Number, Number]} [center] Expressed in the projection of the map
+ * @property {Number} [zoom]
+ * @property {EmbedLayer[]} [layers]
+ * @property {String | null} [bgLayer] ID of the background layer, or `null` for no background
+ * @property {String} [topic]
+ * @property {Number} [timeSlider] Year shown by the time slider
+ * @property {Number} [compareRatio] Position of the compare slider, between 0 and 1
+ * @property {String} [compareMode] Mode of the compare slider ("vertical", "horizontal" or
+ *   "spyglass"), only used if `compareRatio` is set. Default is "vertical"
+ * @property {String} [compareLayer] ID of the layer compared with the compare slider, only used if
+ *   `compareRatio` is set. Default is the layer on top
+ * @property {String} [crosshair] Type of crosshair ("cross", "circle", "bowl", "point" or "marker")
+ * @property {[Number, Number]} [crosshairPosition] Where to put the crosshair, if it shouldn't be
+ *   on the center of the map
+ * @property {String} [featureInfo] Where to show the feature info ("default", "bottomPanel",
+ *   "tooltip" or "none")
+ * @property {Boolean} [is3d] Shows the 3D viewer
+ */
+
+/**
+ * State of the embedded viewer, as described by its URL
+ *
+ * @typedef {Object} EmbedState
+ * @property {String | null} lang
+ * @property {Number | null} projection
+ * @property {[Number, Number] | null} center
+ * @property {Number | null} zoom
+ * @property {Object | null} camera 3D camera position, if the 3D viewer is active
+ * @property {EmbedLayer[]} layers
+ * @property {String | null} bgLayer
+ * @property {String | null} topic
+ * @property {Number | null} timeSlider
+ * @property {Number | null} compareRatio
+ * @property {String | null} compareMode
+ * @property {String | null} compareLayer
+ * @property {String | null} crosshair
+ * @property {[Number, Number] | null} crosshairPosition
+ * @property {String | null} featureInfo
+ * @property {Boolean} is3d
+ */
+
+/**
+ * Error raised when an option given to the embed client is invalid
+ *
+ * @property {String} message Technical english message
+ * @property {String} option Name of the invalid option
+ */
+export class EmbedOptionsError extends Error {
+    constructor(message, option) {
+        super(message)
+        this.option = option
+        this.name = 'EmbedOptionsError'
+    }
+}
+
+function check(isValid, option, value) {
+    if (!isValid) {
+        throw new EmbedOptionsError(`Invalid ${option}: ${JSON.stringify(value)}`, option)
+    }
+}
+
+function isNumberCouple(value) {
+    return (
+        Array.isArray(value) &&
+        value.length === 2 &&
+        value.every((entry) => typeof entry === 'number' && Number.isFinite(entry))
+    )
+}
+
+/**
+ * @param {EmbedLayer} layer
+ * @returns {String} The layer, as written in the `layers` URL param
+ * @see https://github.com/geoadmin/web-mapviewer/blob/develop/adr/2021_03_16_url_param_structure.md
+ */
+function encodeEmbedLayer(layer) {
+    check(typeof layer?.id === 'string' && layer.id.length > 0, 'layers', layer)
+    let layerString = encodeLayerParam(layer.id)
+    if (layer.year !== undefined && layer.year !== null) {
+        layerString += `@year=${encodeLayerParam(`${layer.year}`)}`
+    }
+    if (layer.features?.length > 0) {
+        layerString += `@features=${layer.features.map((id) => encodeLayerParam(`${id}`)).join(':')}`
+    }
+    const visible = layer.visible ?? true
+    const hasOpacity = layer.opacity !== undefined && layer.opacity !== null
+    if (hasOpacity) {
+        check(
+            typeof layer.opacity === 'number' && layer.opacity >= 0 && layer.opacity <= 1,
+            'layers',
+            layer
+        )
+    }
+    if (!visible) {
+        layerString += ',f'
+    }
+    if (hasOpacity) {
+        layerString += `${visible ? ',' : ''},${layer.opacity}`
+    }
+    return layerString
+}
+
+/**
+ * Validates the options, with the same rules as the URL param configs of the viewer, and transforms
+ * them into the URL params of the embedded viewer.
+ *
+ * @param {EmbedOptions} options
+ * @returns {URLSearchParams}
+ * @throws {EmbedOptionsError} If one of the options is invalid
+ */
+export function createEmbedUrlParams(options = {}) {
+    const params = new URLSearchParams()
+    const {
+        lang,
+        projection,
+        center,
+        zoom,
+        layers,
+        bgLayer,
+        topic,
+        timeSlider,
+        compareRatio,
+        compareMode,
+        compareLayer,
+        crosshair,
+        crosshairPosition,
+        featureInfo,
+        is3d,
+    } = options
+    if (lang !== undefined) {
+        check(isValidLang(lang), 'lang', lang)
+        params.set('lang', lang)
+    }
+    let projectionEpsgNumber = DEFAULT_EMBED_PROJECTION
+    if (projection !== undefined) {
+        check(isValidProjection(projection), 'projection', projection)
+        projectionEpsgNumber = Number(projection)
+        params.set('sr', `${projectionEpsgNumber}`)
+    }
+    if (center !== undefined) {
+        check(
+            isNumberCouple(center) && isValidCenter(center.join(','), projectionEpsgNumber),
+            'center',
+            center
+        )
+        params.set('center', center.join(','))
+    }
+    if (zoom !== undefined) {
+        check(typeof zoom === 'number' && isValidZoom(`${zoom}`), 'zoom', zoom)
+        params.set('z', `${zoom}`)
+    }
+    if (is3d !== undefined) {
+        check(typeof is3d === 'boolean', 'is3d', is3d)
+        if (is3d) {
+            params.set('3d', 'true')
+        }
+    }
+    if (bgLayer !== undefined) {
+        check(bgLayer === null || typeof bgLayer === 'string', 'bgLayer', bgLayer)
+        params.set('bgLayer', bgLayer ?? 'void')
+    }
+    if (topic !== undefined) {
+        check(typeof topic === 'string' && topic.length > 0, 'topic', topic)
+        params.set('topic', topic)
+    }
+    if (layers !== undefined) {
+        check(Array.isArray(layers), 'layers', layers)
+        params.set('layers', layers.map(encodeEmbedLayer).join(';'))
+    }
+    if (crosshair !== undefined) {
+        let crosshairValue = crosshair
+        if (crosshairPosition !== undefined) {
+            check(isNumberCouple(crosshairPosition), 'crosshairPosition', crosshairPosition)
+            crosshairValue += `,${crosshairPosition.join(',')}`
+        }
+        check(isValidCrossHair(crosshairValue), 'crosshair', crosshair)
+        params.set('crosshair', crosshairValue)
+    }
+    if (compareRatio !== undefined) {
+        check(typeof compareRatio === 'number', 'compareRatio', compareRatio)
+        let compareValue = `${compareRatio}`
+        if (compareMode !== undefined || compareLayer !== undefined) {
+            compareValue += `,${compareMode ?? CompareSliderModes.VERTICAL}`
+        }
+        if (compareLayer !== undefined) {
+            check(
+                typeof compareLayer === 'string' && compareLayer.length > 0,
+                'compareLayer',
+                compareLayer
+            )
+            compareValue += `,${compareLayer}`
+        }
+        check(isValidCompareRatio(compareValue), 'compareRatio', compareValue)
+        params.set('compareRatio', compareValue)
+    }
+    if (timeSlider !== undefined) {
+        check(isValidTimeSliderYear(timeSlider), 'timeSlider', timeSlider)
+        params.set('timeSlider', `${timeSlider}`)
+    }
+    if (featureInfo !== undefined) {
+        check(isValidFeatureInfoPosition(featureInfo), 'featureInfo', featureInfo)
+        params.set('featureInfo', featureInfo)
+    }
+    return params
+}
+
+/**
+ * Builds the URL of the embedded viewer
+ *
+ * @param {EmbedOptions} options
+ * @returns {String}
+ * @throws {EmbedOptionsError} If one of the options is invalid
+ */
+export function buildEmbedUrl(options = {}) {
+    const baseUrl = (options.baseUrl ?? DEFAULT_EMBED_BASE_URL).replace(/\/+$/, '')
+    const params = createEmbedUrlParams(options).toString()
+    return `${baseUrl}/#/embed${params ? `?${params}` : ''}`
+}
+
+function readNumber(value) {
+    if (value === null || value === '' || isNaN(value)) {
+        return null
+    }
+    return Number(value)
+}
+
+/**
+ * Reads the state of the viewer from one of its URL (e.g. the URL sent with each `gaChange` event)
+ *
+ * @param {String} url
+ * @returns {EmbedState}
+ */
+export function parseEmbedUrl(url) {
+    const hash = new URL(url).hash
+    const queryIndex = hash.indexOf('?')
+    const params = new URLSearchParams(queryIndex >= 0 ? hash.substring(queryIndex + 1) : '')
+    const bgLayer = params.get('bgLayer')
+    const [crosshair = null, ...crosshairPosition] = params.get('crosshair')?.split(',') ?? []
+    const [compareRatio = null, compareMode = null, ...compareLayer] =
+        params.get('compareRatio')?.split(',') ?? []
+    return {
+        lang: params.get('lang'),
+        projection: readNumber(params.get('sr')),
+        center: readCenterFromUrlParam(params.get('center')),
+        zoom: readZoomFromUrlParam(params.get('z')),
+        camera: readCameraFromUrlParam(params.get('camera')),
+        layers: parseLayersParam(params.get('layers')).map((layer) => {
+            const { year, features } = layer.customAttributes
+            return {
+                id: layer.id,
+                visible: layer.visible,
+                opacity: layer.opacity,
+                year,
+                features: features !== undefined ? `${features}`.split(':') : undefined,
+            }
+        }),
+        bgLayer: bgLayer === 'void' ? null : bgLayer,
+        topic: params.get('topic'),
+        // the year can be followed by a range of years and locked layers, that aren't exposed here
+        timeSlider: readNumber(params.get('timeSlider')?.split(',')[0] ?? null),
+        compareRatio: readNumber(compareRatio),
+        compareMode: compareMode,
+        compareLayer: compareLayer.length > 0 ? compareLayer.join(',') : null,
+        crosshair: crosshair,
+        crosshairPosition: crosshairPosition.length === 2 ? crosshairPosition.map(Number) : null,
+        featureInfo: params.get('featureInfo'),
+        // like the viewer, the param alone (without value) means true
+        is3d: params.has('3d') && params.get('3d') !== 'false',
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Client library for embedding the viewer in third-party pages. It is built as a standalone bundle
+ * (see `npm run build:embed-client`), so it must not use the store instance or any Vue component of
+ * the app.
+ */
+
+import { IFRAME_COMMAND_ERRORS, IFRAME_COMMANDS } from '@/api/iframeProtocol'
+import { APP_VERSION } from '@/config/staging.config'
+import EmbedClient from '@/embedClient/EmbedClient.class'
+
+export {
+    DEFAULT_COMMAND_TIMEOUT,
+    EmbedClientEvents,
+    EmbedCommandError,
+} from '@/embedClient/EmbedClient.class'
+export {
+    buildEmbedUrl,
+    createEmbedUrlParams,
+    DEFAULT_EMBED_BASE_URL,
+    EmbedOptionsError,
+    parseEmbedUrl,
+} from '@/embedClient/embedUrl'
+export {
+    EmbedClient,
+    IFRAME_COMMAND_ERRORS as EmbedCommandErrors,
+    IFRAME_COMMANDS as EmbedCommands,
+}
+
+/**
+ * Version of the viewer this client was built with
+ *
+ * @type {String}
+ */
+export const VERSION = APP_VERSION
+
+/**
+ * Embeds the viewer in the container
+ *
+ * @param {HTMLElement | String} container The element, or a CSS selector to it
+ * @param {EmbedOptions} [options]
+ * @returns {EmbedClient}
+ * @throws {EmbedOptionsError} If one of the options is invalid
+ */
+export function createEmbed(container, options = {}) {
+    const containerElement =
+        typeof container === 'string' ? document.querySelector(container) : container
+    if (!containerElement) {
+        throw new Error(`Container ${container} not found`)
+    }
+    return new EmbedClient(containerElement, options)
+}
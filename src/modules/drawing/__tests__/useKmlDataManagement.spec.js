@@ -0,0 +1,65 @@
+import { expect } from 'chai'
+import { IDBFactory } from 'fake-indexeddb'
+import { afterEach, beforeEach, describe, it, vi } from 'vitest'
+
+import { getKmlUrl } from '@/api/files.api'
+import KMLLayer from '@/api/layers/KMLLayer.class'
+import { createLocalDrawing, getLocalDrawing } from '@/api/localDrawings.api'
+import { saveDrawingKml } from '@/modules/drawing/useKmlDataManagement.composable'
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+
+const dispatcher = { dispatcher: 'unit-test' }
+
+function createDrawingKml(name) {
+    return `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Drawing</name><Placemark><name>${name}</name><Point><coordinates>7.44,46.95</coordinates></Point></Placemark></Document></kml>`
+}
+
+describe('Saving a drawing of the local library', () => {
+    let localDrawing
+    beforeEach(async () => {
+        vi.stubGlobal('indexedDB', new IDBFactory())
+        localDrawing = await createLocalDrawing('Parcel', '')
+        await store.dispatch('setLocalDrawingId', {
+            localDrawingId: localDrawing.id,
+            ...dispatcher,
+        })
+    })
+    afterEach(async () => {
+        await store.dispatch('setLocalDrawingId', { localDrawingId: null, ...dispatcher })
+        await store.dispatch('clearLayers', dispatcher)
+        vi.unstubAllGlobals()
+    })
+
+    it('shows the drawing on the map, as a KML layer kept up to date', async () => {
+        await saveDrawingKml(store, createDrawingKml('First'))
+        expect((await getLocalDrawing(localDrawing.id)).kmlData).to.contain('First')
+        let layers = store.getters.getActiveLayersById(localDrawing.id)
+        expect(layers).to.have.length(1)
+        expect(layers[0].visible).to.be.true
+        expect(layers[0].kmlData).to.contain('First')
+
+        await saveDrawingKml(store, createDrawingKml('Second'))
+        layers = store.getters.getActiveLayersById(localDrawing.id)
+        expect(layers).to.have.length(1)
+        expect(layers[0].kmlData).to.contain('Second')
+    })
+    it('hides the online drawing it supersedes', async () => {
+        const onlineDrawing = new KMLLayer({
+            kmlFileUrl: getKmlUrl('online-drawing'),
+            kmlData: createDrawingKml('Online'),
+        })
+        await store.dispatch('addLayer', { layer: onlineDrawing, ...dispatcher })
+        expect(store.getters.activeKmlLayer?.id).to.eq(onlineDrawing.id)
+
+        await saveDrawingKml(store, createDrawingKml('Local'))
+        const [onlineLayer] = store.getters.getActiveLayersById(onlineDrawing.id)
+        expect(onlineLayer.visible).to.be.false
+        expect(onlineLayer.kmlData).to.contain('Online')
+        expect(store.getters.activeKmlLayer).to.be.null
+        expect(store.getters.getActiveLayersById(localDrawing.id)).to.have.length(1)
+    })
+})
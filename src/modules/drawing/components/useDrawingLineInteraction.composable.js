@@ -7,7 +7,7 @@ export default function useDrawingLineInteraction({
     featureType = EditableFeatureTypes.LINEPOLYGON,
     drawEndCallback = null,
 }) {
-    const { removeLastPoint } = useDrawingModeInteraction({
+    const { removeLastPoint, addFeatureFromCoordinates } = useDrawingModeInteraction({
         geometryType: 'Polygon',
         editingStyle: style,
         editableFeatureArgs: {
@@ -20,5 +20,6 @@ export default function useDrawingLineInteraction({
 
     return {
         removeLastPoint,
+        addFeatureFromCoordinates,
     }
 }
@@ -1,8 +1,8 @@
 import { primaryAction } from 'ol/events/condition'
+import Feature from 'ol/Feature'
 import GeoJSON from 'ol/format/GeoJSON'
-import { LineString, Polygon } from 'ol/geom'
+import { LineString, Point, Polygon } from 'ol/geom'
 import DrawInteraction from 'ol/interaction/Draw'
-import SnapInteraction from 'ol/interaction/Snap'
 import { getUid } from 'ol/util'
 import { computed, inject, nextTick, onBeforeUnmount, onMounted, ref } from 'vue'
 import { useStore } from 'vuex'
@@ -10,6 +10,7 @@ import { useStore } from 'vuex'
 import EditableFeature from '@/api/features/EditableFeature.class'
 import { EditableFeatureTypes } from '@/api/features/EditableFeature.class'
 import { DEFAULT_MARKER_TITLE_OFFSET } from '@/api/icon.api'
+import useDrawingSnapping from '@/modules/drawing/components/useDrawingSnapping.composable'
 import { editingFeatureStyleFunction } from '@/modules/drawing/lib/style'
 import useSaveKmlOnChange from '@/modules/drawing/useKmlDataManagement.composable'
 import { wrapXCoordinates } from '@/utils/coordinates/coordinateUtils'
@@ -25,6 +26,8 @@ export default function useDrawingModeInteraction({
     editableFeatureArgs = {},
     useGeodesicDrawing = false,
     snapping = false,
+    geometryFunction = undefined,
+    freehand = false,
     drawEndCallback = null,
 }) {
     const counterLinePolyPoints = ref(0)
@@ -38,19 +41,22 @@ export default function useDrawingModeInteraction({
     const store = useStore()
     const projection = computed(() => store.state.position.projection)
 
+    const { snappingSource, addSnapInteraction, removeSnapInteraction } = useDrawingSnapping()
+
     const interaction = new DrawInteraction({
         style: editingStyle,
         type: geometryType,
+        geometryFunction,
+        freehand,
         source: drawingLayer.getSource(),
+        // when tracing is enabled, we can trace along any feature we are able to snap on
+        traceSource: snappingSource,
         minPoints: 2, // As by default polygon geometries require at least 3 points
         stopClick: true,
         // only left-click to draw (primaryAction)
         condition: (e) => primaryAction(e),
         wrapX: true,
     })
-    const snapInteraction = new SnapInteraction({
-        source: drawingLayer.getSource(),
-    })
 
     onMounted(() => {
         interaction.setActive(true)
@@ -61,7 +67,7 @@ export default function useDrawingModeInteraction({
 
         olMap.addInteraction(interaction)
         if (snapping) {
-            olMap.addInteraction(snapInteraction)
+            addSnapInteraction(interaction)
             // registering events on the interaction created by the other mixin
             interaction.on('drawstart', onDrawStartResetPointCounter)
             interaction.getOverlay().getSource().on('addfeature', checkIfSnapping)
@@ -72,7 +78,7 @@ export default function useDrawingModeInteraction({
         if (snapping) {
             interaction.getOverlay().getSource().un('addfeature', checkIfSnapping)
             interaction.un('drawstart', onDrawStartResetPointCounter)
-            olMap.removeInteraction(snapInteraction)
+            removeSnapInteraction()
         }
     })
 
@@ -161,6 +167,50 @@ export default function useDrawingModeInteraction({
             // so we transform the drawn polygon into a linestring
             feature.setGeometry(new LineString(coordinates))
         }
+        if (freehand) {
+            // freehand lines have a vertex for each pointer move, keeping only the ones that are
+            // visible at the current zoom level
+            feature.setGeometry(feature.getGeometry().simplify(olMap.getView().getResolution()))
+        }
+        // see https://openlayers.org/en/latest/apidoc/module-ol_interaction_Draw-Draw.html#finishDrawing
+        interaction.finishDrawing()
+        completeFeature(feature)
+    }
+
+    /**
+     * Add a feature to the drawing from coordinates entered by the user, as if it had been drawn on
+     * the map
+     *
+     * @param {Number[][]} coordinates Coordinates of the feature, expressed in the current
+     *   projection. A line whose last coordinate is the same as its first becomes a polygon.
+     */
+    function addFeatureFromCoordinates(coordinates) {
+        // discarding what the user may have started to draw with the mouse
+        interaction.abortDrawing()
+        let geometry
+        if (geometryType === 'Point') {
+            geometry = new Point(coordinates[0])
+        } else if (
+            coordinates.length > 3 &&
+            coordinates[0].every((value, index) => value === coordinates.at(-1)[index])
+        ) {
+            geometry = new Polygon([coordinates])
+        } else {
+            geometry = new LineString(coordinates)
+        }
+        const feature = new Feature(geometry)
+        onAddFeature({ feature })
+        onDrawStart({ feature })
+        drawingLayer.getSource().addFeature(feature)
+        completeFeature(feature)
+    }
+
+    /**
+     * Finalize a newly created feature (styling, coordinates, etc...) and add it to the drawing
+     *
+     * @param {Feature} feature
+     */
+    function completeFeature(feature) {
         /* Normalize the coordinates, as the modify interaction is configured to operate only
         between -180 and 180 deg (so that the features can be modified even if the view is of
         by 360deg) */
@@ -172,6 +222,12 @@ export default function useDrawingModeInteraction({
         editableFeature.setCoordinatesFromFeature(feature)
         // setting the geometry too so that the floating popup can be placed correctly on the map
         editableFeature.geometry = new GeoJSON().writeGeometryObject(geometry)
+        if (geometry.get('radius')) {
+            // circles are stored as polygons in the KML, their radius is kept as extended data
+            const radius = Math.round(geometry.get('radius') * 100) / 100
+            editableFeature.radius = radius
+            feature.set('radius', radius)
+        }
 
         // removing the flag we've set above in onDrawStart (this feature is now drawn)
         feature.unset('isDrawing')
@@ -179,8 +235,6 @@ export default function useDrawingModeInteraction({
         // This function will be automatically recalled every time the feature object is modified or rerendered.
         // (so there is no need to recall setstyle after modifying an extended property)
         feature.setStyle(featureStyleFunction)
-        // see https://openlayers.org/en/latest/apidoc/module-ol_interaction_Draw-Draw.html#finishDrawing
-        interaction.finishDrawing()
         store.dispatch('addDrawingFeature', { featureId: feature.getId(), ...dispatcher })
         store.dispatch('setDrawingMode', { mode: null, ...dispatcher })
         if (drawEndCallback) {
@@ -223,5 +277,6 @@ export default function useDrawingModeInteraction({
 
     return {
         removeLastPoint,
+        addFeatureFromCoordinates,
     }
 }
@@ -0,0 +1,175 @@
+import Feature from 'ol/Feature'
+import SnapInteraction from 'ol/interaction/Snap'
+import { unByKey } from 'ol/Observable'
+import VectorSource from 'ol/source/Vector'
+import { computed, inject, watch } from 'vue'
+import { useStore } from 'vuex'
+
+import LayerTypes from '@/api/layers/LayerTypes.enum'
+import { SnappingModes } from '@/store/modules/drawing.store'
+import log from '@/utils/logging'
+
+/** Types of layer whose features can be snapped on or traced along while drawing */
+const SNAPPABLE_LAYER_TYPES = [
+    LayerTypes.KML,
+    LayerTypes.GPX,
+    LayerTypes.GEOJSON,
+    LayerTypes.VECTOR_FILE,
+]
+
+/**
+ * Gathers the features of the drawing and of all visible vector layers into one source, on which
+ * new vertices can be snapped (following the snapping configuration of the store) and along which a
+ * draw interaction can trace (see {@link DrawInteraction#setTrace}).
+ *
+ * The gathered features are proxies sharing their geometry with the original ones, so that features
+ * with the same ID coming from different layers can coexist in the snapping source.
+ *
+ * The snap interaction must be added to the map after the draw interaction, so that it receives the
+ * map events first. This is why it isn't added on mount but through {@link addSnapInteraction}.
+ */
+export default function useDrawingSnapping() {
+    const drawingLayer = inject('drawingLayer')
+    const olMap = inject('olMap')
+
+    const store = useStore()
+    const snappingMode = computed(() => store.state.drawing.snapping.mode)
+    const snappingTolerance = computed(() => store.state.drawing.snapping.tolerance)
+    const isTracing = computed(() => store.state.drawing.tracing)
+    const snappableLayerIds = computed(() =>
+        store.getters.visibleLayers
+            .filter((layer) => SNAPPABLE_LAYER_TYPES.includes(layer.type))
+            .map((layer) => layer.id)
+    )
+
+    const snappingSource = new VectorSource()
+    /**
+     * Sources whose features are currently mirrored in the snapping source, with the proxies of
+     * their features and the listener keys to unregister once the source isn't followed anymore
+     *
+     * @type {Map<VectorSource, { proxies: Map<Feature, Feature>; listenerKeys: Object[] }>}
+     */
+    const followedSources = new Map()
+    let drawInteraction = null
+    let snapInteraction = null
+
+    // waiting for the DOM to be updated, so that the OpenLayers layers of new layers exist
+    watch(
+        snappableLayerIds,
+        () => {
+            if (drawInteraction) {
+                updateFollowedSources()
+            }
+        },
+        { flush: 'post' }
+    )
+    watch([snappingMode, snappingTolerance], () => {
+        if (drawInteraction) {
+            updateSnapInteraction()
+        }
+    })
+    watch(isTracing, (tracing) => drawInteraction?.setTrace(tracing))
+
+    function addProxy(proxies, feature) {
+        if (!feature.getGeometry() || proxies.has(feature)) {
+            return
+        }
+        const proxy = new Feature(feature.getGeometry())
+        proxies.set(feature, proxy)
+        snappingSource.addFeature(proxy)
+    }
+
+    function removeProxy(proxies, feature) {
+        const proxy = proxies.get(feature)
+        if (proxy) {
+            proxies.delete(feature)
+            snappingSource.removeFeature(proxy)
+        }
+    }
+
+    function removeAllProxies(proxies) {
+        proxies.forEach((proxy) => snappingSource.removeFeature(proxy))
+        proxies.clear()
+    }
+
+    function followSource(source) {
+        const proxies = new Map()
+        source.getFeatures().forEach((feature) => addProxy(proxies, feature))
+        const listenerKeys = [
+            source.on('addfeature', (event) => addProxy(proxies, event.feature)),
+            source.on('removefeature', (event) => removeProxy(proxies, event.feature)),
+            source.on('clear', () => removeAllProxies(proxies)),
+        ]
+        followedSources.set(source, { proxies, listenerKeys })
+    }
+
+    function unfollowSource(source) {
+        const { proxies, listenerKeys } = followedSources.get(source)
+        unByKey(listenerKeys)
+        removeAllProxies(proxies)
+        followedSources.delete(source)
+    }
+
+    function updateFollowedSources() {
+        const sources = [
+            drawingLayer.getSource(),
+            ...olMap
+                .getAllLayers()
+                .filter((olLayer) => snappableLayerIds.value.includes(olLayer.get('id')))
+                .map((olLayer) => olLayer.getSource())
+                .filter((source) => source instanceof VectorSource),
+        ]
+        Array.from(followedSources.keys())
+            .filter((source) => !sources.includes(source))
+            .forEach(unfollowSource)
+        sources
+            .filter((source) => !followedSources.has(source))
+            .forEach((source) => followSource(source))
+        log.debug(`Snapping on ${snappingSource.getFeatures().length} feature(s)`)
+    }
+
+    function updateSnapInteraction() {
+        if (snapInteraction) {
+            olMap.removeInteraction(snapInteraction)
+            snapInteraction = null
+        }
+        if (snappingMode.value !== SnappingModes.OFF) {
+            snapInteraction = new SnapInteraction({
+                source: snappingSource,
+                vertex: true,
+                edge: snappingMode.value === SnappingModes.EDGE,
+                pixelTolerance: snappingTolerance.value,
+            })
+            olMap.addInteraction(snapInteraction)
+        }
+    }
+
+    /**
+     * Start snapping (and tracing if enabled) for the given draw interaction. The draw interaction
+     * must have been created with {@link snappingSource} as trace source, and be already added to
+     * the map.
+     *
+     * @param {DrawInteraction} interaction
+     */
+    function addSnapInteraction(interaction) {
+        drawInteraction = interaction
+        updateFollowedSources()
+        updateSnapInteraction()
+        drawInteraction.setTrace(isTracing.value)
+    }
+
+    function removeSnapInteraction() {
+        if (snapInteraction) {
+            olMap.removeInteraction(snapInteraction)
+            snapInteraction = null
+        }
+        Array.from(followedSources.keys()).forEach(unfollowSource)
+        drawInteraction = null
+    }
+
+    return {
+        snappingSource,
+        addSnapInteraction,
+        removeSnapInteraction,
+    }
+}
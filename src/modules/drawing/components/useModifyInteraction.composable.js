@@ -1,3 +1,4 @@
+import Collection from 'ol/Collection'
 import { noModifierKeys, singleClick } from 'ol/events/condition'
 import GeoJSON from 'ol/format/GeoJSON'
 import ModifyInteraction from 'ol/interaction/Modify'
@@ -21,7 +22,8 @@ const cursorGrabbingClass = 'cursor-grabbing'
  * also enable point deletion with a right click.
  *
  * This component needs to have access to the selected features from the select interaction (it gets
- * them through a prop coupling)
+ * them through a prop coupling). Features with a fixed shape (circles and rectangles) are left out,
+ * as moving one of their vertices would break their shape.
  */
 export default function useModifyInteraction(features) {
     const store = useStore()
@@ -30,8 +32,10 @@ export default function useModifyInteraction(features) {
 
     const { willModify, debounceSaveDrawing } = useSaveKmlOnChange()
 
+    const modifiableFeatures = new Collection(features.getArray().filter(isModifiable))
+
     const modifyInteraction = new ModifyInteraction({
-        features,
+        features: modifiableFeatures,
         style: editingVertexStyleFunction,
         deleteCondition: (event) => noModifierKeys(event) && singleClick(event),
         // This seems to be calculated differently than the hitTolerance properties of
@@ -55,6 +59,8 @@ export default function useModifyInteraction(features) {
     })
 
     onMounted(() => {
+        features.on('add', onSelectedFeatureAdd)
+        features.on('remove', onSelectedFeatureRemove)
         modifyInteraction.on('modifystart', onModifyStart)
         modifyInteraction.on('modifyend', onModifyEnd)
         olMap.addInteraction(modifyInteraction)
@@ -63,8 +69,22 @@ export default function useModifyInteraction(features) {
         olMap.removeInteraction(modifyInteraction)
         modifyInteraction.un('modifyend', onModifyEnd)
         modifyInteraction.un('modifystart', onModifyStart)
+        features.un('remove', onSelectedFeatureRemove)
+        features.un('add', onSelectedFeatureAdd)
     })
 
+    function isModifiable(feature) {
+        return !feature.get('editableFeature')?.hasFixedShape()
+    }
+    function onSelectedFeatureAdd(event) {
+        if (isModifiable(event.element)) {
+            modifiableFeatures.push(event.element)
+        }
+    }
+    function onSelectedFeatureRemove(event) {
+        modifiableFeatures.remove(event.element)
+    }
+
     function onModifyStart(event) {
         const [feature] = event.features.getArray()
 
@@ -0,0 +1,73 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it } from 'vitest'
+
+import DrawingHistory from '@/modules/drawing/lib/drawingHistory'
+
+describe('Test drawing history', () => {
+    let history
+    beforeEach(() => {
+        history = new DrawingHistory(3, 1000)
+        history.reset('initial')
+    })
+    it('starts without any undo or redo step', () => {
+        expect(history.current).to.eq('initial')
+        expect(history.canUndo).to.be.false
+        expect(history.canRedo).to.be.false
+        expect(history.undo()).to.be.null
+        expect(history.redo()).to.be.null
+    })
+    it('undoes and redoes recorded changes', () => {
+        expect(history.record('first', 0)).to.be.true
+        expect(history.record('second', 2000)).to.be.true
+        expect(history.undo()).to.eq('first')
+        expect(history.undo()).to.eq('initial')
+        expect(history.canUndo).to.be.false
+        expect(history.redo()).to.eq('first')
+        expect(history.redo()).to.eq('second')
+        expect(history.canRedo).to.be.false
+    })
+    it('ignores snapshots identical to the current state', () => {
+        history.record('first', 0)
+        expect(history.record('first', 5000)).to.be.false
+        history.undo()
+        // recording the restored state must not drop the redo step
+        expect(history.record('initial', 10000)).to.be.false
+        expect(history.canRedo).to.be.true
+    })
+    it('drops redo steps when a new change is recorded', () => {
+        history.record('first', 0)
+        history.undo()
+        history.record('other', 2000)
+        expect(history.canRedo).to.be.false
+        expect(history.undo()).to.eq('initial')
+    })
+    it('merges changes recorded in quick succession', () => {
+        history.record('t', 0)
+        history.record('ti', 300)
+        history.record('tit', 600)
+        expect(history.undo()).to.eq('initial')
+        expect(history.redo()).to.eq('tit')
+        // after an undo/redo, the next change is always a new step
+        history.record('title', 700)
+        expect(history.undo()).to.eq('tit')
+    })
+    it('never merges a change with the initial state', () => {
+        history.record('first', 0)
+        expect(history.undo()).to.eq('initial')
+    })
+    it('keeps only a limited number of steps', () => {
+        history.record('first', 0)
+        history.record('second', 2000)
+        history.record('third', 4000)
+        expect(history.undo()).to.eq('second')
+        expect(history.undo()).to.eq('first')
+        expect(history.canUndo).to.be.false
+    })
+    it('replaces the current state without creating a new step', () => {
+        history.record('first', 0)
+        history.replaceCurrent('first (reformatted)')
+        expect(history.current).to.eq('first (reformatted)')
+        expect(history.undo()).to.eq('initial')
+        expect(history.redo()).to.eq('first (reformatted)')
+    })
+})
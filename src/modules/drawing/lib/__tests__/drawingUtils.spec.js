@@ -0,0 +1,81 @@
+import { expect } from 'chai'
+import { Point, Polygon } from 'ol/geom'
+import proj4 from 'proj4'
+import { describe, it } from 'vitest'
+
+import { EditableFeatureTypes } from '@/api/features/EditableFeature.class'
+import {
+    createGeodesicCircleGeometryFunction,
+    createMarkerFeatures,
+} from '@/modules/drawing/lib/drawingUtils'
+import { LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { computeGeodesicDistance } from '@/utils/geodesicManager'
+
+describe('Test drawing utils', () => {
+    describe('createGeodesicCircleGeometryFunction', () => {
+        const geometryFunction = createGeodesicCircleGeometryFunction(LV95)
+        const center = [2600000, 1200000]
+        const centerWgs84 = proj4(LV95.epsg, WGS84.epsg, center)
+
+        it('generates a polygon around the first coordinate with its radius', () => {
+            const geometry = geometryFunction([center, [2600500, 1200000]])
+            expect(geometry).to.be.instanceOf(Polygon)
+            expect(geometry.get('radius')).to.be.closeTo(500, 1)
+            geometry.getCoordinates()[0].forEach((coordinate) => {
+                expect(
+                    computeGeodesicDistance(centerWgs84, proj4(LV95.epsg, WGS84.epsg, coordinate))
+                ).to.be.closeTo(geometry.get('radius'), 0.01)
+            })
+        })
+        it('updates the given geometry', () => {
+            const geometry = geometryFunction([center, [2600500, 1200000]])
+            const updatedGeometry = geometryFunction([center, [2601000, 1200000]], geometry)
+            expect(updatedGeometry).to.eq(geometry)
+            expect(updatedGeometry.get('radius')).to.be.closeTo(1000, 1)
+        })
+    })
+    describe('createMarkerFeatures', () => {
+        it('creates a marker for each point of the GeoJSON data', () => {
+            const markers = createMarkerFeatures(
+                {
+                    type: 'FeatureCollection',
+                    features: [
+                        {
+                            type: 'Feature',
+                            geometry: { type: 'Point', coordinates: [7.438632, 46.951082] },
+                            properties: { label: 'Bern' },
+                        },
+                        {
+                            type: 'Feature',
+                            geometry: {
+                                type: 'LineString',
+                                coordinates: [
+                                    [7, 46],
+                                    [8, 47],
+                                ],
+                            },
+                            properties: {},
+                        },
+                        {
+                            type: 'Feature',
+                            geometry: { type: 'Point', coordinates: [7.5, 47] },
+                            properties: {},
+                        },
+                    ],
+                },
+                LV95,
+                null
+            )
+            expect(markers).to.have.length(2)
+            expect(markers[0].getId()).to.not.eq(markers[1].getId())
+            expect(markers[0].getGeometry()).to.be.instanceOf(Point)
+            const [x, y] = markers[0].getGeometry().getCoordinates()
+            expect(x).to.be.closeTo(2600000, 1)
+            expect(y).to.be.closeTo(1200000, 1)
+            const editableFeature = markers[0].get('editableFeature')
+            expect(editableFeature.featureType).to.eq(EditableFeatureTypes.MARKER)
+            expect(editableFeature.title).to.eq('Bern')
+            expect(markers[1].get('editableFeature').title).to.eq('')
+        })
+    })
+})
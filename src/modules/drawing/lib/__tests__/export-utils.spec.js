@@ -0,0 +1,166 @@
+import { expect } from 'chai'
+import Feature from 'ol/Feature'
+import { LineString, Point, Polygon } from 'ol/geom'
+import { describe, it } from 'vitest'
+
+import EditableFeature, { EditableFeatureTypes } from '@/api/features/EditableFeature.class'
+import KMLLayer from '@/api/layers/KMLLayer.class'
+import { getServiceKmlBaseUrl } from '@/config/baseUrl.config'
+import {
+    generateCsvString,
+    generateGeoJsonString,
+    generateKmlString,
+} from '@/modules/drawing/lib/export-utils'
+import { LV95, WEBMERCATOR, WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { BLUE } from '@/utils/featureStyleUtils'
+import { parseKml } from '@/utils/kmlUtils'
+
+function createFeature(id, geometry, featureType, title = '', description = '') {
+    const feature = new Feature(geometry)
+    feature.setId(id)
+    feature.setProperties({
+        editableFeature: new EditableFeature({
+            id,
+            featureType,
+            title,
+            description,
+            fillColor: BLUE,
+        }),
+        type: featureType.toLowerCase(),
+    })
+    return feature
+}
+
+const marker = createFeature(
+    'marker',
+    new Point([2600000.123, 1200000.456]),
+    EditableFeatureTypes.MARKER,
+    'Bern',
+    'Federal city, "capital"'
+)
+const annotation = createFeature(
+    'annotation',
+    new Point([2500000, 1100000]),
+    EditableFeatureTypes.ANNOTATION,
+    'Some text'
+)
+const line = createFeature(
+    'line',
+    new LineString([
+        [2600000, 1200000],
+        [2600100, 1200100],
+    ]),
+    EditableFeatureTypes.LINEPOLYGON
+)
+
+describe('Test drawing export utils', () => {
+    describe('generateGeoJsonString', () => {
+        it('exports features in WGS84 with plain properties', () => {
+            const geoJson = JSON.parse(generateGeoJsonString(LV95, [marker, line]))
+            expect(geoJson.type).to.eq('FeatureCollection')
+            expect(geoJson.crs).to.be.undefined
+            expect(geoJson.features).to.have.length(2)
+            const [exportedMarker, exportedLine] = geoJson.features
+            expect(exportedMarker.id).to.eq('marker')
+            expect(exportedMarker.properties.editableFeature).to.be.undefined
+            expect(exportedMarker.properties.name).to.eq('Bern')
+            expect(exportedMarker.properties.description).to.eq('Federal city, "capital"')
+            expect(exportedMarker.properties.fillColor).to.eq(BLUE.fill)
+            expect(exportedMarker.properties.type).to.eq('marker')
+            const [lon, lat] = exportedMarker.geometry.coordinates
+            expect(lon).to.be.closeTo(7.43863, 0.0001)
+            expect(lat).to.be.closeTo(46.95108, 0.0001)
+            expect(exportedLine.geometry.type).to.eq('LineString')
+        })
+        it('exports features in LV95 with a CRS member', () => {
+            const geoJson = JSON.parse(generateGeoJsonString(LV95, [marker], LV95))
+            expect(geoJson.crs.properties.name).to.eq(LV95.epsg)
+            expect(geoJson.features[0].geometry.coordinates).to.deep.eq([2600000.123, 1200000.456])
+        })
+    })
+    describe('generateCsvString', () => {
+        it('exports only markers and texts, with coordinates in the current projection', () => {
+            const lines = generateCsvString(LV95, [marker, line, annotation]).split('\r\n')
+            expect(lines).to.deep.eq([
+                'type,title,description,x,y,epsg',
+                'marker,Bern,"Federal city, ""capital""",2600000.12,1200000.46,EPSG:2056',
+                'annotation,Some text,,2500000,1100000,EPSG:2056',
+            ])
+        })
+        it('rounds coordinates according to the projection', () => {
+            const webMercatorMarker = createFeature(
+                'wm',
+                new Point([828064.123456, 5934093.987654]),
+                EditableFeatureTypes.MARKER
+            )
+            expect(generateCsvString(WEBMERCATOR, [webMercatorMarker]).split('\r\n')[1]).to.eq(
+                'marker,,,828064.12,5934093.99,EPSG:3857'
+            )
+            const wgs84Marker = createFeature(
+                'wgs84',
+                new Point([7.123456789, 46.987654321]),
+                EditableFeatureTypes.MARKER
+            )
+            expect(generateCsvString(WGS84, [wgs84Marker]).split('\r\n')[1]).to.eq(
+                'marker,,,7.123457,46.987654,EPSG:4326'
+            )
+        })
+        it('only outputs the header when there is no point feature', () => {
+            expect(generateCsvString(LV95, [line])).to.eq('type,title,description,x,y,epsg')
+        })
+    })
+    describe('generateKmlString', () => {
+        it('round-trips circles, rectangles and freehand lines', () => {
+            const circle = createFeature(
+                'circle',
+                new Polygon([
+                    [
+                        [830000, 5930000],
+                        [830100, 5930000],
+                        [830100, 5930100],
+                        [830000, 5930000],
+                    ],
+                ]),
+                EditableFeatureTypes.CIRCLE
+            )
+            circle.set('radius', 123.45)
+            const rectangle = createFeature(
+                'rectangle',
+                new Polygon([
+                    [
+                        [830000, 5930000],
+                        [830100, 5930000],
+                        [830100, 5930100],
+                        [830000, 5930100],
+                        [830000, 5930000],
+                    ],
+                ]),
+                EditableFeatureTypes.RECTANGLE
+            )
+            const freehand = createFeature(
+                'freehand',
+                new LineString([
+                    [830000, 5930000],
+                    [830050, 5930020],
+                    [830100, 5930000],
+                ]),
+                EditableFeatureTypes.FREEHAND
+            )
+            const kmlLayer = new KMLLayer({
+                kmlFileUrl: getServiceKmlBaseUrl(), // so that it is not considered external
+                kmlData: generateKmlString(WEBMERCATOR, [circle, rectangle, freehand]),
+            })
+            const editableFeatures = parseKml(kmlLayer, WEBMERCATOR, []).map((feature) =>
+                feature.get('editableFeature')
+            )
+            expect(editableFeatures.map((feature) => feature.featureType)).to.deep.eq([
+                EditableFeatureTypes.CIRCLE,
+                EditableFeatureTypes.RECTANGLE,
+                EditableFeatureTypes.FREEHAND,
+            ])
+            expect(editableFeatures[0].radius).to.eq(123.45)
+            expect(editableFeatures[1].radius).to.be.null
+            expect(editableFeatures[2].fillColor).to.eq(BLUE)
+        })
+    })
+})
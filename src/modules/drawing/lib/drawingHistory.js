@@ -0,0 +1,109 @@
+/**
+ * Undo/redo history of a drawing.
+ *
+ * Each entry is a full snapshot of the drawing (its KML content), the last entry always being the
+ * current state of the drawing. Snapshots recorded in quick succession (e.g. while the user is
+ * typing a title) are merged together, so that one undo reverts the whole burst of changes.
+ */
+export default class DrawingHistory {
+    /**
+     * @param {Number} [maxSize=50] Maximum number of snapshots kept in the history. Oldest ones are
+     *   discarded first. Default is `50`
+     * @param {Number} [mergeDelay=1000] Delay (in milliseconds) under which a new snapshot will
+     *   replace the previous one instead of creating a new undo step. Default is `1000`
+     */
+    constructor(maxSize = 50, mergeDelay = 1000) {
+        this.maxSize = maxSize
+        this.mergeDelay = mergeDelay
+        /** @type {String[]} */
+        this.undoStack = []
+        /** @type {String[]} */
+        this.redoStack = []
+        this.lastRecordTime = null
+    }
+
+    /** @returns {String | null} The snapshot describing the current state of the drawing */
+    get current() {
+        return this.undoStack[this.undoStack.length - 1] ?? null
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 1
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0
+    }
+
+    /**
+     * Clear the history and start from the given state
+     *
+     * @param {String} initialSnapshot
+     */
+    reset(initialSnapshot) {
+        this.undoStack = [initialSnapshot]
+        this.redoStack = []
+        this.lastRecordTime = null
+    }
+
+    /**
+     * Record a new state of the drawing. Nothing is recorded if the state didn't change. Any redo
+     * step is lost as soon as a new state is recorded.
+     *
+     * @param {String} snapshot
+     * @param {Number} [now=Date.now()] Timestamp of this change. Default is `Date.now()`
+     * @returns {Boolean} True if the history has changed
+     */
+    record(snapshot, now = Date.now()) {
+        if (snapshot === this.current) {
+            return false
+        }
+        const mergeWithPrevious =
+            this.undoStack.length > 1 &&
+            this.lastRecordTime !== null &&
+            now - this.lastRecordTime < this.mergeDelay
+        if (mergeWithPrevious) {
+            this.undoStack[this.undoStack.length - 1] = snapshot
+        } else {
+            this.undoStack.push(snapshot)
+            if (this.undoStack.length > this.maxSize) {
+                this.undoStack.shift()
+            }
+        }
+        this.redoStack = []
+        this.lastRecordTime = now
+        return true
+    }
+
+    /**
+     * Replace the current state without creating a new undo step (e.g. when the restored state is
+     * serialized slightly differently than the recorded one)
+     *
+     * @param {String} snapshot
+     */
+    replaceCurrent(snapshot) {
+        if (this.undoStack.length > 0) {
+            this.undoStack[this.undoStack.length - 1] = snapshot
+        }
+    }
+
+    /** @returns {String | null} The state to go back to, or null if there is nothing to undo */
+    undo() {
+        if (!this.canUndo) {
+            return null
+        }
+        this.redoStack.push(this.undoStack.pop())
+        this.lastRecordTime = null
+        return this.current
+    }
+
+    /** @returns {String | null} The state to go forward to, or null if there is nothing to redo */
+    redo() {
+        if (!this.canRedo) {
+            return null
+        }
+        this.undoStack.push(this.redoStack.pop())
+        this.lastRecordTime = null
+        return this.current
+    }
+}
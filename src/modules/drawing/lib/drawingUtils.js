@@ -1,4 +1,11 @@
-import { LineString, Polygon } from 'ol/geom'
+import Feature from 'ol/Feature'
+import { LineString, Point, Polygon } from 'ol/geom'
+import proj4 from 'proj4'
+
+import EditableFeature, { EditableFeatureTypes } from '@/api/features/EditableFeature.class'
+import { DEFAULT_MARKER_TITLE_OFFSET } from '@/api/icon.api'
+import { WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { computeGeodesicCircleCoordinates, computeGeodesicDistance } from '@/utils/geodesicManager'
 
 /**
  * Checks if point is at target within tolerance.
@@ -43,3 +50,68 @@ export function getVertexCoordinates(feature) {
 
     return normalized
 }
+
+/**
+ * Geometry function for the draw interaction of type "Circle", generating a geodesic circle (see
+ * {@link computeGeodesicCircleCoordinates}) instead of a circle on the projected map.
+ *
+ * The radius (in meters) of the circle is set as the "radius" property of the generated polygon.
+ *
+ * @param {CoordinateSystem} projection Projection of the drawn coordinates
+ * @returns {GeometryFunction}
+ */
+export function createGeodesicCircleGeometryFunction(projection) {
+    return (coordinates, geometry) => {
+        const center = proj4(projection.epsg, WGS84.epsg, coordinates[0])
+        const radius = computeGeodesicDistance(
+            center,
+            proj4(projection.epsg, WGS84.epsg, coordinates[coordinates.length - 1])
+        )
+        const outline = computeGeodesicCircleCoordinates(center, radius).map((coordinate) =>
+            proj4(WGS84.epsg, projection.epsg, coordinate)
+        )
+        if (geometry) {
+            geometry.setCoordinates([outline])
+        } else {
+            geometry = new Polygon([outline])
+        }
+        geometry.set('radius', radius)
+        return geometry
+    }
+}
+
+/**
+ * Creates drawing markers out of the points of some GeoJSON data, the same way they would be
+ * created by the marker drawing mode. The `label` property of each point is used as the marker's
+ * title.
+ *
+ * @param {Object} geoJsonData GeoJSON FeatureCollection, expressed in WGS84
+ * @param {CoordinateSystem} projection Projection of the drawing
+ * @param {DrawingIcon | null} icon Icon of the markers
+ * @returns {Feature[]}
+ */
+export function createMarkerFeatures(geoJsonData, projection, icon) {
+    // same ID format as the features drawn by the user, with an index to keep them unique
+    const idPrefix = `drawing_feature_${Math.trunc(Date.now() / 1000)}_`
+    return (geoJsonData?.features ?? [])
+        .filter((geoJsonFeature) => geoJsonFeature.geometry?.type === 'Point')
+        .map((geoJsonFeature, index) => {
+            const id = `${idPrefix}${index}`
+            const feature = new Feature(
+                new Point(proj4(WGS84.epsg, projection.epsg, geoJsonFeature.geometry.coordinates))
+            )
+            feature.setId(id)
+            feature.setProperties({
+                editableFeature: new EditableFeature({
+                    id,
+                    featureType: EditableFeatureTypes.MARKER,
+                    title: `${geoJsonFeature.properties?.label ?? ''}`,
+                    icon,
+                    textOffset: DEFAULT_MARKER_TITLE_OFFSET,
+                }),
+                type: EditableFeatureTypes.MARKER.toLowerCase(),
+                textOffset: DEFAULT_MARKER_TITLE_OFFSET.toString(),
+            })
+            return feature
+        })
+}
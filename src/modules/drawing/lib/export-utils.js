@@ -1,9 +1,12 @@
+import axios from 'axios'
+import JSZip from 'jszip'
 import Feature from 'ol/Feature'
-import { GPX } from 'ol/format'
+import { GeoJSON, GPX } from 'ol/format'
 import { LineString, Polygon } from 'ol/geom'
 import { Circle, Icon } from 'ol/style'
 import Style from 'ol/style/Style'
 
+import { EditableFeatureTypes } from '@/api/features/EditableFeature.class'
 import i18n from '@/modules/i18n/index'
 import { WGS84 } from '@/utils/coordinates/coordinateSystems'
 import { featureStyleFunction } from '@/utils/featureStyleUtils'
@@ -14,6 +17,7 @@ import KML from '@/utils/ol/format/KML'
 
 const kmlFormat = new KML()
 const gpxFormat = new GPX()
+const geoJsonFormat = new GeoJSON()
 
 /**
  * Enum that lists all possible saving statuses.
@@ -139,3 +143,139 @@ export function generateKmlString(projection, features = []) {
     }
     return kmlString
 }
+
+/**
+ * Returns a string representing the features given in param as a GeoJSON FeatureCollection.
+ *
+ * Styling and textual information are taken from the editable feature and written as plain
+ * properties, so that they can be used by other GIS software. When exporting in another coordinate
+ * system than WGS84, a (legacy) "crs" member is added to the FeatureCollection.
+ *
+ * @param {CoordinateSystem} projection Coordinate system of the features
+ * @param {Feature[]} features Features (OpenLayers) to be converted to GeoJSON format
+ * @param {CoordinateSystem} outputProjection Coordinate system in which the GeoJSON is written
+ * @returns {string}
+ */
+export function generateGeoJsonString(projection, features = [], outputProjection = WGS84) {
+    log.debug(`Generate GeoJSON for ${features.length} features in ${outputProjection.epsg}`)
+    const exportFeatures = features.map((feature) => {
+        const clone = feature.clone()
+        clone.setId(feature.getId())
+        // the editable feature and geodesic instances aren't serializable, we replace them by
+        // their plain values
+        clone.unset('editableFeature')
+        clone.unset('geodesic')
+        const editableFeature = feature.get('editableFeature')
+        if (editableFeature) {
+            clone.setProperties({
+                name: editableFeature.title,
+                description: editableFeature.description,
+                fillColor: editableFeature.fillColor?.fill,
+                textColor: editableFeature.textColor?.fill,
+                textSize: editableFeature.textSizeScale,
+                iconUrl: editableFeature.iconUrl,
+                iconSize: editableFeature.icon ? editableFeature.iconSizeScale : undefined,
+            })
+        }
+        return clone
+    })
+    const geoJson = geoJsonFormat.writeFeaturesObject(exportFeatures, {
+        dataProjection: outputProjection.epsg,
+        featureProjection: projection.epsg,
+    })
+    if (outputProjection.epsg !== WGS84.epsg) {
+        geoJson.crs = {
+            type: 'name',
+            properties: {
+                name: outputProjection.epsg,
+            },
+        }
+    }
+    return JSON.stringify(geoJson)
+}
+
+/**
+ * Returns a KMZ archive containing the features given in param as KML (doc.kml) and all icons
+ * referenced by these features (in the files/ folder), so that the KMZ can be used offline.
+ *
+ * Icons that can't be fetched are left as external links in the KML.
+ *
+ * @param {CoordinateSystem} projection Coordinate system of the features
+ * @param {Feature[]} features Features (OpenLayers) to be converted to KMZ format
+ * @returns {Promise<Blob>}
+ */
+export async function generateKmzBlob(projection, features = []) {
+    let kmlString = generateKmlString(projection, features)
+    const icons = {}
+    const iconHrefs = new Set(
+        [...kmlString.matchAll(/<href>(https?:\/\/[^<]+)<\/href>/g)].map((match) => match[1])
+    )
+    for (const href of iconHrefs) {
+        // the URL has been XML escaped when written in the KML
+        const url = href.replaceAll('&amp;', '&')
+        try {
+            const response = await axios.get(url, { responseType: 'arraybuffer' })
+            const iconPath = `files/icon_${Object.keys(icons).length}.png`
+            icons[iconPath] = response.data
+            kmlString = kmlString.replaceAll(`<href>${href}</href>`, `<href>${iconPath}</href>`)
+        } catch (error) {
+            log.error(`Could not fetch icon ${url} for the KMZ export, keeping the link`, error)
+        }
+    }
+    // As per the KMZ specification, the main KML must be the first file of the archive
+    // see https://developers.google.com/kml/documentation/kmzarchives
+    const kmz = new JSZip()
+    kmz.file('doc.kml', kmlString)
+    Object.entries(icons).forEach(([iconPath, data]) => kmz.file(iconPath, data))
+    return await kmz.generateAsync({
+        type: 'blob',
+        mimeType: 'application/vnd.google-earth.kmz',
+        compression: 'DEFLATE',
+    })
+}
+
+/**
+ * Escape a value so that it can be written in a CSV cell
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeCsvValue(value) {
+    const stringValue = `${value ?? ''}`
+    if (/[",;\r\n]/.test(stringValue)) {
+        return `"${stringValue.replaceAll('"', '""')}"`
+    }
+    return stringValue
+}
+
+/**
+ * Returns a CSV listing all markers and text features given in param, with their coordinates
+ * expressed in the given projection. Lines, polygons and measures are ignored.
+ *
+ * @param {CoordinateSystem} projection Coordinate system of the features (and of the exported
+ *   coordinates)
+ * @param {Feature[]} features Features (OpenLayers) to be converted to CSV
+ * @returns {string}
+ */
+export function generateCsvString(projection, features = []) {
+    const lines = [['type', 'title', 'description', 'x', 'y', 'epsg']]
+    features
+        .filter((feature) =>
+            [EditableFeatureTypes.MARKER, EditableFeatureTypes.ANNOTATION].includes(
+                feature.get('editableFeature')?.featureType
+            )
+        )
+        .forEach((feature) => {
+            const editableFeature = feature.get('editableFeature')
+            const [x, y] = feature.getGeometry().getCoordinates()
+            lines.push([
+                editableFeature.featureType.toLowerCase(),
+                editableFeature.title,
+                editableFeature.description,
+                projection.roundCoordinateValue(x),
+                projection.roundCoordinateValue(y),
+                projection.epsg,
+            ])
+        })
+    return lines.map((line) => line.map(escapeCsvValue).join(',')).join('\r\n')
+}
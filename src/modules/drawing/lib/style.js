@@ -51,7 +51,10 @@ export const editingFeatureStyleFunction = (feature, resolution) => {
         }),
     ]
     const geom = feature.getGeometry()
-    if (geom instanceof Polygon || geom instanceof LineString) {
+    if (
+        (geom instanceof Polygon || geom instanceof LineString) &&
+        !feature.get('editableFeature')?.hasFixedShape()
+    ) {
         // adding grabbing points at each edge so that the user can grab them and
         // modify the shape of the features (functionality is handled by the modify interaction,
         // this only adds the visual indicators so the user understands that the edges are
@@ -154,3 +157,23 @@ export function drawLineOrMeasureStyle(sketch, resolution, displayMeasures) {
         }
     }
 }
+
+/**
+ * This is the styling function used by the draw interaction when drawing a shape (circle, rectangle
+ * or freehand line). The vertices of those shapes aren't shown, as there are either too many of
+ * them or they can't be placed one by one.
+ *
+ * @param {any} sketch
+ * @returns
+ */
+export function drawShapeStyle(sketch) {
+    const geometry = sketch.getGeometry()
+    if (geometry.getType() === 'Point') {
+        return getSketchPointStyle(geometry.getCoordinates())
+    }
+    return new Style({
+        stroke: redStroke,
+        fill: whiteSketchFill,
+        zIndex: 20,
+    })
+}
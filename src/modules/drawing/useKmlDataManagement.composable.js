@@ -3,7 +3,9 @@ import { useStore } from 'vuex'
 
 import { createKml, getKmlUrl, updateKml } from '@/api/files.api'
 import KMLLayer from '@/api/layers/KMLLayer.class'
+import { createLocalDrawing, getLocalDrawing, updateLocalDrawing } from '@/api/localDrawings.api'
 import { IS_TESTING_WITH_CYPRESS } from '@/config/staging.config'
+import DrawingHistory from '@/modules/drawing/lib/drawingHistory'
 import { DrawingState, generateKmlString } from '@/modules/drawing/lib/export-utils'
 import { parseKml } from '@/utils/kmlUtils'
 import log from '@/utils/logging'
@@ -13,6 +15,153 @@ const dispatcher = { dispatcher: 'useKmlDataManagement.composable' }
 // ref/variables outside useSaveKmlOnChange function so that they may be shared between all usages of the usaSaveKmlOnChange
 let differSaveDrawingTimeout = null
 const saveState = ref(DrawingState.INITIAL)
+const history = new DrawingHistory()
+const canUndo = ref(false)
+const canRedo = ref(false)
+
+/**
+ * Saves the KML data of the drawing on the backend, either by updating the active KML layer (if the
+ * user is its owner, i.e. has its admin ID) or by creating a new KML that replaces it.
+ *
+ * @param {Vuex.Store} store
+ * @param {String} kmlData
+ */
+export async function saveOnlineDrawing(store, kmlData) {
+    const activeKmlLayer = store.getters.activeKmlLayer
+    if (!activeKmlLayer?.adminId) {
+        // creation of the new KML (copy or new)
+        const kmlMetadata = await createKml(kmlData)
+        const kmlLayer = new KMLLayer({
+            kmlFileUrl: getKmlUrl(kmlMetadata.id),
+            visible: true,
+            opacity: activeKmlLayer?.opacity, // re-use current KML layer opacity, or null
+            adminId: kmlMetadata.adminId,
+            kmlData: kmlData,
+            kmlMetadata: kmlMetadata,
+        })
+        // If there's already an activeKmlLayer, but without adminId, it means we are copying it and editing it.
+        // Meaning we must remove the old one from the layers; it will otherwise be there twice
+        // (once the pristine "old" KML, and once the new copy)
+        if (activeKmlLayer) {
+            await store.dispatch('removeLayer', {
+                layerId: activeKmlLayer.id,
+                ...dispatcher,
+            })
+        }
+        await store.dispatch('addLayer', {
+            layer: kmlLayer,
+            ...dispatcher,
+        })
+    } else {
+        // if a KMLLayer is already defined, we update it
+        const kmlMetadata = await updateKml(activeKmlLayer.fileId, activeKmlLayer.adminId, kmlData)
+        await store.dispatch('setKmlGpxLayerData', {
+            layerId: activeKmlLayer.id,
+            data: kmlData,
+            metadata: kmlMetadata,
+            ...dispatcher,
+        })
+    }
+}
+
+/**
+ * Saves the KML data of the drawing in a temporary KML (a system layer), for drawings that mustn't
+ * be saved on the backend (e.g. the drawing attached to a problem report)
+ *
+ * @param {Vuex.Store} store
+ * @param {String} kmlData
+ */
+async function saveTemporaryDrawing(store, kmlData) {
+    const temporaryKmlId = store.state.drawing.temporaryKmlId
+    const kmlLayer = new KMLLayer({
+        kmlFileUrl: temporaryKmlId,
+        visible: true,
+        opacity: 1,
+        kmlData: kmlData,
+    })
+    const hasTemporaryKml = store.state.layers.systemLayers.some((l) => l.id === temporaryKmlId)
+    await store.dispatch(hasTemporaryKml ? 'updateSystemLayer' : 'addSystemLayer', {
+        layer: kmlLayer,
+        ...dispatcher,
+    })
+}
+
+/**
+ * Shows a drawing of the local library on the map, as a KML layer of the active layers (the drawing
+ * overlay only shows it while it is opened). The online drawing it supersedes is hidden, so that
+ * its outdated content isn't shown alongside.
+ *
+ * @param {Vuex.Store} store
+ * @param {String} localDrawingId
+ * @param {String} kmlData
+ */
+async function showLocalDrawingOnMap(store, localDrawingId, kmlData) {
+    const activeKmlLayer = store.getters.activeKmlLayer
+    if (activeKmlLayer) {
+        await store.dispatch('updateLayers', {
+            layers: [{ id: activeKmlLayer.id, visible: false }],
+            ...dispatcher,
+        })
+    }
+    if (store.getters.getActiveLayersById(localDrawingId).length > 0) {
+        await store.dispatch('setKmlGpxLayerData', {
+            layerId: localDrawingId,
+            data: kmlData,
+            ...dispatcher,
+        })
+    } else {
+        await store.dispatch('addLayer', {
+            layer: new KMLLayer({
+                kmlFileUrl: localDrawingId,
+                visible: true,
+                opacity: 1,
+                kmlData,
+            }),
+            ...dispatcher,
+        })
+    }
+}
+
+/**
+ * Saves the KML data of the drawing where the drawing currently edited is kept: in the local
+ * library, on the backend, or in a temporary KML.
+ *
+ * @param {Vuex.Store} store
+ * @param {String} kmlData
+ */
+export async function saveDrawingKml(store, kmlData) {
+    const { localDrawingId, online } = store.state.drawing
+    if (localDrawingId) {
+        await updateLocalDrawing(localDrawingId, { kmlData })
+        await showLocalDrawingOnMap(store, localDrawingId, kmlData)
+    } else if (online) {
+        await saveOnlineDrawing(store, kmlData)
+    } else {
+        await saveTemporaryDrawing(store, kmlData)
+    }
+}
+
+/**
+ * Returns the drawing currently edited, wherever it is kept (see {@link saveDrawingKml})
+ *
+ * @param {Vuex.Store} store
+ * @returns {Promise<KMLLayer | null>} The drawing as a KML layer, or `null` if there is none yet
+ */
+export async function getCurrentDrawingKmlLayer(store) {
+    const { localDrawingId, online, temporaryKmlId } = store.state.drawing
+    if (localDrawingId) {
+        const localDrawing = await getLocalDrawing(localDrawingId)
+        if (!localDrawing) {
+            return null
+        }
+        // this KML only contains features drawn with this viewer, it must be parsed as such
+        return new KMLLayer({ kmlFileUrl: getKmlUrl('drawing'), kmlData: localDrawing.kmlData })
+    }
+    if (online) {
+        return store.getters.activeKmlLayer ?? null
+    }
+    return store.state.layers.systemLayers.find((l) => l.id === temporaryKmlId) ?? null
+}
 
 export default function useSaveKmlOnChange(drawingLayerDirectReference) {
     const drawingLayer = inject('drawingLayer', drawingLayerDirectReference)
@@ -26,6 +175,7 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
     const temporaryKml = computed(() =>
         store.state.layers.systemLayers.find((l) => l.id === temporaryKmlId.value)
     )
+    const localDrawingId = computed(() => store.state.drawing.localDrawingId)
 
     let addKmlLayerTimeout = null
     const savesInProgress = ref([])
@@ -50,6 +200,7 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
                 featureIds: features.map((feature) => feature.getId()),
                 ...dispatcher,
             })
+            resetHistory()
             saveState.value = DrawingState.LOADED
         } catch (error) {
             if (online.value) {
@@ -75,6 +226,31 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
         }
     }
 
+    /**
+     * Load the drawing of the local library currently edited (e.g. when the drawing overlay is
+     * opened again after editing a local drawing)
+     *
+     * @returns {Promise<Boolean>} False if the local drawing doesn't exist anymore
+     */
+    async function addLocalDrawingToDrawing() {
+        try {
+            const localDrawing = await getLocalDrawing(localDrawingId.value)
+            if (!localDrawing) {
+                log.debug(`Local drawing ${localDrawingId.value} doesn't exist anymore`)
+                await store.dispatch('setLocalDrawingId', { localDrawingId: null, ...dispatcher })
+                return false
+            }
+            replaceDrawingFeatures(localDrawing.kmlData)
+            await showLocalDrawingOnMap(store, localDrawing.id, localDrawing.kmlData)
+            resetHistory()
+            saveState.value = DrawingState.LOADED
+        } catch (error) {
+            log.error(`Failed to load local drawing ${localDrawingId.value}`, error)
+            saveState.value = DrawingState.LOAD_ERROR
+        }
+        return true
+    }
+
     async function saveDrawing(retryOnError = true) {
         try {
             log.debug(
@@ -86,11 +262,7 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
                 projection.value,
                 drawingLayer.getSource().getFeatures()
             )
-            if (online.value) {
-                await saveOnlineDrawing(kmlData)
-            } else {
-                await saveLocalDrawing(kmlData)
-            }
+            await saveDrawingKml(store, kmlData)
             saveState.value = DrawingState.SAVED
         } catch (e) {
             log.error('Could not save KML layer: ', e)
@@ -102,67 +274,13 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
         }
     }
 
-    async function saveOnlineDrawing(kmlData) {
-        if (!activeKmlLayer.value?.adminId) {
-            // creation of the new KML (copy or new)
-            const kmlMetadata = await createKml(kmlData)
-            const kmlLayer = new KMLLayer({
-                kmlFileUrl: getKmlUrl(kmlMetadata.id),
-                visible: true,
-                opacity: activeKmlLayer.value?.opacity, // re-use current KML layer opacity, or null
-                adminId: kmlMetadata.adminId,
-                kmlData: kmlData,
-                kmlMetadata: kmlMetadata,
-            })
-            // If there's already an activeKmlLayer, but without adminId, it means we are copying it and editing it.
-            // Meaning we must remove the old one from the layers; it will otherwise be there twice
-            // (once the pristine "old" KML, and once the new copy)
-            if (activeKmlLayer.value) {
-                await store.dispatch('removeLayer', {
-                    layerId: activeKmlLayer.value.id,
-                    ...dispatcher,
-                })
-            }
-            await store.dispatch('addLayer', {
-                layer: kmlLayer,
-                ...dispatcher,
-            })
-        } else {
-            // if a KMLLayer is already defined, we update it
-            const kmlMetadata = await updateKml(
-                activeKmlLayer.value.fileId,
-                activeKmlLayer.value.adminId,
-                kmlData
-            )
-            await store.dispatch('setKmlGpxLayerData', {
-                layerId: activeKmlLayer.value.id,
-                data: kmlData,
-                metadata: kmlMetadata,
-                ...dispatcher,
-            })
-        }
-    }
-
-    async function saveLocalDrawing(kmlData) {
-        const kmlLayer = new KMLLayer({
-            kmlFileUrl: temporaryKmlId.value,
-            visible: true,
-            opacity: 1,
-            kmlData: kmlData,
-        })
-        if (!temporaryKml.value) {
-            await store.dispatch('addSystemLayer', { layer: kmlLayer, ...dispatcher })
-        } else {
-            await store.dispatch('updateSystemLayer', { layer: kmlLayer, ...dispatcher })
-        }
-    }
-
     async function debounceSaveDrawing({ debounceTime = 2000, retryOnError = true } = {}) {
         log.debug(
             `Debouncing save drawing debounceTime=${debounceTime} differSaveDrawingTimeout=${differSaveDrawingTimeout}`
         )
         clearPendingSaveDrawing()
         willModify()
+        recordHistory()
         if (debounceTime > 0) {
             await new Promise((resolve) => {
                 // when testing, speed up and avoid race conditions
@@ -197,12 +315,148 @@ export default function useSaveKmlOnChange(drawingLayerDirectReference) {
         }
     }
 
+    function getDrawingSnapshot() {
+        return generateKmlString(projection.value, drawingLayer.getSource().getFeatures())
+    }
+
+    /** Clear the undo/redo history, the current state of the drawing becoming its starting point */
+    function resetHistory() {
+        history.reset(getDrawingSnapshot())
+        updateHistoryFlags()
+    }
+
+    function recordHistory() {
+        if (history.record(getDrawingSnapshot())) {
+            updateHistoryFlags()
+        }
+    }
+
+    function updateHistoryFlags() {
+        canUndo.value = history.canUndo
+        canRedo.value = history.canRedo
+    }
+
+    /**
+     * Replace all features of the drawing by the ones described in the KML
+     *
+     * @param {String} kmlData
+     */
+    function replaceDrawingFeatures(kmlData) {
+        store.dispatch('clearAllSelectedFeatures', dispatcher)
+        // this KML only contains features drawn with this viewer, it must be parsed as such (and
+        // not as an external KML)
+        const kmlLayer = new KMLLayer({
+            kmlFileUrl: getKmlUrl('drawing'),
+            kmlData,
+        })
+        const features = parseKml(kmlLayer, projection.value, availableIconSets.value)
+        const source = drawingLayer.getSource()
+        source.clear()
+        source.addFeatures(features)
+        store.dispatch('setDrawingFeatures', {
+            featureIds: features.map((feature) => feature.getId()),
+            ...dispatcher,
+        })
+    }
+
+    /**
+     * Replace all features of the drawing by the ones described in the snapshot, and save the
+     * drawing afterward
+     *
+     * @param {String} snapshot KML content of the drawing to restore
+     */
+    function restoreDrawingSnapshot(snapshot) {
+        replaceDrawingFeatures(snapshot)
+        // the restored features might not be serialized exactly as they were, we keep the new
+        // serialization so that the next save isn't considered a new change
+        history.replaceCurrent(getDrawingSnapshot())
+        updateHistoryFlags()
+        debounceSaveDrawing()
+    }
+
+    function undo() {
+        const snapshot = history.undo()
+        if (snapshot !== null) {
+            log.debug('Undo last drawing change')
+            restoreDrawingSnapshot(snapshot)
+        }
+    }
+
+    function redo() {
+        const snapshot = history.redo()
+        if (snapshot !== null) {
+            log.debug('Redo last undone drawing change')
+            restoreDrawingSnapshot(snapshot)
+        }
+    }
+
+    /** Save right away any change that is waiting for the save debouncing */
+    async function flushPendingChanges() {
+        clearPendingSaveDrawing()
+        if (saveState.value === DrawingState.UNSAVED_CHANGES) {
+            await saveDrawing(false)
+        }
+    }
+
+    /**
+     * Continue editing a drawing of the local library, any change made to the current drawing is
+     * saved beforehand
+     *
+     * @param {LocalDrawing} localDrawing
+     */
+    async function openLocalDrawing(localDrawing) {
+        log.debug(`Opening local drawing ${localDrawing.id}`)
+        await flushPendingChanges()
+        replaceDrawingFeatures(localDrawing.kmlData)
+        await editLocalDrawing(localDrawing.id, localDrawing.kmlData)
+        resetHistory()
+        saveState.value = DrawingState.LOADED
+    }
+
+    /**
+     * Copy the current drawing into the local library, and continue editing this local copy
+     *
+     * @param {String} name Name of the local drawing
+     * @returns {Promise<LocalDrawing>}
+     */
+    async function saveDrawingToLibrary(name) {
+        await flushPendingChanges()
+        const localDrawing = await createLocalDrawing(name, getDrawingSnapshot())
+        await editLocalDrawing(localDrawing.id, localDrawing.kmlData)
+        saveState.value = DrawingState.SAVED
+        return localDrawing
+    }
+
+    /**
+     * Make a drawing of the local library the one edited, and show it on the map in place of the
+     * drawing edited until now
+     *
+     * @param {String} id ID of the local drawing
+     * @param {String} kmlData Content of the local drawing
+     */
+    async function editLocalDrawing(id, kmlData) {
+        if (localDrawingId.value && localDrawingId.value !== id) {
+            await store.dispatch('removeLayer', { layerId: localDrawingId.value, ...dispatcher })
+        }
+        await store.dispatch('setLocalDrawingId', { localDrawingId: id, ...dispatcher })
+        await showLocalDrawingOnMap(store, id, kmlData)
+    }
+
     return {
         addKmlToDrawing,
+        addLocalDrawingToDrawing,
         debounceSaveDrawing,
         clearPendingSaveDrawing,
         willModify,
         saveState,
         savesInProgress,
+        resetHistory,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        flushPendingChanges,
+        openLocalDrawing,
+        saveDrawingToLibrary,
     }
 }
@@ -1,5 +1,6 @@
 import { createI18n } from 'vue-i18n'
 
+import { OFFICIAL_SWISS_LANG, SUPPORTED_LANG } from '@/config/i18n.config'
 import log from '@/utils/logging'
 
 import de from './locales/de.json'
@@ -10,8 +11,7 @@ import rm from './locales/rm.json'
 
 export const languages = { de, fr, it, en, rm }
 
-const OFFICIAL_SWISS_LANG = ['de', 'fr', 'it', 'rm']
-export const SUPPORTED_LANG = ['en', ...OFFICIAL_SWISS_LANG]
+export { SUPPORTED_LANG }
 
 const locales = Object.entries(languages).reduce((obj, entry) => {
     const key = langToLocal(entry[0])
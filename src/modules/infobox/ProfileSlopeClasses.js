@@ -0,0 +1,28 @@
+/**
+ * Slope classes used to colour the elevation profile plot, from the flattest to the steepest. A
+ * slope belongs to the first class whose maximum is greater than the slope (going up or down).
+ *
+ * @type {{ maxSlope: Number; color: String }[]}
+ */
+const ProfileSlopeClasses = [
+    { maxSlope: 5, color: 'rgb(26, 150, 65)' },
+    { maxSlope: 10, color: 'rgb(166, 217, 106)' },
+    { maxSlope: 15, color: 'rgb(255, 200, 50)' },
+    { maxSlope: 25, color: 'rgb(253, 129, 50)' },
+    { maxSlope: 40, color: 'rgb(215, 25, 28)' },
+    { maxSlope: Infinity, color: 'rgb(120, 0, 60)' },
+]
+
+/**
+ * @param {Number | null} slope Slope in percent
+ * @returns {{ maxSlope: Number; color: String } | null} The class of the slope, or null if the
+ *   slope is unknown
+ */
+export function getSlopeClass(slope) {
+    if (slope === null || isNaN(slope)) {
+        return null
+    }
+    return ProfileSlopeClasses.find((slopeClass) => Math.abs(slope) < slopeClass.maxSlope)
+}
+
+export default ProfileSlopeClasses
@@ -1,3 +1,5 @@
+import { SplitDirection } from 'cesium'
+
 import addLayerToViewer from '@/modules/map/components/cesium/utils/addLayerToViewer-mixins'
 
 /**
@@ -16,9 +18,25 @@ import addLayerToViewer from '@/modules/map/components/cesium/utils/addLayerToVi
  *
  * It is also set/update zIndex of the layer, which places the layer accordingly in the stack of the
  * imagery layers in Cesium viewer.
+ *
+ * When this layer is the one compared with the compare slider, it is only rendered on the left side
+ * of the split (Cesium only supports a vertical split, whatever the mode of the compare slider).
  */
 const addImageryLayerMixins = {
     mixins: [addLayerToViewer],
+    computed: {
+        splitDirection() {
+            const layerConfig = this.wmtsLayerConfig ?? this.wmsLayerConfig
+            if (
+                this.$store.state.ui.isCompareSliderActive &&
+                layerConfig &&
+                this.$store.getters.compareSliderLayer?.id === layerConfig.id
+            ) {
+                return SplitDirection.LEFT
+            }
+            return SplitDirection.NONE
+        },
+    },
     methods: {
         addLayer(layer, zIndex) {
             const viewer = this.getViewer()
@@ -35,6 +53,7 @@ const addImageryLayerMixins = {
             viewer.scene.imageryLayers.remove(this.layer)
             this.layer = this.createImagery(this.url)
             if (this.layer) {
+                this.layer.splitDirection = this.splitDirection
                 viewer.scene.imageryLayers.add(this.layer, index)
             }
         },
@@ -47,6 +66,12 @@ const addImageryLayerMixins = {
         url() {
             this.updateLayer()
         },
+        splitDirection(newSplitDirection) {
+            if (this.layer) {
+                this.layer.splitDirection = newSplitDirection
+                this.getViewer().scene.requestRender()
+            }
+        },
         zIndex(zIndex) {
             if (this.layer) {
                 const imageryLayers = this.getViewer().scene.imageryLayers
@@ -64,6 +89,9 @@ const addImageryLayerMixins = {
     },
     created() {
         this.layer = this.createImagery(this.url)
+        if (this.layer) {
+            this.layer.splitDirection = this.splitDirection
+        }
     },
 }
 
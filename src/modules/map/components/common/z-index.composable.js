@@ -18,12 +18,14 @@ export function useLayerZIndexCalculation() {
     const visibleLayers = computed(() => {
         const visibleLayersWithZIndex = [...backgroundLayers.value]
         if (is3dActive.value) {
-            // in 3D, GeoJSON and KML layers are not given a ZIndex as Cesium handles them differently
+            // in 3D, GeoJSON, KML and vector file layers are not given a ZIndex as Cesium handles them differently
             // (as primitive layers, on top of all other layers)
             visibleLayersWithZIndex.push(
                 ...store.getters.visibleLayers.filter(
                     (visibleLayer) =>
-                        [LayerTypes.KML, LayerTypes.GEOJSON].indexOf(visibleLayer.type) === -1
+                        [LayerTypes.KML, LayerTypes.GEOJSON, LayerTypes.VECTOR_FILE].indexOf(
+                            visibleLayer.type
+                        ) === -1
                 )
             )
         } else {
@@ -0,0 +1,128 @@
+import log from '@/utils/logging'
+
+/** @type {Number} */
+const RENDER_COMPLETE_TIMEOUT = 30000
+
+/**
+ * Raised when the map canvas can't be read, e.g. because a layer was loaded from a server that
+ * doesn't allow cross-origin use of its images (the canvas is then "tainted")
+ */
+export class MapCanvasExportError extends Error {}
+
+/**
+ * Waits for the map to have loaded and rendered everything it is currently showing
+ *
+ * @param {Map} olMap OpenLayers map
+ * @param {Number} [timeout] In milliseconds, after this delay the promise is resolved even if the
+ *   map is still loading some tiles. Default is 30 seconds.
+ * @returns {Promise<void>}
+ */
+export function waitForMapRenderComplete(olMap, timeout = RENDER_COMPLETE_TIMEOUT) {
+    return new Promise((resolve) => {
+        const timeoutId = setTimeout(() => {
+            log.warn(`Map rendering not complete after ${timeout}ms, using what is loaded so far`)
+            olMap.un('rendercomplete', onRenderComplete)
+            resolve()
+        }, timeout)
+        const onRenderComplete = () => {
+            clearTimeout(timeoutId)
+            resolve()
+        }
+        olMap.once('rendercomplete', onRenderComplete)
+        olMap.render()
+    })
+}
+
+/**
+ * Combines all the canvas of the map's layers into one canvas, the size of the map viewport.
+ *
+ * @param {Map} olMap OpenLayers map
+ * @returns {HTMLCanvasElement}
+ * @see https://openlayers.org/en/latest/examples/export-map.html
+ */
+export function renderMapToCanvas(olMap) {
+    const [width, height] = olMap.getSize()
+    const mapCanvas = document.createElement('canvas')
+    mapCanvas.width = width
+    mapCanvas.height = height
+    const mapContext = mapCanvas.getContext('2d')
+    mapContext.fillStyle = '#ffffff'
+    mapContext.fillRect(0, 0, width, height)
+    olMap
+        .getViewport()
+        .querySelectorAll('.ol-layer canvas, canvas.ol-layer')
+        .forEach((canvas) => {
+            if (canvas.width === 0) {
+                return
+            }
+            const opacity = canvas.parentNode.style.opacity || canvas.style.opacity
+            mapContext.globalAlpha = opacity === '' ? 1 : Number(opacity)
+            let matrix
+            const transform = canvas.style.transform
+            if (transform) {
+                // the layer canvas are scaled to match the device pixel ratio
+                matrix = transform
+                    .match(/^matrix\(([^(]*)\)$/)[1]
+                    .split(',')
+                    .map(Number)
+            } else {
+                matrix = [
+                    parseFloat(canvas.style.width) / canvas.width,
+                    0,
+                    0,
+                    parseFloat(canvas.style.height) / canvas.height,
+                    0,
+                    0,
+                ]
+            }
+            mapContext.setTransform(...matrix)
+            const backgroundColor = canvas.parentNode.style.backgroundColor
+            if (backgroundColor) {
+                mapContext.fillStyle = backgroundColor
+                mapContext.fillRect(0, 0, canvas.width, canvas.height)
+            }
+            mapContext.drawImage(canvas, 0, 0)
+        })
+    mapContext.globalAlpha = 1
+    mapContext.setTransform(1, 0, 0, 1, 0, 0)
+    return mapCanvas
+}
+
+/**
+ * Draws the source canvas so that it covers the whole target canvas, cropping what doesn't fit
+ * (keeping the center of the source in the center of the target)
+ *
+ * @param {CanvasRenderingContext2D} context Context of the target canvas
+ * @param {HTMLCanvasElement} source
+ */
+export function drawCanvasCovering(context, source) {
+    const { width, height } = context.canvas
+    const scale = Math.max(width / source.width, height / source.height)
+    const sourceWidth = width / scale
+    const sourceHeight = height / scale
+    context.drawImage(
+        source,
+        (source.width - sourceWidth) / 2,
+        (source.height - sourceHeight) / 2,
+        sourceWidth,
+        sourceHeight,
+        0,
+        0,
+        width,
+        height
+    )
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @returns {ImageData}
+ * @throws {MapCanvasExportError} If the canvas is tainted by cross-origin images
+ */
+export function readCanvasImageData(canvas) {
+    try {
+        return canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height)
+    } catch (error) {
+        log.error('Could not read the map canvas', error)
+        throw new MapCanvasExportError(error.message)
+    }
+}
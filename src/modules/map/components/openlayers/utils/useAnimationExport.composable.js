@@ -0,0 +1,313 @@
+import { saveAs } from 'file-saver'
+import { computed, ref } from 'vue'
+import { useI18n } from 'vue-i18n'
+import { useStore } from 'vuex'
+
+import {
+    drawCanvasCovering,
+    readCanvasImageData,
+    renderMapToCanvas,
+    waitForMapRenderComplete,
+} from '@/modules/map/components/openlayers/utils/mapCanvasExport'
+import GifEncoder from '@/utils/gifEncoder'
+import log from '@/utils/logging'
+import { generateFilename } from '@/utils/utils'
+
+const requester = 'export-animation'
+const dispatcher = { dispatcher: 'useAnimationExport.composable' }
+
+const WEBM_MIME_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm']
+
+/** @enum */
+export const AnimationFormats = {
+    WEBM: 'webm',
+    GIF: 'gif',
+}
+
+/** @enum */
+export const AnimationExportStatus = {
+    IDLE: 'IDLE',
+    RENDERING: 'RENDERING',
+    ENCODING: 'ENCODING',
+    FINISHED_ABORTED: 'FINISHED_ABORTED',
+    FINISHED_SUCCESSFULLY: 'FINISHED_SUCCESSFULLY',
+    FINISHED_FAILED: 'FINISHED_FAILED',
+}
+
+/**
+ * Output sizes proposed for the animations, in pixels
+ *
+ * @type {{ width: Number; height: Number }[]}
+ */
+export const ANIMATION_SIZES = [
+    { width: 640, height: 360 },
+    { width: 1280, height: 720 },
+    { width: 1920, height: 1080 },
+]
+
+/**
+ * Frame rates proposed for the animations (each frame showing one year), in frames per second
+ *
+ * @type {Number[]}
+ */
+export const ANIMATION_FRAME_RATES = [0.5, 1, 2, 4]
+
+class AnimationExportAbortedError extends Error {}
+
+/** @returns {String | undefined} The best WebM format the browser can record, if any */
+function getWebmMimeType() {
+    if (typeof MediaRecorder === 'undefined') {
+        return undefined
+    }
+    return WEBM_MIME_TYPES.find((mimeType) => MediaRecorder.isTypeSupported(mimeType))
+}
+
+/** @returns {AnimationFormats[]} Formats that can be exported by the current browser */
+export function getSupportedAnimationFormats() {
+    const formats = []
+    if (getWebmMimeType()) {
+        formats.push(AnimationFormats.WEBM)
+    }
+    formats.push(AnimationFormats.GIF)
+    return formats
+}
+
+/**
+ * Draws the year in the top left corner of the frame, and the data attributions in the bottom right
+ * corner (as they are shown in the map footer)
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {String} label
+ * @param {String} attributions
+ */
+function drawFrameOverlay(context, label, attributions) {
+    const { width, height } = context.canvas
+    const margin = Math.round(height / 40)
+
+    const labelFontSize = Math.round(height / 12)
+    context.font = `bold ${labelFontSize}px sans-serif`
+    context.textBaseline = 'top'
+    const labelWidth = context.measureText(label).width
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)'
+    context.fillRect(margin, margin, labelWidth + 2 * margin, labelFontSize + 2 * margin)
+    context.fillStyle = '#000000'
+    context.fillText(label, 2 * margin, 2 * margin)
+
+    if (attributions) {
+        const attributionsFontSize = Math.max(10, Math.round(height / 50))
+        context.font = `${attributionsFontSize}px sans-serif`
+        context.textBaseline = 'bottom'
+        const attributionsWidth = Math.min(context.measureText(attributions).width, width)
+        const padding = Math.round(attributionsFontSize / 3)
+        context.fillStyle = 'rgba(255, 255, 255, 0.7)'
+        context.fillRect(
+            width - attributionsWidth - 2 * padding,
+            height - attributionsFontSize - 2 * padding,
+            attributionsWidth + 2 * padding,
+            attributionsFontSize + 2 * padding
+        )
+        context.fillStyle = '#000000'
+        context.fillText(attributions, width - attributionsWidth - padding, height - padding, width)
+    }
+}
+
+/**
+ * Records a WebM video from frames given one at a time, so that they don't have to be kept in
+ * memory until the end of the rendering.
+ *
+ * The recorder is paused while the next frame is being rendered, so that each frame lasts the same
+ * time in the video, whatever its rendering time.
+ */
+class WebmRecorder {
+    /**
+     * @param {Number} width
+     * @param {Number} height
+     * @param {Number} frameRate In frames per second
+     */
+    constructor(width, height, frameRate) {
+        this.frameDuration = 1000 / frameRate
+        this.mimeType = getWebmMimeType()
+        const recordingCanvas = document.createElement('canvas')
+        recordingCanvas.width = width
+        recordingCanvas.height = height
+        this.context = recordingCanvas.getContext('2d')
+        const stream = recordingCanvas.captureStream(0)
+        this.track = stream.getVideoTracks()[0]
+        this.recorder = new MediaRecorder(stream, { mimeType: this.mimeType })
+        this.chunks = []
+        this.recorder.ondataavailable = (event) => this.chunks.push(event.data)
+        this.recordingStopped = new Promise((resolve) => (this.recorder.onstop = resolve))
+    }
+
+    /**
+     * Shows the frame in front of the recorder for the duration of one frame
+     *
+     * @param {HTMLCanvasElement} frame
+     * @returns {Promise<void>}
+     */
+    async addFrame(frame) {
+        if (this.recorder.state === 'inactive') {
+            this.recorder.start()
+        } else {
+            this.recorder.resume()
+        }
+        this.context.drawImage(frame, 0, 0)
+        this.track.requestFrame()
+        await new Promise((resolve) => setTimeout(resolve, this.frameDuration))
+        this.recorder.pause()
+    }
+
+    /** @returns {Promise<Blob>} */
+    async finish() {
+        this.recorder.stop()
+        await this.recordingStopped
+        this.track.stop()
+        return new Blob(this.chunks, { type: this.mimeType.split(';')[0] })
+    }
+
+    /** Stops the recording (if still running) without producing a video */
+    cancel() {
+        if (this.recorder.state !== 'inactive') {
+            this.recorder.stop()
+        }
+        this.track.stop()
+    }
+}
+
+/**
+ * Records an animation of the map, by rendering one frame for each step (e.g. each year of the time
+ * slider) and encoding them into a WebM video or an animated GIF.
+ *
+ * @param {Map} olMap OpenLayers map
+ */
+export function useAnimationExport(olMap) {
+    const store = useStore()
+    const i18n = useI18n()
+
+    /** @type {AnimationExportStatus} */
+    const exportStatus = ref(AnimationExportStatus.IDLE)
+    const exportProgress = ref({ current: 0, total: 0 })
+    const exportError = ref(null)
+    let abortRequested = false
+
+    const isExporting = computed(() =>
+        [AnimationExportStatus.RENDERING, AnimationExportStatus.ENCODING].includes(
+            exportStatus.value
+        )
+    )
+
+    function getAttributions() {
+        const names = store.getters.visibleLayers
+            .concat([store.getters.currentBackgroundLayer])
+            .filter((layer) => !!layer)
+            .map((layer) => layer.attributions)
+            .flat()
+            .map((attribution) => attribution.name)
+            .filter((name, index, self) => self.indexOf(name) === index)
+        return names.length > 0 ? `${i18n.t('copyright_data')} ${names.join(', ')}` : ''
+    }
+
+    /**
+     * @param {Number | String} step
+     * @param {Function} applyStep Function setting the map in the state of this step (e.g.
+     *   selecting a year on the time slider)
+     * @param {Number} width
+     * @param {Number} height
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async function renderFrame(step, applyStep, width, height) {
+        await applyStep(step)
+        await waitForMapRenderComplete(olMap)
+        const frame = document.createElement('canvas')
+        frame.width = width
+        frame.height = height
+        const context = frame.getContext('2d')
+        drawCanvasCovering(context, renderMapToCanvas(olMap))
+        drawFrameOverlay(context, `${step}`, getAttributions())
+        return frame
+    }
+
+    /**
+     * @param {(Number | String)[]} steps Steps of the animation, also used as label of each frame
+     * @param {Function} applyStep Async function receiving a step, that must set the map in the
+     *   state of this step
+     * @param {AnimationFormats} format
+     * @param {Number} frameRate In frames per second
+     * @param {Number} width Of the output, in pixels
+     * @param {Number} height Of the output, in pixels
+     */
+    async function exportAnimation({ steps, applyStep, format, frameRate, width, height }) {
+        if (isExporting.value || steps.length === 0) {
+            return
+        }
+        abortRequested = false
+        exportError.value = null
+        exportStatus.value = AnimationExportStatus.RENDERING
+        exportProgress.value = { current: 0, total: steps.length }
+        store.dispatch('setLoadingBarRequester', { requester, ...dispatcher })
+        const isAborted = () => abortRequested
+        let webmRecorder = null
+        try {
+            const gifEncoder =
+                format === AnimationFormats.GIF
+                    ? new GifEncoder(width, height, { delay: 1000 / frameRate })
+                    : null
+            if (format === AnimationFormats.WEBM) {
+                webmRecorder = new WebmRecorder(width, height, frameRate)
+            }
+            for (const step of steps) {
+                if (isAborted()) {
+                    throw new AnimationExportAbortedError()
+                }
+                exportProgress.value = {
+                    current: exportProgress.value.current + 1,
+                    total: steps.length,
+                }
+                const frame = await renderFrame(step, applyStep, width, height)
+                // reading the frame now, so that a tainted canvas is detected on the first frame
+                const imageData = readCanvasImageData(frame)
+                if (gifEncoder) {
+                    gifEncoder.addFrame(imageData)
+                } else {
+                    await webmRecorder.addFrame(frame)
+                }
+            }
+            exportStatus.value = AnimationExportStatus.ENCODING
+            let blob
+            if (gifEncoder) {
+                blob = new Blob([gifEncoder.finish()], { type: 'image/gif' })
+            } else {
+                blob = await webmRecorder.finish()
+                webmRecorder = null
+            }
+            saveAs(blob, generateFilename(`.${format}`))
+            exportStatus.value = AnimationExportStatus.FINISHED_SUCCESSFULLY
+        } catch (error) {
+            if (error instanceof AnimationExportAbortedError) {
+                log.debug('Animation export aborted')
+                exportStatus.value = AnimationExportStatus.FINISHED_ABORTED
+            } else {
+                log.error('Animation export failed', error)
+                exportError.value = error
+                exportStatus.value = AnimationExportStatus.FINISHED_FAILED
+            }
+        } finally {
+            webmRecorder?.cancel()
+            store.dispatch('clearLoadingBarRequester', { requester, ...dispatcher })
+        }
+    }
+
+    /** Stops the current export, after the frame being rendered */
+    function abortExport() {
+        abortRequested = true
+    }
+
+    return {
+        exportStatus,
+        exportProgress,
+        exportError,
+        isExporting,
+        exportAnimation,
+        abortExport,
+    }
+}
@@ -0,0 +1,765 @@
+import { saveAs } from 'file-saver'
+import { createEmpty, extend, getCenter, getHeight, getWidth } from 'ol/extent'
+import { toRadians } from 'ol/math'
+import { ref } from 'vue'
+import { useI18n } from 'vue-i18n'
+import { useStore } from 'vuex'
+
+import ExternalLayer from '@/api/layers/ExternalLayer.class'
+import { PrintError } from '@/api/print.api.js'
+import { generateQrCode } from '@/api/qrcode.api.js'
+import { createShortLink } from '@/api/shortlink.api.js'
+import { getApi3BaseUrl } from '@/config/baseUrl.config'
+import { CLIENT_SIDE_PRINT_MAX_PIXELS } from '@/config/print.config'
+import {
+    renderMapToCanvas,
+    waitForMapRenderComplete,
+} from '@/modules/map/components/openlayers/utils/mapCanvasExport'
+import { PrintStatus } from '@/modules/map/components/openlayers/utils/usePrint.composable'
+import { HIDE_PRINT_AREA_PROPERTY } from '@/modules/map/components/openlayers/utils/usePrintAreaRenderer.composable'
+import log from '@/utils/logging'
+import { formatThousand } from '@/utils/numberUtils'
+import writeImagePdf from '@/utils/pdfWriter'
+import {
+    formatScaleBarDistance,
+    getPrintMapSize,
+    getPrintResolution,
+    getPrintScale,
+    getScaleBarDistance,
+    POINTS_PER_INCH,
+} from '@/utils/printUtils'
+import { generateFilename } from '@/utils/utils'
+
+const requester = 'client-side-print'
+const dispatcher = { dispatcher: 'useClientSidePrint.composable' }
+
+/** @enum */
+export const ClientSidePrintFormats = {
+    PDF: 'pdf',
+    PNG: 'png',
+}
+
+// all sizes of the page composition are in PostScript points (1/72 inch)
+const PAGE_MARGIN = 20
+const FOOTER_HEIGHT = 14
+const BOX_PADDING = 6
+const TITLE_FONT_SIZE = 12
+const TEXT_FONT_SIZE = 8
+const SCALE_BAR_MAX_LENGTH = 100
+const SCALE_BAR_HEIGHT = 4
+const NORTH_ARROW_SIZE = 30
+const QR_CODE_SIZE = 60
+const LEGEND_SPACING = 10
+/** Lines of the print comment that fit in the box of the page, the rest isn't printed */
+const MAX_COMMENT_LINES = 10
+
+const JPEG_QUALITY = 0.92
+
+class ClientSidePrintAbortedError extends Error {}
+
+/**
+ * @param {String} url
+ * @returns {Promise<HTMLImageElement | null>} The image, or null if it couldn't be loaded (images
+ *   without CORS headers are not loaded, as they would prevent the export of the page canvas)
+ */
+function loadImage(url) {
+    return new Promise((resolve) => {
+        const image = new Image()
+        image.crossOrigin = 'anonymous'
+        image.onload = () => resolve(image)
+        image.onerror = (error) => {
+            log.error('Could not load image for the print', url, error)
+            resolve(null)
+        }
+        image.src = url
+    })
+}
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {String} type
+ * @param {Number} [quality]
+ * @returns {Promise<Blob>}
+ * @throws {PrintError} If the canvas is tainted by cross-origin images
+ */
+function canvasToBlob(canvas, type, quality) {
+    return new Promise((resolve, reject) => {
+        try {
+            canvas.toBlob(
+                (blob) =>
+                    blob ? resolve(blob) : reject(new PrintError('Could not export the canvas')),
+                type,
+                quality
+            )
+        } catch (error) {
+            log.error('Could not export the print canvas', error)
+            reject(new PrintError(error.message, 'print_client_side_tainted_canvas'))
+        }
+    })
+}
+
+/**
+ * Draws a north arrow, pointing to the north of the (possibly rotated) map
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {Number} x Center of the arrow
+ * @param {Number} y Center of the arrow
+ * @param {Number} size
+ * @param {Number} rotation Rotation of the map, in radian
+ */
+function drawNorthArrow(context, x, y, size, rotation) {
+    context.save()
+    context.translate(x, y)
+    context.fillStyle = 'rgba(255, 255, 255, 0.8)'
+    context.beginPath()
+    context.arc(0, 0, size / 2, 0, 2 * Math.PI)
+    context.fill()
+    context.rotate(rotation)
+    context.fillStyle = '#000000'
+    context.beginPath()
+    context.moveTo(0, -size * 0.4)
+    context.lineTo(size * 0.18, size * 0.25)
+    context.lineTo(0, size * 0.12)
+    context.lineTo(-size * 0.18, size * 0.25)
+    context.closePath()
+    context.fill()
+    context.font = `bold ${size * 0.25}px sans-serif`
+    context.textAlign = 'center'
+    context.textBaseline = 'top'
+    context.fillStyle = '#ffffff'
+    context.fillText('N', 0, -size * 0.12)
+    context.restore()
+}
+
+/**
+ * Splits a text in lines fitting in the given width (with the current font of the context). Line
+ * breaks of the text are kept.
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {String} text
+ * @param {Number} maxWidth
+ * @returns {String[]}
+ */
+function wrapText(context, text, maxWidth) {
+    return text.split('\n').flatMap((paragraph) => {
+        const lines = []
+        let line = ''
+        paragraph
+            .split(/\s+/)
+            .filter((word) => !!word)
+            .forEach((word) => {
+                const candidate = line ? `${line} ${word}` : word
+                if (line && context.measureText(candidate).width > maxWidth) {
+                    lines.push(line)
+                    line = word
+                } else {
+                    line = candidate
+                }
+            })
+        lines.push(line)
+        return lines
+    })
+}
+
+/**
+ * Prints the map in the browser, without the print server (e.g. for external layers the print
+ * server can't reach, or in offline setups).
+ *
+ * The map is rendered at the scale and in the layout selected in the print section, then composed
+ * on a page with a title, scale bar, north arrow, QR code, attributions and (optionally) legends.
+ *
+ * @param {Map} olMap OpenLayers map
+ */
+export function useClientSidePrint(olMap) {
+    const store = useStore()
+    const i18n = useI18n()
+
+    /** @type {PrintStatus} */
+    const printStatus = ref(PrintStatus.IDLE)
+    /** @type {PrintError} */
+    const printError = ref(null)
+    /** Page being rendered, out of the total number of map pages */
+    const printProgress = ref({ current: 0, total: 0 })
+    let abortRequested = false
+
+    function checkAborted() {
+        if (abortRequested) {
+            throw new ClientSidePrintAbortedError()
+        }
+    }
+
+    function getAttributions() {
+        const names = store.getters.visibleLayers
+            .concat([store.getters.currentBackgroundLayer])
+            .filter((layer) => !!layer)
+            .map((layer) => layer.attributions)
+            .flat()
+            .map((attribution) => attribution.name)
+            .filter((name, index, self) => self.indexOf(name) === index)
+        return names.length > 0 ? `${i18n.t('copyright_data')} ${names.join(', ')}` : ''
+    }
+
+    /** @returns {Promise<{ name: String; images: HTMLImageElement[] }[]>} */
+    async function loadLegends() {
+        const lang = store.state.i18n.lang
+        const layers = store.getters.visibleLayers
+            .filter((layer) => layer.hasLegend)
+            // remove duplicate layers for the legends to avoid duplicate legends
+            .filter((layer, index, self) => self.findIndex((l) => l.id === layer.id) === index)
+        return Promise.all(
+            layers.map(async (layer) => {
+                const urls =
+                    layer instanceof ExternalLayer
+                        ? layer.legends
+                              .filter((legend) => legend.format.startsWith('image/'))
+                              .map((legend) => legend.url)
+                        : [`${getApi3BaseUrl()}static/images/legends/${layer.id}_${lang}.png`]
+                const images = await Promise.all(urls.map(loadImage))
+                return { name: layer.name, images: images.filter((image) => !!image) }
+            })
+        )
+    }
+
+    /**
+     * @param {String} shortLink
+     * @returns {Promise<HTMLImageElement | null>}
+     */
+    async function loadQrCode(shortLink) {
+        try {
+            return await loadImage(await generateQrCode(shortLink))
+        } catch (error) {
+            log.error('Could not generate the QR code of the print, printing without it', error)
+            return null
+        }
+    }
+
+    /**
+     * Renders the map with the given size and resolution, then puts the map back as it was
+     *
+     * @param {Number} width In pixels
+     * @param {Number} height In pixels
+     * @param {Number} resolution
+     * @param {Number[] | null} [center=null] Center of the rendered map, the current center of the
+     *   map if null. Default is `null`
+     * @param {Number | null} [rotation=null] Rotation of the rendered map, the current rotation of
+     *   the map if null. Default is `null`
+     * @returns {Promise<HTMLCanvasElement>}
+     */
+    async function renderMap(width, height, resolution, center = null, rotation = null) {
+        const view = olMap.getView()
+        const originalSize = olMap.getSize()
+        const originalResolution = view.getResolution()
+        const originalCenter = view.getCenter()
+        const originalRotation = view.getRotation()
+        olMap.set(HIDE_PRINT_AREA_PROPERTY, true)
+        try {
+            if (center) {
+                view.setCenter(center)
+            }
+            if (rotation !== null) {
+                view.setRotation(rotation)
+            }
+            view.setResolution(resolution)
+            // the view doesn't go under its minimal resolution, in this case the map is rendered
+            // with fewer pixels (and then stretched on the page) so that it still covers the area
+            // that must be printed
+            const ratio = resolution / view.getResolution()
+            olMap.setSize([Math.round(width * ratio), Math.round(height * ratio)])
+            await waitForMapRenderComplete(olMap)
+            return renderMapToCanvas(olMap)
+        } finally {
+            olMap.set(HIDE_PRINT_AREA_PROPERTY, false)
+            olMap.setSize(originalSize)
+            view.setCenter(originalCenter)
+            view.setRotation(originalRotation)
+            view.setResolution(originalResolution)
+        }
+    }
+
+    /**
+     * @param {HTMLCanvasElement} mapCanvas
+     * @param {Object} options
+     * @param {Number} options.rotation Rotation of the rendered map, in radian
+     * @param {String} [options.pageLabel] Written above the map, e.g. the page number in an atlas
+     * @returns {HTMLCanvasElement}
+     */
+    function composeMapPage(
+        mapCanvas,
+        { mapSize, pageSize, dpi, scale, shortLink, qrCode, rotation, pageLabel = null }
+    ) {
+        const pt = (value) => (value * dpi) / POINTS_PER_INCH
+        const page = document.createElement('canvas')
+        page.width = Math.round(pt(pageSize.width))
+        page.height = Math.round(pt(pageSize.height))
+        const context = page.getContext('2d')
+        context.fillStyle = '#ffffff'
+        context.fillRect(0, 0, page.width, page.height)
+        context.drawImage(
+            mapCanvas,
+            pt(PAGE_MARGIN),
+            pt(PAGE_MARGIN),
+            pt(mapSize.width),
+            pt(mapSize.height)
+        )
+        context.strokeStyle = '#000000'
+        context.lineWidth = pt(0.5)
+        context.strokeRect(pt(PAGE_MARGIN), pt(PAGE_MARGIN), pt(mapSize.width), pt(mapSize.height))
+
+        // title, comment, scale and scale bar, in a box in the bottom left corner of the map
+        const title = store.state.print.printTitle.trim() || i18n.t('page_title')
+        const scaleText = `1:${formatThousand(scale)}`
+        const scaleBar = getScaleBarDistance(scale, SCALE_BAR_MAX_LENGTH)
+        const maxTextWidth = pt(mapSize.width / 2)
+        context.font = `${pt(TEXT_FONT_SIZE)}px sans-serif`
+        const commentLines = wrapText(context, store.state.print.printComment.trim(), maxTextWidth)
+            .filter((line, index, lines) => line || lines.length > 1)
+            .slice(0, MAX_COMMENT_LINES)
+        const commentWidth = Math.max(
+            0,
+            ...commentLines.map((line) => context.measureText(line).width)
+        )
+        context.font = `bold ${pt(TITLE_FONT_SIZE)}px sans-serif`
+        const boxWidth =
+            Math.min(
+                Math.max(
+                    context.measureText(title).width,
+                    commentWidth,
+                    pt(SCALE_BAR_MAX_LENGTH + 20)
+                ),
+                maxTextWidth
+            ) + pt(2 * BOX_PADDING)
+        const commentHeight =
+            commentLines.length > 0
+                ? commentLines.length * pt(TEXT_FONT_SIZE + 2) + pt(BOX_PADDING)
+                : 0
+        const boxHeight =
+            pt(TITLE_FONT_SIZE + TEXT_FONT_SIZE * 2 + SCALE_BAR_HEIGHT + 4 * BOX_PADDING) +
+            commentHeight
+        const boxX = pt(PAGE_MARGIN)
+        const boxY = pt(PAGE_MARGIN + mapSize.height) - boxHeight
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)'
+        context.fillRect(boxX, boxY, boxWidth, boxHeight)
+        context.fillStyle = '#000000'
+        context.textBaseline = 'top'
+        let y = boxY + pt(BOX_PADDING)
+        context.fillText(title, boxX + pt(BOX_PADDING), y, boxWidth - pt(2 * BOX_PADDING))
+        y += pt(TITLE_FONT_SIZE + BOX_PADDING)
+        context.font = `${pt(TEXT_FONT_SIZE)}px sans-serif`
+        commentLines.forEach((line) => {
+            context.fillText(line, boxX + pt(BOX_PADDING), y, boxWidth - pt(2 * BOX_PADDING))
+            y += pt(TEXT_FONT_SIZE + 2)
+        })
+        if (commentLines.length > 0) {
+            y += pt(BOX_PADDING)
+        }
+        context.fillText(scaleText, boxX + pt(BOX_PADDING), y)
+        y += pt(TEXT_FONT_SIZE + BOX_PADDING)
+        const halfBar = pt(scaleBar.length / 2)
+        context.fillRect(boxX + pt(BOX_PADDING), y, halfBar, pt(SCALE_BAR_HEIGHT))
+        context.lineWidth = pt(0.5)
+        context.strokeRect(boxX + pt(BOX_PADDING), y, 2 * halfBar, pt(SCALE_BAR_HEIGHT))
+        y += pt(SCALE_BAR_HEIGHT + 1)
+        context.fillText('0', boxX + pt(BOX_PADDING), y)
+        context.textAlign = 'right'
+        context.fillText(
+            formatScaleBarDistance(scaleBar.distance),
+            boxX + pt(BOX_PADDING) + 2 * halfBar,
+            y
+        )
+        context.textAlign = 'left'
+
+        drawNorthArrow(
+            context,
+            pt(PAGE_MARGIN + mapSize.width - BOX_PADDING - NORTH_ARROW_SIZE / 2),
+            pt(PAGE_MARGIN + BOX_PADDING + NORTH_ARROW_SIZE / 2),
+            pt(NORTH_ARROW_SIZE),
+            rotation
+        )
+
+        if (qrCode) {
+            const qrCodeX = pt(PAGE_MARGIN + mapSize.width - QR_CODE_SIZE)
+            const qrCodeY = pt(PAGE_MARGIN + mapSize.height - QR_CODE_SIZE)
+            context.fillStyle = '#ffffff'
+            context.fillRect(qrCodeX, qrCodeY, pt(QR_CODE_SIZE), pt(QR_CODE_SIZE))
+            context.drawImage(qrCode, qrCodeX, qrCodeY, pt(QR_CODE_SIZE), pt(QR_CODE_SIZE))
+        }
+
+        // attributions on the left under the map, date and link to the map on the right
+        const footerY = pt(PAGE_MARGIN + mapSize.height + FOOTER_HEIGHT / 2)
+        const footerWidth = pt(mapSize.width / 2)
+        context.fillStyle = '#000000'
+        context.font = `${pt(TEXT_FONT_SIZE - 1)}px sans-serif`
+        context.textBaseline = 'middle'
+        context.fillText(getAttributions(), pt(PAGE_MARGIN), footerY, footerWidth)
+        context.textAlign = 'right'
+        context.fillText(
+            `${i18n.d(new Date(), 'datetime')} - ${shortLink}`,
+            pt(PAGE_MARGIN + mapSize.width),
+            footerY,
+            footerWidth
+        )
+        if (pageLabel) {
+            context.font = `bold ${pt(TEXT_FONT_SIZE)}px sans-serif`
+            context.fillText(pageLabel, pt(PAGE_MARGIN + mapSize.width), pt(PAGE_MARGIN / 2))
+        }
+        return page
+    }
+
+    /**
+     * Writes the legends on as many pages as needed
+     *
+     * @returns {HTMLCanvasElement[]}
+     */
+    function composeLegendPages(legends, { pageSize, dpi }) {
+        const pt = (value) => (value * dpi) / POINTS_PER_INCH
+        const pages = []
+        const maxWidth = pageSize.width - 2 * PAGE_MARGIN
+        let context = null
+        let y = 0
+        const newPage = () => {
+            const page = document.createElement('canvas')
+            page.width = Math.round(pt(pageSize.width))
+            page.height = Math.round(pt(pageSize.height))
+            context = page.getContext('2d')
+            context.fillStyle = '#ffffff'
+            context.fillRect(0, 0, page.width, page.height)
+            context.fillStyle = '#000000'
+            context.textBaseline = 'top'
+            context.font = `bold ${pt(TITLE_FONT_SIZE)}px sans-serif`
+            context.fillText(i18n.t('legend'), pt(PAGE_MARGIN), pt(PAGE_MARGIN))
+            y = PAGE_MARGIN + TITLE_FONT_SIZE + LEGEND_SPACING
+            pages.push(page)
+        }
+        const maxHeight = () => pageSize.height - PAGE_MARGIN - y
+        legends.forEach(({ name, images }) => {
+            if (!context || maxHeight() < TEXT_FONT_SIZE * 4) {
+                newPage()
+            }
+            context.font = `bold ${pt(TEXT_FONT_SIZE + 2)}px sans-serif`
+            context.fillText(name, pt(PAGE_MARGIN), pt(y), pt(maxWidth))
+            y += TEXT_FONT_SIZE + 2 + BOX_PADDING
+            images.forEach((image) => {
+                // legend images are made for screens, one pixel is drawn as one point
+                let ratio = Math.min(1, maxWidth / image.width)
+                if (image.height * ratio > maxHeight()) {
+                    newPage()
+                    ratio = Math.min(ratio, maxHeight() / image.height)
+                }
+                context.drawImage(
+                    image,
+                    pt(PAGE_MARGIN),
+                    pt(y),
+                    pt(image.width * ratio),
+                    pt(image.height * ratio)
+                )
+                y += image.height * ratio + BOX_PADDING
+            })
+            y += LEGEND_SPACING
+        })
+        return pages
+    }
+
+    /**
+     * Draws the outline and the number of the atlas pages on the overview map
+     *
+     * @param {HTMLCanvasElement} canvas Map rendered without rotation
+     * @param {[Number, Number, Number, Number][]} frames Extents of the atlas pages
+     * @param {Number[]} center Center of the rendered map
+     * @param {Number} resolution Resolution of the rendered map (for the width of the canvas)
+     */
+    function drawAtlasFrames(canvas, frames, center, resolution) {
+        const context = canvas.getContext('2d')
+        const toPixel = ([x, y]) => [
+            canvas.width / 2 + (x - center[0]) / resolution,
+            canvas.height / 2 - (y - center[1]) / resolution,
+        ]
+        const fontSize = Math.max(12, canvas.width / 60)
+        context.save()
+        context.lineWidth = Math.max(2, canvas.width / 800)
+        context.font = `bold ${fontSize}px sans-serif`
+        context.textAlign = 'center'
+        context.textBaseline = 'middle'
+        frames.forEach((frame, index) => {
+            const [minX, minY] = toPixel([frame[0], frame[3]])
+            const [maxX, maxY] = toPixel([frame[2], frame[1]])
+            context.strokeStyle = 'rgba(230, 0, 0, 0.9)'
+            context.strokeRect(minX, minY, maxX - minX, maxY - minY)
+            const [x, y] = toPixel(getCenter(frame))
+            context.strokeStyle = '#ffffff'
+            context.strokeText(`${index + 1}`, x, y)
+            context.fillStyle = 'rgba(230, 0, 0, 0.9)'
+            context.fillText(`${index + 1}`, x, y)
+        })
+        context.restore()
+    }
+
+    /**
+     * Puts all pages one under the other in one PNG image
+     *
+     * @param {HTMLCanvasElement[]} pages
+     * @returns {Promise<Blob>}
+     */
+    async function writePng(pages) {
+        if (pages.length === 1) {
+            return canvasToBlob(pages[0], 'image/png')
+        }
+        const image = document.createElement('canvas')
+        image.width = pages[0].width
+        image.height = pages.reduce((height, page) => height + page.height, 0)
+        const context = image.getContext('2d')
+        let y = 0
+        pages.forEach((page) => {
+            context.drawImage(page, 0, y)
+            y += page.height
+        })
+        return canvasToBlob(image, 'image/png')
+    }
+
+    /**
+     * Collects the pages of a print. For PDFs, pages are encoded as soon as they are added, so that
+     * only one page canvas at a time is kept in memory (an atlas can have many pages).
+     *
+     * @param {ClientSidePrintFormats} format
+     * @param {{ width: Number; height: Number }} pageSize In PostScript points
+     */
+    function createPageCollector(format, pageSize) {
+        const pdfPages = []
+        const canvases = []
+        return {
+            /** @param {HTMLCanvasElement} page */
+            async addPage(page) {
+                if (format !== ClientSidePrintFormats.PDF) {
+                    canvases.push(page)
+                    return
+                }
+                const jpeg = await canvasToBlob(page, 'image/jpeg', JPEG_QUALITY)
+                pdfPages.push({
+                    jpeg: new Uint8Array(await jpeg.arrayBuffer()),
+                    imageWidth: page.width,
+                    imageHeight: page.height,
+                    pageWidth: pageSize.width,
+                    pageHeight: pageSize.height,
+                })
+            },
+            /** @returns {Promise<Blob>} */
+            async write() {
+                if (format !== ClientSidePrintFormats.PDF) {
+                    return writePng(canvases)
+                }
+                return new Blob(
+                    [
+                        writeImagePdf(pdfPages, {
+                            title: store.state.print.printTitle.trim() || i18n.t('page_title'),
+                        }),
+                    ],
+                    {
+                        type: 'application/pdf',
+                    }
+                )
+            },
+        }
+    }
+
+    /**
+     * Gathers what all pages of a print need: sizes, link to the map, QR code and legends
+     *
+     * @param {Number} dpi
+     * @param {Boolean} printLegend
+     */
+    async function preparePrint(dpi, printLegend) {
+        const scale = store.state.print.selectedScale
+        const mapSize = store.getters.printLayoutSize
+        const pageSize = {
+            width: mapSize.width + 2 * PAGE_MARGIN,
+            height: mapSize.height + 2 * PAGE_MARGIN + FOOTER_HEIGHT,
+        }
+        // the layers of the map are rendered with the device pixel ratio
+        const image = getPrintMapSize(
+            mapSize,
+            dpi,
+            CLIENT_SIDE_PRINT_MAX_PIXELS / window.devicePixelRatio ** 2
+        )
+        if (image.dpi < dpi) {
+            log.warn(`Map too big to be printed at ${dpi} DPI, using ${image.dpi} DPI instead`)
+        }
+
+        let shortLink = window.location.href
+        try {
+            shortLink = await createShortLink(window.location.href)
+        } catch (error) {
+            log.error('Could not create a short link, printing the full link instead', error)
+        }
+        const qrCode = await loadQrCode(shortLink)
+        const legends = printLegend ? await loadLegends() : []
+        return {
+            image,
+            legends,
+            options: { mapSize, pageSize, dpi: image.dpi, scale, shortLink, qrCode },
+        }
+    }
+
+    /**
+     * Runs a print: manages its status, adds the legends after the map pages and saves the result
+     *
+     * @param {ClientSidePrintFormats} format
+     * @param {Number} dpi
+     * @param {Boolean} printLegend
+     * @param {Function} addMapPages Async function receiving what {@link preparePrint} gathered and
+     *   a function to add a page
+     */
+    async function runPrint(format, dpi, printLegend, addMapPages) {
+        if (printStatus.value === PrintStatus.PRINTING) {
+            return
+        }
+        abortRequested = false
+        printError.value = null
+        printProgress.value = { current: 0, total: 0 }
+        printStatus.value = PrintStatus.PRINTING
+        store.dispatch('setLoadingBarRequester', { requester, ...dispatcher })
+        try {
+            const setup = await preparePrint(dpi, printLegend)
+            checkAborted()
+            const collector = createPageCollector(format, setup.options.pageSize)
+            await addMapPages(setup, collector.addPage)
+            for (const page of composeLegendPages(setup.legends, setup.options)) {
+                await collector.addPage(page)
+            }
+            const blob = await collector.write()
+            checkAborted()
+            saveAs(blob, generateFilename(`.${format}`))
+            printStatus.value = PrintStatus.FINISHED_SUCCESSFULLY
+        } catch (error) {
+            if (error instanceof ClientSidePrintAbortedError) {
+                log.debug('Print in the browser aborted')
+                printStatus.value = PrintStatus.FINISHED_ABORTED
+            } else {
+                log.error('Print in the browser failed', error)
+                printError.value = error
+                printStatus.value = PrintStatus.FINISHED_FAILED
+            }
+        } finally {
+            store.dispatch('clearLoadingBarRequester', { requester, ...dispatcher })
+        }
+    }
+
+    /**
+     * Prints one page, centered on the map and following the rotation of the print frame
+     *
+     * @param {ClientSidePrintFormats} format
+     * @param {Number} dpi
+     * @param {Boolean} [printLegend=false] Add the legends of all visible layers (if they have one)
+     *   after the map. Default is `false`
+     */
+    async function print({ format, dpi, printLegend = false }) {
+        await runPrint(format, dpi, printLegend, async ({ image, options }, addPage) => {
+            const view = olMap.getView()
+            printProgress.value = { current: 1, total: 1 }
+            const resolution = getPrintResolution(
+                options.scale,
+                image.dpi,
+                view.getProjection(),
+                view.getCenter()
+            )
+            // the map is rotated the other way than the print frame, so that the frame is upright on
+            // the page
+            const rotation = view.getRotation() - toRadians(store.state.print.printRotation)
+            const mapCanvas = await renderMap(image.width, image.height, resolution, null, rotation)
+            checkAborted()
+            await addPage(composeMapPage(mapCanvas, { ...options, rotation }))
+        })
+    }
+
+    /**
+     * Prints an atlas in one PDF: an overview page showing where all pages are, then one page per
+     * frame (at the selected scale, without rotation). Used when the print server isn't available,
+     * or when the selected layout can't print multiple pages (otherwise the atlas is printed by the
+     * server, see {@link createAtlasPages})
+     *
+     * @param {[Number, Number, Number, Number][]} frames Extents of the pages, see the
+     *   `atlasFrames` getter of the print store
+     * @param {Number} dpi
+     * @param {Boolean} [printLegend=false] Default is `false`
+     */
+    async function printAtlas({ frames, dpi, printLegend = false }) {
+        if (frames.length === 0) {
+            return
+        }
+        await runPrint(
+            ClientSidePrintFormats.PDF,
+            dpi,
+            printLegend,
+            async ({ image, options }, addPage) => {
+                const projection = olMap.getView().getProjection()
+                const total = frames.length
+                printProgress.value = { current: 1, total: total + 1 }
+
+                const extent = frames.reduce((all, frame) => extend(all, frame), createEmpty())
+                const overviewCenter = getCenter(extent)
+                // leaving some space around the pages
+                const overviewResolution =
+                    1.1 * Math.max(getWidth(extent) / image.width, getHeight(extent) / image.height)
+                const overview = await renderMap(
+                    image.width,
+                    image.height,
+                    overviewResolution,
+                    overviewCenter,
+                    0
+                )
+                checkAborted()
+                drawAtlasFrames(
+                    overview,
+                    frames,
+                    overviewCenter,
+                    (overviewResolution * image.width) / overview.width
+                )
+                await addPage(
+                    composeMapPage(overview, {
+                        ...options,
+                        scale: getPrintScale(
+                            overviewResolution,
+                            image.dpi,
+                            projection,
+                            overviewCenter
+                        ),
+                        rotation: 0,
+                        pageLabel: i18n.t('print_atlas_overview'),
+                    })
+                )
+
+                for (const [index, frame] of frames.entries()) {
+                    checkAborted()
+                    printProgress.value = { current: index + 2, total: total + 1 }
+                    // rendering exactly the extent of the frame, as shown in the preview
+                    const mapCanvas = await renderMap(
+                        image.width,
+                        image.height,
+                        getWidth(frame) / image.width,
+                        getCenter(frame),
+                        0
+                    )
+                    await addPage(
+                        composeMapPage(mapCanvas, {
+                            ...options,
+                            rotation: 0,
+                            pageLabel: i18n.t('print_atlas_page', { page: index + 1, total }),
+                        })
+                    )
+                }
+            }
+        )
+    }
+
+    /** Stops the current print, after the step being processed */
+    function abortPrint() {
+        abortRequested = true
+    }
+
+    return {
+        print,
+        printAtlas,
+        abortPrint,
+        printStatus,
+        printProgress,
+        printError,
+    }
+}
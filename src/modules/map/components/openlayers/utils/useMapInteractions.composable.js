@@ -1,3 +1,4 @@
+import { omit } from 'lodash'
 import GeoJSON from 'ol/format/GeoJSON'
 import { DragPan, MouseWheelZoom } from 'ol/interaction'
 import DoubleClickZoomInteraction from 'ol/interaction/DoubleClickZoom'
@@ -16,6 +17,7 @@ import ErrorMessage from '@/utils/ErrorMessage.class'
 import { EmptyGPXError } from '@/utils/gpxUtils'
 import { EmptyKMLError } from '@/utils/kmlUtils'
 import log from '@/utils/logging'
+import { EmptyVectorFileError, UnsupportedProjectionError } from '@/utils/vectorFileUtils'
 
 const dispatcher = {
     dispatcher: 'useMapInteractions.composable',
@@ -27,7 +29,9 @@ export default function useMapInteractions(map) {
     const isCurrentlyDrawing = computed(() => store.state.drawing.drawingOverlay.show)
     const activeVectorLayers = computed(() =>
         store.state.layers.activeLayers.filter((layer) =>
-            [LayerTypes.KML, LayerTypes.GPX, LayerTypes.GEOJSON].includes(layer.type)
+            [LayerTypes.KML, LayerTypes.GPX, LayerTypes.GEOJSON, LayerTypes.VECTOR_FILE].includes(
+                layer.type
+            )
         )
     )
 
@@ -148,10 +152,17 @@ export default function useMapInteractions(map) {
                                         // GPX track feature don't have an ID but have a name !
                                         olFeature.get('name') ??
                                         olFeature.getId(),
-                                    data: {
-                                        title: olFeature.get('name'),
-                                        description: olFeature.get('description'),
-                                    },
+                                    data:
+                                        vectorLayer.type === LayerTypes.VECTOR_FILE
+                                            ? // imported vector files have no fixed schema, we show all their attributes
+                                              omit(
+                                                  olFeature.getProperties(),
+                                                  olFeature.getGeometryName()
+                                              )
+                                            : {
+                                                  title: olFeature.get('name'),
+                                                  description: olFeature.get('description'),
+                                              },
                                     coordinates: olFeature.getGeometry().getCoordinates(),
                                     geometry: new GeoJSON().writeGeometryObject(
                                         olFeature.getGeometry()
@@ -274,6 +285,10 @@ export default function useMapInteractions(map) {
                 errorKey = 'imported_file_out_of_bounds'
             } else if (error instanceof EmptyKMLError || error instanceof EmptyGPXError) {
                 errorKey = 'kml_gpx_file_empty'
+            } else if (error instanceof EmptyVectorFileError) {
+                errorKey = 'vector_file_empty'
+            } else if (error instanceof UnsupportedProjectionError) {
+                errorKey = 'imported_file_unsupported_projection'
             } else {
                 errorKey = 'invalid_import_file_error'
                 log.error(`Failed to load file`, error)
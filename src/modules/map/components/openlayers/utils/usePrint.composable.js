@@ -1,3 +1,5 @@
+import { createEmpty, extend, getCenter } from 'ol/extent'
+import { getPointResolution } from 'ol/proj'
 import { computed, ref } from 'vue'
 import { useStore } from 'vuex'
 
@@ -5,6 +7,7 @@ import { abortPrintJob, createPrintJob, waitForPrintJobCompletion } from '@/api/
 import { getGenerateQRCodeUrl } from '@/api/qrcode.api.js'
 import { createShortLink } from '@/api/shortlink.api.js'
 import log from '@/utils/logging'
+import { getAtlasOverviewScale } from '@/utils/printUtils'
 
 const dispatcher = { dispatcher: 'usePrint.composable' }
 
@@ -35,13 +38,33 @@ export function usePrint(map) {
 
     const hostname = computed(() => store.state.ui.hostname)
 
+    /**
+     * @param {PrintLayout} layout
+     * @param {[Number, Number, Number, Number][]} atlasFrames
+     * @returns {Number | null} Scale of the overview page of the atlas, or null without atlas
+     */
+    function getAtlasOverviewScaleOfLayout(layout, atlasFrames) {
+        if (atlasFrames.length === 0) {
+            return null
+        }
+        const extent = atlasFrames.reduce((all, frame) => extend(all, frame), createEmpty())
+        return getAtlasOverviewScale(
+            atlasFrames,
+            layout.scales,
+            store.getters.printLayoutSize,
+            getPointResolution(store.state.position.projection.epsg, 1, getCenter(extent), 'm')
+        )
+    }
+
     /**
      * @param {Boolean} printGrid Print the coordinate grid on the finished PDF, true or false
      * @param {Boolean} printLegend Print all visible layer legend (if they have one) on the map,
      *   true or false
+     * @param {[Number, Number, Number, Number][]} atlasFrames Extents of the pages of an atlas,
+     *   printed all in one job (with an overview page) instead of the current view of the map
      * @returns {Promise<String | null>}
      */
-    async function print(printGrid = false, printLegend = false) {
+    async function print(printGrid = false, printLegend = false, atlasFrames = []) {
         try {
             store.dispatch('setLoadingBarRequester', { requester, ...dispatcher })
             if (currentJobReference.value) {
@@ -50,6 +73,7 @@ export function usePrint(map) {
             printStatus.value = PrintStatus.PRINTING
             const shortLink = await createShortLink(window.location.href)
             const qrCodeUrl = getGenerateQRCodeUrl(shortLink)
+            const layout = store.state.print.selectedLayout
             // using store values directly (instead of going through computed) so that it is a bit more performant
             // (we do not need to have reactivity on these values, if they change while printing we do nothing)
             const printJob = await createPrintJob(map, {
@@ -58,7 +82,7 @@ export function usePrint(map) {
                 // or '_'. The ${yyyy-MM-dd'T'HH-mm-ss'Z'} placeholder is used by mapfish print see
                 // https://mapfish.github.io/mapfish-print-doc/configuration.html
                 outputFilename: `${hostname.value}_\${yyyy-MM-dd'T'HH-mm-ss'Z'}`,
-                layout: store.state.print.selectedLayout,
+                layout,
                 scale: store.state.print.selectedScale,
                 attributions: store.getters.visibleLayers
                     .concat([store.getters.currentBackgroundLayer])
@@ -81,7 +105,13 @@ export function usePrint(map) {
                 lang: store.state.i18n.lang,
                 printGrid: printGrid,
                 projection: store.state.position.projection,
+                gridProjection: store.state.print.printGridProjection,
+                title: store.state.print.printTitle,
+                comment: store.state.print.printComment,
+                rotation: store.state.print.printRotation,
                 dpi: store.getters.selectedDPI,
+                atlasFrames,
+                atlasOverviewScale: getAtlasOverviewScaleOfLayout(layout, atlasFrames),
             })
             currentJobReference.value = printJob.ref
             const result = await waitForPrintJobCompletion(printJob)
@@ -7,6 +7,14 @@ import log from '@/utils/logging'
 
 const dispatcher = { dispatcher: 'print-area-renderer.composable' }
 
+/**
+ * Property of the map that, when true, hides the print area (e.g. while the map is rendered for a
+ * print in the browser)
+ *
+ * @type {String}
+ */
+export const HIDE_PRINT_AREA_PROPERTY = 'hidePrintArea'
+
 export default function usePrintAreaRenderer(map) {
     const store = useStore()
 
@@ -18,6 +26,8 @@ export default function usePrintAreaRenderer(map) {
     const isActive = computed(() => store.state.print.printSectionShown)
     const printLayoutSize = computed(() => store.getters.printLayoutSize)
     const selectedScale = computed(() => store.state.print.selectedScale)
+    const atlasFrames = computed(() => store.getters.atlasFrames)
+    const printRotation = computed(() => store.state.print.printRotation)
     // For simplicity we use the screen size for the map size
     const mapWidth = computed(() => store.state.ui.width)
     // Same here for simplicity we take the screen size minus the header size for the map size (map
@@ -51,6 +61,12 @@ export default function usePrintAreaRenderer(map) {
             watch(selectedScale, () => {
                 updatePrintOverlay()
             }),
+            watch(atlasFrames, () => {
+                updatePrintOverlay()
+            }),
+            watch(printRotation, () => {
+                updatePrintOverlay()
+            }),
             map.on('change:size', () => {
                 updatePrintOverlay()
             }),
@@ -110,6 +126,13 @@ export default function usePrintAreaRenderer(map) {
         context.save()
     }
     function handlePostRender(event) {
+        if (map.get(HIDE_PRINT_AREA_PROPERTY)) {
+            return
+        }
+        if (atlasFrames.value.length > 0) {
+            drawAtlasFrames(event)
+            return
+        }
         // This is where we draw the print area rectangle using the worldPolygon
         const context = event.context
         const size = map.getSize()
@@ -124,6 +147,15 @@ export default function usePrintAreaRenderer(map) {
         const maxx = printRectangle[2]
         const maxy = printRectangle[3]
 
+        // the print frame is rotated (clockwise) around the center of the map
+        const angle = (printRotation.value * Math.PI) / 180
+        const centerX = (minx + maxx) / 2
+        const centerY = (miny + maxy) / 2
+        const rotate = ([x, y]) => [
+            centerX + (x - centerX) * Math.cos(angle) - (y - centerY) * Math.sin(angle),
+            centerY + (x - centerX) * Math.sin(angle) + (y - centerY) * Math.cos(angle),
+        ]
+
         context.save()
 
         context.beginPath()
@@ -135,10 +167,10 @@ export default function usePrintAreaRenderer(map) {
         context.lineTo(...getRenderPixel(event, [0, height]))
 
         // Inner polygon, must be counter-clockwise
-        context.moveTo(...getRenderPixel(event, [minx, miny]))
-        context.lineTo(...getRenderPixel(event, [minx, maxy]))
-        context.lineTo(...getRenderPixel(event, [maxx, maxy]))
-        context.lineTo(...getRenderPixel(event, [maxx, miny]))
+        context.moveTo(...getRenderPixel(event, rotate([minx, miny])))
+        context.lineTo(...getRenderPixel(event, rotate([minx, maxy])))
+        context.lineTo(...getRenderPixel(event, rotate([maxx, maxy])))
+        context.lineTo(...getRenderPixel(event, rotate([maxx, miny])))
 
         context.closePath()
 
@@ -148,6 +180,44 @@ export default function usePrintAreaRenderer(map) {
         context.restore()
     }
 
+    /**
+     * Draws the outline and the page number of each page of the atlas (instead of hiding what isn't
+     * printed, as the pages can overlap)
+     */
+    function drawAtlasFrames(event) {
+        const context = event.context
+        const pixelRatio = olHas.DEVICE_PIXEL_RATIO
+        context.save()
+        context.lineWidth = 2 * pixelRatio
+        context.font = `bold ${16 * pixelRatio}px sans-serif`
+        context.textAlign = 'center'
+        context.textBaseline = 'middle'
+        atlasFrames.value.forEach(([minX, minY, maxX, maxY], index) => {
+            const corners = [
+                [minX, minY],
+                [minX, maxY],
+                [maxX, maxY],
+                [maxX, minY],
+            ].map((corner) => getRenderPixel(event, map.getPixelFromCoordinate(corner)))
+            context.beginPath()
+            corners.forEach((corner) => context.lineTo(...corner))
+            context.closePath()
+            context.fillStyle = 'rgba(0, 5, 25, 0.15)'
+            context.fill()
+            context.strokeStyle = 'rgba(230, 0, 0, 0.9)'
+            context.stroke()
+            const center = getRenderPixel(
+                event,
+                map.getPixelFromCoordinate([(minX + maxX) / 2, (minY + maxY) / 2])
+            )
+            context.strokeStyle = '#ffffff'
+            context.strokeText(`${index + 1}`, ...center)
+            context.fillStyle = 'rgba(230, 0, 0, 0.9)'
+            context.fillText(`${index + 1}`, ...center)
+        })
+        context.restore()
+    }
+
     // Compute the optimal scale based on the map size (layout), resolution,
     // non-covered map vie (by header and menu tray)
     function getOptimalScale() {
@@ -1,7 +1,23 @@
 import { expect } from 'chai'
-import { describe, it } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+import { afterEach, beforeEach, describe, it, vi } from 'vitest'
 
-import { isKml } from '@/modules/menu/components/advancedTools/ImportFile/utils'
+import { createKml, updateKml } from '@/api/files.api'
+import { createLocalDrawing, getLocalDrawing } from '@/api/localDrawings.api'
+import { importCsvPoints, isKml } from '@/modules/menu/components/advancedTools/ImportFile/utils'
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+
+vi.mock('@/api/files.api', async (importOriginal) => ({
+    ...(await importOriginal()),
+    createKml: vi.fn(),
+    updateKml: vi.fn(),
+}))
+
+const dispatcher = { dispatcher: 'unit-test' }
 
 describe('Test ImportFile utils', () => {
     it('Detect KML file syntax', () => {
@@ -46,4 +62,50 @@ describe('Test ImportFile utils', () => {
 ]]></div>`)
         ).to.be.false
     })
+    describe('importCsvPoints as drawing markers', () => {
+        const geoJsonData = {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: [7.44, 46.95] },
+                    properties: { label: 'Bern' },
+                },
+            ],
+        }
+        beforeEach(() => {
+            vi.stubGlobal('indexedDB', new IDBFactory())
+            store.commit('setIconSets', { iconSets: [{ name: 'other', icons: [] }] })
+        })
+        afterEach(async () => {
+            await store.dispatch('setLocalDrawingId', { localDrawingId: null, ...dispatcher })
+            await store.dispatch('clearLayers', dispatcher)
+            vi.unstubAllGlobals()
+            vi.clearAllMocks()
+        })
+        it('adds the markers to the local drawing being edited, without uploading them', async () => {
+            const localDrawing = await createLocalDrawing('Parcel', '')
+            await store.dispatch('setLocalDrawingId', {
+                localDrawingId: localDrawing.id,
+                ...dispatcher,
+            })
+            await importCsvPoints(store, geoJsonData, 'points.csv', true)
+            expect((await getLocalDrawing(localDrawing.id)).kmlData).to.contain('Bern')
+            expect(createKml).not.toHaveBeenCalled()
+            expect(updateKml).not.toHaveBeenCalled()
+        })
+        it('shows the markers added to the local drawing on the map', async () => {
+            const localDrawing = await createLocalDrawing('Parcel', '')
+            await store.dispatch('setLocalDrawingId', {
+                localDrawingId: localDrawing.id,
+                ...dispatcher,
+            })
+            await importCsvPoints(store, geoJsonData, 'points.csv', true)
+            const layers = store.getters.getActiveLayersById(localDrawing.id)
+            expect(layers).to.have.length(1)
+            expect(layers[0].visible).to.be.true
+            expect(layers[0].kmlData).to.contain('Bern')
+            expect(store.getters.visibleLayers.map((layer) => layer.id)).to.include(localDrawing.id)
+        })
+    })
 })
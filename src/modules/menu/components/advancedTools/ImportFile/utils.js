@@ -4,12 +4,29 @@ import GPX from 'ol/format/GPX'
 import GeoTIFFLayer from '@/api/layers/GeoTIFFLayer.class'
 import GPXLayer from '@/api/layers/GPXLayer.class'
 import KMLLayer from '@/api/layers/KMLLayer.class'
+import VectorFileLayer from '@/api/layers/VectorFileLayer.class'
+import { createMarkerFeatures } from '@/modules/drawing/lib/drawingUtils'
+import { generateKmlString } from '@/modules/drawing/lib/export-utils'
+import {
+    getCurrentDrawingKmlLayer,
+    saveDrawingKml,
+} from '@/modules/drawing/useKmlDataManagement.composable'
 import { normalizeExtent, OutOfBoundsError } from '@/utils/coordinates/coordinateUtils'
 import { getExtentForProjection } from '@/utils/extentUtils'
 import { EmptyGPXError, getGpxExtent } from '@/utils/gpxUtils'
-import { EmptyKMLError, getKmlExtent, unzipKmz } from '@/utils/kmlUtils'
+import { EmptyKMLError, getKmlExtent, parseKml, unzipKmz } from '@/utils/kmlUtils'
 import log from '@/utils/logging'
-import { isTiffContent, isZipContent } from '@/utils/utils'
+import { isFlatGeobufContent, isTiffContent, isZipContent } from '@/utils/utils'
+import {
+    EmptyVectorFileError,
+    getVectorFileExtent,
+    isGeoJson,
+    isShapefileZip,
+    parseFlatGeobuf,
+    parseGeoJson,
+    parseShapefileZip,
+    VectorFileFormats,
+} from '@/utils/vectorFileUtils'
 
 const dispatcher = { dispatcher: 'ImportFile/utils' }
 
@@ -35,6 +52,88 @@ export function isGpx(fileContent) {
     return /<gpx/.test(fileContent) && /<\/gpx\s*>/.test(fileContent)
 }
 
+/**
+ * Zoom on the extent of the given GeoJSON data
+ *
+ * @param {Object} store Vuex store
+ * @param {Object} geoJsonData GeoJSON FeatureCollection expressed in WGS84
+ * @param {VectorFileFormats} format Format of the source file
+ * @throws EmptyVectorFileError if the data has no geometry
+ * @throws OutOfBoundsError if the data is out of the bounds of the current projection
+ */
+function zoomToVectorFileData(store, geoJsonData, format) {
+    const extent = getVectorFileExtent(geoJsonData)
+    if (!extent) {
+        throw new EmptyVectorFileError()
+    }
+    const projectedExtent = getExtentForProjection(store.state.position.projection, extent)
+    if (!projectedExtent) {
+        throw new OutOfBoundsError(`${format} out of projection bounds: ${extent}`)
+    }
+    store.dispatch('zoomToExtent', { extent: projectedExtent, ...dispatcher })
+}
+
+/**
+ * Creates a vector file layer out of the given GeoJSON data, zoom on it and add it to the active
+ * layers (or update it if it was already added previously)
+ *
+ * @param {Object} store Vuex store
+ * @param {Object} geoJsonData GeoJSON FeatureCollection expressed in WGS84
+ * @param {string} source Source of the file (either URL or file path)
+ * @param {VectorFileFormats} format Format of the source file
+ * @returns {VectorFileLayer}
+ */
+function addVectorFileLayer(store, geoJsonData, source, format) {
+    const layer = new VectorFileLayer({
+        fileSource: source,
+        visible: true,
+        opacity: 1.0,
+        format,
+        geoJsonData,
+    })
+    zoomToVectorFileData(store, geoJsonData, format)
+    if (store.getters.getActiveLayersById(layer.id).length > 0) {
+        store.dispatch('updateLayers', { layers: [layer], ...dispatcher })
+    } else {
+        store.dispatch('addLayer', { layer, ...dispatcher })
+    }
+    return layer
+}
+
+/**
+ * Import the points read from a CSV file (see {@link convertCsvToGeoJson}), either as a vector file
+ * layer, or as markers added to the user's drawing (so that they can be edited afterward). The
+ * drawing is saved where it is currently kept (local library, backend or temporary KML), and shown
+ * on the map with its markers, as the drawing module would.
+ *
+ * @param {Object} store Vuex store
+ * @param {Object} geoJsonData Points of the CSV, as a GeoJSON FeatureCollection expressed in WGS84
+ * @param {string} source Source of the file (file path)
+ * @param {boolean} [asDrawingMarkers=false] Default is `false`
+ * @returns {Promise<void>}
+ */
+export async function importCsvPoints(store, geoJsonData, source, asDrawingMarkers = false) {
+    if (!asDrawingMarkers) {
+        addVectorFileLayer(store, geoJsonData, source, VectorFileFormats.CSV)
+        return
+    }
+    zoomToVectorFileData(store, geoJsonData, VectorFileFormats.CSV)
+    const projection = store.state.position.projection
+    if (store.state.drawing.iconSets.length === 0) {
+        await store.dispatch('loadAvailableIconSets', dispatcher)
+    }
+    const iconSets = store.state.drawing.iconSets
+    const icon = iconSets.find((set) => set.name === 'default')?.icons[0] ?? null
+    // keeping what was already drawn, the markers are added to it
+    const drawingKmlLayer = await getCurrentDrawingKmlLayer(store)
+    const existingFeatures = drawingKmlLayer?.kmlData
+        ? parseKml(drawingKmlLayer, projection, iconSets)
+        : []
+    const markers = createMarkerFeatures(geoJsonData, projection, icon)
+    log.debug(`Adding ${markers.length} markers from ${source} to the drawing`)
+    await saveDrawingKml(store, generateKmlString(projection, [...existingFeatures, ...markers]))
+}
+
 /**
  * Handle file content
  *
@@ -49,10 +148,19 @@ export async function handleFileContent(store, content, source, originalFile = n
     let parsedContent
     let linkFiles
     if (isZipContent(content)) {
+        if (await isShapefileZip(content)) {
+            log.debug(`File content is a zipfile containing a Shapefile`)
+            const geoJsonData = await parseShapefileZip(content, source)
+            return addVectorFileLayer(store, geoJsonData, source, VectorFileFormats.SHAPEFILE)
+        }
         log.debug(`File content is a zipfile, assume it is a KMZ archive`)
         const kmz = await unzipKmz(content, source)
         parsedContent = kmz.kml
         linkFiles = kmz.files
+    } else if (isFlatGeobufContent(content)) {
+        log.debug(`File content is a FlatGeobuf`)
+        const geoJsonData = parseFlatGeobuf(content)
+        return addVectorFileLayer(store, geoJsonData, source, VectorFileFormats.FLATGEOBUF)
     } else if (isTiffContent(content)) {
         log.debug(`File content might be a GeoTIFF, attempting a parse as such`)
         try {
@@ -135,6 +243,13 @@ export async function handleFileContent(store, content, source, originalFile = n
         }
         store.dispatch('zoomToExtent', { extent: projectedExtent, ...dispatcher })
         store.dispatch('addLayer', { layer, ...dispatcher })
+    } else if (isGeoJson(parsedContent)) {
+        layer = addVectorFileLayer(
+            store,
+            parseGeoJson(parsedContent),
+            source,
+            VectorFileFormats.GEOJSON
+        )
     } else {
         throw new Error(`Unsupported file ${source} textContent`)
     }
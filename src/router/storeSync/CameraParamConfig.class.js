@@ -2,34 +2,7 @@ import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
-
-/**
- * Reads the camera position from the single URL param. Returns null if the camera position is not
- * defined or not complete
- *
- * @param urlParamValue
- * @returns {CameraPosition | null}
- */
-export function readCameraFromUrlParam(urlParamValue) {
-    if (urlParamValue) {
-        let cameraValues = urlParamValue.split(',')
-        // the split must have 6 components (x, y, z, pitch, heading and roll)
-        if (cameraValues.length === 6) {
-            // parsing to number all values (default to 0 if the value is empty)
-            cameraValues = cameraValues.map((value) => (value === '' ? 0 : Number(value)))
-            const [x, y, z, pitch, heading, roll] = cameraValues
-            return {
-                x,
-                y,
-                z,
-                pitch,
-                heading,
-                roll,
-            }
-        }
-    }
-    return null
-}
+import { readCameraFromUrlParam } from '@/router/storeSync/urlParamParsers'
 
 function dispatchCameraFromUrlIntoStore(to, store, urlParamValue) {
     const promisesForAllDispatch = []
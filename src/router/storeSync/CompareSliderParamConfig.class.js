@@ -2,18 +2,47 @@ import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
+import { isValidCompareRatio } from '@/router/storeSync/urlParamValidators'
+import { CompareSliderModes } from '@/store/modules/ui.store'
 
+/**
+ * The function used to dispatch the URL parameter to the store. The following formats are accepted
+ *
+ * 1. `ratio` --> vertical compare slider, comparing the visible layer on top
+ * 2. `ratio,mode` --> compare slider in the given mode (vertical, horizontal or spyglass)
+ * 3. `ratio,mode,layerId` --> same as before, but comparing the given layer
+ *
+ * @param {Object} to
+ * @param {Object} store
+ * @param {String} urlParamValue
+ * @returns {Promise<any>}
+ */
 function dispatchCompareSliderFromUrlParam(to, store, urlParamValue) {
     const promisesForAllDispatch = []
     if (urlParamValue) {
+        const [ratio, mode, ...layerIdParts] = `${urlParamValue}`.split(',')
+        const compareRatio = Number(ratio)
         promisesForAllDispatch.push(
             store.dispatch('setCompareRatio', {
-                compareRatio: urlParamValue,
+                compareRatio,
+                dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+            })
+        )
+        promisesForAllDispatch.push(
+            store.dispatch('setCompareSliderMode', {
+                mode: mode || CompareSliderModes.VERTICAL,
+                dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+            })
+        )
+        promisesForAllDispatch.push(
+            store.dispatch('setCompareLayerId', {
+                // layer IDs (e.g. of external layers) can contain commas
+                layerId: layerIdParts.join(','),
                 dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
             })
         )
         // small check here: if the user is inserting a non valid value, we won't activate the slider
-        if (urlParamValue > 0.0 && urlParamValue < 1.0) {
+        if (compareRatio > 0.0 && compareRatio < 1.0) {
             promisesForAllDispatch.push(
                 store.dispatch('setCompareSliderActive', {
                     compareSliderActive: true,
@@ -26,8 +55,19 @@ function dispatchCompareSliderFromUrlParam(to, store, urlParamValue) {
 }
 
 function generateCompareSliderUrlParamFromStore(store) {
-    if (store.state.ui.compareRatio !== null && store.state.ui.isCompareSliderActive) {
-        return store.state.ui.compareRatio
+    const { compareRatio, isCompareSliderActive, compareSliderMode, compareLayerId } =
+        store.state.ui
+    if (compareRatio !== null && isCompareSliderActive) {
+        let compareSliderParamValue = `${compareRatio}`
+        // only adding the mode and layer when they differ from the defaults, so that the URL stays
+        // compatible with the previous format
+        if (compareSliderMode !== CompareSliderModes.VERTICAL || compareLayerId) {
+            compareSliderParamValue += `,${compareSliderMode}`
+        }
+        if (compareLayerId) {
+            compareSliderParamValue += `,${compareLayerId}`
+        }
+        return compareSliderParamValue
     }
     return null
 }
@@ -36,23 +76,27 @@ function generateCompareSliderUrlParamFromStore(store) {
  * This ensure the following: When the compare ratio is set in the url, the flag telling if the
  * compare slider is active is set to true. We remove the compareRatio parameter from the URL when
  * the compare slider is not active The default value of the parameter is null
+ *
+ * The mode of the compare slider and the compared layer are also stored in this parameter (see
+ * {@link dispatchCompareSliderFromUrlParam})
  */
 export default class CompareSliderParamConfig extends AbstractParamConfig {
     constructor() {
         super({
             urlParamName: 'compareRatio',
-            mutationsToWatch: ['setCompareRatio', 'setCompareSliderActive'],
+            mutationsToWatch: [
+                'setCompareRatio',
+                'setCompareSliderActive',
+                'setCompareSliderMode',
+                'setCompareLayerId',
+            ],
             setValuesInStore: dispatchCompareSliderFromUrlParam,
             extractValueFromStore: generateCompareSliderUrlParamFromStore,
             keepInUrlWhenDefault: false,
-            valueType: Number,
+            valueType: String,
             defaultValue: null,
             validateUrlInput: (store, query) =>
-                getStandardValidationResponse(
-                    query,
-                    query && Number(query) <= 1.0 && Number(query) >= 0.0,
-                    this.urlParamName
-                ),
+                getStandardValidationResponse(query, isValidCompareRatio(query), this.urlParamName),
         })
     }
 }
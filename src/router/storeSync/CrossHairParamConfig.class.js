@@ -2,6 +2,7 @@ import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
+import { isValidCrossHair } from '@/router/storeSync/urlParamValidators'
 import { CrossHairs } from '@/store/modules/position.store'
 import { round } from '@/utils/numberUtils'
 
@@ -87,19 +88,7 @@ function generateCrossHairUrlParamFromStoreValues(store) {
  * @returns
  */
 function validateUrlInput(store, query) {
-    if (query) {
-        const parts = query.split(',')
-        let crossHair = parts[0]
-        let crossHairPosition = [parseFloat(parts[1]), parseFloat(parts[2])]
-        return getStandardValidationResponse(
-            query,
-            (crossHair ||
-                crossHairPosition.filter((coordinate) => !isNaN(coordinate)).length === 2) &&
-                (Object.values(CrossHairs).includes(crossHair) || crossHair === ''),
-            this.urlParamName
-        )
-    }
-    return getStandardValidationResponse(query, false, this.urlParamName)
+    return getStandardValidationResponse(query, isValidCrossHair(query), this.urlParamName)
 }
 
 /**
@@ -7,14 +7,15 @@ import GeoTIFFLayer from '@/api/layers/GeoTIFFLayer.class.js'
 import GPXLayer from '@/api/layers/GPXLayer.class'
 import KMLLayer from '@/api/layers/KMLLayer.class'
 import LayerTypes from '@/api/layers/LayerTypes.enum'
+import VectorFileLayer from '@/api/layers/VectorFileLayer.class'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
 import {
     orderFeaturesByLayers,
-    parseLayersParam,
     transformLayerIntoUrlString,
 } from '@/router/storeSync/layersParamParser'
+import { parseLayersParam } from '@/router/storeSync/urlParamParsers'
 import { flattenExtent } from '@/utils/coordinates/coordinateUtils.js'
 import ErrorMessage from '@/utils/ErrorMessage.class'
 import { getExtentOfGeometries } from '@/utils/geoJsonUtils'
@@ -84,6 +85,17 @@ export function createLayerObject(parsedLayer, currentLayer, store, featuresRequ
                 opacity: parsedLayer.opacity ?? defaultOpacity,
             })
         }
+    } else if (parsedLayer.type === LayerTypes.VECTOR_FILE) {
+        // format is VECTOR_FILE|FILE_URL
+        if (parsedLayer.baseUrl.startsWith('http')) {
+            layer = new VectorFileLayer({
+                fileSource: parsedLayer.baseUrl,
+                visible: parsedLayer.visible,
+                opacity: parsedLayer.opacity ?? defaultOpacity,
+            })
+        } else {
+            // we can't re-load vector files loaded through a file import; this file is ignored
+        }
     }
     // format is WMTS|GET_CAPABILITIES_URL|LAYER_ID
     else if (parsedLayer.type === LayerTypes.WMTS) {
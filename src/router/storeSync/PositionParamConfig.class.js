@@ -2,16 +2,8 @@ import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
-
-export function readCenterFromUrlParam(urlParamValue) {
-    if (urlParamValue) {
-        let centerValues = urlParamValue.split(',')
-        if (centerValues.length === 2) {
-            return centerValues.map((value) => parseFloat(value))
-        }
-    }
-    return null
-}
+import { readCenterFromUrlParam } from '@/router/storeSync/urlParamParsers'
+import { isValidCenter } from '@/router/storeSync/urlParamValidators'
 
 function dispatchCenterFromUrlIntoStore(to, store, urlParamValue) {
     const promisesForAllDispatch = []
@@ -34,15 +26,11 @@ function generateCenterUrlParamFromStoreValues(store) {
 }
 
 function validateUrlInput(store, query) {
-    if (query) {
-        const center = query.split(',')
-        return getStandardValidationResponse(
-            query,
-            center.length === 2 && store.state.position.projection.isInBounds(center[0], center[1]),
-            this.urlParamName
-        )
-    }
-    return getStandardValidationResponse(query, false, this.urlParamName)
+    return getStandardValidationResponse(
+        query,
+        isValidCenter(query, store.state.position.projection.epsgNumber),
+        this.urlParamName
+    )
 }
 
 /**
@@ -0,0 +1,76 @@
+import { getStandardValidationResponse } from '@/api/errorQueues.api'
+import AbstractParamConfig, {
+    STORE_DISPATCHER_ROUTER_PLUGIN,
+} from '@/router/storeSync/abstractParamConfig.class'
+import { transformLayerIntoUrlString } from '@/router/storeSync/layersParamParser'
+import { parseLayersParam } from '@/router/storeSync/urlParamParsers'
+
+/**
+ * Reads the layers of the split screen's second map, written in the same format as the `layers`
+ * param (see
+ * https://github.com/geoadmin/web-mapviewer/blob/develop/adr/2021_03_16_url_param_structure.md#layerid)
+ *
+ * Only layers of the layers' config are supported, other layers are ignored.
+ */
+function dispatchSplitScreenLayersFromUrlIntoStore(to, store, urlParamValue) {
+    const layers = parseLayersParam(urlParamValue)
+        .map((parsedLayer) => {
+            const layer = store.getters.getLayerConfigById(parsedLayer.id)
+            if (!layer) {
+                return null
+            }
+            const { year } = parsedLayer.customAttributes ?? {}
+            return {
+                id: layer.id,
+                visible: parsedLayer.visible,
+                opacity: parsedLayer.opacity ?? layer.opacity,
+                timeConfig: year !== undefined ? { currentYear: year } : layer.timeConfig,
+            }
+        })
+        .filter((layer) => !!layer)
+    return store.dispatch('setSplitScreenLayers', {
+        layers,
+        dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+    })
+}
+
+function generateSplitScreenLayersUrlParamFromStore(store) {
+    const { active, layers } = store.state.splitScreen
+    if (!active || layers.length === 0) {
+        return null
+    }
+    return layers
+        .map((layer) =>
+            transformLayerIntoUrlString(layer, store.getters.getLayerConfigById(layer.id))
+        )
+        .join(';')
+}
+
+export default class SplitScreenLayersParamConfig extends AbstractParamConfig {
+    constructor() {
+        super({
+            urlParamName: 'splitLayers',
+            mutationsToWatch: [
+                'setSplitScreenActive',
+                'setSplitScreenLayers',
+                'addSplitScreenLayer',
+                'removeSplitScreenLayer',
+                'toggleSplitScreenLayerVisibility',
+                'setSplitScreenLayerYear',
+            ],
+            setValuesInStore: dispatchSplitScreenLayersFromUrlIntoStore,
+            extractValueFromStore: generateSplitScreenLayersUrlParamFromStore,
+            keepInUrlWhenDefault: false,
+            valueType: String,
+            defaultValue: null,
+            validateUrlInput: (store, query) =>
+                getStandardValidationResponse(
+                    query,
+                    parseLayersParam(query).some(
+                        (layer) => !!store.getters.getLayerConfigById(layer.id)
+                    ),
+                    this.urlParamName
+                ),
+        })
+    }
+}
@@ -1,22 +1,80 @@
 import { getStandardValidationResponse } from '@/api/errorQueues.api'
-import { OLDEST_YEAR, YOUNGEST_YEAR } from '@/config/time.config'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
+import {
+    isValidTimeSliderParam,
+    isValidTimeSliderYear,
+} from '@/router/storeSync/urlParamValidators'
+import log from '@/utils/logging'
 import WarningMessage from '@/utils/WarningMessage.class'
 
+/**
+ * Layer IDs (e.g. of external layers) can contain the separators of this param, so the locked layer
+ * IDs are percent encoded in the param value.
+ *
+ * @param {String} encodedLayerId
+ * @returns {String | null} The layer ID, or null if it isn't correctly encoded
+ */
+function decodeLockedLayerId(encodedLayerId) {
+    try {
+        return decodeURIComponent(encodedLayerId)
+    } catch (error) {
+        log.error(`Invalid locked layer ID in the timeSlider param: ${encodedLayerId}`, error)
+        return null
+    }
+}
+
+/**
+ * The function used to dispatch the URL parameter to the store. The following formats are accepted
+ *
+ * 1. `year` --> time slider showing the given year
+ * 2. `year,start-end` --> same as before, with the range of years from start to end selected
+ * 3. `year,start-end,layerId1;layerId2` --> same as before, with the given layers keeping their own
+ *    year instead of following the time slider (the range can be left empty, e.g. `year,,layerId`).
+ *    Each layer ID is percent encoded (see {@link decodeLockedLayerId})
+ *
+ * @param {Object} to
+ * @param {Object} store
+ * @param {String} urlParamValue
+ * @returns {Promise<any>}
+ */
 function dispatchTimeSliderFromUrlParam(to, store, urlParamValue) {
     const promisesForAllDispatch = []
-    if (
-        urlParamValue &&
-        !isNaN(urlParamValue) &&
-        Number.isInteger(urlParamValue) &&
-        OLDEST_YEAR <= urlParamValue &&
-        YOUNGEST_YEAR >= urlParamValue
-    ) {
+    if (!urlParamValue) {
+        return Promise.all(promisesForAllDispatch)
+    }
+    const [yearPart, rangePart, lockedLayersPart] = `${urlParamValue}`.split(',')
+    const year = Number(yearPart)
+    if (isValidTimeSliderYear(yearPart)) {
         promisesForAllDispatch.push(
             store.dispatch('setPreviewYear', {
-                year: urlParamValue,
+                year,
+                dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+            })
+        )
+        const [start, end] = (rangePart ?? '').split('-')
+        if (isValidTimeSliderYear(start) && isValidTimeSliderYear(end)) {
+            promisesForAllDispatch.push(
+                store.dispatch('setPreviewYearRange', {
+                    start: Number(start),
+                    end: Number(end),
+                    dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+                })
+            )
+        } else {
+            promisesForAllDispatch.push(
+                store.dispatch('clearPreviewYearRange', {
+                    dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
+                })
+            )
+        }
+        promisesForAllDispatch.push(
+            store.dispatch('setTimeSliderLockedLayerIds', {
+                layerIds: (lockedLayersPart ?? '')
+                    .split(';')
+                    .map(decodeLockedLayerId)
+                    .filter((layerId) => layerId !== null),
                 dispatcher: STORE_DISPATCHER_ROUTER_PLUGIN,
             })
         )
@@ -34,16 +92,32 @@ function dispatchTimeSliderFromUrlParam(to, store, urlParamValue) {
 }
 
 function generateTimeSliderUrlParamFromStore(store) {
-    return store.state.ui.isTimeSliderActive ? store.state.layers.previewYear : null
+    const { previewYear, previewYearRange, timeSliderLockedLayerIds } = store.state.layers
+    if (!store.state.ui.isTimeSliderActive || previewYear === null) {
+        return null
+    }
+    // only adding the range and locked layers when there are some, so that the URL stays
+    // compatible with the previous format (a single year)
+    const lockedLayerIds = timeSliderLockedLayerIds.filter((layerId) =>
+        store.getters.visibleLayersWithTimeConfig.some((layer) => layer.id === layerId)
+    )
+    let timeSliderParamValue = `${previewYear}`
+    if (previewYearRange || lockedLayerIds.length > 0) {
+        timeSliderParamValue += ','
+    }
+    if (previewYearRange) {
+        timeSliderParamValue += `${previewYearRange.start}-${previewYearRange.end}`
+    }
+    if (lockedLayerIds.length > 0) {
+        timeSliderParamValue += `,${lockedLayerIds.map(encodeURIComponent).join(';')}`
+    }
+    return timeSliderParamValue
 }
 
 function validateUrlInput(store, query) {
     const validationObject = getStandardValidationResponse(
         query,
-        !isNaN(query) &&
-            Number.isInteger(Number(query)) &&
-            OLDEST_YEAR <= query &&
-            YOUNGEST_YEAR >= query,
+        isValidTimeSliderParam(query),
         this.urlParamName
     )
 
@@ -60,16 +134,24 @@ function validateUrlInput(store, query) {
  * When the timeSlider parameter is set in the URL, if the year is a valid year, it will set the
  * timeSlider to active to the correct year. The parameter only appears if the time Slider is
  * active
+ *
+ * The range of years selected on the time slider and the layers locked on their own year are also
+ * stored in this parameter (see {@link dispatchTimeSliderFromUrlParam})
  */
 export default class TimeSliderParamConfig extends AbstractParamConfig {
     constructor() {
         super({
             urlParamName: 'timeSlider',
-            mutationsToWatch: ['setPreviewYear', 'setTimeSliderActive'],
+            mutationsToWatch: [
+                'setPreviewYear',
+                'setTimeSliderActive',
+                'setPreviewYearRange',
+                'setTimeSliderLockedLayerIds',
+            ],
             setValuesInStore: dispatchTimeSliderFromUrlParam,
             extractValueFromStore: generateTimeSliderUrlParamFromStore,
             keepInUrlWhenDefault: false,
-            valueType: Number,
+            valueType: String,
             defaultValue: null,
             validateUrlInput: validateUrlInput,
         })
@@ -2,13 +2,8 @@ import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import AbstractParamConfig, {
     STORE_DISPATCHER_ROUTER_PLUGIN,
 } from '@/router/storeSync/abstractParamConfig.class'
-
-export function readZoomFromUrlParam(urlParamValue) {
-    if (urlParamValue) {
-        return parseFloat(urlParamValue)
-    }
-    return null
-}
+import { readZoomFromUrlParam } from '@/router/storeSync/urlParamParsers'
+import { isValidZoom } from '@/router/storeSync/urlParamValidators'
 
 function dispatchZoomFromUrlIntoStore(to, store, urlParamValue) {
     const promisesForAllDispatch = []
@@ -42,11 +37,7 @@ export default class ZoomParamConfig extends AbstractParamConfig {
             keepInUrlWhenDefault: true,
             valueType: Number,
             validateUrlInput: (store, query) =>
-                getStandardValidationResponse(
-                    query,
-                    query && !isNaN(query) && Number(query) >= 0,
-                    this.urlParamName
-                ),
+                getStandardValidationResponse(query, isValidZoom(query), this.urlParamName),
         })
     }
 }
@@ -1,8 +1,7 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 
-import PositionUrlParamConfig, {
-    readCameraFromUrlParam,
-} from '@/router/storeSync/CameraParamConfig.class'
+import PositionUrlParamConfig from '@/router/storeSync/CameraParamConfig.class'
+import { readCameraFromUrlParam } from '@/router/storeSync/urlParamParsers'
 
 describe('CameraParamConfig class test', () => {
     const testInstance = new PositionUrlParamConfig()
@@ -0,0 +1,80 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it, vi } from 'vitest'
+
+import CompareSliderParamConfig from '@/router/storeSync/CompareSliderParamConfig.class'
+import { CompareSliderModes } from '@/store/modules/ui.store'
+
+describe('CompareSliderParamConfig class test', () => {
+    const testInstance = new CompareSliderParamConfig()
+    let fakeStore = {}
+    const fakeTo = { query: {} }
+    beforeEach(() => {
+        fakeStore = {
+            state: {
+                ui: {
+                    compareRatio: 0.5,
+                    isCompareSliderActive: true,
+                    compareSliderMode: CompareSliderModes.VERTICAL,
+                    compareLayerId: null,
+                },
+            },
+            dispatch: vi.fn().mockImplementation(() => Promise.resolve()),
+        }
+    })
+    const getDispatchedValue = (actionName) =>
+        fakeStore.dispatch.mock.calls.find((call) => call[0] === actionName)?.[1]
+
+    describe('writing the query', () => {
+        it('only writes the ratio when the mode and layer are the defaults', () => {
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.compareRatio).to.eq('0.5')
+        })
+        it('writes the mode and the compared layer', () => {
+            fakeStore.state.ui.compareSliderMode = CompareSliderModes.SPYGLASS
+            let query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.compareRatio).to.eq('0.5,spyglass')
+
+            fakeStore.state.ui.compareSliderMode = CompareSliderModes.VERTICAL
+            fakeStore.state.ui.compareLayerId = 'some.layer'
+            query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.compareRatio).to.eq('0.5,vertical,some.layer')
+        })
+        it('writes nothing when the compare slider is not active', () => {
+            fakeStore.state.ui.isCompareSliderActive = false
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.compareRatio).to.be.undefined
+        })
+    })
+    describe('setting/dispatching the store', () => {
+        it('dispatches the ratio with the default mode', async () => {
+            await testInstance.populateStoreWithQueryValue(fakeTo, fakeStore, '0.3')
+            expect(getDispatchedValue('setCompareRatio').compareRatio).to.eq(0.3)
+            expect(getDispatchedValue('setCompareSliderMode').mode).to.eq(
+                CompareSliderModes.VERTICAL
+            )
+            expect(getDispatchedValue('setCompareLayerId').layerId).to.eq('')
+            expect(getDispatchedValue('setCompareSliderActive').compareSliderActive).to.be.true
+        })
+        it('dispatches the mode and the layer (even with commas in its ID)', async () => {
+            await testInstance.populateStoreWithQueryValue(
+                fakeTo,
+                fakeStore,
+                '0.7,horizontal,WMS|https://example.com/wms?a=1,2|layer'
+            )
+            expect(getDispatchedValue('setCompareSliderMode').mode).to.eq(
+                CompareSliderModes.HORIZONTAL
+            )
+            expect(getDispatchedValue('setCompareLayerId').layerId).to.eq(
+                'WMS|https://example.com/wms?a=1,2|layer'
+            )
+        })
+        it('does not activate the slider with an out of bound ratio', async () => {
+            await testInstance.populateStoreWithQueryValue(fakeTo, fakeStore, '1')
+            expect(getDispatchedValue('setCompareSliderActive')).to.be.undefined
+        })
+    })
+})
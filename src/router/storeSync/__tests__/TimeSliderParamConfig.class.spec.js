@@ -0,0 +1,119 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it, vi } from 'vitest'
+
+import TimeSliderParamConfig from '@/router/storeSync/TimeSliderParamConfig.class'
+
+describe('TimeSliderParamConfig class test', () => {
+    const testInstance = new TimeSliderParamConfig()
+    let fakeStore = {}
+    const fakeTo = { query: {} }
+    beforeEach(() => {
+        fakeStore = {
+            state: {
+                ui: {
+                    isTimeSliderActive: true,
+                },
+                layers: {
+                    previewYear: 1960,
+                    previewYearRange: null,
+                    timeSliderLockedLayerIds: [],
+                },
+            },
+            getters: {
+                visibleLayers: [{ id: 'time.layer', hasMultipleTimestamps: true }],
+                visibleLayersWithTimeConfig: [{ id: 'time.layer', hasMultipleTimestamps: true }],
+            },
+            dispatch: vi.fn().mockImplementation(() => Promise.resolve()),
+        }
+    })
+    const getDispatchedValue = (actionName) =>
+        fakeStore.dispatch.mock.calls.find((call) => call[0] === actionName)?.[1]
+
+    describe('writing the query', () => {
+        it('only writes the year when there is no range nor locked layer', () => {
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960')
+        })
+        it('writes the range and the locked layers', () => {
+            fakeStore.state.layers.previewYearRange = { start: 1950, end: 1970 }
+            let query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960,1950-1970')
+
+            fakeStore.state.layers.timeSliderLockedLayerIds = ['time.layer']
+            query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960,1950-1970,time.layer')
+
+            fakeStore.state.layers.previewYearRange = null
+            query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960,,time.layer')
+        })
+        it('encodes the locked layer IDs', () => {
+            const externalLayerId = 'layer,with;separators%'
+            fakeStore.getters.visibleLayersWithTimeConfig.push({ id: externalLayerId })
+            fakeStore.state.layers.timeSliderLockedLayerIds = ['time.layer', externalLayerId]
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960,,time.layer;layer%2Cwith%3Bseparators%25')
+        })
+        it('ignores locked layers that are not visible', () => {
+            fakeStore.state.layers.timeSliderLockedLayerIds = ['removed.layer']
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.eq('1960')
+        })
+        it('writes nothing when the time slider is not active', () => {
+            fakeStore.state.ui.isTimeSliderActive = false
+            const query = {}
+            testInstance.populateQueryWithStoreValue(query, fakeStore)
+            expect(query.timeSlider).to.be.undefined
+        })
+    })
+    describe('setting/dispatching the store', () => {
+        it('dispatches a single year (previous format)', async () => {
+            await testInstance.populateStoreWithQueryValue(fakeTo, fakeStore, '1990')
+            expect(getDispatchedValue('setPreviewYear').year).to.eq(1990)
+            expect(getDispatchedValue('clearPreviewYearRange')).to.not.be.undefined
+            expect(getDispatchedValue('setTimeSliderLockedLayerIds').layerIds).to.deep.eq([''])
+            expect(getDispatchedValue('setTimeSliderActive').timeSliderActive).to.be.true
+        })
+        it('dispatches the range and the locked layers', async () => {
+            await testInstance.populateStoreWithQueryValue(
+                fakeTo,
+                fakeStore,
+                '1960,1970-1950,time.layer;other.layer'
+            )
+            expect(getDispatchedValue('setPreviewYear').year).to.eq(1960)
+            const range = getDispatchedValue('setPreviewYearRange')
+            expect(range.start).to.eq(1970)
+            expect(range.end).to.eq(1950)
+            expect(getDispatchedValue('setTimeSliderLockedLayerIds').layerIds).to.deep.eq([
+                'time.layer',
+                'other.layer',
+            ])
+        })
+        it('decodes the locked layer IDs', async () => {
+            await testInstance.populateStoreWithQueryValue(
+                fakeTo,
+                fakeStore,
+                '1960,,time.layer;layer%2Cwith%3Bseparators%25;invalid%E0'
+            )
+            expect(getDispatchedValue('setTimeSliderLockedLayerIds').layerIds).to.deep.eq([
+                'time.layer',
+                'layer,with;separators%',
+            ])
+        })
+        it('ignores an invalid range', async () => {
+            await testInstance.populateStoreWithQueryValue(fakeTo, fakeStore, '1960,1950-abcd')
+            expect(getDispatchedValue('setPreviewYearRange')).to.be.undefined
+            expect(getDispatchedValue('clearPreviewYearRange')).to.not.be.undefined
+        })
+        it('does not dispatch anything with an invalid year', async () => {
+            await testInstance.populateStoreWithQueryValue(fakeTo, fakeStore, '12,1950-1970')
+            expect(fakeStore.dispatch.mock.calls).to.be.empty
+        })
+    })
+})
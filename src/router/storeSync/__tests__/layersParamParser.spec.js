@@ -14,7 +14,8 @@ import LayerTimeConfig from '@/api/layers/LayerTimeConfig.class.js'
 import LayerTimeConfigEntry from '@/api/layers/LayerTimeConfigEntry.class.js'
 import LayerTypes from '@/api/layers/LayerTypes.enum'
 import { getServiceKmlBaseUrl } from '@/config/baseUrl.config'
-import { parseLayersParam, transformLayerIntoUrlString } from '@/router/storeSync/layersParamParser'
+import { transformLayerIntoUrlString } from '@/router/storeSync/layersParamParser'
+import { parseLayersParam } from '@/router/storeSync/urlParamParsers'
 
 describe('Testing layersParamParser', () => {
     const checkParsedLayer = (
@@ -397,6 +398,17 @@ describe('Testing layersParamParser', () => {
                             `${expectedLayerUrlId}@year=2050,,0.3`
                         )
                     })
+                    it('writes the complete timestamp when there are several timestamps per year', () => {
+                        layer.timeConfig = new LayerTimeConfig('last', [
+                            new LayerTimeConfigEntry('2050-06-01'),
+                            new LayerTimeConfigEntry('2050-01-01'),
+                            new LayerTimeConfigEntry('2000-01-01'),
+                        ])
+                        layer.hasMultipleTimestamps = true
+                        expect(transformLayerIntoUrlString(layer, pristineLayer)).to.eq(
+                            `${expectedLayerUrlId}@year=2050-06-01`
+                        )
+                    })
                 }
                 if (testFeaturePreSelection) {
                     it('handles correctly pre-selected feature IDs', () => {
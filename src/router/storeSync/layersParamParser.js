@@ -1,14 +1,6 @@
 import LayerFeature from '@/api/features/LayerFeature.class'
-import {
-    decodeExternalLayerParam,
-    encodeExternalLayerParam,
-} from '@/api/layers/layers-external.api'
 import LayerTypes from '@/api/layers/LayerTypes.enum'
-import { isNumber } from '@/utils/numberUtils'
-
-const ENC_COMMA = '%2C'
-const ENC_SEMI_COLON = '%3B'
-const ENC_AT = '%40'
+import { encodeExternalLayerParam, encodeLayerParam } from '@/router/storeSync/urlParamParsers'
 
 /**
  * Transform a layer ID in its URL value equivalent
@@ -38,103 +30,6 @@ export function encodeLayerId(layer) {
     return layer.id
 }
 
-/**
- * @param {String} urlLayerId
- * @returns {ActiveLayerConfig} Partial active layer config, derived from what is in the URL layer
- *   ID (needs further parsing to get the opacity, visibility and extra params)
- */
-export function decodeUrlLayerId(urlLayerId) {
-    const [layerType, layerBaseUrl, layerId] = urlLayerId.split('|')
-    if (Object.values(LayerTypes).includes(layerType)) {
-        const decodedBaseUrl = decodeExternalLayerParam(layerBaseUrl)
-        // KML/GPX do not have layer IDs, so we use their baseUrl as "ID"
-        const decodedLayerId = layerId ? decodeExternalLayerParam(layerId) : decodedBaseUrl
-        return {
-            id: decodedLayerId,
-            type: layerType,
-            baseUrl: decodedBaseUrl,
-        }
-    }
-    return {
-        id: urlLayerId,
-    }
-}
-
-/**
- * Encode a layer parameter.
- *
- * This percent encode the special character , ; and @ used to separate layer parameters.
- *
- * NOTE: We don't use encodeURIComponent here because the Vue Router will anyway do the
- * encodeURIComponent() therefore by only encoding the layer parameter separators we avoid to encode
- * other special character twice. But we need to encode them twice to avoid layer parsing issue.
- *
- * @param {string} param Parameter to encode
- * @returns {string} Percent encoded parameter
- */
-export function encodeLayerParam(param) {
-    return param.replace(',', ENC_COMMA).replace(';', ENC_SEMI_COLON).replace('@', ENC_AT)
-}
-
-/**
- * Decode an layer parameter.
- *
- * This percent decode the special character , ; and @ used to separate layer parameters.
- *
- * NOTE: We don't use encodeURIComponent here because the Vue Router will anyway do the
- * encodeURIComponent() therefore by only encoding the layer parameter separators we avoid to encode
- * other special character twice. But we need to encode them twice to avoid layer parsing issue.
- *
- * @param {string} param Parameter to encode
- * @returns {string} Percent encoded parameter
- */
-export function decodeLayerParam(param) {
-    return param.replace(ENC_COMMA, ',').replace(ENC_SEMI_COLON, ';').replace(ENC_AT, '@')
-}
-
-/**
- * Parses the URL param value for `layers` as described in the ADR :
- * `/adr/2021_03_16_url_param_structure.md`
- *
- * @param {String} queryValue The value of the `layers` URL param
- * @returns {ActiveLayerConfig[]} Metadata for layers that must be activated in the app
- */
-export function parseLayersParam(queryValue) {
-    const parsedLayer = []
-    if (queryValue && queryValue.length > 0) {
-        queryValue.split(';').forEach((layerQueryString) => {
-            const [layerIdWithCustomParams, visible, opacity] = layerQueryString.split(',')
-            const [layerId, ...otherParams] = layerIdWithCustomParams
-                .split('@')
-                .map(decodeLayerParam)
-            const customAttributes = {}
-            if (otherParams && otherParams.length > 0) {
-                otherParams.forEach((param) => {
-                    const [key, value] = param.split('=')
-                    let parsedValue
-                    if (value === 'true' || value === 'false') {
-                        parsedValue = 'true' === value
-                    } else if (isNumber(value)) {
-                        parsedValue = Number(value)
-                    } else if (key === 'year' && value.toLowerCase() === 'none') {
-                        parsedValue = null
-                    } else {
-                        parsedValue = value
-                    }
-                    customAttributes[key] = parsedValue
-                })
-            }
-            parsedLayer.push({
-                ...decodeUrlLayerId(layerId),
-                visible: !visible || visible === 't',
-                opacity: isNumber(opacity) ? Number(opacity) : undefined,
-                customAttributes,
-            })
-        })
-    }
-    return parsedLayer
-}
-
 /**
  * Transform a layer metadata into a string. This value can then be used in the URL to describe a
  * layer and its state (visibility, opacity, etc...)
@@ -149,7 +44,11 @@ export function transformLayerIntoUrlString(layer, defaultLayerConfig, featuresI
     let layerUrlString = encodeLayerParam(encodeLayerId(layer))
     if (layer.hasMultipleTimestamps) {
         // If the layer has more than 1 timestamps we need to add the `@year` attribute
-        if (layer.timeConfig.currentYear !== null) {
+        if (layer.timeConfig.currentYear !== null && layer.timeConfig.hasSubYearlyTimestamps()) {
+            // The year isn't enough to describe the timestamp when there are several timestamps
+            // per year (e.g. daily data), in this case the `@year` holds the complete timestamp
+            layerUrlString += `@year=${encodeLayerParam(layer.timeConfig.currentTimestamp)}`
+        } else if (layer.timeConfig.currentYear !== null) {
             // Always add the `@year` if we have a valid currentYear
             layerUrlString += `@year=${layer.timeConfig.currentYear}`
         } else if (layer.timeConfig.currentTimeEntry === null) {
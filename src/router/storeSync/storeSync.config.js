@@ -1,7 +1,6 @@
 import { getStandardValidationResponse } from '@/api/errorQueues.api'
 import { DEFAULT_PROJECTION } from '@/config/map.config'
 import { IS_TESTING_WITH_CYPRESS } from '@/config/staging.config'
-import { SUPPORTED_LANG } from '@/modules/i18n'
 import createBaseUrlOverrideParamConfig from '@/router/storeSync/BaseUrlOverrideParamConfig.class.js'
 import CameraParamConfig from '@/router/storeSync/CameraParamConfig.class'
 import CompareSliderParamConfig from '@/router/storeSync/CompareSliderParamConfig.class'
@@ -10,9 +9,14 @@ import LayerParamConfig from '@/router/storeSync/LayerParamConfig.class'
 import PositionParamConfig from '@/router/storeSync/PositionParamConfig.class'
 import SearchParamConfig from '@/router/storeSync/SearchParamConfig.class'
 import SimpleUrlParamConfig from '@/router/storeSync/SimpleUrlParamConfig.class'
+import SplitScreenLayersParamConfig from '@/router/storeSync/SplitScreenLayersParamConfig.class'
+import {
+    isValidFeatureInfoPosition,
+    isValidLang,
+    isValidProjection,
+} from '@/router/storeSync/urlParamValidators'
 import ZoomParamConfig from '@/router/storeSync/ZoomParamConfig.class'
 import { FeatureInfoPositions } from '@/store/modules/ui.store.js'
-import allCoordinateSystems from '@/utils/coordinates/coordinateSystems'
 
 import TimeSliderParamConfig from './TimeSliderParamConfig.class'
 
@@ -31,7 +35,7 @@ const storeSyncConfig = [
         keepInUrlWhenDefault: true,
         valueType: String,
         validateUrlInput: (store, query) =>
-            getStandardValidationResponse(query, SUPPORTED_LANG.includes(query), 'lang'),
+            getStandardValidationResponse(query, isValidLang(query), 'lang'),
     }),
     new SimpleUrlParamConfig({
         urlParamName: 'sr',
@@ -45,11 +49,7 @@ const storeSyncConfig = [
         // So as defensive measure for this, we set a "just in case" default hard-coded value.
         defaultValue: DEFAULT_PROJECTION?.epsgNumber ?? 2056,
         validateUrlInput: (store, query) =>
-            getStandardValidationResponse(
-                query,
-                allCoordinateSystems.map((cs) => cs.epsgNumber).includes(Number(query)),
-                'sr'
-            ),
+            getStandardValidationResponse(query, isValidProjection(query), 'sr'),
     }),
     // Position must be processed after the projection param,
     // otherwise the position might be wrongly reprojected at app startup when SR is not equal
@@ -122,6 +122,42 @@ const storeSyncConfig = [
     new CrossHairParamConfig(),
     new CompareSliderParamConfig(),
     new LayerParamConfig(),
+    new SimpleUrlParamConfig({
+        urlParamName: 'splitScreen',
+        mutationsToWatch: ['setSplitScreenActive'],
+        dispatchName: 'setSplitScreenActive',
+        dispatchValueName: 'active',
+        extractValueFromStore: (store) => store.state.splitScreen.active,
+        keepInUrlWhenDefault: false,
+        valueType: Boolean,
+        defaultValue: false,
+    }),
+    new SimpleUrlParamConfig({
+        urlParamName: 'splitBgLayer',
+        mutationsToWatch: ['setSplitScreenActive', 'setSplitScreenBackground'],
+        dispatchName: 'setSplitScreenBackground',
+        dispatchValueName: 'bgLayerId',
+        extractValueFromStore: (store) => {
+            if (!store.state.splitScreen.active) {
+                return null
+            }
+            // if the second map has no background, we write 'void' in the URL (as with bgLayer)
+            return store.state.splitScreen.backgroundLayerId ?? 'void'
+        },
+        keepInUrlWhenDefault: false,
+        valueType: String,
+        defaultValue: null,
+        validateUrlInput: (store, query) =>
+            getStandardValidationResponse(
+                query,
+                // in cypress, the backgroundLayers is undefined, so we skip this check
+                IS_TESTING_WITH_CYPRESS ||
+                    query === 'void' ||
+                    store.getters.backgroundLayers?.map((layer) => layer.id).includes(query),
+                'splitBgLayer'
+            ),
+    }),
+    new SplitScreenLayersParamConfig(),
     new SimpleUrlParamConfig({
         urlParamName: 'featureInfo',
         mutationsToWatch: ['setFeatureInfoPosition'],
@@ -132,17 +168,7 @@ const storeSyncConfig = [
         valueType: String,
         defaultValue: FeatureInfoPositions.NONE,
         validateUrlInput: (store, query) =>
-            getStandardValidationResponse(
-                query,
-                Object.values(FeatureInfoPositions).filter((featureInfoPosition) => {
-                    return (
-                        featureInfoPosition.localeCompare(query, undefined, {
-                            sensitivity: 'accent',
-                        }) === 0
-                    )
-                }).length === 1,
-                'featureInfo'
-            ),
+            getStandardValidationResponse(query, isValidFeatureInfoPosition(query), 'featureInfo'),
     }),
     new SimpleUrlParamConfig({
         urlParamName: 'catalogNodes',
@@ -0,0 +1,195 @@
+/**
+ * Parsing and encoding of the URL params. They are shared between the param configs of the app and
+ * the embed client library (which reads the URLs of the embedded viewer outside of this app), so
+ * this module must only import modules without any dependency (no store, no proj4, no OpenLayers).
+ */
+
+import LayerTypes from '@/api/layers/LayerTypes.enum'
+import { isNumber } from '@/utils/numberUtils'
+
+const ENC_COMMA = '%2C'
+const ENC_SEMI_COLON = '%3B'
+const ENC_AT = '%40'
+const ENC_PIPE = '%7C'
+
+/**
+ * @param {String | null} urlParamValue Center as "x,y"
+ * @returns {[Number, Number] | null}
+ */
+export function readCenterFromUrlParam(urlParamValue) {
+    if (urlParamValue) {
+        let centerValues = urlParamValue.split(',')
+        if (centerValues.length === 2) {
+            return centerValues.map((value) => parseFloat(value))
+        }
+    }
+    return null
+}
+
+/**
+ * @param {String | null} urlParamValue
+ * @returns {Number | null}
+ */
+export function readZoomFromUrlParam(urlParamValue) {
+    if (urlParamValue) {
+        return parseFloat(urlParamValue)
+    }
+    return null
+}
+
+/**
+ * Reads the camera position from the single URL param. Returns null if the camera position is not
+ * defined or not complete
+ *
+ * @param urlParamValue
+ * @returns {CameraPosition | null}
+ */
+export function readCameraFromUrlParam(urlParamValue) {
+    if (urlParamValue) {
+        let cameraValues = urlParamValue.split(',')
+        // the split must have 6 components (x, y, z, pitch, heading and roll)
+        if (cameraValues.length === 6) {
+            // parsing to number all values (default to 0 if the value is empty)
+            cameraValues = cameraValues.map((value) => (value === '' ? 0 : Number(value)))
+            const [x, y, z, pitch, heading, roll] = cameraValues
+            return {
+                x,
+                y,
+                z,
+                pitch,
+                heading,
+                roll,
+            }
+        }
+    }
+    return null
+}
+
+/**
+ * Encode an external layer parameter.
+ *
+ * This percent encode the special character | used to separate external layer parameters.
+ *
+ * NOTE: We don't use encodeURIComponent here because the Vue Router will anyway do the
+ * encodeURIComponent() therefore by only encoding | we avoid to encode other special character
+ * twice. But we need to encode | twice to avoid layer parsing issue.
+ *
+ * @param {string} param Parameter to encode
+ * @returns {string} Percent encoded parameter
+ */
+export function encodeExternalLayerParam(param) {
+    return param.replace('|', ENC_PIPE)
+}
+
+/**
+ * Decode an external layer parameter.
+ *
+ * This percent decode the special character | used to separate external layer parameters.
+ *
+ * NOTE: We don't use decodeURIComponent here because the Vue Router will anyway do the
+ * decodeURIComponent() therefore by only decoding | we avoid to decode other special character
+ * twice. But we need to decode | twice to avoid layer parsing issue.
+ *
+ * @param {string} param Parameter to encode
+ * @returns {string} Percent encoded parameter
+ */
+export function decodeExternalLayerParam(param) {
+    return param.replace(ENC_PIPE, '|')
+}
+
+/**
+ * @param {String} urlLayerId
+ * @returns {ActiveLayerConfig} Partial active layer config, derived from what is in the URL layer
+ *   ID (needs further parsing to get the opacity, visibility and extra params)
+ */
+export function decodeUrlLayerId(urlLayerId) {
+    const [layerType, layerBaseUrl, layerId] = urlLayerId.split('|')
+    if (Object.values(LayerTypes).includes(layerType)) {
+        const decodedBaseUrl = decodeExternalLayerParam(layerBaseUrl)
+        // KML/GPX do not have layer IDs, so we use their baseUrl as "ID"
+        const decodedLayerId = layerId ? decodeExternalLayerParam(layerId) : decodedBaseUrl
+        return {
+            id: decodedLayerId,
+            type: layerType,
+            baseUrl: decodedBaseUrl,
+        }
+    }
+    return {
+        id: urlLayerId,
+    }
+}
+
+/**
+ * Encode a layer parameter.
+ *
+ * This percent encode the special character , ; and @ used to separate layer parameters.
+ *
+ * NOTE: We don't use encodeURIComponent here because the Vue Router will anyway do the
+ * encodeURIComponent() therefore by only encoding the layer parameter separators we avoid to encode
+ * other special character twice. But we need to encode them twice to avoid layer parsing issue.
+ *
+ * @param {string} param Parameter to encode
+ * @returns {string} Percent encoded parameter
+ */
+export function encodeLayerParam(param) {
+    return param.replace(',', ENC_COMMA).replace(';', ENC_SEMI_COLON).replace('@', ENC_AT)
+}
+
+/**
+ * Decode an layer parameter.
+ *
+ * This percent decode the special character , ; and @ used to separate layer parameters.
+ *
+ * NOTE: We don't use encodeURIComponent here because the Vue Router will anyway do the
+ * encodeURIComponent() therefore by only encoding the layer parameter separators we avoid to encode
+ * other special character twice. But we need to encode them twice to avoid layer parsing issue.
+ *
+ * @param {string} param Parameter to encode
+ * @returns {string} Percent encoded parameter
+ */
+export function decodeLayerParam(param) {
+    return param.replace(ENC_COMMA, ',').replace(ENC_SEMI_COLON, ';').replace(ENC_AT, '@')
+}
+
+/**
+ * Parses the URL param value for `layers` as described in the ADR :
+ * `/adr/2021_03_16_url_param_structure.md`
+ *
+ * @param {String} queryValue The value of the `layers` URL param
+ * @returns {ActiveLayerConfig[]} Metadata for layers that must be activated in the app
+ */
+export function parseLayersParam(queryValue) {
+    const parsedLayer = []
+    if (queryValue && queryValue.length > 0) {
+        queryValue.split(';').forEach((layerQueryString) => {
+            const [layerIdWithCustomParams, visible, opacity] = layerQueryString.split(',')
+            const [layerId, ...otherParams] = layerIdWithCustomParams
+                .split('@')
+                .map(decodeLayerParam)
+            const customAttributes = {}
+            if (otherParams && otherParams.length > 0) {
+                otherParams.forEach((param) => {
+                    const [key, value] = param.split('=')
+                    let parsedValue
+                    if (value === 'true' || value === 'false') {
+                        parsedValue = 'true' === value
+                    } else if (isNumber(value)) {
+                        parsedValue = Number(value)
+                    } else if (key === 'year' && value.toLowerCase() === 'none') {
+                        parsedValue = null
+                    } else {
+                        parsedValue = value
+                    }
+                    customAttributes[key] = parsedValue
+                })
+            }
+            parsedLayer.push({
+                ...decodeUrlLayerId(layerId),
+                visible: !visible || visible === 't',
+                opacity: isNumber(opacity) ? Number(opacity) : undefined,
+                customAttributes,
+            })
+        })
+    }
+    return parsedLayer
+}
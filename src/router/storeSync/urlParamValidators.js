@@ -0,0 +1,154 @@
+/**
+ * Validation rules of the URL params. They are shared between the param configs of the app and the
+ * embed client library (which builds the URLs of the embedded viewer outside of this app), so this
+ * module must only import modules without any dependency (no store, no proj4, no OpenLayers).
+ */
+
+import { SUPPORTED_LANG } from '@/config/i18n.config'
+import { OLDEST_YEAR, YOUNGEST_YEAR } from '@/config/time.config'
+import CompareSliderModes from '@/store/modules/CompareSliderModes.enum'
+import CrossHairs from '@/store/modules/CrossHairs.enum'
+import FeatureInfoPositions from '@/store/modules/FeatureInfoPositions.enum'
+
+/**
+ * Bounds, as `[minX, minY, maxX, maxY]`, of the coordinates accepted by the app for each supported
+ * projection (by EPSG number). They must match the bounds of the coordinate systems of the app (see
+ * coordinateSystems.js), that can't be imported here as they depend on proj4.
+ *
+ * @type {Object<Number, [Number, Number, Number, Number]>}
+ */
+export const PROJECTION_BOUNDS = {
+    2056: [2420000, 1030000, 2900000, 1350000],
+    21781: [485071.58, 74261.72, 837119.8, 299941.79],
+    4326: [-180.0, -90.0, 180.0, 90.0],
+    3857: [-20037508.342789244, -20037508.342789244, 20037508.342789244, 20037508.342789244],
+}
+
+/**
+ * @param {String} value
+ * @returns {Boolean}
+ */
+export function isValidLang(value) {
+    return SUPPORTED_LANG.includes(value)
+}
+
+/**
+ * @param {String | Number} value EPSG number of the projection
+ * @returns {Boolean}
+ */
+export function isValidProjection(value) {
+    return Object.hasOwn(PROJECTION_BOUNDS, Number(value))
+}
+
+/**
+ * @param {String} value Center as "x,y"
+ * @param {Number} projectionEpsgNumber EPSG number of the projection in which the center is
+ *   expressed
+ * @returns {Boolean}
+ */
+export function isValidCenter(value, projectionEpsgNumber) {
+    if (!value || !isValidProjection(projectionEpsgNumber)) {
+        return false
+    }
+    const center = `${value}`.split(',')
+    if (center.length !== 2) {
+        return false
+    }
+    const [x, y] = center.map(Number)
+    const [minX, minY, maxX, maxY] = PROJECTION_BOUNDS[Number(projectionEpsgNumber)]
+    return x >= minX && x <= maxX && y >= minY && y <= maxY
+}
+
+/**
+ * @param {String | Number} value
+ * @returns {Boolean}
+ */
+export function isValidZoom(value) {
+    return !!value && !isNaN(value) && Number(value) >= 0
+}
+
+/**
+ * @param {String | Number} value
+ * @returns {Boolean}
+ */
+export function isValidTimeSliderYear(value) {
+    return (
+        !isNaN(value) &&
+        Number.isInteger(Number(value)) &&
+        OLDEST_YEAR <= value &&
+        YOUNGEST_YEAR >= value
+    )
+}
+
+/**
+ * @param {String | Number} value Year of the time slider, optionally followed by a range of years
+ *   and the IDs of the layers that don't follow the time slider (e.g.
+ *   "1960,1950-1970,some.layer.id")
+ * @returns {Boolean}
+ */
+export function isValidTimeSliderParam(value) {
+    if (!value) {
+        return false
+    }
+    const [year, range] = `${value}`.split(',')
+    if (!isValidTimeSliderYear(year)) {
+        return false
+    }
+    if (range) {
+        const rangeYears = range.split('-')
+        return rangeYears.length === 2 && rangeYears.every(isValidTimeSliderYear)
+    }
+    return true
+}
+
+/**
+ * @param {String | Number} value Compare ratio, optionally followed by the compare slider mode and
+ *   the ID of the compared layer (e.g. "0.5,horizontal,some.layer.id")
+ * @returns {Boolean}
+ */
+export function isValidCompareRatio(value) {
+    if (!value) {
+        return false
+    }
+    const [ratio, mode] = `${value}`.split(',')
+    return (
+        !!ratio &&
+        Number(ratio) <= 1.0 &&
+        Number(ratio) >= 0.0 &&
+        (!mode || Object.values(CompareSliderModes).includes(mode))
+    )
+}
+
+/**
+ * @param {String} value Crosshair type, optionally followed by its position (e.g. "marker,x,y")
+ * @returns {Boolean}
+ */
+export function isValidCrossHair(value) {
+    if (!value) {
+        return false
+    }
+    const parts = `${value}`.split(',')
+    const crossHair = parts[0]
+    const crossHairPosition = [parseFloat(parts[1]), parseFloat(parts[2])]
+    return (
+        !!(
+            crossHair || crossHairPosition.filter((coordinate) => !isNaN(coordinate)).length === 2
+        ) &&
+        (Object.values(CrossHairs).includes(crossHair) || crossHair === '')
+    )
+}
+
+/**
+ * @param {String} value
+ * @returns {Boolean}
+ */
+export function isValidFeatureInfoPosition(value) {
+    return (
+        Object.values(FeatureInfoPositions).filter(
+            (featureInfoPosition) =>
+                featureInfoPosition.localeCompare(value, undefined, {
+                    sensitivity: 'accent',
+                }) === 0
+        ).length === 1
+    )
+}
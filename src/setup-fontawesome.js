@@ -6,6 +6,7 @@ import {
     faClock,
     faCopy,
     faSquare,
+    faStar as faRegularStar,
     faTrashAlt,
 } from '@fortawesome/free-regular-svg-icons'
 import {
@@ -54,20 +55,26 @@ import {
     faLocationArrow,
     faLocationCrosshairs,
     faLocationPinLock,
+    faLock,
+    faLockOpen,
     faMapMarkerAlt,
     faMinus,
     faMinusCircle,
     faMountainSun,
     faPaintBrush,
     faPause,
+    faPen,
     faPlay,
     faPlus,
     faPlusCircle,
     faPrint,
     faQrcode,
+    faRotateLeft,
+    faRotateRight,
     faRuler,
     faSearch,
     faSearchPlus,
+    faSignature,
     faSortAlphaDown,
     faSortAlphaUp,
     faSortAmountDownAlt,
@@ -127,21 +134,27 @@ library.add(
     faLocationArrow,
     faLocationCrosshairs,
     faLocationPinLock,
+    faLock,
+    faLockOpen,
     faMapMarkerAlt,
     faMinus,
     faMinusCircle,
     faMountainSun,
     faPaintBrush,
     faPause,
+    faPen,
     faImage,
     faPlay,
     faPlus,
     faPlusCircle,
     faPrint,
     faQrcode,
+    faRotateLeft,
+    faRotateRight,
     faRuler,
     faSearch,
     faSearchPlus,
+    faSignature,
     faSortAmountUpAlt,
     faSortAmountDownAlt,
     faSpinner,
@@ -162,6 +175,7 @@ library.add(
     faClock,
     faCopy,
     faRegularCircle,
+    faRegularStar,
     faSquare,
     faTrashAlt,
     // Brands
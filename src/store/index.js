@@ -14,6 +14,7 @@ import position from '@/store/modules/position.store'
 import print from '@/store/modules/print.store'
 import search from '@/store/modules/search.store'
 import share from '@/store/modules/share.store'
+import splitScreen from '@/store/modules/splitScreen.store'
 import topics from '@/store/modules/topics.store'
 import ui from '@/store/modules/ui.store'
 import from2Dto3Dplugin from '@/store/plugins/2d-to-3d-management.plugin'
@@ -25,9 +26,12 @@ import loadGeojsonStyleAndData from '@/store/plugins/load-geojson-style-and-data
 import loadGpxDataAndMetadata from '@/store/plugins/load-gpx-data.plugin'
 import loadKmlDataAndMetadata from '@/store/plugins/load-kml-data.plugin'
 import loadLayersConfigOnLangChange from '@/store/plugins/load-layersconfig-on-lang-change'
+import loadVectorFileData from '@/store/plugins/load-vector-file-data.plugin'
+import persistSearchHistory from '@/store/plugins/persist-search-history.plugin'
 import redoSearchWhenNeeded from '@/store/plugins/redo-search-when-needed.plugin.js'
 import reprojectSelectedFeaturesOnProjectionChangePlugin from '@/store/plugins/reproject-selected-features-on-projection-change.plugin'
 import screenSizeManagementPlugin from '@/store/plugins/screen-size-management.plugin'
+import splitScreenManagementPlugin from '@/store/plugins/split-screen-management.plugin'
 import syncCameraLonLatZoom from '@/store/plugins/sync-camera-lonlatzoom'
 import topicChangeManagementPlugin from '@/store/plugins/topic-change-management.plugin'
 
@@ -38,6 +42,7 @@ const store = createStore({
     plugins: [
         loadLayersConfigOnLangChange,
         redoSearchWhenNeeded,
+        persistSearchHistory,
         clickOnMapManagementPlugin,
         appReadinessPlugin,
         geolocationManagementPlugin,
@@ -50,6 +55,8 @@ const store = createStore({
         loadGeojsonStyleAndData,
         loadKmlDataAndMetadata,
         loadGpxDataAndMetadata,
+        loadVectorFileData,
+        splitScreenManagementPlugin,
     ],
     modules: {
         app,
@@ -64,6 +71,7 @@ const store = createStore({
         topics,
         ui,
         share,
+        splitScreen,
         cesium,
         print,
         debug,
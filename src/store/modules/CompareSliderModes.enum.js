@@ -0,0 +1,15 @@
+/**
+ * How the compare slider splits the compared layer from the layers below it
+ *
+ * @readonly
+ * @enum {String}
+ */
+const CompareSliderModes = {
+    // the compared layer is shown left of a vertical line
+    VERTICAL: 'vertical',
+    // the compared layer is shown above a horizontal line
+    HORIZONTAL: 'horizontal',
+    // the compared layer is only shown in a circular lens following the cursor
+    SPYGLASS: 'spyglass',
+}
+export default CompareSliderModes
@@ -0,0 +1,12 @@
+/**
+ * @readonly
+ * @enum {String}
+ */
+const CrossHairs = {
+    cross: 'cross',
+    circle: 'circle',
+    bowl: 'bowl',
+    point: 'point',
+    marker: 'marker',
+}
+export default CrossHairs
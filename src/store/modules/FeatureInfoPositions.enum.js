@@ -0,0 +1,14 @@
+/**
+ * Where the information of the selected features is shown
+ *
+ * @readonly
+ * @enum {String}
+ */
+const FeatureInfoPositions = {
+    DEFAULT: 'default', // This is not the default value, but this is the default behavior,
+    // which depends on the UI size. Bottompanel on phones, tooltip on desktop
+    BOTTOMPANEL: 'bottomPanel',
+    TOOLTIP: 'tooltip',
+    NONE: 'none',
+}
+export default FeatureInfoPositions
@@ -0,0 +1,86 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it } from 'vitest'
+
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+import { SnappingModes } from '@/store/modules/drawing.store'
+
+const dispatcher = { dispatcher: 'unit-test' }
+
+describe('Drawing snapping and tracing configuration', () => {
+    beforeEach(async () => {
+        await store.dispatch('setDrawingSnapping', {
+            mode: SnappingModes.EDGE,
+            tolerance: 10,
+            ...dispatcher,
+        })
+        await store.dispatch('setDrawingTracing', { tracing: false, ...dispatcher })
+    })
+    it('changes the snapping mode and tolerance independently', async () => {
+        await store.dispatch('setDrawingSnapping', { mode: SnappingModes.VERTEX, ...dispatcher })
+        expect(store.state.drawing.snapping).to.deep.eq({
+            mode: SnappingModes.VERTEX,
+            tolerance: 10,
+        })
+        await store.dispatch('setDrawingSnapping', { tolerance: 25, ...dispatcher })
+        expect(store.state.drawing.snapping).to.deep.eq({
+            mode: SnappingModes.VERTEX,
+            tolerance: 25,
+        })
+    })
+    it('ignores invalid snapping values', async () => {
+        await store.dispatch('setDrawingSnapping', {
+            mode: 'SOMETHING',
+            tolerance: -5,
+            ...dispatcher,
+        })
+        expect(store.state.drawing.snapping).to.deep.eq({
+            mode: SnappingModes.EDGE,
+            tolerance: 10,
+        })
+        await store.dispatch('setDrawingSnapping', { tolerance: 2.5, ...dispatcher })
+        expect(store.state.drawing.snapping.tolerance).to.eq(10)
+    })
+    it('ignores keys inherited by the snapping modes enum', async () => {
+        for (const mode of ['toString', 'constructor', '__proto__']) {
+            await store.dispatch('setDrawingSnapping', { mode, ...dispatcher })
+            expect(store.state.drawing.snapping.mode).to.eq(SnappingModes.EDGE)
+        }
+    })
+    it('toggles tracing', async () => {
+        await store.dispatch('setDrawingTracing', { tracing: true, ...dispatcher })
+        expect(store.state.drawing.tracing).to.be.true
+        await store.dispatch('setDrawingTracing', { tracing: null, ...dispatcher })
+        expect(store.state.drawing.tracing).to.be.false
+    })
+})
+
+describe('Local drawing edited', () => {
+    beforeEach(async () => {
+        await store.dispatch('setShowDrawingOverlay', { show: false, ...dispatcher })
+        await store.dispatch('setLocalDrawingId', { localDrawingId: null, ...dispatcher })
+    })
+    it('keeps the local drawing when the drawing overlay is closed and opened again', async () => {
+        await store.dispatch('setShowDrawingOverlay', { show: true, ...dispatcher })
+        await store.dispatch('setLocalDrawingId', { localDrawingId: 'local-1', ...dispatcher })
+        await store.dispatch('toggleDrawingOverlay', dispatcher)
+        expect(store.state.drawing.drawingOverlay.show).to.be.false
+        expect(store.state.drawing.localDrawingId).to.eq('local-1')
+        await store.dispatch('toggleDrawingOverlay', dispatcher)
+        expect(store.state.drawing.drawingOverlay.show).to.be.true
+        expect(store.state.drawing.localDrawingId).to.eq('local-1')
+    })
+    it('forgets the local drawing when another kind of drawing is opened', async () => {
+        await store.dispatch('setLocalDrawingId', { localDrawingId: 'local-1', ...dispatcher })
+        await store.dispatch('setShowDrawingOverlay', {
+            show: true,
+            online: false,
+            kmlId: 'temporary-kml',
+            ...dispatcher,
+        })
+        expect(store.state.drawing.localDrawingId).to.be.null
+    })
+})
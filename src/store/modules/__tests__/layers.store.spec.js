@@ -321,3 +321,35 @@ describe('Visible layers are filtered correctly by the store', () => {
         expect(getVisibleLayers()).to.be.an('Array').empty
     })
 })
+
+describe('Time slider range and locked layers', () => {
+    beforeEach(() => {
+        resetStore()
+        store.dispatch('clearPreviewYearRange', dispatcher)
+        store.dispatch('setTimeSliderLockedLayerIds', { layerIds: [], ...dispatcher })
+        store.dispatch('setLayerConfig', {
+            config: [bgLayer, firstLayer, secondLayer],
+            ...dispatcher,
+        })
+        store.dispatch('addLayer', { layerId: secondLayer.id, ...dispatcher })
+    })
+
+    it('sorts the years of the range', () => {
+        store.dispatch('setPreviewYearRange', { start: 1970, end: 1950, ...dispatcher })
+        expect(store.state.layers.previewYearRange).to.deep.eq({ start: 1950, end: 1970 })
+        store.dispatch('setPreviewYearRange', { start: 'abc', end: 1950, ...dispatcher })
+        expect(store.state.layers.previewYearRange).to.deep.eq({ start: 1950, end: 1970 })
+        store.dispatch('clearPreviewYearRange', dispatcher)
+        expect(store.state.layers.previewYearRange).to.be.null
+    })
+    it('filters out the locked layers of the layers following the time slider', () => {
+        const getFollowingLayers = () => store.getters.visibleLayersFollowingTimeSlider
+        expect(getFollowingLayers()).to.be.an('Array').lengthOf(1)
+        store.dispatch('toggleTimeSliderLockedLayer', { layerId: secondLayer.id, ...dispatcher })
+        expect(store.state.layers.timeSliderLockedLayerIds).to.deep.eq([secondLayer.id])
+        expect(getFollowingLayers()).to.be.an('Array').empty
+        expect(store.getters.visibleLayersWithTimeConfig).to.be.an('Array').lengthOf(1)
+        store.dispatch('toggleTimeSliderLockedLayer', { layerId: secondLayer.id, ...dispatcher })
+        expect(getFollowingLayers()).to.be.an('Array').lengthOf(1)
+    })
+})
@@ -0,0 +1,119 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it } from 'vitest'
+
+import { getClientSidePrintLayouts } from '@/api/print.api'
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+import { PrintAtlasTypes } from '@/store/modules/print.store'
+import { LV03, WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+const dispatcher = { dispatcher: 'unit-test' }
+
+describe('Print atlas', () => {
+    beforeEach(async () => {
+        const [layout] = getClientSidePrintLayouts()
+        await store.dispatch('setSelectedLayout', { layout, ...dispatcher })
+        await store.dispatch('setSelectedScale', { scale: 10000, ...dispatcher })
+        await store.dispatch('clearPrintAtlas', dispatcher)
+    })
+
+    it('has no frames without atlas', () => {
+        expect(store.getters.atlasFrames).to.be.empty
+    })
+    it('gives the frames along a line, with the size of the layout at the selected scale', async () => {
+        await store.dispatch('setPrintAtlas', {
+            type: PrintAtlasTypes.LINE,
+            coordinates: [
+                [2600000, 1200000],
+                [2610000, 1200000],
+            ],
+            overlap: 0.1,
+            ...dispatcher,
+        })
+        const frames = store.getters.atlasFrames
+        expect(frames.length).to.be.greaterThan(1)
+        const [minX, minY, maxX, maxY] = frames[0]
+        const { width, height } = store.getters.printLayoutSize
+        // layout size in points => meters at 1:10'000
+        expect(maxX - minX).to.be.closeTo((width / 72) * 0.0254 * 10000, 5)
+        expect(maxY - minY).to.be.closeTo((height / 72) * 0.0254 * 10000, 5)
+        expect(minX).to.be.lessThan(2600000)
+        expect(frames[frames.length - 1][2]).to.be.greaterThan(2610000)
+
+        // fewer frames with a smaller scale
+        await store.dispatch('setSelectedScale', { scale: 50000, ...dispatcher })
+        expect(store.getters.atlasFrames.length).to.be.lessThan(frames.length)
+    })
+    it('gives a grid of frames over an area', async () => {
+        await store.dispatch('setPrintAtlas', {
+            type: PrintAtlasTypes.AREA,
+            coordinates: [
+                [2600000, 1200000],
+                [2604000, 1204000],
+            ],
+            overlap: 0,
+            ...dispatcher,
+        })
+        // frames of ~2830m x 1890m => 2 columns and 3 rows
+        expect(store.getters.atlasFrames).to.have.length(6)
+    })
+    it('ignores invalid atlases', async () => {
+        await store.dispatch('setPrintAtlas', {
+            type: 'circle',
+            coordinates: [[2600000, 1200000]],
+            ...dispatcher,
+        })
+        await store.dispatch('setPrintAtlas', {
+            type: PrintAtlasTypes.LINE,
+            coordinates: [],
+            ...dispatcher,
+        })
+        await store.dispatch('setPrintAtlas', {
+            type: PrintAtlasTypes.LINE,
+            coordinates: [[2600000, 1200000]],
+            overlap: 0.9,
+            ...dispatcher,
+        })
+        expect(store.state.print.atlas).to.be.null
+    })
+})
+
+describe('Print title, comment, rotation and grid projection', () => {
+    beforeEach(async () => {
+        await store.dispatch('setPrintTitle', { title: '', ...dispatcher })
+        await store.dispatch('setPrintComment', { comment: '', ...dispatcher })
+        await store.dispatch('setPrintRotation', { rotation: 0, ...dispatcher })
+        await store.dispatch('setPrintGridProjection', { projection: null, ...dispatcher })
+    })
+
+    it('stores the title and the comment', async () => {
+        await store.dispatch('setPrintTitle', { title: 'My hike', ...dispatcher })
+        await store.dispatch('setPrintComment', { comment: 'Line 1\nLine 2', ...dispatcher })
+        expect(store.state.print.printTitle).to.equal('My hike')
+        expect(store.state.print.printComment).to.equal('Line 1\nLine 2')
+        await store.dispatch('setPrintTitle', { title: null, ...dispatcher })
+        expect(store.state.print.printTitle).to.equal('')
+    })
+    it('stores rotations between -180 and 180 degrees only', async () => {
+        await store.dispatch('setPrintRotation', { rotation: 45, ...dispatcher })
+        expect(store.state.print.printRotation).to.equal(45)
+        await store.dispatch('setPrintRotation', { rotation: '-90', ...dispatcher })
+        expect(store.state.print.printRotation).to.equal(-90)
+        await store.dispatch('setPrintRotation', { rotation: 200, ...dispatcher })
+        await store.dispatch('setPrintRotation', { rotation: 'north', ...dispatcher })
+        expect(store.state.print.printRotation).to.equal(-90)
+    })
+    it('stores coordinate systems as grid projection only', async () => {
+        await store.dispatch('setPrintGridProjection', { projection: LV03, ...dispatcher })
+        expect(store.state.print.printGridProjection.epsg).to.equal(LV03.epsg)
+        await store.dispatch('setPrintGridProjection', { projection: 'EPSG:4326', ...dispatcher })
+        expect(store.state.print.printGridProjection.epsg).to.equal(LV03.epsg)
+        await store.dispatch('setPrintGridProjection', { projection: WGS84, ...dispatcher })
+        expect(store.state.print.printGridProjection.epsg).to.equal(WGS84.epsg)
+        await store.dispatch('setPrintGridProjection', { projection: null, ...dispatcher })
+        expect(store.state.print.printGridProjection).to.be.null
+    })
+})
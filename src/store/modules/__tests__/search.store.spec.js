@@ -0,0 +1,117 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it } from 'vitest'
+
+import { SearchResultTypes } from '@/api/search.api'
+import {
+    loadRecentSearches,
+    loadSearchFavourites,
+    MAX_RECENT_SEARCHES,
+} from '@/api/searchHistory.api'
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+import { LV95, WEBMERCATOR } from '@/utils/coordinates/coordinateSystems'
+
+const dispatcher = { dispatcher: 'unit-test' }
+
+const location = {
+    resultType: SearchResultTypes.LOCATION,
+    id: '351',
+    title: '<b>Bern</b>',
+    sanitizedTitle: 'Bern',
+    description: 'bern',
+    featureId: '351',
+    coordinate: [2600000, 1200000],
+    extent: [],
+    zoom: 8,
+    category: 'locations',
+    providerId: 'geoadmin-locations',
+}
+const layer = {
+    resultType: SearchResultTypes.LAYER,
+    id: 'ch.swisstopo.swisstlm3d-wanderwege',
+    title: 'Hiking trails',
+    sanitizedTitle: 'Hiking trails',
+    description: '',
+    layerId: 'ch.swisstopo.swisstlm3d-wanderwege',
+    category: 'layers',
+}
+
+describe('Search history and favourites', () => {
+    beforeEach(async () => {
+        await store.dispatch('setProjection', { projection: LV95, ...dispatcher })
+        await store.dispatch('setSearchQuery', { query: '', ...dispatcher })
+        store.state.search.recentSearches
+            .slice()
+            .forEach((query) => store.dispatch('removeRecentSearch', { query, ...dispatcher }))
+        store.state.search.favourites
+            .slice()
+            .forEach((entry) => store.dispatch('toggleSearchFavourite', { entry, ...dispatcher }))
+    })
+
+    it('keeps the recent searches, the most recent first, without duplicates', async () => {
+        await store.dispatch('addRecentSearch', { query: 'Bern', ...dispatcher })
+        await store.dispatch('addRecentSearch', { query: ' Zürich ', ...dispatcher })
+        await store.dispatch('addRecentSearch', { query: 'Bern', ...dispatcher })
+        expect(store.state.search.recentSearches).to.deep.equal(['Bern', 'Zürich'])
+        // persisted in the local storage
+        expect(loadRecentSearches()).to.deep.equal(['Bern', 'Zürich'])
+        for (let i = 0; i < MAX_RECENT_SEARCHES + 2; i++) {
+            await store.dispatch('addRecentSearch', { query: `query ${i}`, ...dispatcher })
+        }
+        expect(store.state.search.recentSearches).to.have.length(MAX_RECENT_SEARCHES)
+        expect(store.state.search.recentSearches[0]).to.eq(`query ${MAX_RECENT_SEARCHES + 1}`)
+    })
+    it('gives the recent searches as results only when nothing is searched', async () => {
+        await store.dispatch('addRecentSearch', { query: 'Bern <BE>', ...dispatcher })
+        const [recentSearch] = store.getters.recentSearchResults
+        expect(recentSearch.resultType).to.eq(SearchResultTypes.RECENT_SEARCH)
+        expect(recentSearch.title).to.eq('Bern &lt;BE&gt;')
+        expect(recentSearch.sanitizedTitle).to.eq('Bern <BE>')
+        await store.dispatch('setSearchQuery', { query: 'B', ...dispatcher })
+        expect(store.getters.recentSearchResults).to.be.empty
+    })
+    it('stars and unstars locations and layers', async () => {
+        await store.dispatch('toggleSearchFavourite', { entry: location, ...dispatcher })
+        await store.dispatch('toggleSearchFavourite', { entry: layer, ...dispatcher })
+        expect(store.getters.isSearchFavourite(location)).to.be.true
+        expect(store.getters.isSearchFavourite(layer)).to.be.true
+        const favourites = loadSearchFavourites()
+        expect(favourites).to.have.length(2)
+        expect(favourites[0].category).to.eq('favourites')
+        expect(favourites[0].projection).to.eq(LV95.epsg)
+        expect(favourites[1].projection).to.be.null
+        expect(favourites[0].providerId).to.eq('favourites')
+
+        await store.dispatch('toggleSearchFavourite', { entry: location, ...dispatcher })
+        expect(store.getters.isSearchFavourite(location)).to.be.false
+        expect(loadSearchFavourites()).to.have.length(1)
+    })
+    it('does not star layer features', async () => {
+        await store.dispatch('toggleSearchFavourite', {
+            entry: { ...location, resultType: SearchResultTypes.FEATURE },
+            ...dispatcher,
+        })
+        expect(store.state.search.favourites).to.be.empty
+    })
+    it('gives the favourites matching the query, in the current projection', async () => {
+        await store.dispatch('toggleSearchFavourite', { entry: location, ...dispatcher })
+        await store.dispatch('toggleSearchFavourite', { entry: layer, ...dispatcher })
+        expect(store.getters.searchFavourites).to.have.length(2)
+        await store.dispatch('setSearchQuery', { query: 'trails hik', ...dispatcher })
+        expect(store.getters.searchFavourites.map((favourite) => favourite.id)).to.deep.equal([
+            layer.id,
+        ])
+
+        await store.dispatch('setSearchQuery', { query: '', ...dispatcher })
+        await store.dispatch('setProjection', { projection: WEBMERCATOR, ...dispatcher })
+        const reprojected = store.getters.searchFavourites.find(
+            (favourite) => favourite.resultType === SearchResultTypes.LOCATION
+        )
+        expect(reprojected.projection).to.eq(WEBMERCATOR.epsg)
+        expect(reprojected.coordinate[0]).to.be.closeTo(828064, 10)
+        expect(reprojected.zoom).to.eq(WEBMERCATOR.get1_25000ZoomLevel())
+    })
+})
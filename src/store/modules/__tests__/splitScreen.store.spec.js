@@ -0,0 +1,117 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it } from 'vitest'
+
+import { LayerAttribution } from '@/api/layers/AbstractLayer.class'
+import GeoAdminWMSLayer from '@/api/layers/GeoAdminWMSLayer.class'
+import GeoAdminWMTSLayer from '@/api/layers/GeoAdminWMTSLayer.class'
+import LayerTimeConfig from '@/api/layers/LayerTimeConfig.class'
+import LayerTimeConfigEntry from '@/api/layers/LayerTimeConfigEntry.class'
+// We need to import the router here to avoid error when initializing router plugins, this is
+// needed since some store plugins might require access to router to get the query parameters
+// (e.g. topic management plugin)
+import router from '@/router' // eslint-disable-line no-unused-vars
+import store from '@/store'
+
+const dispatcher = { dispatcher: 'unit-test' }
+
+const bgLayer = new GeoAdminWMTSLayer({
+    name: 'background',
+    id: 'bg.layer',
+    technicalName: 'bg.layer',
+    isBackground: true,
+    attributions: [new LayerAttribution('test')],
+})
+const firstLayer = new GeoAdminWMTSLayer({
+    name: 'First layer',
+    id: 'first.layer',
+    technicalName: 'first.layer',
+    opacity: 0.8,
+    attributions: [new LayerAttribution('test')],
+})
+const timedLayer = new GeoAdminWMSLayer({
+    name: 'Timed layer',
+    id: 'timed.layer',
+    technicalName: 'timed.layer',
+    timeConfig: new LayerTimeConfig('last', [
+        new LayerTimeConfigEntry('20240112'),
+        new LayerTimeConfigEntry('19500203'),
+    ]),
+    attributions: [new LayerAttribution('test')],
+})
+
+describe('Split screen store module', () => {
+    const getLayers = () => store.state.splitScreen.layers
+
+    beforeEach(async () => {
+        await store.dispatch('setLayerConfig', {
+            config: [bgLayer, firstLayer, timedLayer],
+            ...dispatcher,
+        })
+        await store.dispatch('setSplitScreenLayers', { layers: [], ...dispatcher })
+        await store.dispatch('setSplitScreenBackground', { bgLayerId: null, ...dispatcher })
+    })
+
+    it('only accepts background layers as background', async () => {
+        await store.dispatch('setSplitScreenBackground', { bgLayerId: 'bg.layer', ...dispatcher })
+        expect(store.getters.splitScreenBackgroundLayer?.id).to.eq('bg.layer')
+        await store.dispatch('setSplitScreenBackground', {
+            bgLayerId: 'first.layer',
+            ...dispatcher,
+        })
+        expect(store.state.splitScreen.backgroundLayerId).to.eq('bg.layer')
+        await store.dispatch('setSplitScreenBackground', { bgLayerId: 'void', ...dispatcher })
+        expect(store.getters.splitScreenBackgroundLayer).to.be.null
+    })
+    it('copies the layers from the config, keeping their state', async () => {
+        await store.dispatch('setSplitScreenLayers', {
+            layers: [
+                'first.layer',
+                {
+                    id: 'timed.layer',
+                    visible: false,
+                    opacity: 0.5,
+                    timeConfig: { currentYear: 1950 },
+                },
+                'unknown.layer',
+            ],
+            ...dispatcher,
+        })
+        expect(getLayers()).to.have.length(2)
+        expect(getLayers()[0]).to.not.eq(firstLayer)
+        expect(getLayers()[0].opacity).to.eq(0.8)
+        expect(getLayers()[1].visible).to.be.false
+        expect(getLayers()[1].opacity).to.eq(0.5)
+        expect(getLayers()[1].timeConfig.currentYear).to.eq(1950)
+        expect(store.getters.splitScreenVisibleLayers.map((layer) => layer.id)).to.deep.eq([
+            'first.layer',
+        ])
+        // the main map's layers are not touched
+        expect(store.state.layers.activeLayers).to.be.empty
+    })
+    it('edits the layers of the second map', async () => {
+        await store.dispatch('addSplitScreenLayer', { layerId: 'timed.layer', ...dispatcher })
+        await store.dispatch('addSplitScreenLayer', { layerId: 'first.layer', ...dispatcher })
+        expect(getLayers().map((layer) => layer.id)).to.deep.eq(['timed.layer', 'first.layer'])
+        expect(getLayers()[0].timeConfig.currentYear).to.eq(2024)
+
+        await store.dispatch('setSplitScreenLayerYear', { index: 0, year: 1950, ...dispatcher })
+        expect(getLayers()[0].timeConfig.currentYear).to.eq(1950)
+        expect(timedLayer.timeConfig.currentYear).to.eq(2024)
+
+        await store.dispatch('toggleSplitScreenLayerVisibility', { index: 1, ...dispatcher })
+        expect(getLayers()[1].visible).to.be.false
+
+        await store.dispatch('removeSplitScreenLayer', { index: 0, ...dispatcher })
+        expect(getLayers().map((layer) => layer.id)).to.deep.eq(['first.layer'])
+    })
+    it('updates the layers when the layers config changes', async () => {
+        await store.dispatch('addSplitScreenLayer', { layerId: 'first.layer', ...dispatcher })
+        const translatedLayer = firstLayer.clone()
+        translatedLayer.name = 'Erste Karte'
+        await store.dispatch('setLayerConfig', {
+            config: [bgLayer, translatedLayer, timedLayer],
+            ...dispatcher,
+        })
+        expect(getLayers()[0].name).to.eq('Erste Karte')
+    })
+})
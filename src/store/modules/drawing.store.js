@@ -3,6 +3,19 @@ import { loadAllIconSetsFromBackend } from '@/api/icon.api'
 
 const defaultDrawingTitle = 'draw_mode_title'
 
+/**
+ * Describes on which part of the existing features new vertices will snap while drawing
+ *
+ * @enum
+ */
+export const SnappingModes = {
+    /** Snapping on the vertices and edges of existing features */
+    EDGE: 'EDGE',
+    /** Snapping only on the vertices of existing features */
+    VERTEX: 'VERTEX',
+    OFF: 'OFF',
+}
+
 /**
  * @typedef SelectedFeatureData
  * @property {[number, number]} coordinate
@@ -63,6 +76,35 @@ export default {
          * @type {String | null}
          */
         temporaryKmlId: null,
+        /**
+         * ID of the drawing of the local library (stored in the browser) currently edited. When
+         * set, the drawing is saved locally instead of on the KML backend (or in a temporary KML)
+         *
+         * @type {String | null}
+         */
+        localDrawingId: null,
+        /**
+         * Snapping configuration used while drawing lines or measures. Snapping occurs on the
+         * features of the drawing and of all visible vector layers (KML, GPX, GeoJSON, ...)
+         *
+         * @type {{ mode: SnappingModes; tolerance: Number }}
+         */
+        snapping: {
+            mode: SnappingModes.EDGE,
+            /**
+             * Distance (in pixels) under which a vertex will snap on an existing feature
+             *
+             * @type {Number}
+             */
+            tolerance: 10,
+        },
+        /**
+         * Flag telling if lines and measures should trace along existing features, when two
+         * vertices are placed on the same feature
+         *
+         * @type {Boolean}
+         */
+        tracing: false,
     },
     getters: {
         isDrawingEmpty(state) {
@@ -94,6 +136,22 @@ export default {
         setDrawingFeatures({ commit }, { featureIds, dispatcher }) {
             commit('setDrawingFeatures', { featureIds, dispatcher })
         },
+        setLocalDrawingId({ commit }, { localDrawingId, dispatcher }) {
+            commit('setLocalDrawingId', { localDrawingId, dispatcher })
+        },
+        setDrawingSnapping({ commit, state }, { mode, tolerance, dispatcher }) {
+            const snapping = { ...state.snapping }
+            if (Object.values(SnappingModes).includes(mode)) {
+                snapping.mode = mode
+            }
+            if (Number.isInteger(tolerance) && tolerance > 0) {
+                snapping.tolerance = tolerance
+            }
+            commit('setDrawingSnapping', { snapping, dispatcher })
+        },
+        setDrawingTracing({ commit }, { tracing, dispatcher }) {
+            commit('setDrawingTracing', { tracing: !!tracing, dispatcher })
+        },
         toggleDrawingOverlay(
             { commit, state },
             { online = true, kmlId = null, title = defaultDrawingTitle, dispatcher }
@@ -126,7 +184,15 @@ export default {
         deleteDrawingFeature: (state, { featureId }) =>
             (state.featureIds = state.featureIds.filter((featId) => featId !== featureId)),
         setDrawingFeatures: (state, { featureIds }) => (state.featureIds = featureIds),
+        setLocalDrawingId: (state, { localDrawingId }) => (state.localDrawingId = localDrawingId),
+        setDrawingSnapping: (state, { snapping }) => (state.snapping = snapping),
+        setDrawingTracing: (state, { tracing }) => (state.tracing = tracing),
         setShowDrawingOverlay(state, { show, online, kmlId, title }) {
+            // the local drawing stays the one edited, unless another kind of drawing is opened
+            // (e.g. the temporary drawing of a problem report)
+            if (online !== state.online || kmlId !== state.temporaryKmlId) {
+                state.localDrawingId = null
+            }
             state.drawingOverlay.show = show
             state.drawingOverlay.title = title
             state.online = online
@@ -71,6 +71,20 @@ const state = {
      * @type Number
      */
     previewYear: null,
+    /**
+     * Range of years selected on the time slider (both years included), used to highlight the
+     * timestamps of each layer falling in it and to limit the years played by the time slider.
+     *
+     * @type {{ start: Number; end: Number } | null}
+     */
+    previewYearRange: null,
+    /**
+     * IDs of the time enabled layers that keep their own year and don't follow the year picked by
+     * the time slider
+     *
+     * @type String[]
+     */
+    timeSliderLockedLayerIds: [],
     /**
      * System layers. List of system layers that are added on top and cannot be directly controlled
      * by the user.
@@ -130,6 +144,21 @@ const getters = {
         return null
     },
 
+    /**
+     * Layer compared by the compare slider with the layers below it: the one chosen by the user if
+     * it is visible, the visible layer on top otherwise.
+     *
+     * @returns {AbstractLayer | null}
+     */
+    compareSliderLayer: (state, getters, rootState) => {
+        const { compareLayerId } = rootState.ui
+        return (
+            (compareLayerId &&
+                getters.visibleLayers.findLast((layer) => layer.id === compareLayerId)) ||
+            getters.visibleLayerOnTop
+        )
+    },
+
     /**
      * Get current KML layer selected for drawing.
      *
@@ -209,6 +238,17 @@ const getters = {
         // layers as well as the layer without valid current timeEntry are filtered out
         state.activeLayers.filter((layer) => layer.visible && layer.hasMultipleTimestamps),
 
+    /**
+     * Get visible layers with time config that follow the year picked by the time slider (the
+     * layers locked on their own year are filtered out)
+     *
+     * @returns {GeoAdminLayer[]} List of layers with time config
+     */
+    visibleLayersFollowingTimeSlider: (state, getters) =>
+        getters.visibleLayersWithTimeConfig.filter(
+            (layer) => !state.timeSliderLockedLayerIds.includes(layer.id)
+        ),
+
     /**
      * Returns true if the layer comes from a third party (external layer or KML layer).
      *
@@ -495,7 +535,8 @@ const actions = {
      * Set layer current year
      *
      * @param {number} index Index of the layer to set
-     * @param {number | null} year Year to set as current, or null
+     * @param {number | string | null} year Year to set as current, or null. For layers with several
+     *   timestamps per year, the complete timestamp can be given instead
      * @param {string} dispatcher Action dispatcher name
      */
     setTimedLayerCurrentYear({ commit, getters }, { index, year, dispatcher }) {
@@ -604,6 +645,57 @@ const actions = {
         commit('setPreviewYear', { year: null, dispatcher })
     },
 
+    /**
+     * Set the range of years selected on the time slider. The years can be given in any order.
+     *
+     * @param {number} start First year of the range
+     * @param {number} end Last year of the range
+     * @param {string} dispatcher Action dispatcher name
+     */
+    setPreviewYearRange({ commit }, { start, end, dispatcher }) {
+        if (!Number.isInteger(start) || !Number.isInteger(end)) {
+            log.error('Invalid year range given in setPreviewYearRange, ignoring', start, end)
+        } else {
+            commit('setPreviewYearRange', {
+                range: { start: Math.min(start, end), end: Math.max(start, end) },
+                dispatcher,
+            })
+        }
+    },
+
+    /**
+     * Clear the range of years selected on the time slider
+     *
+     * @param {string} dispatcher Action dispatcher name
+     */
+    clearPreviewYearRange({ commit }, { dispatcher }) {
+        commit('setPreviewYearRange', { range: null, dispatcher })
+    },
+
+    /**
+     * Lock or unlock a layer on its own year, a locked layer doesn't follow the time slider
+     *
+     * @param {string} layerId ID of the layer
+     * @param {string} dispatcher Action dispatcher name
+     */
+    toggleTimeSliderLockedLayer({ commit, state }, { layerId, dispatcher }) {
+        const layerIds = state.timeSliderLockedLayerIds.includes(layerId)
+            ? state.timeSliderLockedLayerIds.filter((id) => id !== layerId)
+            : [...state.timeSliderLockedLayerIds, layerId]
+        commit('setTimeSliderLockedLayerIds', { layerIds, dispatcher })
+    },
+
+    /**
+     * @param {string[]} layerIds IDs of the layers that don't follow the time slider
+     * @param {string} dispatcher Action dispatcher name
+     */
+    setTimeSliderLockedLayerIds({ commit }, { layerIds, dispatcher }) {
+        commit('setTimeSliderLockedLayerIds', {
+            layerIds: layerIds.filter((id, index) => !!id && layerIds.indexOf(id) === index),
+            dispatcher,
+        })
+    },
+
     /**
      * Add a layer error translation key.
      *
@@ -860,6 +952,12 @@ const mutations = {
     setPreviewYear(state, { year }) {
         state.previewYear = year
     },
+    setPreviewYearRange(state, { range }) {
+        state.previewYearRange = range
+    },
+    setTimeSliderLockedLayerIds(state, { layerIds }) {
+        state.timeSliderLockedLayerIds = layerIds
+    },
     addSystemLayer(state, { layer }) {
         if (state.systemLayers.find((l) => l.id === layer.id)) {
             throw new Error(`Cannot add system layer ${layer.id}: duplicate`)
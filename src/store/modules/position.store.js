@@ -1,6 +1,7 @@
 import proj4 from 'proj4'
 
 import { DEFAULT_PROJECTION } from '@/config/map.config'
+import CrossHairs from '@/store/modules/CrossHairs.enum'
 import { LV95Format } from '@/utils/coordinates/coordinateFormat'
 import CoordinateSystem from '@/utils/coordinates/CoordinateSystem.class'
 import allCoordinateSystems, { LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
@@ -9,14 +10,7 @@ import StandardCoordinateSystem from '@/utils/coordinates/StandardCoordinateSyst
 import log from '@/utils/logging'
 import { wrapDegrees } from '@/utils/numberUtils.js'
 
-/** @enum */
-export const CrossHairs = {
-    cross: 'cross',
-    circle: 'circle',
-    bowl: 'bowl',
-    point: 'point',
-    marker: 'marker',
-}
+export { CrossHairs }
 
 /**
  * Normalizes any angle so that -PI < result <= PI
@@ -1,5 +1,29 @@
-import { readPrintCapabilities } from '@/api/print.api.js'
+import { boundingExtent, getCenter } from 'ol/extent'
+import { getPointResolution } from 'ol/proj'
+
+import { getClientSidePrintLayouts, readPrintCapabilities } from '@/api/print.api.js'
+import CoordinateSystem from '@/utils/coordinates/CoordinateSystem.class'
 import log from '@/utils/logging.js'
+import {
+    getAtlasFramesAlongLine,
+    getAtlasFramesOverExtent,
+    getPrintFrameSize,
+} from '@/utils/printUtils'
+
+/** @enum */
+export const PrintAtlasTypes = {
+    /** Pages following a line */
+    LINE: 'line',
+    /** Pages in a grid covering a rectangular area */
+    AREA: 'area',
+}
+
+/**
+ * @typedef PrintAtlas
+ * @property {PrintAtlasTypes} type
+ * @property {Number[][]} coordinates Coordinates of the line, or two opposite corners of the area
+ * @property {Number} overlap Part of the pages overlapping with their neighbours, between 0 and 1
+ */
 
 export default {
     state: {
@@ -7,6 +31,45 @@ export default {
         selectedLayout: null,
         selectedScale: null,
         printSectionShown: false,
+        /**
+         * Tells if the print server could give its layouts. When it can't, the layouts are replaced
+         * by ones that can only be printed in the browser.
+         *
+         * @type {Boolean}
+         */
+        isPrintServerAvailable: true,
+        /**
+         * Atlas to print (several pages at the selected scale, covering a line or an area), or null
+         * to print a single page centered on the map
+         *
+         * @type {PrintAtlas | null}
+         */
+        atlas: null,
+        /**
+         * Title written on the printed page
+         *
+         * @type {String}
+         */
+        printTitle: '',
+        /**
+         * Free text written on the printed page, under the title
+         *
+         * @type {String}
+         */
+        printComment: '',
+        /**
+         * Rotation of the print frame on the map, in degrees (clockwise). Lets the frame follow an
+         * elongated area, the map being printed rotated so that the frame is upright on the page.
+         *
+         * @type {Number}
+         */
+        printRotation: 0,
+        /**
+         * Projection of the printed coordinate grid, or null to use the projection of the map
+         *
+         * @type {CoordinateSystem | null}
+         */
+        printGridProjection: null,
     },
     getters: {
         printLayoutSize(state) {
@@ -25,14 +88,49 @@ export default {
             )
             return mapAttributes?.clientInfo?.maxDPI
         },
+        /**
+         * Extents of the pages of the atlas, in the order they are printed. Empty if no atlas is
+         * defined.
+         *
+         * @returns {[Number, Number, Number, Number][]}
+         */
+        atlasFrames(state, getters, rootState) {
+            const { width, height } = getters.printLayoutSize
+            if (!state.atlas || !state.selectedScale || !width || !height) {
+                return []
+            }
+            const { type, coordinates, overlap } = state.atlas
+            const extent = boundingExtent(coordinates)
+            const frameSize = getPrintFrameSize(
+                getters.printLayoutSize,
+                state.selectedScale,
+                getPointResolution(rootState.position.projection.epsg, 1, getCenter(extent), 'm')
+            )
+            const centers =
+                type === PrintAtlasTypes.LINE
+                    ? getAtlasFramesAlongLine(coordinates, frameSize, overlap)
+                    : getAtlasFramesOverExtent(extent, frameSize, overlap)
+            return centers.map(([x, y]) => [
+                x - frameSize[0] / 2,
+                y - frameSize[1] / 2,
+                x + frameSize[0] / 2,
+                y + frameSize[1] / 2,
+            ])
+        },
     },
     actions: {
         async loadPrintLayouts({ commit }, { dispatcher }) {
             try {
                 const layouts = await readPrintCapabilities()
                 commit('setPrintLayouts', { layouts, dispatcher })
+                commit('setPrintServerAvailable', { available: true, dispatcher })
             } catch (error) {
-                log.error('Error while loading print layouts', error)
+                log.error(
+                    'Error while loading print layouts, only printing in the browser is possible',
+                    error
+                )
+                commit('setPrintLayouts', { layouts: getClientSidePrintLayouts(), dispatcher })
+                commit('setPrintServerAvailable', { available: false, dispatcher })
             }
         },
         setSelectedScale({ commit }, { scale, dispatcher }) {
@@ -44,11 +142,71 @@ export default {
         setPrintSectionShown({ commit }, { show, dispatcher }) {
             commit('setPrintSectionShown', { show, dispatcher })
         },
+        /**
+         * @param commit
+         * @param {PrintAtlasTypes} type
+         * @param {Number[][]} coordinates Coordinates of the line, or two opposite corners of the
+         *   area
+         * @param {Number} [overlap=0.1] Part of the pages overlapping with their neighbours,
+         *   between 0 and 0.5. Default is `0.1`
+         * @param {String} dispatcher
+         */
+        setPrintAtlas({ commit }, { type, coordinates, overlap = 0.1, dispatcher }) {
+            if (!Object.values(PrintAtlasTypes).includes(type)) {
+                log.error('Invalid print atlas type', type)
+                return
+            }
+            if (!Array.isArray(coordinates) || coordinates.length === 0) {
+                log.error('Print atlas without coordinates')
+                return
+            }
+            if (!Number.isFinite(overlap) || overlap < 0 || overlap > 0.5) {
+                log.error('Invalid print atlas overlap', overlap)
+                return
+            }
+            commit('setPrintAtlas', { atlas: { type, coordinates, overlap }, dispatcher })
+        },
+        clearPrintAtlas({ commit }, { dispatcher }) {
+            commit('setPrintAtlas', { atlas: null, dispatcher })
+        },
+        setPrintTitle({ commit }, { title, dispatcher }) {
+            commit('setPrintTitle', { title: `${title ?? ''}`, dispatcher })
+        },
+        setPrintComment({ commit }, { comment, dispatcher }) {
+            commit('setPrintComment', { comment: `${comment ?? ''}`, dispatcher })
+        },
+        /**
+         * @param commit
+         * @param {Number} rotation Rotation of the print frame, in degrees between -180 and 180
+         * @param {String} dispatcher
+         */
+        setPrintRotation({ commit }, { rotation, dispatcher }) {
+            const value = Number(rotation)
+            if (!Number.isFinite(value) || value < -180 || value > 180) {
+                log.error('Invalid print rotation', rotation)
+                return
+            }
+            commit('setPrintRotation', { rotation: value, dispatcher })
+        },
+        setPrintGridProjection({ commit }, { projection, dispatcher }) {
+            if (projection && !(projection instanceof CoordinateSystem)) {
+                log.error('Invalid print grid projection', projection)
+                return
+            }
+            commit('setPrintGridProjection', { projection: projection ?? null, dispatcher })
+        },
     },
     mutations: {
         setPrintLayouts: (state, { layouts }) => (state.layouts = layouts),
         setSelectedLayout: (state, { layout }) => (state.selectedLayout = layout),
         setSelectedScale: (state, { scale }) => (state.selectedScale = scale),
         setPrintSectionShown: (state, { show }) => (state.printSectionShown = show),
+        setPrintServerAvailable: (state, { available }) =>
+            (state.isPrintServerAvailable = available),
+        setPrintAtlas: (state, { atlas }) => (state.atlas = atlas),
+        setPrintTitle: (state, { title }) => (state.printTitle = title),
+        setPrintComment: (state, { comment }) => (state.printComment = comment),
+        setPrintRotation: (state, { rotation }) => (state.printRotation = rotation),
+        setPrintGridProjection: (state, { projection }) => (state.printGridProjection = projection),
     },
 }
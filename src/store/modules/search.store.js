@@ -1,6 +1,16 @@
+import { pick } from 'lodash'
+import proj4 from 'proj4'
+
 import getFeature from '@/api/features/features.api'
 import reframe from '@/api/lv03Reframe.api'
-import search, { SearchResultTypes } from '@/api/search.api'
+import { SearchResultTypes } from '@/api/search.api'
+import { getSearchProviders } from '@/api/search/searchProviders'
+import {
+    getSearchFavouriteId,
+    loadRecentSearches,
+    loadSearchFavourites,
+    MAX_RECENT_SEARCHES,
+} from '@/api/searchHistory.api'
 import { isWhat3WordsString, retrieveWhat3WordsLocation } from '@/api/what3words.api'
 import coordinateFromString from '@/utils/coordinates/coordinateExtractors'
 import { STANDARD_ZOOM_LEVEL_1_25000_MAP } from '@/utils/coordinates/CoordinateSystem.class'
@@ -9,6 +19,7 @@ import { reprojectAndRound } from '@/utils/coordinates/coordinateUtils'
 import { flattenExtent } from '@/utils/coordinates/coordinateUtils'
 import CustomCoordinateSystem from '@/utils/coordinates/CustomCoordinateSystem.class'
 import log from '@/utils/logging'
+import { escapeHtml } from '@/utils/utils'
 
 const state = {
     /**
@@ -23,9 +34,68 @@ const state = {
      * @type {SearchResult[]}
      */
     results: [],
+    /**
+     * Queries of the results previously selected by the user, the most recent first (persisted in
+     * the local storage)
+     *
+     * @type {String[]}
+     */
+    recentSearches: loadRecentSearches(),
+    /**
+     * Search results starred by the user (persisted in the local storage)
+     *
+     * @type {SearchFavourite[]}
+     */
+    favourites: loadSearchFavourites(),
 }
 
-const getters = {}
+const getters = {
+    /**
+     * Favourites matching the current query (all of them if the query is empty), with their
+     * coordinate and extent expressed in the current projection
+     *
+     * @returns {SearchFavourite[]}
+     */
+    searchFavourites(state, getters, rootState) {
+        const words = state.query
+            .toLowerCase()
+            .split(/\s+/)
+            .filter((word) => word.length > 0)
+        return state.favourites
+            .filter((favourite) =>
+                words.every((word) => favourite.sanitizedTitle.toLowerCase().includes(word))
+            )
+            .map((favourite) => reprojectFavourite(favourite, rootState.position.projection))
+    },
+    /**
+     * Recent searches, as search results, if nothing is currently searched
+     *
+     * @returns {SearchResult[]}
+     */
+    recentSearchResults(state) {
+        if (state.query.length > 0) {
+            return []
+        }
+        return state.recentSearches.map((query) => ({
+            resultType: SearchResultTypes.RECENT_SEARCH,
+            id: `recent-search-${query}`,
+            title: escapeHtml(query),
+            sanitizedTitle: query,
+            description: '',
+            category: 'recentsearches',
+        }))
+    },
+    /**
+     * @returns {function(SearchResult): Boolean} Tells if a search result has been starred as
+     *   favourite
+     */
+    isSearchFavourite(state) {
+        return (entry) => {
+            const favouriteId = getSearchFavouriteId(entry)
+            return state.favourites.some((favourite) => favourite.favouriteId === favouriteId)
+        }
+    },
+}
 
 const actions = {
     /**
@@ -34,7 +104,7 @@ const actions = {
      * @param {String} payload.query
      */
     setSearchQuery: async (
-        { commit, rootState, dispatch, getters },
+        { commit, state, rootState, dispatch, getters },
         { query = '', shouldCenter = true, dispatcher }
     ) => {
         let results = []
@@ -123,16 +193,23 @@ const actions = {
                     dispatcher: dispatcherWhat3words,
                 })
             } else {
-                try {
-                    results = await search({
-                        outputProjection: currentProjection,
-                        queryString: query,
-                        lang: rootState.i18n.lang,
-                        layersToSearch: getters.visibleLayers,
-                    })
-                } catch (error) {
-                    log.error(`Search failed`, error)
+                /** @type {SearchContext} */
+                const context = {
+                    outputProjection: currentProjection,
+                    queryString: query,
+                    lang: rootState.i18n.lang,
+                    layersToSearch: getters.visibleLayers,
+                }
+                // letting all providers search in parallel (each one cancels its pending search,
+                // if any), results are sorted by provider priority
+                const providersResults = await Promise.all(
+                    getSearchProviders().map((provider) => provider.search(context))
+                )
+                if (state.query !== query) {
+                    log.debug(`Search results for "${query}" are outdated, ignoring them`)
+                    return
                 }
+                results = providersResults.flat()
             }
         } else if (query.length === 0) {
             dispatch('clearPinnedLocation', { dispatcher: `${dispatcher}/setSearchQuery` })
@@ -148,6 +225,18 @@ const actions = {
      */
     selectResultEntry: ({ dispatch, getters, rootState }, { entry, dispatcher }) => {
         const dispatcherSelectResultEntry = `${dispatcher}/search.store/selectResultEntry`
+        if (entry.resultType === SearchResultTypes.RECENT_SEARCH) {
+            // searching it again (the user will then choose among the results)
+            dispatch('setSearchQuery', {
+                query: entry.sanitizedTitle,
+                dispatcher: dispatcherSelectResultEntry,
+            })
+            dispatch('addRecentSearch', {
+                query: entry.sanitizedTitle,
+                dispatcher: dispatcherSelectResultEntry,
+            })
+            return
+        }
         switch (entry.resultType) {
             case SearchResultTypes.LAYER:
                 if (getters.getActiveLayersById(entry.layerId).length === 0) {
@@ -173,6 +262,14 @@ const actions = {
                 zoomToEntry(entry, dispatch, dispatcher, dispatcherSelectResultEntry)
 
                 // Automatically select the feature
+                if (entry.feature) {
+                    // features of local files (KML, GPX) are already fully described by the result
+                    dispatch('setSelectedFeatures', {
+                        features: [entry.feature],
+                        dispatcher,
+                    })
+                    break
+                }
                 try {
                     getFeature(entry.layer, entry.featureId, rootState.position.projection, {
                         lang: rootState.i18n.lang,
@@ -196,12 +293,97 @@ const actions = {
             query: entry.sanitizedTitle,
             dispatcher: dispatcherSelectResultEntry,
         })
+        dispatch('addRecentSearch', {
+            query: entry.sanitizedTitle,
+            dispatcher: dispatcherSelectResultEntry,
+        })
+    },
+    /**
+     * Puts a query on top of the recent searches (removing the oldest one if there are too many)
+     *
+     * @param commit
+     * @param state
+     * @param {String} query
+     * @param {String} dispatcher
+     */
+    addRecentSearch: ({ commit, state }, { query, dispatcher }) => {
+        const trimmedQuery = query?.trim()
+        if (!trimmedQuery) {
+            return
+        }
+        commit('setRecentSearches', {
+            recentSearches: [
+                trimmedQuery,
+                ...state.recentSearches.filter((recentSearch) => recentSearch !== trimmedQuery),
+            ].slice(0, MAX_RECENT_SEARCHES),
+            dispatcher,
+        })
+    },
+    removeRecentSearch: ({ commit, state }, { query, dispatcher }) => {
+        commit('setRecentSearches', {
+            recentSearches: state.recentSearches.filter((recentSearch) => recentSearch !== query),
+            dispatcher,
+        })
+    },
+    /**
+     * Stars a location or a layer search result as favourite, or removes it from the favourites if
+     * it is already one.
+     *
+     * @param commit
+     * @param state
+     * @param rootState
+     * @param {LocationSearchResult | LayerSearchResult} entry
+     * @param {String} dispatcher
+     */
+    toggleSearchFavourite: ({ commit, state, rootState }, { entry, dispatcher }) => {
+        if (![SearchResultTypes.LOCATION, SearchResultTypes.LAYER].includes(entry?.resultType)) {
+            log.error(`Only locations and layers can be starred as favourite`, entry)
+            return
+        }
+        const favouriteId = getSearchFavouriteId(entry)
+        if (state.favourites.some((favourite) => favourite.favouriteId === favouriteId)) {
+            commit('setSearchFavourites', {
+                favourites: state.favourites.filter(
+                    (favourite) => favourite.favouriteId !== favouriteId
+                ),
+                dispatcher,
+            })
+            return
+        }
+        const isLocation = entry.resultType === SearchResultTypes.LOCATION
+        /** @type {SearchFavourite} */
+        const favourite = {
+            // keeping only what can be serialized (and needed to select the favourite later)
+            ...JSON.parse(
+                JSON.stringify(
+                    pick(entry, [
+                        'resultType',
+                        'id',
+                        'title',
+                        'sanitizedTitle',
+                        'description',
+                        'layerId',
+                        'featureId',
+                        'coordinate',
+                        'extent',
+                        'zoom',
+                    ])
+                )
+            ),
+            category: 'favourites',
+            providerId: 'favourites',
+            favouriteId,
+            projection: isLocation ? rootState.position.projection.epsg : null,
+        }
+        commit('setSearchFavourites', { favourites: [...state.favourites, favourite], dispatcher })
     },
 }
 
 const mutations = {
     setSearchQuery: (state, { query }) => (state.query = query),
     setSearchResults: (state, { results }) => (state.results = results ?? []),
+    setRecentSearches: (state, { recentSearches }) => (state.recentSearches = recentSearches),
+    setSearchFavourites: (state, { favourites }) => (state.favourites = favourites),
 }
 
 export default {
@@ -225,3 +407,28 @@ function zoomToEntry(entry, dispatch, dispatcher, dispatcherSelectResultEntry) {
         })
     }
 }
+
+/**
+ * @param {SearchFavourite} favourite
+ * @param {CoordinateSystem} projection
+ * @returns {SearchFavourite} The favourite with its coordinate and extent expressed in the
+ *   projection
+ */
+function reprojectFavourite(favourite, projection) {
+    if (!favourite.projection || favourite.projection === projection.epsg) {
+        return favourite
+    }
+    const reproject = (coordinate) =>
+        proj4(favourite.projection, projection.epsg, coordinate).map(
+            projection.roundCoordinateValue
+        )
+    const extent = favourite.extent?.map(reproject) ?? []
+    return {
+        ...favourite,
+        coordinate: reproject(favourite.coordinate),
+        extent,
+        // zoom levels are specific to each projection
+        zoom: extent.length === 0 ? projection.get1_25000ZoomLevel() : null,
+        projection: projection.epsg,
+    }
+}
@@ -0,0 +1,140 @@
+import log from '@/utils/logging'
+
+/**
+ * Creates a copy of the layer config matching the given layer, keeping the visibility, opacity and
+ * year of the given layer
+ *
+ * @param {Function} getLayerConfigById
+ * @param {AbstractLayer | String} layer A layer, or a layer ID
+ * @returns {AbstractLayer | null}
+ */
+function cloneLayerFromConfig(getLayerConfigById, layer) {
+    const layerId = typeof layer === 'string' ? layer : layer?.id
+    const clone = getLayerConfigById(layerId)?.clone() ?? null
+    if (clone && typeof layer !== 'string') {
+        clone.visible = layer.visible
+        clone.opacity = layer.opacity
+        if (layer.timeConfig && clone.timeConfig) {
+            clone.timeConfig.updateCurrentTimeEntry(
+                clone.timeConfig.getTimeEntryForYear(layer.timeConfig.currentYear)
+            )
+        }
+    }
+    return clone
+}
+
+/**
+ * Module that stores the state of the split screen, where a second map is shown next to the main
+ * map. Both maps share the same position (center, zoom and rotation of the position store), but the
+ * second map has its own background and layers.
+ *
+ * Only layers of the layers' config can be added to the second map (no external or local layers).
+ */
+export default {
+    state: {
+        /**
+         * Flag telling if the second map is shown next to the main map
+         *
+         * @type Boolean
+         */
+        active: false,
+        /**
+         * ID of the background layer of the second map, null meaning no background
+         *
+         * @type {String | null}
+         */
+        backgroundLayerId: null,
+        /**
+         * Layers of the second map, from the bottom of the stack to the top
+         *
+         * @type {AbstractLayer[]}
+         */
+        layers: [],
+    },
+    getters: {
+        splitScreenBackgroundLayer(state, getters) {
+            return getters.getLayerConfigById(state.backgroundLayerId)
+        },
+        splitScreenVisibleLayers(state) {
+            return state.layers.filter((layer) => layer.visible)
+        },
+    },
+    actions: {
+        setSplitScreenActive({ commit }, { active, dispatcher }) {
+            commit('setSplitScreenActive', { active: !!active, dispatcher })
+        },
+        /**
+         * @param {String | null} bgLayerId ID of a background layer, null or "void" for no
+         *   background
+         * @param {String} dispatcher Action dispatcher name
+         */
+        setSplitScreenBackground({ commit, getters }, { bgLayerId, dispatcher }) {
+            if (!bgLayerId || bgLayerId === 'void') {
+                commit('setSplitScreenBackground', { bgLayerId: null, dispatcher })
+            } else if (getters.getLayerConfigById(bgLayerId)?.isBackground) {
+                commit('setSplitScreenBackground', { bgLayerId, dispatcher })
+            } else {
+                log.error(`Layer ${bgLayerId} can't be used as background of the split screen`)
+            }
+        },
+        /**
+         * Replaces the layers of the second map. The layers are copied from the layers' config
+         * (layers not found in the config are ignored)
+         *
+         * @param {(AbstractLayer | String)[]} layers Layers, or layer IDs
+         * @param {String} dispatcher Action dispatcher name
+         */
+        setSplitScreenLayers({ commit, getters }, { layers, dispatcher }) {
+            const clones = layers
+                .map((layer) => cloneLayerFromConfig(getters.getLayerConfigById, layer))
+                .filter((layer) => !!layer)
+            commit('setSplitScreenLayers', { layers: clones, dispatcher })
+        },
+        /**
+         * Adds a layer on top of the layers of the second map
+         *
+         * @param {String} layerId
+         * @param {String} dispatcher Action dispatcher name
+         */
+        addSplitScreenLayer({ commit, getters }, { layerId, dispatcher }) {
+            const clone = cloneLayerFromConfig(getters.getLayerConfigById, layerId)
+            if (clone) {
+                commit('addSplitScreenLayer', { layer: clone, dispatcher })
+            } else {
+                log.error(`Layer ${layerId} not found in the layers config`)
+            }
+        },
+        removeSplitScreenLayer({ commit }, { index, dispatcher }) {
+            commit('removeSplitScreenLayer', { index, dispatcher })
+        },
+        toggleSplitScreenLayerVisibility({ commit }, { index, dispatcher }) {
+            commit('toggleSplitScreenLayerVisibility', { index, dispatcher })
+        },
+        setSplitScreenLayerYear({ commit, state }, { index, year, dispatcher }) {
+            const layer = state.layers[index]
+            if (!layer?.timeConfig) {
+                throw new Error(`Failed to setSplitScreenLayerYear: invalid index ${index}`)
+            }
+            commit('setSplitScreenLayerYear', { layer, year, dispatcher })
+        },
+    },
+    mutations: {
+        setSplitScreenActive: (state, { active }) => (state.active = active),
+        setSplitScreenBackground: (state, { bgLayerId }) => (state.backgroundLayerId = bgLayerId),
+        setSplitScreenLayers: (state, { layers }) => (state.layers = layers),
+        addSplitScreenLayer: (state, { layer }) => state.layers.push(layer),
+        removeSplitScreenLayer: (state, { index }) => state.layers.splice(index, 1),
+        toggleSplitScreenLayerVisibility(state, { index }) {
+            const layer = state.layers[index]
+            if (!layer) {
+                throw new Error(
+                    `Failed to toggleSplitScreenLayerVisibility: invalid index ${index}`
+                )
+            }
+            layer.visible = !layer.visible
+        },
+        setSplitScreenLayerYear(state, { layer, year }) {
+            layer.timeConfig.updateCurrentTimeEntry(layer.timeConfig.getTimeEntryForYear(year))
+        },
+    },
+}
@@ -5,6 +5,8 @@ import {
     REPORT_PROBLEM_HOSTNAMES,
     WARNING_RIBBON_HOSTNAMES,
 } from '@/config/staging.config'
+import CompareSliderModes from '@/store/modules/CompareSliderModes.enum'
+import FeatureInfoPositions from '@/store/modules/FeatureInfoPositions.enum'
 import ErrorMessage from '@/utils/ErrorMessage.class'
 import log from '@/utils/logging'
 import WarningMessage from '@/utils/WarningMessage.class'
@@ -22,13 +24,7 @@ export const UIModes = {
     DESKTOP: 'DESKTOP', // formerly called "MENU_ALWAYS_OPEN", also used for tablets
     PHONE: 'PHONE', //  formerly called "MENU_OPENED_THROUGH_BUTTON"
 }
-export const FeatureInfoPositions = {
-    DEFAULT: 'default', // This is not the default value, but this is the default behavior,
-    // which depends on the UI size. Bottompanel on phones, tooltip on desktop
-    BOTTOMPANEL: 'bottomPanel',
-    TOOLTIP: 'tooltip',
-    NONE: 'none',
-}
+export { CompareSliderModes, FeatureInfoPositions }
 /**
  * Module that stores all information related to the UI, for instance if a portion of the UI (like
  * the header) should be visible right now or not. Most actions from this module will be
@@ -118,6 +114,12 @@ export default {
          * @type Boolean
          */
         importFile: false,
+        /**
+         * Flag telling if the batch coordinate conversion tool is shown
+         *
+         * @type Boolean
+         */
+        coordinateConversion: false,
         /**
          * Height of the header (in px)
          *
@@ -139,6 +141,19 @@ export default {
          * @type Boolean
          */
         isCompareSliderActive: false,
+        /**
+         * How the compare slider splits the map
+         *
+         * @type {CompareSliderModes}
+         */
+        compareSliderMode: CompareSliderModes.VERTICAL,
+        /**
+         * ID of the layer compared with the layers below it. If null (or if this layer isn't
+         * visible), the visible layer on top is compared.
+         *
+         * @type {String | null}
+         */
+        compareLayerId: null,
         /**
          * Flag telling if the time slider is currently active or not
          *
@@ -338,6 +353,12 @@ export default {
         toggleImportFile({ commit, state }, { dispatcher }) {
             commit('setImportFile', { importFile: !state.importFile, dispatcher })
         },
+        toggleCoordinateConversion({ commit, state }, { dispatcher }) {
+            commit('setCoordinateConversion', {
+                coordinateConversion: !state.coordinateConversion,
+                dispatcher,
+            })
+        },
         setHeaderHeight({ commit }, { height, dispatcher }) {
             commit('setHeaderHeight', { height: parseFloat(height), dispatcher })
         },
@@ -357,6 +378,16 @@ export default {
         setCompareSliderActive({ commit }, args) {
             commit('setCompareSliderActive', args)
         },
+        setCompareSliderMode({ commit }, { mode, dispatcher }) {
+            if (Object.values(CompareSliderModes).includes(mode)) {
+                commit('setCompareSliderMode', { mode, dispatcher })
+            } else {
+                log.error(`Invalid compare slider mode ${mode}, ignoring`)
+            }
+        },
+        setCompareLayerId({ commit }, { layerId, dispatcher }) {
+            commit('setCompareLayerId', { layerId: layerId || null, dispatcher })
+        },
         setFeatureInfoPosition({ commit, state }, { position, dispatcher }) {
             let featurePosition = FeatureInfoPositions[position?.toUpperCase()]
             if (!featurePosition) {
@@ -492,6 +523,9 @@ export default {
         setImportFile(state, { importFile }) {
             state.importFile = importFile
         },
+        setCoordinateConversion(state, { coordinateConversion }) {
+            state.coordinateConversion = coordinateConversion
+        },
         setHeaderHeight(state, { height }) {
             state.headerHeight = height
         },
@@ -501,6 +535,12 @@ export default {
         setCompareSliderActive(state, { compareSliderActive }) {
             state.isCompareSliderActive = compareSliderActive
         },
+        setCompareSliderMode(state, { mode }) {
+            state.compareSliderMode = mode
+        },
+        setCompareLayerId(state, { layerId }) {
+            state.compareLayerId = layerId
+        },
         setTimeSliderActive(state, { timeSliderActive }) {
             state.isTimeSliderActive = timeSliderActive
         },
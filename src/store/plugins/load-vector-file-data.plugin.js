@@ -0,0 +1,90 @@
+/**
+ * Listen to the `addLayer` mutation, and if a vector file layer is added without data defined, we
+ * load it here
+ */
+
+import { getFileFromUrl } from '@/api/files.api'
+import VectorFileLayer from '@/api/layers/VectorFileLayer.class'
+import { getExtentForProjection } from '@/utils/extentUtils'
+import log from '@/utils/logging'
+import { getVectorFileExtent, parseVectorFileContent } from '@/utils/vectorFileUtils'
+
+const dispatcher = { dispatcher: 'load-vector-file-data.plugin' }
+
+/**
+ * @param {Vuex.Store} store
+ * @param {VectorFileLayer} vectorFileLayer
+ * @returns {Promise<void>}
+ */
+async function loadVectorFile(store, vectorFileLayer) {
+    log.debug(`Loading data for added vector file layer`, vectorFileLayer)
+    let response
+    try {
+        response = await getFileFromUrl(vectorFileLayer.fileSource, {
+            responseType: 'arraybuffer',
+        })
+    } catch (error) {
+        log.error(`Error while fetching vector file data for layer ${vectorFileLayer?.id}`)
+        store.dispatch('addLayerErrorKey', {
+            layerId: vectorFileLayer.id,
+            errorKey: `loading_error_network_failure`,
+            ...dispatcher,
+        })
+        return
+    }
+    try {
+        const { format, geoJsonData } = await parseVectorFileContent(
+            response.data,
+            vectorFileLayer.fileSource
+        )
+        store.dispatch('updateLayers', {
+            layers: [{ id: vectorFileLayer.id, format, geoJsonData, isLoading: false }],
+            ...dispatcher,
+        })
+        const extent = getVectorFileExtent(geoJsonData)
+        let errorKey = null
+        if (!extent) {
+            errorKey = 'vector_file_empty'
+        } else if (!getExtentForProjection(store.state.position.projection, extent)) {
+            errorKey = 'imported_file_out_of_bounds'
+        }
+        if (errorKey) {
+            store.dispatch('addLayerErrorKey', {
+                layerId: vectorFileLayer.id,
+                errorKey,
+                ...dispatcher,
+            })
+        }
+    } catch (error) {
+        log.error(`Error while parsing vector file data for layer ${vectorFileLayer?.id}`, error)
+        store.dispatch('addLayerErrorKey', {
+            layerId: vectorFileLayer.id,
+            errorKey: 'invalid_import_file_error',
+            ...dispatcher,
+        })
+    }
+}
+
+/**
+ * Load vector file data whenever a vector file layer is added (or does nothing if the layer was
+ * already processed/loaded)
+ *
+ * @param {Vuex.Store} store
+ */
+export default function loadVectorFileData(store) {
+    store.subscribe((mutation) => {
+        const addLayerSubscriber = (layer) => {
+            if (layer instanceof VectorFileLayer && !layer.isLocalFile && !layer.geoJsonData) {
+                loadVectorFile(store, layer)
+            }
+        }
+        if (mutation.type === 'addLayer') {
+            addLayerSubscriber(mutation.payload.layer)
+        }
+        if (mutation.type === 'setLayers') {
+            mutation.payload.layers?.forEach((layer) => {
+                addLayerSubscriber(layer)
+            })
+        }
+    })
+}
@@ -0,0 +1,19 @@
+import { saveRecentSearches, saveSearchFavourites } from '@/api/searchHistory.api'
+
+/**
+ * Keeps the recent searches and the search favourites in the browser's local storage, so that they
+ * are still there the next time the app is opened
+ *
+ * @param {Vuex.Store} store
+ */
+const persistSearchHistory = (store) => {
+    store.subscribe((mutation, state) => {
+        if (mutation.type === 'setRecentSearches') {
+            saveRecentSearches(state.search.recentSearches)
+        } else if (mutation.type === 'setSearchFavourites') {
+            saveSearchFavourites(state.search.favourites)
+        }
+    })
+}
+
+export default persistSearchHistory
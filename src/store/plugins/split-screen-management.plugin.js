@@ -0,0 +1,21 @@
+const dispatcher = { dispatcher: 'split-screen-management.plugin' }
+
+/**
+ * Copies the layers of the split screen's second map from the new layers' config whenever it
+ * changes (e.g. on language change), so that their names and metadata are translated like the
+ * active layers of the main map
+ *
+ * @param {Vuex.Store} store
+ */
+const splitScreenManagementPlugin = (store) => {
+    store.subscribe((mutation, state) => {
+        if (mutation.type === 'setLayerConfig' && state.splitScreen.layers.length > 0) {
+            store.dispatch('setSplitScreenLayers', {
+                layers: [...state.splitScreen.layers],
+                ...dispatcher,
+            })
+        }
+    })
+}
+
+export default splitScreenManagementPlugin
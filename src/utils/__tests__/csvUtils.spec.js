@@ -0,0 +1,127 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import { LV03, LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
+import {
+    convertCsvToGeoJson,
+    detectCsvDelimiter,
+    EmptyCsvError,
+    guessCsvColumnMapping,
+    guessCsvProjection,
+    isCsvFileName,
+    parseCsv,
+    parseCsvNumber,
+} from '@/utils/csvUtils'
+
+describe('Test CSV utils', () => {
+    describe('isCsvFileName', () => {
+        it('detects CSV and TSV files from their extension', () => {
+            expect(isCsvFileName('points.csv')).to.be.true
+            expect(isCsvFileName('POINTS.TSV')).to.be.true
+            expect(isCsvFileName('points.csv.kml')).to.be.false
+            expect(isCsvFileName(null)).to.be.false
+        })
+    })
+    describe('detectCsvDelimiter', () => {
+        it('detects the delimiter from the header line', () => {
+            expect(detectCsvDelimiter('name,x,y\na,1,2')).to.eq(',')
+            expect(detectCsvDelimiter('name;x;y\na;1,5;2,5')).to.eq(';')
+            expect(detectCsvDelimiter('name\tx\ty\na\t1\t2')).to.eq('\t')
+            expect(detectCsvDelimiter('"a;b",x,y\n')).to.eq(',')
+            expect(detectCsvDelimiter('name')).to.eq(',')
+        })
+    })
+    describe('parseCsv', () => {
+        it('parses the header and the rows', () => {
+            const csv = parseCsv('\uFEFFname;x;y\r\nBern;2600000;1200000\r\n\r\n"A; ""B""";1;2\n')
+            expect(csv.delimiter).to.eq(';')
+            expect(csv.columns).to.deep.eq(['name', 'x', 'y'])
+            expect(csv.rows).to.deep.eq([
+                { name: 'Bern', x: '2600000', y: '1200000' },
+                { name: 'A; "B"', x: '1', y: '2' },
+            ])
+        })
+        it('handles quoted line breaks and missing values', () => {
+            const csv = parseCsv('name,description,x\n"a","multi\nline"\n')
+            expect(csv.rows).to.deep.eq([{ name: 'a', description: 'multi\nline', x: '' }])
+        })
+        it('raises an error if there is no data', () => {
+            expect(() => parseCsv('')).to.throw(EmptyCsvError)
+            expect(() => parseCsv('name,x,y\n')).to.throw(EmptyCsvError)
+        })
+    })
+    describe('parseCsvNumber', () => {
+        it('parses numbers with separators and decimal commas', () => {
+            expect(parseCsvNumber('2600000')).to.eq(2600000)
+            expect(parseCsvNumber("2'600'000.5")).to.eq(2600000.5)
+            expect(parseCsvNumber('46,95')).to.eq(46.95)
+            expect(parseCsvNumber(' -7.4 ')).to.eq(-7.4)
+            expect(parseCsvNumber('')).to.be.null
+            expect(parseCsvNumber('abc')).to.be.null
+            expect(parseCsvNumber('1,200,000')).to.be.null
+        })
+    })
+    describe('guessCsvColumnMapping', () => {
+        it('finds the columns from their names', () => {
+            expect(guessCsvColumnMapping(['id', 'Name', 'Lat', 'Lon'])).to.deep.eq({
+                xColumn: 'Lon',
+                yColumn: 'Lat',
+                labelColumn: 'Name',
+            })
+            expect(guessCsvColumnMapping(['E', 'N'])).to.deep.eq({
+                xColumn: 'E',
+                yColumn: 'N',
+                labelColumn: null,
+            })
+        })
+    })
+    describe('guessCsvProjection', () => {
+        it('finds the projection whose bounds contain all coordinates', () => {
+            const guess = (...coordinates) =>
+                guessCsvProjection(
+                    coordinates.map(([x, y]) => ({ x: `${x}`, y: `${y}` })),
+                    'x',
+                    'y'
+                )
+            expect(guess([2600000, 1200000], [2700000, 1250000])).to.eq(LV95)
+            expect(guess([600000, 200000])).to.eq(LV03)
+            expect(guess([7.43863, 46.95108], [-70, -30])).to.eq(WGS84)
+            expect(guess(['a', 'b'])).to.be.null
+        })
+    })
+    describe('convertCsvToGeoJson', () => {
+        it('creates WGS84 points out of the rows, skipping invalid ones', () => {
+            const { rows } = parseCsv(
+                'name;E;N\nBern;2600000;1200000\ninvalid;abc;1200000\nout of bounds;0;0\n'
+            )
+            const { geoJsonData, skippedRowCount } = convertCsvToGeoJson(rows, {
+                xColumn: 'E',
+                yColumn: 'N',
+                projection: LV95,
+                labelColumn: 'name',
+            })
+            expect(skippedRowCount).to.eq(2)
+            expect(geoJsonData.type).to.eq('FeatureCollection')
+            expect(geoJsonData.features).to.have.length(1)
+            const [feature] = geoJsonData.features
+            expect(feature.properties).to.deep.eq({
+                name: 'Bern',
+                E: '2600000',
+                N: '1200000',
+                label: 'Bern',
+            })
+            expect(feature.geometry.type).to.eq('Point')
+            expect(feature.geometry.coordinates[0]).to.be.closeTo(7.43863, 0.00001)
+            expect(feature.geometry.coordinates[1]).to.be.closeTo(46.95108, 0.00001)
+        })
+        it('keeps WGS84 coordinates as is', () => {
+            const { geoJsonData } = convertCsvToGeoJson([{ lon: '7,5', lat: '46,5' }], {
+                xColumn: 'lon',
+                yColumn: 'lat',
+                projection: WGS84,
+            })
+            expect(geoJsonData.features[0].geometry.coordinates).to.deep.eq([7.5, 46.5])
+            expect(geoJsonData.features[0].properties).to.not.have.property('label')
+        })
+    })
+})
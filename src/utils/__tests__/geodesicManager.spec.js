@@ -5,7 +5,13 @@ import { Style } from 'ol/style'
 import { describe, it } from 'vitest'
 
 import { WEBMERCATOR } from '@/utils/coordinates/coordinateSystems'
-import { GeodesicGeometries, HALFSIZE_WEBMERCATOR } from '@/utils/geodesicManager'
+import {
+    computeGeodesicCircleCoordinates,
+    computeGeodesicDistance,
+    computePolygonPerimeterArea,
+    GeodesicGeometries,
+    HALFSIZE_WEBMERCATOR,
+} from '@/utils/geodesicManager'
 
 function constructGeodLineString(...coords) {
     const feature = new Feature(new LineString(coords))
@@ -239,3 +245,27 @@ describe('Unit tests for Geodesic geometries', () => {
         ])
     })
 })
+
+describe('Unit tests for geodesic circles', () => {
+    const center = [7.44, 46.95]
+    it('computes the distance between two points', () => {
+        expect(computeGeodesicDistance(center, center)).to.eq(0)
+        // one degree of latitude is about 111 km
+        expect(computeGeodesicDistance([7, 46], [7, 47])).to.be.closeTo(111150, 50)
+    })
+    it('generates a closed outline at the same distance of the center', () => {
+        const outline = computeGeodesicCircleCoordinates(center, 1000, 32)
+        expect(outline).to.have.length(33)
+        expect(outline[32]).to.deep.eq(outline[0])
+        outline.forEach((coordinate) =>
+            expect(computeGeodesicDistance(center, coordinate)).to.be.closeTo(1000, 0.001)
+        )
+        // first point is north of the center
+        expect(outline[0][0]).to.be.closeTo(center[0], 1e-9)
+        expect(outline[0][1]).to.be.greaterThan(center[1])
+    })
+    it('has an area close to the one of a perfect circle', () => {
+        const { area } = computePolygonPerimeterArea(computeGeodesicCircleCoordinates(center, 1000))
+        expect(area).to.be.closeTo(Math.PI * 1000 * 1000, 0.01 * Math.PI * 1000 * 1000)
+    })
+})
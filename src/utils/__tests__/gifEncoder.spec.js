@@ -0,0 +1,130 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import GifEncoder, { getGifPaletteIndex, GIF_PALETTE } from '@/utils/gifEncoder'
+
+/**
+ * Reads back the palette indices of all frames of a GIF written by the encoder (only supports what
+ * the encoder writes: a global color table and extensions before each image)
+ */
+function decodeGif(bytes) {
+    const readShort = (offset) => bytes[offset] | (bytes[offset + 1] << 8)
+    const header = String.fromCharCode(...bytes.slice(0, 6))
+    const width = readShort(6)
+    const height = readShort(8)
+    const frames = []
+    const delays = []
+    let offset = 13 + 3 * 256
+    while (bytes[offset] !== 0x3b) {
+        if (bytes[offset] === 0x21) {
+            if (bytes[offset + 1] === 0xf9) {
+                delays.push(readShort(offset + 4))
+            }
+            // skipping the extension sub-blocks
+            offset += 2
+            while (bytes[offset] !== 0) {
+                offset += bytes[offset] + 1
+            }
+            offset++
+        } else {
+            expect(bytes[offset]).to.eq(0x2c)
+            offset += 10
+            const minCodeSize = bytes[offset++]
+            const data = []
+            while (bytes[offset] !== 0) {
+                data.push(...bytes.slice(offset + 1, offset + 1 + bytes[offset]))
+                offset += bytes[offset] + 1
+            }
+            offset++
+            frames.push(decodeLzw(data, minCodeSize))
+        }
+    }
+    return { header, width, height, frames, delays }
+}
+
+function decodeLzw(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize
+    const output = []
+    let codeSize, table, previous
+    let bitPosition = 0
+    const reset = () => {
+        codeSize = minCodeSize + 1
+        table = []
+        for (let i = 0; i < clearCode; i++) {
+            table.push([i])
+        }
+        table.push(null, null)
+        previous = null
+    }
+    reset()
+    for (;;) {
+        let code = 0
+        for (let bit = 0; bit < codeSize; bit++, bitPosition++) {
+            code |= ((data[bitPosition >> 3] >> (bitPosition & 7)) & 1) << bit
+        }
+        if (code === clearCode) {
+            reset()
+            continue
+        }
+        if (code === clearCode + 1) {
+            return output
+        }
+        let entry
+        if (code < table.length) {
+            entry = table[code]
+            if (previous) {
+                table.push([...previous, entry[0]])
+            }
+        } else {
+            entry = [...previous, previous[0]]
+            table.push(entry)
+        }
+        output.push(...entry)
+        previous = entry
+        if (table.length === 1 << codeSize && codeSize < 12) {
+            codeSize++
+        }
+    }
+}
+
+describe('GIF encoder unit tests', () => {
+    it('maps colors to the closest color of the palette', () => {
+        expect(GIF_PALETTE).to.have.length(256)
+        expect(GIF_PALETTE[getGifPaletteIndex(0, 0, 0)]).to.deep.eq([0, 0, 0])
+        expect(GIF_PALETTE[getGifPaletteIndex(255, 255, 255)]).to.deep.eq([255, 255, 255])
+        expect(GIF_PALETTE[getGifPaletteIndex(250, 10, 120)]).to.deep.eq([255, 0, 102])
+    })
+    it('encodes frames that can be decoded back', () => {
+        const width = 120
+        const height = 90
+        const createFrame = (seed) => {
+            const indices = []
+            const data = new Uint8ClampedArray(width * height * 4)
+            for (let i = 0; i < width * height; i++) {
+                // pseudo random pattern, so that the LZW table gets full and is reset
+                const index = ((i * 7919 + seed * 31) ^ (i >> 3)) % 252
+                const [r, g, b] = GIF_PALETTE[index]
+                data.set([r, g, b, 255], i * 4)
+                indices.push(index)
+            }
+            return { indices, imageData: { data } }
+        }
+        const frames = [createFrame(1), createFrame(2)]
+        const encoder = new GifEncoder(width, height, { delay: 500 })
+        frames.forEach((frame) => encoder.addFrame(frame.imageData))
+        const gif = decodeGif(encoder.finish())
+
+        expect(gif.header).to.eq('GIF89a')
+        expect(gif.width).to.eq(width)
+        expect(gif.height).to.eq(height)
+        expect(gif.delays).to.deep.eq([50, 50])
+        expect(gif.frames).to.have.length(2)
+        gif.frames.forEach((indices, index) => {
+            expect(indices).to.deep.eq(frames[index].indices)
+        })
+    })
+    it('refuses frames with the wrong size', () => {
+        const encoder = new GifEncoder(10, 10)
+        expect(() => encoder.addFrame({ data: new Uint8ClampedArray(4) })).to.throw()
+    })
+})
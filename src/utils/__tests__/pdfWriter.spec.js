@@ -0,0 +1,50 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import writeImagePdf from '@/utils/pdfWriter'
+
+const decoder = new TextDecoder('latin1')
+
+function createPage(jpegSize, pageWidth = 595, pageHeight = 842) {
+    return {
+        jpeg: new Uint8Array(jpegSize).fill(0xff),
+        imageWidth: 10,
+        imageHeight: 20,
+        pageWidth,
+        pageHeight,
+    }
+}
+
+describe('Unit test functions from pdfWriter.js', () => {
+    it('writes one page per image, with the image as JPEG', () => {
+        const pdf = decoder.decode(writeImagePdf([createPage(5), createPage(7, 841.896, 595.2756)]))
+        expect(pdf.startsWith('%PDF-1.4\n')).to.be.true
+        expect(pdf.trimEnd().endsWith('%%EOF')).to.be.true
+        expect(pdf).to.contain('/Count 2')
+        expect(pdf).to.contain('/MediaBox [0 0 595 842]')
+        expect(pdf).to.contain('/MediaBox [0 0 841.9 595.28]')
+        expect(pdf.match(/\/Filter \/DCTDecode/g)).to.have.length(2)
+        expect(pdf).to.contain('/Width 10 /Height 20')
+        expect(pdf).to.contain('/Length 7 >>')
+    })
+    it('writes a valid cross-reference table', () => {
+        const pdf = decoder.decode(writeImagePdf([createPage(3)]))
+        const xrefOffset = parseInt(/startxref\n(\d+)/.exec(pdf)[1])
+        expect(pdf.substring(xrefOffset).startsWith('xref\n0 7\n')).to.be.true
+        const entries = pdf
+            .substring(xrefOffset)
+            .split('\n')
+            .slice(3, 9)
+            .map((entry) => parseInt(entry.substring(0, 10)))
+        entries.forEach((offset, index) => {
+            expect(pdf.substring(offset).startsWith(`${index + 1} 0 obj`)).to.be.true
+        })
+    })
+    it('writes the title in UTF-16', () => {
+        const pdf = decoder.decode(writeImagePdf([createPage(1)], { title: 'Zürich' }))
+        expect(pdf).to.contain('/Title <FEFF005a00fc0072006900630068>')
+    })
+    it('needs at least one page', () => {
+        expect(() => writeImagePdf([])).to.throw()
+    })
+})
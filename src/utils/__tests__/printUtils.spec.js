@@ -0,0 +1,172 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import {
+    formatScaleBarDistance,
+    getAtlasFramesAlongLine,
+    getAtlasFramesOverExtent,
+    getAtlasOverviewScale,
+    getPrintFrameSize,
+    getPrintMapSize,
+    getPrintResolution,
+    getPrintScale,
+    getScaleBarDistance,
+} from '@/utils/printUtils'
+
+/**
+ * @param {Number[]} center
+ * @param {Number[]} point
+ * @param {[Number, Number]} frameSize
+ */
+function isInFrame(center, point, [width, height]) {
+    return (
+        Math.abs(point[0] - center[0]) <= width / 2 && Math.abs(point[1] - center[1]) <= height / 2
+    )
+}
+
+describe('Unit test functions from printUtils.js', () => {
+    describe('getPrintResolution(scale, dpi, projection, center)', () => {
+        it('gives the ground resolution of the scale at this DPI', () => {
+            // 1:25'000 at 254 DPI => 0.1mm per pixel on paper => 2.5m per pixel on the ground
+            expect(getPrintResolution(25000, 254, 'EPSG:3857', [0, 0])).to.be.closeTo(2.5, 0.001)
+        })
+        it('takes the distortion of the projection into account', () => {
+            // at 60° of latitude, a Web Mercator unit is half a meter on the ground
+            const resolution = getPrintResolution(25000, 254, 'EPSG:3857', [0, 8399737.89])
+            expect(resolution).to.be.closeTo(5, 0.01)
+        })
+    })
+    describe('getPrintScale(resolution, dpi, projection, center)', () => {
+        it('is the inverse of getPrintResolution', () => {
+            expect(getPrintScale(2.5, 254, 'EPSG:3857', [0, 0])).to.eq(25000)
+            const center = [0, 8399737.89]
+            expect(
+                getPrintScale(
+                    getPrintResolution(50000, 150, 'EPSG:3857', center),
+                    150,
+                    'EPSG:3857',
+                    center
+                )
+            ).to.eq(50000)
+        })
+    })
+    describe('getPrintMapSize(layoutSize, dpi, maxPixels)', () => {
+        it('converts the layout size to pixels', () => {
+            expect(getPrintMapSize({ width: 720, height: 360 }, 150, 10000000)).to.deep.eq({
+                width: 1500,
+                height: 750,
+                dpi: 150,
+            })
+        })
+        it('lowers the DPI when the image would be too big', () => {
+            const size = getPrintMapSize({ width: 720, height: 360 }, 300, 1000000)
+            expect(size.dpi).to.be.lessThan(300)
+            expect(size.width * size.height).to.be.at.most(1000000)
+        })
+    })
+    describe('getScaleBarDistance(scale, maxLength)', () => {
+        it('chooses a round distance fitting in the maximum length', () => {
+            // 100pt at 1:25'000 is ~882m
+            const scaleBar = getScaleBarDistance(25000, 100)
+            expect(scaleBar.distance).to.eq(500)
+            expect(scaleBar.length).to.be.closeTo(56.69, 0.01)
+            expect(getScaleBarDistance(1000000, 100).distance).to.eq(20000)
+            expect(getScaleBarDistance(500, 100).distance).to.eq(10)
+        })
+    })
+    describe('getPrintFrameSize(layoutSize, scale, pointResolution)', () => {
+        it('gives the area covered by the map on the ground', () => {
+            // 72pt = 1 inch = 2.54cm => 254m at 1:10'000
+            const [width, height] = getPrintFrameSize({ width: 144, height: 72 }, 10000)
+            expect(width).to.be.closeTo(508, 0.001)
+            expect(height).to.be.closeTo(254, 0.001)
+            expect(getPrintFrameSize({ width: 144, height: 72 }, 10000, 0.5)[0]).to.be.closeTo(
+                1016,
+                0.001
+            )
+        })
+    })
+    describe('getAtlasFramesAlongLine(coordinates, frameSize, overlap)', () => {
+        const frameSize = [100, 50]
+        it('covers the whole line with consecutive frames', () => {
+            const line = [
+                [0, 0],
+                [500, 0],
+                [500, 300],
+                [200, 350],
+            ]
+            const centers = getAtlasFramesAlongLine(line, frameSize, 0.1)
+            expect(centers.length).to.be.greaterThan(1)
+            // checking points along the line, they must all be in a frame
+            for (let i = 1; i < line.length; i++) {
+                for (let t = 0; t <= 1; t += 0.01) {
+                    const point = [
+                        line[i - 1][0] + t * (line[i][0] - line[i - 1][0]),
+                        line[i - 1][1] + t * (line[i][1] - line[i - 1][1]),
+                    ]
+                    expect(centers.some((center) => isInFrame(center, point, frameSize))).to.be.true
+                }
+            }
+        })
+        it('makes the frames overlap', () => {
+            const line = [
+                [0, 0],
+                [1000, 0],
+            ]
+            const centers = getAtlasFramesAlongLine(line, frameSize, 0.2)
+            // each frame covers 80 units of the line without its overlap margin
+            expect(centers).to.have.length(13)
+            expect(centers[0]).to.deep.eq([40, 0])
+            expect(centers[1][0] - centers[0][0]).to.be.closeTo(80, 2)
+        })
+        it('gives one frame for a line without length', () => {
+            expect(getAtlasFramesAlongLine([[10, 20]], frameSize, 0.1)).to.deep.eq([[10, 20]])
+        })
+    })
+    describe('getAtlasFramesOverExtent(extent, frameSize, overlap)', () => {
+        it('covers the extent with a grid, in reading order', () => {
+            const centers = getAtlasFramesOverExtent([0, 0, 250, 90], [100, 50], 0.1)
+            // columns: 100 + 2 * 90 >= 250 => 3, rows: 50 + 45 >= 90 => 2
+            expect(centers).to.have.length(6)
+            expect(centers[0][1]).to.be.greaterThan(centers[3][1])
+            expect(centers[0][0]).to.be.lessThan(centers[1][0])
+            expect(centers[1]).to.deep.eq([125, 67.5])
+            ;[
+                [0, 0],
+                [250, 90],
+                [0, 90],
+                [250, 0],
+            ].forEach(
+                (corner) =>
+                    expect(centers.some((center) => isInFrame(center, corner, [100, 50]))).to.be
+                        .true
+            )
+        })
+        it('gives one frame for an extent smaller than a frame', () => {
+            expect(getAtlasFramesOverExtent([0, 0, 10, 10], [100, 50], 0.1)).to.deep.eq([[5, 5]])
+        })
+    })
+    describe('getAtlasOverviewScale(frames, scales, layoutSize, pointResolution)', () => {
+        // at 1:10'000, this layout covers 2540m x 1270m
+        const layoutSize = { width: 720, height: 360 }
+        const scales = [50000, 10000, 5000]
+        it('chooses the most detailed scale showing all the pages', () => {
+            const frames = [
+                [0, 0, 1000, 500],
+                [1000, 500, 2000, 1000],
+            ]
+            expect(getAtlasOverviewScale(frames, scales, layoutSize)).to.eq(10000)
+            // the same pages, in a projection where a map unit is 0.5m on the ground
+            expect(getAtlasOverviewScale(frames, scales, layoutSize, 0.5)).to.eq(5000)
+        })
+        it('falls back to the least detailed scale if no scale shows all the pages', () => {
+            expect(getAtlasOverviewScale([[0, 0, 100000, 1000]], scales, layoutSize)).to.eq(50000)
+        })
+    })
+    describe('formatScaleBarDistance(meters)', () => {
+        it('uses kilometers above 1000m', () => {
+            expect(formatScaleBarDistance(500)).to.eq('500 m')
+            expect(formatScaleBarDistance(20000)).to.eq('20 km')
+        })
+    })
+})
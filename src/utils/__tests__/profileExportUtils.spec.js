@@ -0,0 +1,67 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import ElevationProfile from '@/api/profile/ElevationProfile.class'
+import ElevationProfileSegment from '@/api/profile/ElevationProfileSegment.class'
+import { LV95, WEBMERCATOR } from '@/utils/coordinates/coordinateSystems'
+import { generateProfileCsv, generateProfileGpx } from '@/utils/profileExportUtils'
+
+const profile = new ElevationProfile([
+    new ElevationProfileSegment([
+        { coordinate: [2600000, 1200000], dist: 0, elevation: 500.5, hasElevationData: true },
+        { coordinate: [2600100, 1200000], dist: 100, elevation: 510, hasElevationData: true },
+    ]),
+    new ElevationProfileSegment([
+        { coordinate: [2600100, 1200000], dist: 100, elevation: 510, hasElevationData: true },
+        { coordinate: [2600100, 1200100], dist: 200, elevation: null, hasElevationData: false },
+    ]),
+])
+
+describe('Profile exports', () => {
+    describe('generateProfileCsv', () => {
+        it('lists all points with their coordinates in the current projection', () => {
+            const lines = generateProfileCsv(profile, LV95).split('\n')
+            expect(lines[0]).to.eq('Distance;Altitude;Easting;Northing;Longitude;Latitude')
+            expect(lines).to.have.length(6) // with the ending empty line
+            expect(lines[1]).to.eq('0;500.5;2600000;1200000;7.438632;46.951083')
+            // missing elevations are left empty
+            expect(lines[4].split(';')[1]).to.eq('')
+            expect(lines[5]).to.eq('')
+        })
+        it('rounds the coordinates according to the projection', () => {
+            const webMercatorProfile = new ElevationProfile([
+                new ElevationProfileSegment([
+                    {
+                        coordinate: [828064.1234, 5934093.5678],
+                        dist: 0,
+                        elevation: 500,
+                        hasElevationData: true,
+                    },
+                ]),
+            ])
+            const [, line] = generateProfileCsv(webMercatorProfile, WEBMERCATOR).split('\n')
+            const [, , easting, northing] = line.split(';')
+            expect(easting).to.eq(`${WEBMERCATOR.roundCoordinateValue(828064.1234)}`)
+            expect(northing).to.eq(`${WEBMERCATOR.roundCoordinateValue(5934093.5678)}`)
+        })
+    })
+    describe('generateProfileGpx', () => {
+        it('writes a track with the elevation of the points', () => {
+            const gpx = generateProfileGpx(profile, LV95, 'My <track>')
+            const document = new DOMParser().parseFromString(gpx, 'text/xml')
+            expect(document.querySelector('parsererror')).to.be.null
+            expect(document.querySelector('trk > name').textContent).to.eq('My <track>')
+            const points = document.querySelectorAll('trkpt')
+            // the point shared by the two segments is written once
+            expect(points).to.have.length(3)
+            expect(points[0].getAttribute('lat')).to.eq('46.951083')
+            expect(points[0].getAttribute('lon')).to.eq('7.438632')
+            expect(points[0].querySelector('ele').textContent).to.eq('500.5')
+            expect(points[2].querySelector('ele')).to.be.null
+        })
+        it('writes no track name if none is given', () => {
+            const gpx = generateProfileGpx(profile, LV95)
+            expect(gpx).not.to.contain('<name>')
+        })
+    })
+})
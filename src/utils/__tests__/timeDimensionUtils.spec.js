@@ -0,0 +1,118 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import {
+    expandIso8601Interval,
+    MAX_TIME_DIMENSION_VALUES,
+    parseIso8601Duration,
+    parseTimeDimensionDate,
+    parseTimeDimensionValues,
+} from '@/utils/timeDimensionUtils'
+
+describe('Unit test functions from timeDimensionUtils.js', () => {
+    describe('parseIso8601Duration(duration)', () => {
+        it('parses durations with date and time parts', () => {
+            expect(parseIso8601Duration('P1Y')).to.deep.eq({
+                years: 1,
+                months: 0,
+                days: 0,
+                hours: 0,
+                minutes: 0,
+                seconds: 0,
+            })
+            expect(parseIso8601Duration('P1M2W3DT4H5M6.5S')).to.deep.eq({
+                years: 0,
+                months: 1,
+                days: 17,
+                hours: 4,
+                minutes: 5,
+                seconds: 6.5,
+            })
+            expect(parseIso8601Duration('PT1H').hours).to.eq(1)
+        })
+        it('returns null for invalid or empty durations', () => {
+            expect(parseIso8601Duration(undefined)).to.be.null
+            expect(parseIso8601Duration('')).to.be.null
+            expect(parseIso8601Duration('P')).to.be.null
+            expect(parseIso8601Duration('P1DT')).to.be.null
+            expect(parseIso8601Duration('P0D')).to.be.null
+            expect(parseIso8601Duration('1Y')).to.be.null
+        })
+    })
+    describe('parseTimeDimensionDate(value)', () => {
+        it('reads dates without time zone as UTC', () => {
+            expect(parseTimeDimensionDate('2020-01-01').toISOString()).to.eq(
+                '2020-01-01T00:00:00.000Z'
+            )
+            expect(parseTimeDimensionDate('2020-01-01T12:30:00').toISOString()).to.eq(
+                '2020-01-01T12:30:00.000Z'
+            )
+            expect(parseTimeDimensionDate('2020-01-01T12:30:00+01:00').toISOString()).to.eq(
+                '2020-01-01T11:30:00.000Z'
+            )
+        })
+        it('returns null for invalid dates', () => {
+            expect(parseTimeDimensionDate('Time A')).to.be.null
+        })
+    })
+    describe('expandIso8601Interval(interval)', () => {
+        it('expands yearly intervals, including the end of the interval', () => {
+            expect(expandIso8601Interval('2000/2004/P2Y')).to.deep.eq(['2004', '2002', '2000'])
+        })
+        it('keeps the precision of the start of the interval', () => {
+            expect(expandIso8601Interval('2020-01-30/2020-02-02/P1D')).to.deep.eq([
+                '2020-02-02',
+                '2020-02-01',
+                '2020-01-31',
+                '2020-01-30',
+            ])
+            expect(expandIso8601Interval('2020-01/2020-03/P1M')).to.deep.eq([
+                '2020-03',
+                '2020-02',
+                '2020-01',
+            ])
+            expect(
+                expandIso8601Interval('2020-01-01T00:00:00Z/2020-01-01T02:00:00Z/PT1H')
+            ).to.deep.eq(['2020-01-01T02:00:00Z', '2020-01-01T01:00:00Z', '2020-01-01T00:00:00Z'])
+        })
+        it('adds months through the calendar', () => {
+            expect(expandIso8601Interval('2020-01-15/2020-04-15/P1M')).to.deep.eq([
+                '2020-04-15',
+                '2020-03-15',
+                '2020-02-15',
+                '2020-01-15',
+            ])
+        })
+        it('only gives the boundaries of continuous intervals', () => {
+            expect(expandIso8601Interval('2000-01-01/2020-01-01/0')).to.deep.eq([
+                '2020-01-01',
+                '2000-01-01',
+            ])
+        })
+        it('keeps only the most recent values of huge intervals', () => {
+            const values = expandIso8601Interval('2000-01-01T00:00:00Z/2020-12-31T23:00:00Z/PT1H')
+            expect(values).to.have.length(MAX_TIME_DIMENSION_VALUES)
+            expect(values[0]).to.eq('2020-12-31T23:00:00Z')
+        })
+        it('returns an empty list for invalid intervals', () => {
+            expect(expandIso8601Interval('abc/2020/P1Y')).to.be.empty
+            expect(expandIso8601Interval('2020/2010/P1Y')).to.be.empty
+        })
+    })
+    describe('parseTimeDimensionValues(rawValues)', () => {
+        it('reads lists of values and intervals', () => {
+            expect(parseTimeDimensionValues('1990, 2000/2002/P1Y')).to.deep.eq([
+                '1990',
+                '2002',
+                '2001',
+                '2000',
+            ])
+            expect(parseTimeDimensionValues(['20110805', '2020-01/2020-02/P1M'])).to.deep.eq([
+                '20110805',
+                '2020-02',
+                '2020-01',
+            ])
+            expect(parseTimeDimensionValues('')).to.be.empty
+        })
+    })
+})
@@ -0,0 +1,218 @@
+import { expect } from 'chai'
+import { serialize as serializeFlatGeobuf } from 'flatgeobuf/lib/mjs/geojson.js'
+import { describe, it } from 'vitest'
+
+import { LV03, LV95, WEBMERCATOR, WGS84 } from '@/utils/coordinates/coordinateSystems'
+import {
+    getCoordinateSystemFromCrsName,
+    getCoordinateSystemFromPrj,
+    getGeoJsonProjection,
+    getVectorFileExtent,
+    isGeoJson,
+    normalizeGeoJsonData,
+    parseFlatGeobuf,
+    parseGeoJson,
+    UnsupportedProjectionError,
+} from '@/utils/vectorFileUtils'
+
+const pointInBernLV95 = [2600000, 1200000]
+const pointInBernWGS84 = [7.438632, 46.951082]
+
+describe('Test vector file utils', () => {
+    describe('isGeoJson', () => {
+        it('detects GeoJSON content', () => {
+            expect(isGeoJson('{"type": "FeatureCollection", "features": []}')).to.be.true
+            expect(isGeoJson(' {"type": "Feature", "geometry": null, "properties": {}}')).to.be.true
+            expect(isGeoJson('{"type": "Point", "coordinates": [7.4, 46.9]}')).to.be.true
+        })
+        it("doesn't detect invalid GeoJSON content", () => {
+            expect(isGeoJson('')).to.be.false
+            expect(isGeoJson('{"type": "Unknown"}')).to.be.false
+            expect(isGeoJson('{"type": "FeatureCollection"')).to.be.false
+            expect(isGeoJson('<kml></kml>')).to.be.false
+            expect(isGeoJson('[{"type": "Feature"}]')).to.be.false
+        })
+    })
+    describe('getCoordinateSystemFromCrsName', () => {
+        it('handles all notations of EPSG codes', () => {
+            expect(getCoordinateSystemFromCrsName('EPSG:2056')).to.eq(LV95)
+            expect(getCoordinateSystemFromCrsName('urn:ogc:def:crs:EPSG::21781')).to.eq(LV03)
+            expect(getCoordinateSystemFromCrsName('urn:ogc:def:crs:OGC:1.3:CRS84')).to.eq(WGS84)
+            expect(getCoordinateSystemFromCrsName(3857)).to.eq(WEBMERCATOR)
+        })
+        it('returns null for unsupported projections', () => {
+            expect(getCoordinateSystemFromCrsName(null)).to.be.null
+            expect(getCoordinateSystemFromCrsName('EPSG:31467')).to.be.null
+            expect(getCoordinateSystemFromCrsName('something')).to.be.null
+        })
+    })
+    describe('getGeoJsonProjection', () => {
+        it('uses the CRS property when defined', () => {
+            expect(
+                getGeoJsonProjection({
+                    type: 'Point',
+                    coordinates: pointInBernLV95,
+                    crs: { type: 'name', properties: { name: 'EPSG:2056' } },
+                })
+            ).to.eq(LV95)
+        })
+        it('defaults to WGS84', () => {
+            expect(getGeoJsonProjection({ type: 'Point', coordinates: pointInBernWGS84 })).to.eq(
+                WGS84
+            )
+            expect(getGeoJsonProjection({ type: 'FeatureCollection', features: [] })).to.eq(WGS84)
+        })
+        it('guesses Swiss coordinate systems when no CRS is defined', () => {
+            expect(
+                getGeoJsonProjection({
+                    type: 'FeatureCollection',
+                    features: [
+                        { type: 'Feature', geometry: null, properties: {} },
+                        {
+                            type: 'Feature',
+                            geometry: {
+                                type: 'Polygon',
+                                coordinates: [[pointInBernLV95, [2600100, 1200100]]],
+                            },
+                            properties: {},
+                        },
+                    ],
+                })
+            ).to.eq(LV95)
+            expect(getGeoJsonProjection({ type: 'Point', coordinates: [600000, 200000] })).to.eq(
+                LV03
+            )
+            expect(getGeoJsonProjection({ type: 'Point', coordinates: [-1e7, -1e7] })).to.be.null
+        })
+    })
+    describe('normalizeGeoJsonData', () => {
+        it('wraps single geometries and features into a FeatureCollection with IDs', () => {
+            const fromGeometry = normalizeGeoJsonData({
+                type: 'Point',
+                coordinates: pointInBernWGS84,
+            })
+            expect(fromGeometry.type).to.eq('FeatureCollection')
+            expect(fromGeometry.crs.properties.name).to.eq(WGS84.epsg)
+            expect(fromGeometry.features).to.have.length(1)
+            expect(fromGeometry.features[0].id).to.eq('0')
+            expect(fromGeometry.features[0].geometry.coordinates).to.deep.eq(pointInBernWGS84)
+
+            const fromFeature = normalizeGeoJsonData({
+                type: 'Feature',
+                id: 'my-id',
+                geometry: { type: 'Point', coordinates: pointInBernWGS84 },
+                properties: null,
+            })
+            expect(fromFeature.features[0].id).to.eq('my-id')
+            expect(fromFeature.features[0].properties).to.deep.eq({})
+        })
+        it('reprojects data to WGS84', () => {
+            const normalized = parseGeoJson(
+                JSON.stringify({
+                    type: 'FeatureCollection',
+                    crs: { type: 'name', properties: { name: 'urn:ogc:def:crs:EPSG::2056' } },
+                    features: [
+                        {
+                            type: 'Feature',
+                            geometry: { type: 'Point', coordinates: pointInBernLV95 },
+                            properties: { name: 'Bern' },
+                        },
+                    ],
+                })
+            )
+            const [lon, lat] = normalized.features[0].geometry.coordinates
+            expect(lon).to.be.closeTo(7.43863, 0.0001)
+            expect(lat).to.be.closeTo(46.95108, 0.0001)
+            expect(normalized.features[0].properties.name).to.eq('Bern')
+        })
+        it('throws an error when the projection is not supported', () => {
+            expect(() =>
+                normalizeGeoJsonData({
+                    type: 'Point',
+                    coordinates: pointInBernWGS84,
+                    crs: { type: 'name', properties: { name: 'EPSG:31467' } },
+                })
+            ).to.throw(UnsupportedProjectionError)
+        })
+    })
+    describe('parseFlatGeobuf', () => {
+        const featureCollection = {
+            type: 'FeatureCollection',
+            features: [
+                {
+                    type: 'Feature',
+                    geometry: { type: 'Point', coordinates: pointInBernLV95 },
+                    properties: { name: 'Bern' },
+                },
+            ],
+        }
+        it('parses FlatGeobuf content and reprojects it', () => {
+            const content = serializeFlatGeobuf(featureCollection, LV95.epsgNumber)
+            const parsed = parseFlatGeobuf(content.buffer)
+            expect(parsed.features).to.have.length(1)
+            expect(parsed.features[0].properties.name).to.eq('Bern')
+            const [lon, lat] = parsed.features[0].geometry.coordinates
+            expect(lon).to.be.closeTo(7.43863, 0.0001)
+            expect(lat).to.be.closeTo(46.95108, 0.0001)
+        })
+        it('throws an error when the projection is not supported', () => {
+            const content = serializeFlatGeobuf(featureCollection, 31467)
+            expect(() => parseFlatGeobuf(content.buffer)).to.throw(UnsupportedProjectionError)
+        })
+    })
+    describe('getCoordinateSystemFromPrj', () => {
+        it('detects Swiss and standard coordinate systems', () => {
+            expect(
+                getCoordinateSystemFromPrj(
+                    'PROJCS["CH1903+_LV95",GEOGCS["GCS_CH1903+",DATUM["D_CH1903+",SPHEROID["Bessel_1841",6377397.155,299.1528128]]]]'
+                )
+            ).to.eq(LV95)
+            expect(
+                getCoordinateSystemFromPrj(
+                    'PROJCS["CH1903_LV03",GEOGCS["GCS_CH1903",DATUM["D_CH1903",SPHEROID["Bessel_1841",6377397.155,299.1528128]]]]'
+                )
+            ).to.eq(LV03)
+            expect(
+                getCoordinateSystemFromPrj(
+                    'GEOGCS["GCS_WGS_1984",DATUM["D_WGS_1984",SPHEROID["WGS_1984",6378137.0,298.257223563]]]'
+                )
+            ).to.eq(WGS84)
+            expect(
+                getCoordinateSystemFromPrj(
+                    'PROJCS["WGS_1984_Web_Mercator_Auxiliary_Sphere",GEOGCS["GCS_WGS_1984"]]'
+                )
+            ).to.eq(WEBMERCATOR)
+        })
+        it('returns null for unknown or missing projections', () => {
+            expect(getCoordinateSystemFromPrj(null)).to.be.null
+            expect(
+                getCoordinateSystemFromPrj('PROJCS["WGS_1984_UTM_Zone_32N",GEOGCS["GCS_WGS_1984"]]')
+            ).to.be.null
+        })
+    })
+    describe('getVectorFileExtent', () => {
+        it('returns the extent of all features', () => {
+            expect(
+                getVectorFileExtent(
+                    normalizeGeoJsonData({
+                        type: 'LineString',
+                        coordinates: [
+                            [7, 46],
+                            [8, 47],
+                        ],
+                    })
+                )
+            ).to.deep.eq([7, 46, 8, 47])
+        })
+        it('returns null when there is no geometry', () => {
+            expect(getVectorFileExtent(null)).to.be.null
+            expect(getVectorFileExtent({ type: 'FeatureCollection', features: [] })).to.be.null
+            expect(
+                getVectorFileExtent({
+                    type: 'FeatureCollection',
+                    features: [{ type: 'Feature', geometry: null, properties: {} }],
+                })
+            ).to.be.null
+        })
+    })
+})
@@ -0,0 +1,74 @@
+/**
+ * ChartJS plugin drawing the markers placed by the user on the elevation profile chart (vertical
+ * lines, numbered from the start of the profile), and highlighting the selected section between two
+ * markers.
+ */
+export default {
+    id: 'profileMarkers',
+    /**
+     * @param {ChartJS} chart
+     * @param {Object} args
+     * @param {Object} pluginOptions
+     * @param {[Number, Number] | null} pluginOptions.selectedSection Start and end distance of the
+     *   section to highlight
+     */
+    beforeDatasetsDraw(chart, args, pluginOptions) {
+        const { selectedSection } = pluginOptions
+        if (!selectedSection) {
+            return
+        }
+        const {
+            ctx,
+            chartArea: { top, height },
+            scales: { x },
+        } = chart
+        const xStart = Math.max(x.getPixelForValue(selectedSection[0]), x.left)
+        const xStop = Math.min(x.getPixelForValue(selectedSection[1]), x.right)
+        if (xStop <= xStart) {
+            return
+        }
+        ctx.save()
+        ctx.fillStyle = 'rgba(0, 120, 255, 0.15)'
+        ctx.fillRect(xStart, top, xStop - xStart, height)
+        ctx.restore()
+    },
+    /**
+     * @param {ChartJS} chart
+     * @param {Object} args
+     * @param {Object} pluginOptions
+     * @param {Number[]} pluginOptions.markers Distances (from the start of the profile) of the
+     *   markers, sorted
+     */
+    afterDatasetsDraw(chart, args, pluginOptions) {
+        const { markers = [] } = pluginOptions
+        if (markers.length === 0) {
+            return
+        }
+        const {
+            ctx,
+            chartArea: { top, bottom },
+            scales: { x },
+        } = chart
+        ctx.save()
+        ctx.lineWidth = 1.5
+        ctx.setLineDash([4, 3])
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.8)'
+        ctx.font = 'bold 11px sans-serif'
+        ctx.textAlign = 'center'
+        ctx.textBaseline = 'top'
+        markers.forEach((marker, index) => {
+            const markerX = x.getPixelForValue(marker)
+            // markers can be out of the view when the user has zoomed in
+            if (markerX < x.left || markerX > x.right) {
+                return
+            }
+            ctx.beginPath()
+            ctx.moveTo(markerX, top)
+            ctx.lineTo(markerX, bottom)
+            ctx.stroke()
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.8)'
+            ctx.fillText(`${index + 1}`, markerX, top + 2)
+        })
+        ctx.restore()
+    },
+}
@@ -0,0 +1,154 @@
+import { expect } from 'chai'
+import { beforeEach, describe, it, vi } from 'vitest'
+
+import reframe from '@/api/lv03Reframe.api'
+import {
+    convertCoordinate,
+    convertCoordinateList,
+    generateConversionCsv,
+    MAX_BATCH_COORDINATES,
+    parseCoordinate,
+    parseCoordinateList,
+} from '@/utils/coordinates/batchCoordinateConversion'
+import { LV95Format, MGRSFormat, WGS84Format } from '@/utils/coordinates/coordinateFormat'
+import { LV03, LV95, WEBMERCATOR, WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+vi.mock('@/api/lv03Reframe.api', () => ({ default: vi.fn() }))
+
+describe('Unit test functions from batchCoordinateConversion.js', () => {
+    describe('parseCoordinate(text, inputProjection)', () => {
+        it('detects the projection if none is given', () => {
+            const { coordinate, projection } = parseCoordinate("2'600'000 1'200'000")
+            expect(projection).to.eq(LV95)
+            expect(coordinate).to.deep.equal([2600000, 1200000])
+            expect(parseCoordinate('600000, 200000').projection).to.eq(LV03)
+            expect(parseCoordinate('46.95, 7.44').projection).to.eq(WGS84)
+        })
+        it('reads coordinates outside Switzerland in the given projection', () => {
+            const { coordinate, projection } = parseCoordinate('48.8566, 2.3522', WGS84)
+            expect(projection).to.eq(WGS84)
+            // written lat/lon
+            expect(coordinate).to.deep.equal([2.3522, 48.8566])
+            expect(parseCoordinate('-8238310, 4970071', WEBMERCATOR).coordinate).to.deep.equal([
+                -8238310, 4970071,
+            ])
+        })
+        it('raises an error if the text is not a coordinate', () => {
+            expect(() => parseCoordinate('Bern')).to.throw()
+            expect(() => parseCoordinate('Bern', LV95)).to.throw()
+            // out of the LV95 bounds
+            expect(() => parseCoordinate('600000 200000', LV95)).to.throw()
+        })
+    })
+    describe('parseCoordinateList(text, inputProjection)', () => {
+        it('parses one coordinate per line, with an optional label', () => {
+            const entries = parseCoordinateList(
+                [
+                    '2600000 1200000',
+                    '',
+                    'Bern;46.95, 7.44',
+                    'Zürich\t2683000\t1248000',
+                    'nope',
+                ].join('\n')
+            )
+            expect(entries).to.have.length(4)
+            expect(entries.map((entry) => entry.line)).to.deep.equal([1, 3, 4, 5])
+            expect(entries[0].label).to.eq('')
+            expect(entries[1].label).to.eq('Bern')
+            expect(entries[1].projection).to.eq(WGS84)
+            expect(entries[2].label).to.eq('Zürich')
+            expect(entries[2].coordinate).to.deep.equal([2683000, 1248000])
+            expect(entries[3].coordinate).to.be.null
+            expect(entries[3].error).to.be.a('string')
+        })
+        it('parses CSV with coordinate columns', () => {
+            const entries = parseCoordinateList(
+                ['name;lat;lon', 'Bern;46.95;7.44', 'Lausanne;46,52;6,63', 'Nowhere;;'].join('\n'),
+                WGS84
+            )
+            expect(entries).to.have.length(3)
+            expect(entries[0].line).to.eq(2)
+            expect(entries[0].label).to.eq('Bern')
+            expect(entries[0].coordinate).to.deep.equal([7.44, 46.95])
+            expect(entries[1].coordinate).to.deep.equal([6.63, 46.52])
+            expect(entries[2].error).to.be.a('string')
+        })
+        it('limits the number of coordinates', () => {
+            const text = Array(MAX_BATCH_COORDINATES + 5)
+                .fill('2600000 1200000')
+                .join('\n')
+            expect(parseCoordinateList(text)).to.have.length(MAX_BATCH_COORDINATES)
+        })
+    })
+    describe('convertCoordinate and convertCoordinateList', () => {
+        beforeEach(() => {
+            reframe.mockReset()
+        })
+
+        it('uses proj4 between LV95, WGS84 and WebMercator', async () => {
+            const { coordinate, reframed } = await convertCoordinate(
+                [2600000, 1200000],
+                LV95,
+                WGS84
+            )
+            expect(reframed).to.be.false
+            expect(coordinate[0]).to.be.closeTo(7.43864, 0.0001)
+            expect(coordinate[1]).to.be.closeTo(46.95108, 0.0001)
+            expect(reframe).not.toHaveBeenCalled()
+        })
+        it('uses reframe from and to LV03', async () => {
+            reframe.mockResolvedValueOnce([2600000.1, 1200000.2])
+            const fromLV03 = await convertCoordinate([600000, 200000], LV03, LV95)
+            expect(fromLV03).to.deep.equal({ coordinate: [2600000.1, 1200000.2], reframed: true })
+            expect(reframe).toHaveBeenCalledWith({
+                inputCoordinates: [600000, 200000],
+                inputProjection: LV03,
+                outputProjection: LV95,
+            })
+
+            reframe.mockResolvedValueOnce([600000.1, 200000.2])
+            const toLV03 = await convertCoordinate([7.43864, 46.95108], WGS84, LV03)
+            expect(toLV03.coordinate).to.deep.equal([600000.1, 200000.2])
+            // going first through LV95, as reframe only knows LV95 -> LV03
+            expect(reframe.mock.calls[1][0].inputProjection).to.eq(LV95)
+        })
+        it('falls back to proj4 if reframe fails', async () => {
+            reframe.mockRejectedValueOnce(new Error('service unavailable'))
+            const { coordinate, reframed } = await convertCoordinate([600000, 200000], LV03, LV95)
+            expect(reframed).to.be.false
+            expect(coordinate[0]).to.be.closeTo(2600000, 2)
+            expect(coordinate[1]).to.be.closeTo(1200000, 2)
+        })
+        it('converts a list and formats the results', async () => {
+            const entries = parseCoordinateList('Bern;2600000 1200000\nnope')
+            const results = await convertCoordinateList(entries, MGRSFormat)
+            expect(results).to.have.length(2)
+            expect(results[0].coordinate[0]).to.be.closeTo(7.43864, 0.0001)
+            expect(results[0].formatted).to.eq(MGRSFormat.format(results[0].coordinate, WGS84))
+            expect(results[0].wgs84Coordinate[0]).to.be.closeTo(7.43864, 0.0001)
+            expect(results[1].coordinate).to.be.null
+            expect(results[1].formatted).to.eq('')
+        })
+    })
+    describe('generateConversionCsv(results, outputFormat)', () => {
+        it('writes one line per entry, with the error of invalid ones', async () => {
+            const entries = parseCoordinateList('Bern "BE";46.95, 7.44\nnope', WGS84)
+            const results = await convertCoordinateList(entries, LV95Format)
+            const lines = generateConversionCsv(results, LV95Format).split('\n')
+            expect(lines).to.have.length(4)
+            expect(lines[0]).to.eq(`Label;Input;Easting;Northing;${LV95Format.label};Error`)
+            expect(lines[1]).to.match(/^"Bern ""BE""";46.95, 7.44;\d+(\.\d+)?;\d+(\.\d+)?;.+;$/)
+            expect(lines[2]).to.match(/^;nope;;;;.+$/)
+            expect(lines[3]).to.eq('')
+        })
+        it('names the columns longitude/latitude for WGS84 outputs', async () => {
+            const results = await convertCoordinateList(
+                parseCoordinateList('2600000 1200000'),
+                WGS84Format
+            )
+            expect(generateConversionCsv(results, WGS84Format).split('\n')[0]).to.contain(
+                'Longitude;Latitude'
+            )
+        })
+    })
+})
@@ -0,0 +1,63 @@
+import { expect } from 'chai'
+import { describe, it } from 'vitest'
+
+import { LV95Format, MGRSFormat, WGS84Format } from '@/utils/coordinates/coordinateFormat'
+import {
+    CoordinateInputError,
+    parseCoordinateInput,
+    parseCoordinateListInput,
+} from '@/utils/coordinates/coordinateInput'
+import { LV95, WEBMERCATOR } from '@/utils/coordinates/coordinateSystems'
+
+describe('Unit test functions from coordinateInput.js', () => {
+    describe('parseCoordinateInput', () => {
+        it('parses a coordinate and expresses it in the wanted projection', async () => {
+            expect(await parseCoordinateInput(" 2'600'000, 1'200'000 ", LV95)).to.deep.eq([
+                2600000, 1200000,
+            ])
+            expect(await parseCoordinateInput('600000 200000', LV95)).to.deep.eq([2600000, 1200000])
+            const [x, y] = await parseCoordinateInput('46.95108 7.43863', WEBMERCATOR)
+            expect(x).to.be.closeTo(828064, 1)
+            expect(y).to.be.closeTo(5934093, 1)
+        })
+        it('parses back the coordinates formatted by the app', async () => {
+            const coordinate = [2600000, 1200000]
+            for (const format of [LV95Format, WGS84Format, MGRSFormat]) {
+                const [x, y] = await parseCoordinateInput(format.format(coordinate, LV95), LV95)
+                expect(x).to.be.closeTo(coordinate[0], 2, format.id)
+                expect(y).to.be.closeTo(coordinate[1], 2, format.id)
+            }
+        })
+        it('raises an error with the input if it is not a coordinate', async () => {
+            try {
+                await parseCoordinateInput('not a coordinate', LV95)
+                expect.fail('An error should have been raised')
+            } catch (error) {
+                expect(error).to.be.instanceOf(CoordinateInputError)
+                expect(error.input).to.eq('not a coordinate')
+            }
+        })
+    })
+    describe('parseCoordinateListInput', () => {
+        it('parses a coordinate per line or separated by semicolons', async () => {
+            const coordinates = await parseCoordinateListInput(
+                '2600000, 1200000\r\n\n2600100 1200100; 2600200/1200200\n',
+                LV95
+            )
+            expect(coordinates).to.deep.eq([
+                [2600000, 1200000],
+                [2600100, 1200100],
+                [2600200, 1200200],
+            ])
+        })
+        it('raises an error with the first invalid entry', async () => {
+            try {
+                await parseCoordinateListInput('2600000, 1200000\nsomething\nelse', LV95)
+                expect.fail('An error should have been raised')
+            } catch (error) {
+                expect(error).to.be.instanceOf(CoordinateInputError)
+                expect(error.input).to.eq('something')
+            }
+        })
+    })
+})
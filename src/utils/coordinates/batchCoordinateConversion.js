@@ -0,0 +1,332 @@
+/** Conversion of lists of coordinates (pasted or uploaded by the user) from one system to another */
+
+import proj4 from 'proj4'
+
+import reframe from '@/api/lv03Reframe.api'
+import coordinateFromString from '@/utils/coordinates/coordinateExtractors'
+import { LV03, LV95, WGS84 } from '@/utils/coordinates/coordinateSystems'
+import { reprojectAndRound } from '@/utils/coordinates/coordinateUtils'
+import { guessCsvColumnMapping, parseCsv, parseCsvNumber } from '@/utils/csvUtils'
+import log from '@/utils/logging'
+
+/**
+ * Maximum number of coordinates converted at once, so that a huge file doesn't flood the reframe
+ * service (or the map)
+ *
+ * @type {Number}
+ */
+export const MAX_BATCH_COORDINATES = 1000
+
+// how many reframe requests are sent in parallel
+const REFRAME_CONCURRENCY = 10
+
+// two numbers (that can be negative, unlike with coordinateFromString) separated by a comma, a
+// slash or spaces
+const REGEX_NUMBER_PAIR = /^(?<first>[-+]?\d+(\.\d+)?)\s*[,/ \t]\s*(?<second>[-+]?\d+(\.\d+)?)$/
+// separators between the label and the coordinate of a line (e.g. `Bern;2600000 1200000`)
+const REGEX_FIELD_SEPARATOR = /[;\t]/
+
+/** Raised when a line of the list doesn't hold a valid coordinate */
+export class CoordinateParsingError extends Error {}
+
+/**
+ * @typedef {Object} BatchCoordinateEntry
+ * @property {Number} line Number of the line (or CSV row) the entry comes from, starting at 1
+ * @property {String} label Label given to the coordinate in the list (empty if there is none)
+ * @property {String} input The coordinate, as written in the list
+ * @property {[Number, Number] | null} coordinate Parsed coordinate (null if it couldn't be parsed)
+ * @property {CoordinateSystem | null} projection Projection in which the coordinate is expressed
+ * @property {String | null} error Why the coordinate couldn't be parsed (null if it could)
+ */
+
+/**
+ * @typedef {Object} BatchCoordinateResult
+ * @property {BatchCoordinateEntry} entry
+ * @property {[Number, Number] | null} coordinate The coordinate expressed in the output projection
+ *   (null if the entry couldn't be parsed)
+ * @property {String} formatted The coordinate formatted with the output format
+ * @property {[Number, Number] | null} wgs84Coordinate The coordinate in WGS84, to show it on the
+ *   map
+ * @property {Boolean} reframed True if the conversion was made with the reframe service (LV03)
+ */
+
+/**
+ * Parses one coordinate
+ *
+ * @param {String} text
+ * @param {CoordinateSystem | null} inputProjection Projection in which the coordinate is written,
+ *   or null to detect it (only works for coordinates in Switzerland, see
+ *   {@link coordinateFromString})
+ * @returns {{ coordinate: [Number, Number]; projection: CoordinateSystem }}
+ * @throws {CoordinateParsingError} If the text isn't a valid coordinate (in the input projection)
+ */
+export function parseCoordinate(text, inputProjection = null) {
+    const extracted = coordinateFromString(text)
+    if (!inputProjection) {
+        if (!extracted) {
+            throw new CoordinateParsingError(`No coordinate found in "${text}"`)
+        }
+        return { coordinate: extracted.coordinate, projection: extracted.coordinateSystem }
+    }
+    if (extracted?.coordinateSystem.epsg === inputProjection.epsg) {
+        return { coordinate: extracted.coordinate, projection: inputProjection }
+    }
+    // coordinates outside Switzerland aren't detected, so we read them as two plain numbers
+    const numbers = REGEX_NUMBER_PAIR.exec(text.replace(/['’`´]/g, '').trim())
+    if (!numbers) {
+        throw new CoordinateParsingError(`"${text}" isn't a ${inputProjection.label} coordinate`)
+    }
+    const first = parseFloat(numbers.groups.first)
+    const second = parseFloat(numbers.groups.second)
+    // WGS84 coordinates are written lat/lon (as in WGS84Format)
+    const coordinate = inputProjection.epsg === WGS84.epsg ? [second, first] : [first, second]
+    if (inputProjection.bounds && !inputProjection.isInBounds(...coordinate)) {
+        throw new CoordinateParsingError(
+            `"${text}" is outside the bounds of ${inputProjection.label}`
+        )
+    }
+    return { coordinate, projection: inputProjection }
+}
+
+/**
+ * @param {Number} line
+ * @param {String} label
+ * @param {String} input
+ * @param {CoordinateSystem | null} inputProjection
+ * @returns {BatchCoordinateEntry}
+ */
+function createEntry(line, label, input, inputProjection) {
+    try {
+        const { coordinate, projection } = parseCoordinate(input, inputProjection)
+        return { line, label, input, coordinate, projection, error: null }
+    } catch (error) {
+        if (!(error instanceof CoordinateParsingError)) {
+            throw error
+        }
+        return { line, label, input, coordinate: null, projection: null, error: error.message }
+    }
+}
+
+/**
+ * Parses a CSV whose header has coordinate columns (X/Y, E/N, lon/lat, etc...)
+ *
+ * @param {String} text
+ * @param {CoordinateSystem | null} inputProjection
+ * @returns {BatchCoordinateEntry[] | null} The entries, or null if the text isn't such a CSV
+ */
+function parseCoordinateCsv(text, inputProjection) {
+    let csv
+    try {
+        csv = parseCsv(text)
+    } catch (error) {
+        return null
+    }
+    const { xColumn, yColumn, labelColumn } = guessCsvColumnMapping(csv.columns)
+    if (!xColumn || !yColumn) {
+        return null
+    }
+    // the Y column holds the latitudes, which come first in WGS84 coordinates (see parseCoordinate)
+    const isLatFirst = inputProjection?.epsg === WGS84.epsg
+    return csv.rows.map((row, index) => {
+        const x = parseCsvNumber(row[xColumn])
+        const y = parseCsvNumber(row[yColumn])
+        // the header is line 1
+        const line = index + 2
+        const label = labelColumn ? row[labelColumn] : ''
+        if (x === null || y === null) {
+            const input = `${row[xColumn] ?? ''} ${row[yColumn] ?? ''}`.trim()
+            return createEntry(line, label, input, inputProjection)
+        }
+        return createEntry(line, label, isLatFirst ? `${y} ${x}` : `${x} ${y}`, inputProjection)
+    })
+}
+
+/**
+ * Parses a list of coordinates, either:
+ *
+ * - A CSV with a header naming the coordinate columns (e.g. `name;x;y`), as handled by the CSV import
+ * - One coordinate per line, in any format {@link coordinateFromString} understands, optionally
+ *   preceded by a label separated by a semicolon or a tab (e.g. `Bern;46.95, 7.44`)
+ *
+ * Lines that can't be parsed are kept, with an error, so that they can be shown to the user.
+ *
+ * @param {String} text
+ * @param {CoordinateSystem | null} [inputProjection=null] Projection in which all coordinates are
+ *   written, or null to detect it for each coordinate. Default is `null`
+ * @returns {BatchCoordinateEntry[]} At most {@link MAX_BATCH_COORDINATES} entries
+ */
+export function parseCoordinateList(text, inputProjection = null) {
+    // removing the BOM some spreadsheet applications add at the start of the file
+    const content = `${text ?? ''}`.replace(/^\uFEFF/, '')
+    let entries = parseCoordinateCsv(content, inputProjection)
+    if (!entries) {
+        entries = content
+            .split(/\r?\n/)
+            .map((line, index) => ({ text: line.trim(), line: index + 1 }))
+            .filter(({ text }) => text.length > 0)
+            .map(({ text, line }) => {
+                const fields = text.split(REGEX_FIELD_SEPARATOR).map((field) => field.trim())
+                if (fields.length === 1) {
+                    return createEntry(line, '', text, inputProjection)
+                }
+                const entry = createEntry(
+                    line,
+                    fields[0],
+                    fields.slice(1).join(' '),
+                    inputProjection
+                )
+                if (entry.coordinate) {
+                    return entry
+                }
+                // the coordinate can also be the last two fields (e.g. `Bern;2600000;1200000`)
+                return createEntry(
+                    line,
+                    fields.slice(0, -2).join(' '),
+                    fields.slice(-2).join(' '),
+                    inputProjection
+                )
+            })
+    }
+    if (entries.length > MAX_BATCH_COORDINATES) {
+        log.warn(`Too many coordinates, only the first ${MAX_BATCH_COORDINATES} are converted`)
+    }
+    return entries.slice(0, MAX_BATCH_COORDINATES)
+}
+
+/**
+ * Converts a coordinate from a projection to another. Conversions from or to LV03 go through the
+ * reframe service (if asked to), as proj4 isn't accurate enough for them.
+ *
+ * @param {[Number, Number]} coordinate
+ * @param {CoordinateSystem} fromProjection
+ * @param {CoordinateSystem} toProjection
+ * @param {Boolean} [useReframe=true] Default is `true`
+ * @returns {Promise<{ coordinate: [Number, Number]; reframed: Boolean }>}
+ */
+export async function convertCoordinate(
+    coordinate,
+    fromProjection,
+    toProjection,
+    useReframe = true
+) {
+    if (fromProjection.epsg === toProjection.epsg) {
+        return { coordinate: [...coordinate], reframed: false }
+    }
+    if (useReframe && (fromProjection.epsg === LV03.epsg || toProjection.epsg === LV03.epsg)) {
+        try {
+            if (fromProjection.epsg === LV03.epsg) {
+                return {
+                    coordinate: await reframe({
+                        inputCoordinates: coordinate,
+                        inputProjection: LV03,
+                        outputProjection: toProjection,
+                    }),
+                    reframed: true,
+                }
+            }
+            // reframe only knows LV95 -> LV03
+            return {
+                coordinate: await reframe({
+                    inputCoordinates: reprojectAndRound(fromProjection, LV95, coordinate),
+                    inputProjection: LV95,
+                    outputProjection: LV03,
+                }),
+                reframed: true,
+            }
+        } catch (error) {
+            log.error('Reframe of coordinate failed, fallback to proj4', coordinate, error)
+        }
+    }
+    return {
+        coordinate: reprojectAndRound(fromProjection, toProjection, coordinate),
+        reframed: false,
+    }
+}
+
+/**
+ * Converts all (valid) entries of a list into the output format
+ *
+ * @param {BatchCoordinateEntry[]} entries
+ * @param {CoordinateFormat} outputFormat
+ * @param {Boolean} [useReframe=true] Default is `true`
+ * @returns {Promise<BatchCoordinateResult[]>} One result per entry, in the same order
+ */
+export async function convertCoordinateList(entries, outputFormat, useReframe = true) {
+    const outputProjection = outputFormat.requiredInputProjection
+    const results = []
+    // sending the reframe requests by chunks, to not flood the service
+    for (let i = 0; i < entries.length; i += REFRAME_CONCURRENCY) {
+        const chunk = entries.slice(i, i + REFRAME_CONCURRENCY)
+        results.push(
+            ...(await Promise.all(
+                chunk.map(async (entry) => {
+                    if (!entry.coordinate) {
+                        return {
+                            entry,
+                            coordinate: null,
+                            formatted: '',
+                            wgs84Coordinate: null,
+                            reframed: false,
+                        }
+                    }
+                    const { coordinate, reframed } = await convertCoordinate(
+                        entry.coordinate,
+                        entry.projection,
+                        outputProjection,
+                        useReframe
+                    )
+                    return {
+                        entry,
+                        coordinate,
+                        formatted: outputFormat.format(coordinate, outputProjection),
+                        wgs84Coordinate: proj4(entry.projection.epsg, WGS84.epsg, entry.coordinate),
+                        reframed,
+                    }
+                })
+            ))
+        )
+    }
+    return results
+}
+
+/**
+ * @param {String | Number} value
+ * @returns {String} The value, quoted if it contains a delimiter, a quote or a line break
+ */
+function toCsvValue(value) {
+    const text = `${value ?? ''}`
+    if (/[;"\r\n]/.test(text)) {
+        return `"${text.replaceAll('"', '""')}"`
+    }
+    return text
+}
+
+/**
+ * Returns the conversion results as CSV (semicolon separated), with the input, the converted
+ * coordinate as numbers, and the coordinate formatted with the output format. Entries that couldn't
+ * be parsed are kept, with empty outputs and their error.
+ *
+ * @param {BatchCoordinateResult[]} results
+ * @param {CoordinateFormat} outputFormat
+ * @returns {String}
+ */
+export function generateConversionCsv(results, outputFormat) {
+    const outputProjection = outputFormat.requiredInputProjection
+    const [xTitle, yTitle] =
+        outputProjection.epsg === WGS84.epsg ? ['Longitude', 'Latitude'] : ['Easting', 'Northing']
+    return (
+        [
+            ['Label', 'Input', xTitle, yTitle, outputFormat.label, 'Error'],
+            ...results.map(({ entry, coordinate, formatted }) => [
+                entry.label,
+                entry.input,
+                coordinate ? outputProjection.roundCoordinateValue(coordinate[0]) : '',
+                coordinate ? outputProjection.roundCoordinateValue(coordinate[1]) : '',
+                formatted,
+                entry.error ?? '',
+            ]),
+        ]
+            .map((row) => row.map(toCsvValue).join(';'))
+            .join('\n') + '\n' // with an added empty line
+    )
+}
@@ -0,0 +1,76 @@
+import { isWhat3WordsString, retrieveWhat3WordsLocation } from '@/api/what3words.api'
+import coordinateFromString from '@/utils/coordinates/coordinateExtractors'
+import { reprojectAndRound } from '@/utils/coordinates/coordinateUtils'
+import log from '@/utils/logging'
+
+/**
+ * Error raised when a coordinate typed by the user can't be understood
+ *
+ * @property {String} message Technical english message
+ * @property {String} input The part of the user input that couldn't be parsed
+ */
+export class CoordinateInputError extends Error {
+    constructor(message, input) {
+        super(message)
+        this.input = input
+        this.name = 'CoordinateInputError'
+    }
+}
+
+/**
+ * Separators between coordinates in a list. Commas can't be used, as they are often used between
+ * the two values of a coordinate.
+ */
+const COORDINATE_LIST_SEPARATOR = /[\r\n;]+/
+
+/**
+ * Parse a coordinate typed (or pasted) by the user. All formats recognized by
+ * {@link coordinateFromString} are accepted, as well as what3words (which requires a request to the
+ * what3words backend).
+ *
+ * @param {String} text
+ * @param {CoordinateSystem} projection Projection in which the coordinate must be returned
+ * @returns {Promise<Number[]>} The coordinate, expressed in the given projection
+ * @throws {CoordinateInputError} If the text isn't a coordinate
+ */
+export async function parseCoordinateInput(text, projection) {
+    const input = text?.trim() ?? ''
+    const extractedCoordinate = coordinateFromString(input)
+    if (extractedCoordinate) {
+        return reprojectAndRound(
+            extractedCoordinate.coordinateSystem,
+            projection,
+            extractedCoordinate.coordinate
+        )
+    }
+    if (isWhat3WordsString(input)) {
+        try {
+            return await retrieveWhat3WordsLocation(input, projection)
+        } catch (error) {
+            log.error(`Could not retrieve the location of what3words "${input}"`, error)
+            throw new CoordinateInputError(`Unknown what3words "${input}"`, input)
+        }
+    }
+    throw new CoordinateInputError(`"${input}" is not a coordinate`, input)
+}
+
+/**
+ * Parse a list of coordinates typed (or pasted) by the user, one coordinate per line (or separated
+ * by semicolons). Each coordinate can be in any format accepted by {@link parseCoordinateInput}.
+ *
+ * @param {String} text
+ * @param {CoordinateSystem} projection Projection in which the coordinates must be returned
+ * @returns {Promise<Number[][]>} The coordinates, expressed in the given projection
+ * @throws {CoordinateInputError} If one of the entries isn't a coordinate
+ */
+export async function parseCoordinateListInput(text, projection) {
+    const entries = (text ?? '')
+        .split(COORDINATE_LIST_SEPARATOR)
+        .map((entry) => entry.trim())
+        .filter((entry) => entry.length > 0)
+    const coordinates = []
+    for (const entry of entries) {
+        coordinates.push(await parseCoordinateInput(entry, projection))
+    }
+    return coordinates
+}
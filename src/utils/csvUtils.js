@@ -0,0 +1,214 @@
+import proj4 from 'proj4'
+
+import allCoordinateSystems, { WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+/** Delimiters that are detected automatically, the first one being the default */
+const CSV_DELIMITERS = [',', ';', '\t']
+
+const X_COLUMN_NAMES = /^(x|e|east(ing)?|est|ost|lon(g|gitude)?|lng|rechtswert)$/i
+const Y_COLUMN_NAMES = /^(y|n|north(ing)?|nord|lat(itude)?|hochwert)$/i
+const LABEL_COLUMN_NAMES = /^(name|label|title|titel|titre|nom|bezeichnung|description)$/i
+
+/**
+ * Checks if a file is a CSV (or TSV) file. As CSV content can't be reliably told apart from any
+ * other text, only the file extension is checked.
+ *
+ * @param {string} fileName
+ * @returns {boolean}
+ */
+export function isCsvFileName(fileName) {
+    return /\.(csv|tsv)$/i.test(fileName ?? '')
+}
+
+/** Raised when a CSV file has no header or no data row */
+export class EmptyCsvError extends Error {}
+
+/**
+ * Detects the delimiter used in a CSV (or TSV) content, by looking at which of the supported
+ * delimiters appears the most often in the header line (outside of quoted values).
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectCsvDelimiter(text) {
+    const headerLine = (text ?? '').split(/\r?\n/)[0].replace(/"[^"]*"/g, '')
+    const counts = CSV_DELIMITERS.map((delimiter) => headerLine.split(delimiter).length - 1)
+    const maxCount = Math.max(...counts)
+    return maxCount > 0 ? CSV_DELIMITERS[counts.indexOf(maxCount)] : CSV_DELIMITERS[0]
+}
+
+/**
+ * Splits CSV content into records, each record being a list of values. Values can be quoted, in
+ * which case they can contain delimiters, line breaks and escaped (doubled) quotes.
+ *
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function splitCsvRecords(text, delimiter) {
+    const records = []
+    let record = []
+    let value = ''
+    let inQuotes = false
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i]
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                value += '"'
+                i++
+            } else if (char === '"') {
+                inQuotes = false
+            } else {
+                value += char
+            }
+        } else if (char === '"') {
+            inQuotes = true
+        } else if (char === delimiter) {
+            record.push(value)
+            value = ''
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++
+            }
+            record.push(value)
+            records.push(record)
+            record = []
+            value = ''
+        } else {
+            value += char
+        }
+    }
+    if (value !== '' || record.length > 0) {
+        record.push(value)
+        records.push(record)
+    }
+    // ignoring empty lines
+    return records.filter((values) => values.some((v) => v.trim() !== ''))
+}
+
+/**
+ * Parses a CSV (or TSV) content. The first line must be a header giving the name of the columns.
+ *
+ * @param {string} text
+ * @param {string | null} [delimiter=null] Delimiter between values, detected from the header if not
+ *   given. Default is `null`
+ * @returns {{ delimiter: string; columns: string[]; rows: Object[] }} The columns of the file, and
+ *   one object per data row, with the values keyed by column name
+ * @throws {EmptyCsvError} If the content has no header or no data row
+ */
+export function parseCsv(text, delimiter = null) {
+    // removing the BOM some spreadsheet applications add at the start of the file
+    const content = (text ?? '').replace(/^\uFEFF/, '')
+    const usedDelimiter = delimiter ?? detectCsvDelimiter(content)
+    const [header, ...records] = splitCsvRecords(content, usedDelimiter)
+    if (!header || records.length === 0) {
+        throw new EmptyCsvError('CSV content has no data')
+    }
+    const columns = header.map((column, index) => column.trim() || `column_${index + 1}`)
+    const rows = records.map((values) =>
+        Object.fromEntries(columns.map((column, index) => [column, values[index]?.trim() ?? '']))
+    )
+    return { delimiter: usedDelimiter, columns, rows }
+}
+
+/**
+ * Parses a number written in a CSV value. Thousands separators (apostrophes or spaces) and decimal
+ * commas are accepted.
+ *
+ * @param {string} value
+ * @returns {number | null} The number, or `null` if the value isn't a number
+ */
+export function parseCsvNumber(value) {
+    let cleanValue = `${value ?? ''}`.replace(/['’\s]/g, '')
+    if (!cleanValue.includes('.')) {
+        cleanValue = cleanValue.replace(',', '.')
+    }
+    if (!/^[-+]?(\d+\.?\d*|\.\d+)$/.test(cleanValue)) {
+        return null
+    }
+    return parseFloat(cleanValue)
+}
+
+/**
+ * Guesses which columns hold the coordinates and the label of the points, based on their names
+ *
+ * @param {string[]} columns
+ * @returns {{ xColumn: string | null; yColumn: string | null; labelColumn: string | null }}
+ */
+export function guessCsvColumnMapping(columns) {
+    return {
+        xColumn: columns.find((column) => X_COLUMN_NAMES.test(column)) ?? null,
+        yColumn: columns.find((column) => Y_COLUMN_NAMES.test(column)) ?? null,
+        labelColumn: columns.find((column) => LABEL_COLUMN_NAMES.test(column)) ?? null,
+    }
+}
+
+/**
+ * Guesses in which projection the coordinates of a CSV are expressed, by taking the first
+ * projection whose bounds contain all coordinates.
+ *
+ * @param {Object[]} rows
+ * @param {string} xColumn
+ * @param {string} yColumn
+ * @returns {CoordinateSystem | null}
+ */
+export function guessCsvProjection(rows, xColumn, yColumn) {
+    const coordinates = rows
+        .map((row) => [parseCsvNumber(row[xColumn]), parseCsvNumber(row[yColumn])])
+        .filter(([x, y]) => x !== null && y !== null)
+    if (coordinates.length === 0) {
+        return null
+    }
+    return (
+        allCoordinateSystems.find((projection) =>
+            coordinates.every(([x, y]) => projection.isInBounds(x, y))
+        ) ?? null
+    )
+}
+
+/**
+ * Transforms the rows of a CSV into GeoJSON points. All values of a row are kept as properties of
+ * its point, and the value of the label column (if any) is set as the `label` property.
+ *
+ * Rows without a valid coordinate, or whose coordinate is outside the bounds of the projection, are
+ * skipped.
+ *
+ * @param {Object[]} rows Rows, as returned by {@link parseCsv}
+ * @param {Object} mapping
+ * @param {string} mapping.xColumn Column holding the X coordinates (or longitudes)
+ * @param {string} mapping.yColumn Column holding the Y coordinates (or latitudes)
+ * @param {CoordinateSystem} mapping.projection Projection in which the coordinates are expressed
+ * @param {string | null} [mapping.labelColumn=null] Column holding the label of the points. Default
+ *   is `null`
+ * @returns {{ geoJsonData: Object; skippedRowCount: number }} A GeoJSON FeatureCollection expressed
+ *   in WGS84, and how many rows were skipped
+ */
+export function convertCsvToGeoJson(rows, { xColumn, yColumn, projection, labelColumn = null }) {
+    const features = []
+    rows.forEach((row) => {
+        const x = parseCsvNumber(row[xColumn])
+        const y = parseCsvNumber(row[yColumn])
+        if (x === null || y === null || !projection.isInBounds(x, y)) {
+            return
+        }
+        const properties = { ...row }
+        if (labelColumn) {
+            properties.label = row[labelColumn]
+        }
+        features.push({
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates:
+                    projection.epsg === WGS84.epsg
+                        ? [x, y]
+                        : proj4(projection.epsg, WGS84.epsg, [x, y]),
+            },
+            properties,
+        })
+    })
+    return {
+        geoJsonData: { type: 'FeatureCollection', features },
+        skippedRowCount: rows.length - features.length,
+    }
+}
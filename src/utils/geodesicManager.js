@@ -41,6 +41,37 @@ export function computePolygonPerimeterArea(coords, isPolyline = false) {
     return result
 }
 
+/**
+ * Calculate the geodesic distance between two points using the GeographicLib library
+ *
+ * @param {number[]} from - Starting point, as [longitude, latitude]
+ * @param {number[]} to - Ending point, as [longitude, latitude]
+ * @returns {number} The distance between the two points in meters
+ */
+export function computeGeodesicDistance(from, to) {
+    return geod.Inverse(from[1], from[0], to[1], to[0]).s12
+}
+
+/**
+ * Generate the outline of a geodesic circle, meaning all points of the outline are at the same
+ * distance of the center on the WGS84 ellipsoid (this will not be a circle on a projected map).
+ *
+ * @param {number[]} center - Center of the circle, as [longitude, latitude]
+ * @param {number} radius - Radius of the circle in meters
+ * @param {number} [pointCount=64] - Number of points used to approximate the circle. Default is
+ *   `64`
+ * @returns {number[][]} The closed outline of the circle as [[longitude, latitude], ...]
+ */
+export function computeGeodesicCircleCoordinates(center, radius, pointCount = 64) {
+    const coordinates = []
+    for (let i = 0; i < pointCount; i++) {
+        const { lat2, lon2 } = geod.Direct(center[1], center[0], (360 * i) / pointCount, radius)
+        coordinates.push([lon2, lat2])
+    }
+    coordinates.push([...coordinates[0]])
+    return coordinates
+}
+
 /**
  * Class responsible for:
  *
@@ -0,0 +1,251 @@
+/**
+ * Minimal animated GIF encoder (GIF89a), so that animations rendered from the map canvas can be
+ * exported client-side.
+ *
+ * All frames use the same global palette (6 levels of red, 7 of green and 6 of blue), which is good
+ * enough for map images and avoids the cost of computing a palette for each frame.
+ *
+ * @see https://www.w3.org/Graphics/GIF/spec-gif89a.txt
+ */
+
+const RED_LEVELS = 6
+const GREEN_LEVELS = 7
+const BLUE_LEVELS = 6
+const PALETTE_SIZE = 256
+const MIN_CODE_SIZE = 8
+const MAX_CODE = 4095
+
+/**
+ * Colors of the palette used by all frames, as [r, g, b]
+ *
+ * @type {[Number, Number, Number][]}
+ */
+export const GIF_PALETTE = (() => {
+    const palette = []
+    for (let r = 0; r < RED_LEVELS; r++) {
+        for (let g = 0; g < GREEN_LEVELS; g++) {
+            for (let b = 0; b < BLUE_LEVELS; b++) {
+                palette.push([
+                    Math.round((r * 255) / (RED_LEVELS - 1)),
+                    Math.round((g * 255) / (GREEN_LEVELS - 1)),
+                    Math.round((b * 255) / (BLUE_LEVELS - 1)),
+                ])
+            }
+        }
+    }
+    // filling the unused entries (a GIF color table size must be a power of 2)
+    while (palette.length < PALETTE_SIZE) {
+        palette.push([0, 0, 0])
+    }
+    return palette
+})()
+
+/**
+ * @param {Number} r
+ * @param {Number} g
+ * @param {Number} b
+ * @returns {Number} Index of the closest color of {@link GIF_PALETTE}
+ */
+export function getGifPaletteIndex(r, g, b) {
+    return (
+        Math.round((r * (RED_LEVELS - 1)) / 255) * GREEN_LEVELS * BLUE_LEVELS +
+        Math.round((g * (GREEN_LEVELS - 1)) / 255) * BLUE_LEVELS +
+        Math.round((b * (BLUE_LEVELS - 1)) / 255)
+    )
+}
+
+/** Growable byte array */
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(4096)
+        this.length = 0
+    }
+
+    writeByte(byte) {
+        if (this.length === this.bytes.length) {
+            const bytes = new Uint8Array(this.bytes.length * 2)
+            bytes.set(this.bytes)
+            this.bytes = bytes
+        }
+        this.bytes[this.length++] = byte
+    }
+
+    writeBytes(bytes) {
+        for (let i = 0; i < bytes.length; i++) {
+            this.writeByte(bytes[i])
+        }
+    }
+
+    writeShort(value) {
+        this.writeByte(value & 0xff)
+        this.writeByte((value >> 8) & 0xff)
+    }
+
+    writeString(value) {
+        for (let i = 0; i < value.length; i++) {
+            this.writeByte(value.charCodeAt(i))
+        }
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length)
+    }
+}
+
+/**
+ * Compresses the palette indices with the variable code size LZW algorithm of the GIF format, and
+ * writes them as data sub-blocks
+ *
+ * @param {ByteWriter} writer
+ * @param {Uint8Array} indices
+ */
+function writeLzwData(writer, indices) {
+    const clearCode = 1 << MIN_CODE_SIZE
+    const endOfInformationCode = clearCode + 1
+    let nextCode = endOfInformationCode + 1
+    let codeSize = MIN_CODE_SIZE + 1
+    let codeTable = new Map()
+
+    const block = new Uint8Array(255)
+    let blockLength = 0
+    let bitBuffer = 0
+    let bitCount = 0
+    const flushByte = (byte) => {
+        block[blockLength++] = byte
+        if (blockLength === 255) {
+            writer.writeByte(255)
+            writer.writeBytes(block)
+            blockLength = 0
+        }
+    }
+    const emit = (code) => {
+        bitBuffer |= code << bitCount
+        bitCount += codeSize
+        while (bitCount >= 8) {
+            flushByte(bitBuffer & 0xff)
+            bitBuffer >>= 8
+            bitCount -= 8
+        }
+    }
+
+    writer.writeByte(MIN_CODE_SIZE)
+    emit(clearCode)
+    let prefix = indices[0]
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i]
+        const key = (prefix << 8) | index
+        const code = codeTable.get(key)
+        if (code !== undefined) {
+            prefix = code
+            continue
+        }
+        emit(prefix)
+        if (nextCode > MAX_CODE) {
+            // table is full, starting a new one
+            emit(clearCode)
+            codeTable = new Map()
+            nextCode = endOfInformationCode + 1
+            codeSize = MIN_CODE_SIZE + 1
+        } else {
+            if (nextCode >= 1 << codeSize) {
+                codeSize++
+            }
+            codeTable.set(key, nextCode++)
+        }
+        prefix = index
+    }
+    emit(prefix)
+    emit(endOfInformationCode)
+    if (bitCount > 0) {
+        flushByte(bitBuffer & 0xff)
+    }
+    if (blockLength > 0) {
+        writer.writeByte(blockLength)
+        writer.writeBytes(block.subarray(0, blockLength))
+    }
+    // block terminator
+    writer.writeByte(0)
+}
+
+/**
+ * Encodes frames into an animated GIF, one frame at a time (so that not all frames have to be kept
+ * in memory).
+ *
+ * @example
+ *     const encoder = new GifEncoder(640, 360, { delay: 500 })
+ *     encoder.addFrame(context.getImageData(0, 0, 640, 360))
+ *     const blob = new Blob([encoder.finish()], { type: 'image/gif' })
+ */
+export default class GifEncoder {
+    /**
+     * @param {Number} width In pixels
+     * @param {Number} height In pixels
+     * @param {Number} [delay=1000] Time each frame is shown, in milliseconds. Default is `1000`
+     * @param {Number} [loopCount=0] How many times the animation is repeated, 0 meaning forever.
+     *   Default is `0`
+     */
+    constructor(width, height, { delay = 1000, loopCount = 0 } = {}) {
+        this.width = width
+        this.height = height
+        // the GIF format expresses delays in hundredths of a second
+        this.delay = Math.round(delay / 10)
+        this.frameCount = 0
+        this.writer = new ByteWriter()
+
+        this.writer.writeString('GIF89a')
+        // logical screen descriptor
+        this.writer.writeShort(width)
+        this.writer.writeShort(height)
+        // global color table of 256 colors (2^(7+1)), with a color resolution of 8 bits
+        this.writer.writeByte(0b11110111)
+        // background color index
+        this.writer.writeByte(0)
+        // pixel aspect ratio
+        this.writer.writeByte(0)
+        GIF_PALETTE.forEach((color) => this.writer.writeBytes(color))
+        // application extension telling how many times the animation must be played
+        this.writer.writeBytes([0x21, 0xff, 0x0b])
+        this.writer.writeString('NETSCAPE2.0')
+        this.writer.writeBytes([0x03, 0x01])
+        this.writer.writeShort(loopCount)
+        this.writer.writeByte(0)
+    }
+
+    /**
+     * @param {ImageData | { data: Uint8ClampedArray }} imageData RGBA pixels of the frame, with the
+     *   size given to the encoder
+     */
+    addFrame(imageData) {
+        const pixelCount = this.width * this.height
+        if (imageData.data.length !== pixelCount * 4) {
+            throw new Error(`Frame must be ${this.width}x${this.height} pixels`)
+        }
+        const indices = new Uint8Array(pixelCount)
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = getGifPaletteIndex(
+                imageData.data[i * 4],
+                imageData.data[i * 4 + 1],
+                imageData.data[i * 4 + 2]
+            )
+        }
+        // graphic control extension (frame delay, no transparency)
+        this.writer.writeBytes([0x21, 0xf9, 0x04, 0x00])
+        this.writer.writeShort(this.delay)
+        this.writer.writeBytes([0x00, 0x00])
+        // image descriptor, covering the whole logical screen and using the global color table
+        this.writer.writeByte(0x2c)
+        this.writer.writeShort(0)
+        this.writer.writeShort(0)
+        this.writer.writeShort(this.width)
+        this.writer.writeShort(this.height)
+        this.writer.writeByte(0)
+        writeLzwData(this.writer, indices)
+        this.frameCount++
+    }
+
+    /** @returns {Uint8Array} The content of the GIF file */
+    finish() {
+        this.writer.writeByte(0x3b)
+        return this.writer.toUint8Array()
+    }
+}
@@ -6,6 +6,7 @@ import proj4 from 'proj4'
 import { reproject } from 'reproject'
 
 import LayerFeature from '@/api/features/LayerFeature.class'
+import LayerTypes from '@/api/layers/LayerTypes.enum'
 import { WGS84 } from '@/utils/coordinates/coordinateSystems'
 import { reprojectGeoJsonData, transformIntoTurfEquivalent } from '@/utils/geoJsonUtils'
 import log from '@/utils/logging'
@@ -80,10 +81,10 @@ function identifyInGeoJson(geoJson, coordinate, projection, resolution) {
  * This means we do not require OpenLayers to perform this search anymore, and that this code can be
  * used in any mapping framework.
  *
- * @param {GeoAdminGeoJsonLayer} geoJsonLayer The GeoJSON layer in which we want to find feature at
- *   the given coordinate. This layer must have its geoJsonData loaded in order for this
- *   identification of feature to work properly (this function will not load the data if it is
- *   missing)
+ * @param {GeoAdminGeoJsonLayer | VectorFileLayer} geoJsonLayer The GeoJSON layer in which we want
+ *   to find feature at the given coordinate. This layer must have its geoJsonData loaded in order
+ *   for this identification of feature to work properly (this function will not load the data if it
+ *   is missing)
  * @param {[Number, Number]} coordinate Where we want to find features ([x, y])
  * @param {CoordinateSystem} projection The projection used to describe the coordinate where we want
  *   to search for feature
@@ -123,10 +124,14 @@ export function identifyGeoJSONFeatureAt(geoJsonLayer, coordinate, projection, r
                     // GPX track feature don't have an ID but have a name !
                     feature.properties.name ??
                     feature.id,
-                data: {
-                    title: feature.properties.name,
-                    description: feature.properties.description,
-                },
+                data:
+                    geoJsonLayer.type === LayerTypes.VECTOR_FILE
+                        ? // imported vector files have no fixed schema, we show all their attributes
+                          feature.properties
+                        : {
+                              title: feature.properties.name,
+                              description: feature.properties.description,
+                          },
                 coordinates: reprojectCoordinates(feature.geometry.coordinates, projection),
                 geometry: reproject(feature.geometry, WGS84.epsg, projection.epsg),
             })
@@ -410,6 +410,11 @@ export function getEditableFeatureFromKmlFeature(kmlFeature, kmlLayer, available
 
     const geometry = new GeoJSON().writeGeometryObject(kmlFeature.getGeometry())
     const coordinates = extractOlFeatureCoordinates(kmlFeature)
+    // circles are stored as polygons, with their radius as extended data
+    const radius =
+        featureType === EditableFeatureTypes.CIRCLE
+            ? parseFloat(kmlFeature.get('radius')) || null
+            : null
 
     if (iconArgs?.isLegacy && iconStyle && icon) {
         // The legacy drawing uses icons from old URLs, some of them have already been removed
@@ -449,6 +454,7 @@ export function getEditableFeatureFromKmlFeature(kmlFeature, kmlLayer, available
         fillColor,
         icon,
         iconSize,
+        radius,
     })
 }
 
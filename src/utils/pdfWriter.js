@@ -0,0 +1,111 @@
+/**
+ * Minimal PDF writer (PDF 1.4), so that print pages composed on a canvas can be saved as PDF
+ * client-side, without the print server.
+ *
+ * Each page shows one JPEG image covering the whole page. JPEG data can be embedded as is in a PDF
+ * (DCTDecode filter), so no image encoding is needed on our side.
+ *
+ * @see https://opensource.adobe.com/dc-acrobat-sdk-docs/pdfstandards/pdfreference1.4.pdf
+ */
+
+/**
+ * @typedef {Object} PdfImagePage
+ * @property {Uint8Array} jpeg JPEG (baseline, RGB) data of the page image
+ * @property {Number} imageWidth Width of the image, in pixels
+ * @property {Number} imageHeight Height of the image, in pixels
+ * @property {Number} pageWidth Width of the page, in PostScript points (1/72 inch)
+ * @property {Number} pageHeight Height of the page, in PostScript points (1/72 inch)
+ */
+
+/**
+ * @param {Number} value
+ * @returns {String} The number with at most 2 decimals, as PDF doesn't support exponents
+ */
+function formatPdfNumber(value) {
+    return `${Math.round(value * 100) / 100}`
+}
+
+/**
+ * Writes a PDF with one page per given image
+ *
+ * @param {PdfImagePage[]} pages
+ * @param {Object} [metadata]
+ * @param {String} [metadata.title] Title of the document
+ * @returns {Uint8Array} The PDF file
+ */
+export default function writeImagePdf(pages, metadata = {}) {
+    if (!pages?.length) {
+        throw new Error('A PDF needs at least one page')
+    }
+    const encoder = new TextEncoder()
+    const chunks = []
+    const offsets = []
+    let length = 0
+
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data
+        chunks.push(bytes)
+        length += bytes.length
+    }
+    const writeObject = (id, content, stream = null) => {
+        offsets[id] = length
+        write(`${id} 0 obj\n${content}\n`)
+        if (stream) {
+            write('stream\n')
+            write(stream)
+            write('\nendstream\n')
+        }
+        write('endobj\n')
+    }
+
+    // object ids: 1 catalog, 2 page tree, 3 info, then 3 objects per page (page, content, image)
+    const pageIds = pages.map((_, index) => 4 + 3 * index)
+    // the binary comment tells file transfer tools that the file isn't plain text
+    write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')
+    writeObject(1, '<< /Type /Catalog /Pages 2 0 R >>')
+    writeObject(
+        2,
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`
+    )
+    // non ASCII characters can't be written in a literal string, the title is written in UTF-16
+    const rawTitle = `${metadata.title ?? ''}`
+    let title = ''
+    for (let i = 0; i < rawTitle.length; i++) {
+        title += rawTitle.charCodeAt(i).toString(16).padStart(4, '0')
+    }
+    writeObject(3, `<< /Title <FEFF${title}> /Producer (map.geo.admin.ch) >>`)
+    pages.forEach((page, index) => {
+        const pageId = pageIds[index]
+        const width = formatPdfNumber(page.pageWidth)
+        const height = formatPdfNumber(page.pageHeight)
+        writeObject(
+            pageId,
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im${index} ${pageId + 2} 0 R >> >> /Contents ${pageId + 1} 0 R >>`
+        )
+        const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im${index} Do Q`)
+        writeObject(pageId + 1, `<< /Length ${content.length} >>`, content)
+        writeObject(
+            pageId + 2,
+            `<< /Type /XObject /Subtype /Image /Width ${page.imageWidth} /Height ${page.imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+            page.jpeg
+        )
+    })
+
+    const objectCount = 4 + 3 * pages.length
+    const xrefOffset = length
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`)
+    for (let id = 1; id < objectCount; id++) {
+        write(`${`${offsets[id]}`.padStart(10, '0')} 00000 n \n`)
+    }
+    write(
+        `trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+    )
+
+    const pdf = new Uint8Array(length)
+    let position = 0
+    chunks.forEach((chunk) => {
+        pdf.set(chunk, position)
+        position += chunk.length
+    })
+    return pdf
+}
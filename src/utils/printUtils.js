@@ -0,0 +1,199 @@
+/** Helpers to print the map in the browser (without the print server), at a given scale and DPI */
+
+import { createEmpty, extend, getHeight, getWidth } from 'ol/extent'
+import { getPointResolution } from 'ol/proj'
+
+/** PostScript points per inch, the unit used by the print layouts for their sizes */
+export const POINTS_PER_INCH = 72
+export const METERS_PER_INCH = 0.0254
+
+/**
+ * @param {Number} scale Scale denominator, e.g. 25000 for 1:25'000
+ * @param {Number} dpi
+ * @param {ProjectionLike} projection Projection of the map
+ * @param {Number[]} center Center of the map, in the projection of the map. Needed as the size of a
+ *   map unit on the ground varies with the position in some projections (e.g. Web Mercator)
+ * @returns {Number} Resolution (map units per pixel) the map must be rendered with so that it is at
+ *   the given scale once printed at the given DPI
+ */
+export function getPrintResolution(scale, dpi, projection, center) {
+    const groundResolution = (scale * METERS_PER_INCH) / dpi
+    return groundResolution / getPointResolution(projection, 1, center, 'm')
+}
+
+/**
+ * Inverse of {@link getPrintResolution}
+ *
+ * @param {Number} resolution Resolution of the map, in map units per pixel
+ * @param {Number} dpi
+ * @param {ProjectionLike} projection Projection of the map
+ * @param {Number[]} center Center of the map, in the projection of the map
+ * @returns {Number} Scale denominator of the map once printed at the given DPI, rounded
+ */
+export function getPrintScale(resolution, dpi, projection, center) {
+    const groundResolution = resolution * getPointResolution(projection, 1, center, 'm')
+    return Math.round((groundResolution * dpi) / METERS_PER_INCH)
+}
+
+/**
+ * Computes the size of the map image to render, lowering the DPI if the image would be too big
+ *
+ * @param {{ width: Number; height: Number }} layoutSize Size of the map in the layout, in
+ *   PostScript points
+ * @param {Number} dpi Requested DPI
+ * @param {Number} maxPixels Maximum number of pixels of the image
+ * @returns {{ width: Number; height: Number; dpi: Number }} Size of the image in pixels, and the
+ *   DPI it has been computed with
+ */
+export function getPrintMapSize(layoutSize, dpi, maxPixels) {
+    const pixelsAtDpi = (layoutSize.width * layoutSize.height * dpi * dpi) / POINTS_PER_INCH ** 2
+    const usedDpi =
+        pixelsAtDpi > maxPixels ? Math.floor(dpi * Math.sqrt(maxPixels / pixelsAtDpi)) : dpi
+    return {
+        width: Math.round((layoutSize.width * usedDpi) / POINTS_PER_INCH),
+        height: Math.round((layoutSize.height * usedDpi) / POINTS_PER_INCH),
+        dpi: usedDpi,
+    }
+}
+
+/**
+ * Chooses a round distance (1, 2 or 5 times a power of ten meters) for the scale bar of a print
+ *
+ * @param {Number} scale Scale denominator of the print
+ * @param {Number} maxLength Maximum length of the scale bar on paper, in PostScript points
+ * @returns {{ distance: Number; length: Number }} Distance shown by the scale bar (in meters) and
+ *   its length on paper (in PostScript points)
+ */
+export function getScaleBarDistance(scale, maxLength) {
+    const metersPerPoint = (scale * METERS_PER_INCH) / POINTS_PER_INCH
+    const maxDistance = maxLength * metersPerPoint
+    const magnitude = 10 ** Math.floor(Math.log10(maxDistance))
+    const distance = [5, 2, 1].map((factor) => factor * magnitude).find((d) => d <= maxDistance)
+    return { distance, length: distance / metersPerPoint }
+}
+
+/**
+ * @param {Number} meters
+ * @returns {String} The distance in meters, or in kilometers above 1000m
+ */
+export function formatScaleBarDistance(meters) {
+    return meters >= 1000 ? `${meters / 1000} km` : `${meters} m`
+}
+
+/**
+ * @param {{ width: Number; height: Number }} layoutSize Size of the map in the layout, in
+ *   PostScript points
+ * @param {Number} scale Scale denominator of the print
+ * @param {Number} [pointResolution=1] Size of one map unit on the ground, in meters (see
+ *   {@link getPointResolution}). Default is `1`
+ * @returns {[Number, Number]} Size of the area covered by one printed map, in map units
+ */
+export function getPrintFrameSize(layoutSize, scale, pointResolution = 1) {
+    const metersPerPoint = (scale * METERS_PER_INCH) / POINTS_PER_INCH
+    return [
+        (layoutSize.width * metersPerPoint) / pointResolution,
+        (layoutSize.height * metersPerPoint) / pointResolution,
+    ]
+}
+
+/**
+ * Places print frames along a line, so that the whole line is printed on consecutive pages. Each
+ * time the line goes into the overlap margin of a frame, a new frame is started from there, in the
+ * direction the line is going.
+ *
+ * @param {Number[][]} coordinates Coordinates of the line
+ * @param {[Number, Number]} frameSize Size of a frame, in map units
+ * @param {Number} overlap Part of the frames overlapping with the previous/next frame, between 0
+ *   and 1
+ * @returns {[Number, Number][]} Centers of the frames, from the start to the end of the line
+ */
+export function getAtlasFramesAlongLine(coordinates, frameSize, overlap) {
+    const [width, height] = frameSize
+    // the line is considered printed on a frame as long as it stays out of the overlap margin
+    const halfWidth = (width * (1 - overlap)) / 2
+    const halfHeight = (height * (1 - overlap)) / 2
+    const step = Math.min(halfWidth, halfHeight) / 10
+    const centers = []
+    let direction = [0, 0]
+    const visit = (point) => {
+        const current = centers[centers.length - 1]
+        if (
+            !current ||
+            Math.abs(point[0] - current[0]) > halfWidth ||
+            Math.abs(point[1] - current[1]) > halfHeight
+        ) {
+            centers.push([
+                point[0] + direction[0] * halfWidth,
+                point[1] + direction[1] * halfHeight,
+            ])
+        }
+    }
+    coordinates.forEach((end, index) => {
+        const start = coordinates[index - 1]
+        if (!start) {
+            return
+        }
+        const length = Math.hypot(end[0] - start[0], end[1] - start[1])
+        if (length === 0) {
+            return
+        }
+        direction = [(end[0] - start[0]) / length, (end[1] - start[1]) / length]
+        const steps = Math.ceil(length / step)
+        for (let i = 0; i <= steps; i++) {
+            visit([
+                start[0] + (i / steps) * (end[0] - start[0]),
+                start[1] + (i / steps) * (end[1] - start[1]),
+            ])
+        }
+    })
+    if (centers.length === 0 && coordinates.length > 0) {
+        // a line without length (or a single point)
+        visit(coordinates[0])
+    }
+    return centers
+}
+
+/**
+ * Places print frames in a grid covering an extent (the grid is centered on the extent)
+ *
+ * @param {[Number, Number, Number, Number]} extent Extent to cover, as [minX, minY, maxX, maxY]
+ * @param {[Number, Number]} frameSize Size of a frame, in map units
+ * @param {Number} overlap Part of the frames overlapping with their neighbours, between 0 and 1
+ * @returns {[Number, Number][]} Centers of the frames, row by row from the top left corner (in
+ *   reading order)
+ */
+export function getAtlasFramesOverExtent(extent, frameSize, overlap) {
+    const [minX, minY, maxX, maxY] = extent
+    const getAxis = (min, max, size) => {
+        const stepSize = size * (1 - overlap)
+        const count = max - min > size ? Math.ceil((max - min - size) / stepSize) + 1 : 1
+        const first = (min + max) / 2 - ((count - 1) * stepSize) / 2
+        return Array.from({ length: count }, (_, index) => first + index * stepSize)
+    }
+    const columns = getAxis(minX, maxX, frameSize[0])
+    const rows = getAxis(minY, maxY, frameSize[1]).reverse()
+    return rows.flatMap((y) => columns.map((x) => [x, y]))
+}
+
+/**
+ * Chooses the scale of the overview page of an atlas, so that all its pages are visible (with some
+ * space around them)
+ *
+ * @param {[Number, Number, Number, Number][]} frames Extents of the pages of the atlas
+ * @param {Number[]} scales Scales proposed by the print layout
+ * @param {{ width: Number; height: Number }} layoutSize Size of the map in the layout, in
+ *   PostScript points
+ * @param {Number} [pointResolution=1] Size of one map unit on the ground, in meters. Default is `1`
+ * @returns {Number} The most detailed of the scales showing all pages, or the least detailed scale
+ *   if none of them is big enough
+ */
+export function getAtlasOverviewScale(frames, scales, layoutSize, pointResolution = 1) {
+    const extent = frames.reduce((all, frame) => extend(all, frame), createEmpty())
+    const sortedScales = [...scales].sort((a, b) => a - b)
+    return (
+        sortedScales.find((scale) => {
+            const [width, height] = getPrintFrameSize(layoutSize, scale, pointResolution)
+            return width >= 1.1 * getWidth(extent) && height >= 1.1 * getHeight(extent)
+        }) ?? sortedScales[sortedScales.length - 1]
+    )
+}
@@ -0,0 +1,132 @@
+/** Exports of an elevation profile (see {@link ElevationProfile}) as CSV, GPX or PNG image */
+
+import proj4 from 'proj4'
+
+import { WGS84 } from '@/utils/coordinates/coordinateSystems'
+
+/**
+ * @param {String} value
+ * @returns {String} The value with XML special characters escaped
+ */
+function escapeXml(value) {
+    return `${value ?? ''}`
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&apos;')
+}
+
+/**
+ * Returns the points of the profile as CSV (semicolon separated), with their coordinates in the
+ * given projection and in WGS84.
+ *
+ * @param {ElevationProfile} profile
+ * @param {CoordinateSystem} projection Projection of the profile points (and of the exported
+ *   easting/northing)
+ * @returns {String}
+ */
+export function generateProfileCsv(profile, projection) {
+    return (
+        [
+            ['Distance', 'Altitude', 'Easting', 'Northing', 'Longitude', 'Latitude'],
+            ...profile.points.map((point) => {
+                const [x, y] = point.coordinate
+                const [lon, lat] = proj4(projection.epsg, WGS84.epsg, point.coordinate)
+                return [
+                    point.dist,
+                    point.hasElevationData ? point.elevation : '',
+                    projection.roundCoordinateValue(x),
+                    projection.roundCoordinateValue(y),
+                    WGS84.roundCoordinateValue(lon),
+                    WGS84.roundCoordinateValue(lat),
+                ]
+            }),
+        ]
+            .map((row) => row.join(';'))
+            .join('\n') + '\n' // with an added empty line
+    )
+}
+
+/**
+ * Returns the profile as a GPX track, with the elevation of the profile points (points without
+ * elevation data are written without `<ele>`)
+ *
+ * @param {ElevationProfile} profile
+ * @param {CoordinateSystem} projection Projection of the profile points
+ * @param {String} [name=''] Name of the track. Default is `''`
+ * @returns {String}
+ */
+export function generateProfileGpx(profile, projection, name = '') {
+    const trackPoints = profile.points
+        // consecutive segments of the profile share their boundary point
+        .filter(
+            (point, index, points) =>
+                index === 0 ||
+                point.dist !== points[index - 1].dist ||
+                point.coordinate[0] !== points[index - 1].coordinate[0] ||
+                point.coordinate[1] !== points[index - 1].coordinate[1]
+        )
+        .map((point) => {
+            const [lon, lat] = proj4(projection.epsg, WGS84.epsg, point.coordinate)
+            const elevation = point.hasElevationData ? `<ele>${point.elevation}</ele>` : ''
+            return `<trkpt lat="${WGS84.roundCoordinateValue(lat)}" lon="${WGS84.roundCoordinateValue(lon)}">${elevation}</trkpt>`
+        })
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<gpx version="1.1" creator="map.geo.admin.ch" xmlns="http://www.topografix.com/GPX/1/1">',
+        '<trk>',
+        ...(name ? [`<name>${escapeXml(name)}</name>`] : []),
+        '<trkseg>',
+        ...trackPoints,
+        '</trkseg>',
+        '</trk>',
+        '</gpx>',
+    ].join('\n')
+}
+
+/**
+ * Composes an image of the profile chart with summary statistics written under it, on a white
+ * background (the chart canvas is transparent)
+ *
+ * @param {HTMLCanvasElement} chartCanvas Canvas of the Chart.js plot
+ * @param {{ title: String; value: String }[]} statistics
+ * @param {Number} [fontSize=14] Size of the statistics text, in pixels. Default is `14`
+ * @returns {HTMLCanvasElement}
+ */
+export function composeProfileImage(chartCanvas, statistics, fontSize = 14) {
+    const padding = fontSize
+    const lineHeight = fontSize * 1.5
+    const context = document.createElement('canvas').getContext('2d')
+    context.font = `${fontSize}px sans-serif`
+    // statistics are written one after the other, going to a new line when the width is full
+    const lines = [[]]
+    let lineWidth = 0
+    statistics.forEach(({ title, value }) => {
+        const text = `${title}: ${value}`
+        const width = context.measureText(text).width + 2 * padding
+        if (lineWidth + width > chartCanvas.width - padding && lines.at(-1).length > 0) {
+            lines.push([])
+            lineWidth = 0
+        }
+        lines.at(-1).push({ text, x: padding + lineWidth })
+        lineWidth += width
+    })
+
+    const image = document.createElement('canvas')
+    image.width = chartCanvas.width
+    image.height = chartCanvas.height + lines.length * lineHeight + 2 * padding
+    const imageContext = image.getContext('2d')
+    imageContext.fillStyle = '#ffffff'
+    imageContext.fillRect(0, 0, image.width, image.height)
+    imageContext.drawImage(chartCanvas, 0, 0)
+    imageContext.fillStyle = '#000000'
+    imageContext.font = `${fontSize}px sans-serif`
+    imageContext.textBaseline = 'top'
+    lines.forEach((line, index) => {
+        line.forEach(({ text, x }) => {
+            imageContext.fillText(text, x, chartCanvas.height + padding + index * lineHeight)
+        })
+    })
+    return image
+}
@@ -11,6 +11,7 @@ import {
 import zoomPlugin from 'chartjs-plugin-zoom'
 
 import dataModel from '@/utils/chartjs-datamodel.plugin'
+import markersPlugin from '@/utils/chartjs-markers.plugin'
 import noDataPlugin from '@/utils/chartjs-nodata.plugin'
 
 export default function setupChartJS() {
@@ -18,5 +19,6 @@ export default function setupChartJS() {
     // registering plugins
     ChartJS.register(zoomPlugin)
     ChartJS.register(noDataPlugin)
+    ChartJS.register(markersPlugin)
     ChartJS.register(dataModel)
 }
@@ -76,6 +76,13 @@ export const gpxStyles = {
     MultiLineString: new Style({ stroke: gpxStrokeStyle, fill: redFill }),
 }
 
+/** Styling for vector files (GeoJSON, Shapefile, FlatGeobuf) imported by the user */
+export const vectorFileStyle = new Style({
+    image: redCircleStyle,
+    stroke: redStroke,
+    fill: new Fill({ color: hexToRgba(red, 0.3) }),
+})
+
 export const geolocationPointWidth = 10
 export const geolocationPointFillColor = hexToRgba(red, 0.9)
 export const geolocationPointBorderWidth = 3
@@ -0,0 +1,178 @@
+/**
+ * Helpers to read the TIME dimension of WMS and WMTS capabilities, where values can be given as a
+ * list and/or as ISO 8601 intervals (`start/end/period`, e.g. `2020-01-01/2024-12-31/P1D`)
+ */
+
+import log from '@/utils/logging'
+
+/**
+ * Maximum number of values an interval is expanded into. Intervals with a small period over a long
+ * time (e.g. hourly data over years) would otherwise generate an unusable amount of timestamps, in
+ * which case only the most recent values are kept.
+ *
+ * @type {Number}
+ */
+export const MAX_TIME_DIMENSION_VALUES = 5000
+
+const ISO_8601_DURATION_REGEX =
+    /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?)?$/
+
+/**
+ * @typedef {Object} Iso8601Duration
+ * @property {Number} years
+ * @property {Number} months
+ * @property {Number} days
+ * @property {Number} hours
+ * @property {Number} minutes
+ * @property {Number} seconds
+ */
+
+/**
+ * @param {String} duration An ISO 8601 duration, e.g. `P1Y`, `P1M`, `P1D`, `PT1H` or `P1DT12H`
+ * @returns {Iso8601Duration | null} The parsed duration, or null if invalid or empty (`P0D`)
+ */
+export function parseIso8601Duration(duration) {
+    const value = `${duration ?? ''}`.trim().toUpperCase()
+    const match = ISO_8601_DURATION_REGEX.exec(value)
+    if (!match || value.endsWith('T')) {
+        return null
+    }
+    const [years, months, weeks, days, hours, minutes, seconds] = match
+        .slice(1)
+        .map((part) => Number(part ?? 0))
+    const parsed = { years, months, days: days + 7 * weeks, hours, minutes, seconds }
+    if (Object.values(parsed).every((value) => value === 0)) {
+        return null
+    }
+    return parsed
+}
+
+/**
+ * Parses a date of a time dimension. Dates without time zone are considered UTC (they are most of
+ * the time given this way by servers, and JavaScript would otherwise read them as local time)
+ *
+ * @param {String} value
+ * @returns {Date | null}
+ */
+export function parseTimeDimensionDate(value) {
+    let isoValue = `${value}`.trim()
+    if (/^\d{4}-\d{2}-\d{2}T/.test(isoValue) && !/(Z|[+-]\d{2}:?\d{2})$/i.test(isoValue)) {
+        isoValue = `${isoValue}Z`
+    }
+    const date = new Date(isoValue)
+    return isNaN(date) ? null : date
+}
+
+/**
+ * Formats the date with the same precision as the given template (the start of the interval), so
+ * that the values sent to the server stay in the format it advertised
+ *
+ * @param {Date} date
+ * @param {String} template
+ * @returns {String}
+ */
+function formatLikeTemplate(date, template) {
+    const iso = date.toISOString()
+    if (/^\d{4}$/.test(template)) {
+        return iso.substring(0, 4)
+    }
+    if (/^\d{4}-\d{2}$/.test(template)) {
+        return iso.substring(0, 7)
+    }
+    if (/^\d{4}-\d{2}-\d{2}$/.test(template)) {
+        return iso.substring(0, 10)
+    }
+    if (!/\.\d+/.test(template)) {
+        // no milliseconds in the template
+        return iso.replace(/\.\d{3}Z$/, 'Z')
+    }
+    return iso
+}
+
+/**
+ * @param {Iso8601Duration} period
+ * @returns {Number} Length of the days and time part of the period, in milliseconds
+ */
+function getFixedLengthInMs(period) {
+    return ((period.days * 24 + period.hours) * 60 + period.minutes) * 60000 + period.seconds * 1000
+}
+
+/**
+ * @param {Date} start
+ * @param {Iso8601Duration} period
+ * @param {Number} count How many times the period must be added
+ * @returns {Date}
+ */
+function addPeriod(start, period, count) {
+    const date = new Date(start)
+    // years and months are added through the calendar, as they don't have a fixed length
+    if (period.years || period.months) {
+        date.setUTCMonth(date.getUTCMonth() + count * (12 * period.years + period.months))
+    }
+    return new Date(date.getTime() + count * getFixedLengthInMs(period))
+}
+
+/**
+ * Expands an ISO 8601 interval (`start/end/period`) into the list of its values, from the most
+ * recent to the oldest
+ *
+ * @param {String} interval
+ * @param {String} [layerId] Used for logging
+ * @returns {String[]} The values of the interval, or an empty list if it can't be parsed
+ */
+export function expandIso8601Interval(interval, layerId = '') {
+    const [start, end, periodValue] = interval.split('/').map((part) => part?.trim())
+    const startDate = parseTimeDimensionDate(start)
+    const endDate = end ? parseTimeDimensionDate(end) : null
+    if (!startDate || !endDate || startDate > endDate) {
+        log.warn(`Unsupported dimension interval "${interval}" for layer ${layerId}`)
+        return []
+    }
+    const period = parseIso8601Duration(periodValue)
+    if (!period) {
+        // a period of 0 means continuous values, which can't be listed. We give at least the
+        // boundaries of the interval
+        log.warn(
+            `Unsupported dimension resolution "${periodValue}" for layer ${layerId}, only the start and end of the interval will be proposed`
+        )
+        return [formatLikeTemplate(endDate, start), formatLikeTemplate(startDate, start)]
+    }
+    let count = 0
+    if (!period.years && !period.months) {
+        // with a fixed length period, we can directly skip the values that won't be kept
+        const total = Math.floor((endDate - startDate) / getFixedLengthInMs(period)) + 1
+        count = Math.max(0, total - MAX_TIME_DIMENSION_VALUES)
+    }
+    const dates = []
+    let date = addPeriod(startDate, period, count)
+    while (date <= endDate) {
+        dates.push(date)
+        count++
+        date = addPeriod(startDate, period, count)
+    }
+    if (count > MAX_TIME_DIMENSION_VALUES) {
+        log.warn(
+            `Dimension interval "${interval}" for layer ${layerId} has ${count} values, only the ${MAX_TIME_DIMENSION_VALUES} most recent are kept`
+        )
+    }
+    return dates
+        .slice(-MAX_TIME_DIMENSION_VALUES)
+        .reverse()
+        .map((date) => formatLikeTemplate(date, start))
+}
+
+/**
+ * Reads the values of a time dimension, expanding the intervals it contains
+ *
+ * @param {String | String[]} rawValues Values as given in the capabilities, either as a comma
+ *   separated list (WMS) or as a list of values (WMTS)
+ * @param {String} [layerId] Used for logging
+ * @returns {String[]}
+ */
+export function parseTimeDimensionValues(rawValues, layerId = '') {
+    const values = Array.isArray(rawValues) ? rawValues : `${rawValues ?? ''}`.split(',')
+    return values
+        .map((value) => `${value}`.trim())
+        .filter((value) => !!value)
+        .flatMap((value) => (value.includes('/') ? expandIso8601Interval(value, layerId) : value))
+}
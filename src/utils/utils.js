@@ -33,6 +33,21 @@ export function escapeRegExp(string) {
     return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
 }
 
+/**
+ * Escape all HTML special character from string, so that it can be safely rendered as HTML
+ *
+ * @param {String} string
+ * @returns {String} New string with all HTML special character escaped
+ */
+export function escapeHtml(string) {
+    return `${string ?? ''}`
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;')
+}
+
 /**
  * Segmentation of text based on a search string
  *
@@ -292,3 +307,17 @@ export function isTiffContent(content) {
     const contentSignature = new Uint8Array(content.slice(0, 4))
     return tiffLittleEndianSignature.every((byte, index) => byte === contentSignature[index])
 }
+
+/**
+ * Check if the input is a FlatGeobuf content or not
+ *
+ * @param {ArrayBuffer} content
+ * @returns {boolean} Return true if the content is a FlatGeobuf content
+ */
+export function isFlatGeobufContent(content) {
+    // Check the first 3 bytes for the FlatGeobuf magic bytes ("fgb"), the fourth byte being the
+    // major version of the spec, see https://flatgeobuf.org/#specification
+    const flatGeobufSignature = [0x66, 0x67, 0x62]
+    const contentSignature = new Uint8Array(content.slice(0, 3))
+    return flatGeobufSignature.every((byte, index) => byte === contentSignature[index])
+}
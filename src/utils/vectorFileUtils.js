@@ -0,0 +1,413 @@
+import bbox from '@turf/bbox'
+import { deserialize as deserializeFlatGeobuf } from 'flatgeobuf/lib/mjs/geojson.js'
+import JSZip from 'jszip'
+import { isEmpty as isExtentEmpty } from 'ol/extent'
+import { combine as combineShapefile, parseDbf, parseShp } from 'shpjs'
+
+import allCoordinateSystems, {
+    LV03,
+    LV95,
+    WEBMERCATOR,
+    WGS84,
+} from '@/utils/coordinates/coordinateSystems'
+import { reprojectGeoJsonData } from '@/utils/geoJsonUtils'
+import log from '@/utils/logging'
+import { isFlatGeobufContent, isZipContent } from '@/utils/utils'
+
+/**
+ * All vector file formats that can be imported and transformed into a {@link VectorFileLayer}
+ *
+ * @readonly
+ * @enum {String}
+ */
+export const VectorFileFormats = {
+    GEOJSON: 'GeoJSON',
+    SHAPEFILE: 'Shapefile',
+    FLATGEOBUF: 'FlatGeobuf',
+    CSV: 'CSV',
+}
+
+const GEOJSON_TYPES = [
+    'FeatureCollection',
+    'Feature',
+    'Point',
+    'MultiPoint',
+    'LineString',
+    'MultiLineString',
+    'Polygon',
+    'MultiPolygon',
+    'GeometryCollection',
+]
+
+/**
+ * Checks if file is GeoJSON
+ *
+ * @param {string} fileContent
+ * @returns {boolean}
+ */
+export function isGeoJson(fileContent) {
+    // quick check before trying to parse the whole content
+    if (!/^\s*\{/.test(fileContent)) {
+        return false
+    }
+    try {
+        return GEOJSON_TYPES.includes(JSON.parse(fileContent)?.type)
+    } catch (error) {
+        return false
+    }
+}
+
+/**
+ * Finds a coordinate system matching the given EPSG definition. Supports the short form
+ * (`EPSG:2056`) as well as the OGC URN (`urn:ogc:def:crs:EPSG::2056`) and the OGC CRS84
+ * identifier.
+ *
+ * @param {String | Number | null} crsName
+ * @returns {CoordinateSystem | null} The matching coordinate system, or `null` if none matches
+ */
+export function getCoordinateSystemFromCrsName(crsName) {
+    if (crsName === null || crsName === undefined) {
+        return null
+    }
+    if (/CRS:?84$/i.test(`${crsName}`)) {
+        return WGS84
+    }
+    const epsgCode = `${crsName}`.match(/(\d+)$/)?.[1]
+    if (!epsgCode) {
+        return null
+    }
+    return (
+        allCoordinateSystems.find(
+            (coordinateSystem) => coordinateSystem.epsgNumber === parseInt(epsgCode)
+        ) ?? null
+    )
+}
+
+function getFirstCoordinate(geoJsonData) {
+    let coordinates = null
+    switch (geoJsonData?.type) {
+        case 'FeatureCollection':
+            coordinates = geoJsonData.features
+                .map((feature) => getFirstCoordinate(feature))
+                .find((coordinate) => !!coordinate)
+            break
+        case 'Feature':
+            coordinates = getFirstCoordinate(geoJsonData.geometry)
+            break
+        case 'GeometryCollection':
+            coordinates = geoJsonData.geometries
+                .map((geometry) => getFirstCoordinate(geometry))
+                .find((coordinate) => !!coordinate)
+            break
+        default:
+            coordinates = geoJsonData?.coordinates
+    }
+    // going down the nested arrays of multi-geometries, until we reach a [x, y] coordinate
+    while (Array.isArray(coordinates?.[0])) {
+        coordinates = coordinates[0]
+    }
+    return coordinates ?? null
+}
+
+/**
+ * Detects in which coordinate system the given GeoJSON data is described.
+ *
+ * It will first look at the (deprecated, but still widely used) `crs` property of the GeoJSON. If
+ * none is defined, and the coordinates can't be expressed in WGS84 (as required by the RFC 7946),
+ * it will try to guess the coordinate system by looking at the bounds of the Swiss coordinate
+ * systems (which are often used without declaring a CRS by Swiss GIS software).
+ *
+ * @param {Object} geoJsonData
+ * @returns {CoordinateSystem | null} The coordinate system of the data, or `null` if no supported
+ *   coordinate system could be found
+ */
+export function getGeoJsonProjection(geoJsonData) {
+    const crsName = geoJsonData?.crs?.properties?.name
+    if (crsName) {
+        return getCoordinateSystemFromCrsName(crsName)
+    }
+    const firstCoordinate = getFirstCoordinate(geoJsonData)
+    if (!firstCoordinate || WGS84.isInBounds(firstCoordinate[0], firstCoordinate[1])) {
+        return WGS84
+    }
+    return (
+        [LV95, LV03].find((coordinateSystem) =>
+            coordinateSystem.isInBounds(firstCoordinate[0], firstCoordinate[1])
+        ) ?? null
+    )
+}
+
+/**
+ * Transforms any GeoJSON data (FeatureCollection, Feature or single geometry) into a
+ * FeatureCollection expressed in WGS84.
+ *
+ * Each feature will be given an ID if it doesn't have one, so that they can be identified and
+ * selected on the map.
+ *
+ * @param {Object} geoJsonData
+ * @param {CoordinateSystem | null} [projection=null] The coordinate system in which the data is
+ *   described. If `null` is given, the coordinate system will be detected from the data itself.
+ *   Default is `null`
+ * @returns {Object} A GeoJSON FeatureCollection expressed in WGS84
+ * @throws UnsupportedProjectionError if the data is described in a coordinate system we do not
+ *   support
+ */
+export function normalizeGeoJsonData(geoJsonData, projection = null) {
+    const dataProjection = projection ?? getGeoJsonProjection(geoJsonData)
+    if (!dataProjection) {
+        throw new UnsupportedProjectionError(
+            `Unsupported projection ${geoJsonData?.crs?.properties?.name ?? ''}`
+        )
+    }
+    let featureCollection
+    if (geoJsonData.type === 'FeatureCollection') {
+        featureCollection = geoJsonData
+    } else if (geoJsonData.type === 'Feature') {
+        featureCollection = { type: 'FeatureCollection', features: [geoJsonData] }
+    } else {
+        featureCollection = {
+            type: 'FeatureCollection',
+            features: [{ type: 'Feature', geometry: geoJsonData, properties: {} }],
+        }
+    }
+    // removing the CRS definition before reprojecting, otherwise it would take precedence over the
+    // projection we have detected
+    // eslint-disable-next-line no-unused-vars
+    const { crs, ...featureCollectionWithoutCrs } = featureCollection
+    const reprojected = reprojectGeoJsonData(featureCollectionWithoutCrs, WGS84, dataProjection)
+    return {
+        ...reprojected,
+        // explicitly describing the CRS, so that other tools (e.g. identify on vector layers)
+        // do not mistake it for the current map projection
+        crs: { type: 'name', properties: { name: WGS84.epsg } },
+        features: reprojected.features.map((feature, index) => ({
+            ...feature,
+            id: feature.id ?? `${index}`,
+            properties: feature.properties ?? {},
+        })),
+    }
+}
+
+/**
+ * Parses the content of a GeoJSON file
+ *
+ * @param {string} content GeoJSON content as a string
+ * @returns {Object} A GeoJSON FeatureCollection expressed in WGS84
+ */
+export function parseGeoJson(content) {
+    return normalizeGeoJsonData(JSON.parse(content))
+}
+
+/**
+ * Parses the content of a FlatGeobuf file.
+ *
+ * @param {ArrayBuffer} content
+ * @returns {Object} A GeoJSON FeatureCollection expressed in WGS84
+ */
+export function parseFlatGeobuf(content) {
+    let crsCode = null
+    const featureCollection = deserializeFlatGeobuf(
+        new Uint8Array(content),
+        undefined,
+        (header) => {
+            crsCode = header?.crs?.code ?? null
+        }
+    )
+    let projection = WGS84
+    // FlatGeobuf files without any CRS (code 0) are considered to be WGS84, as GeoJSON
+    if (crsCode) {
+        projection = getCoordinateSystemFromCrsName(crsCode)
+        if (!projection) {
+            throw new UnsupportedProjectionError(
+                `Unsupported FlatGeobuf projection EPSG:${crsCode}`
+            )
+        }
+    }
+    return normalizeGeoJsonData(featureCollection, projection)
+}
+
+/**
+ * Finds which of our supported coordinate systems is described by the content of a Shapefile
+ * projection (.prj) file.
+ *
+ * We do not let proj4 interpret the ESRI WKT for the Swiss coordinate systems, as it describes them
+ * with an oblique mercator, which is not as precise as the definitions we use.
+ *
+ * @param {string | null} prj
+ * @returns {CoordinateSystem | null} The matching coordinate system, or `null` if it isn't one of
+ *   ours (or if no .prj content is given)
+ */
+export function getCoordinateSystemFromPrj(prj) {
+    if (!prj) {
+        return null
+    }
+    if (/CH1903\+|LV95/i.test(prj)) {
+        return LV95
+    }
+    if (/CH1903|LV03/i.test(prj)) {
+        return LV03
+    }
+    if (/Pseudo[-_ ]Mercator|Web[-_ ]Mercator/i.test(prj)) {
+        return WEBMERCATOR
+    }
+    if (/^\s*GEOGCS\[.*WGS[-_ ]?(19)?84/i.test(prj)) {
+        return WGS84
+    }
+    return null
+}
+
+/**
+ * Unzipped ESRI Shapefile
+ *
+ * This class wraps the unzipped content of a zipped Shapefile.
+ *
+ * @class
+ * @property {string} name Name of the zip archive
+ * @property {ArrayBuffer} shp Content of the .shp file (geometries)
+ * @property {ArrayBuffer | null} dbf Content of the .dbf file (attributes)
+ * @property {string | null} prj Content of the .prj file (projection definition)
+ * @property {string | null} cpg Content of the .cpg file (encoding of the attributes)
+ */
+export class ShapefileObject {
+    constructor(params = {}) {
+        const { name = null, shp = null, dbf = null, prj = null, cpg = null } = params
+        this.name = name
+        this.shp = shp
+        this.dbf = dbf
+        this.prj = prj
+        this.cpg = cpg
+    }
+}
+
+/**
+ * Checks if the given zip archive contains an ESRI Shapefile (a .shp file)
+ *
+ * @param {ArrayBuffer} zipContent
+ * @returns {Promise<boolean>}
+ */
+export async function isShapefileZip(zipContent) {
+    try {
+        const zip = await new JSZip().loadAsync(zipContent)
+        return zip.file(/^(?!__MACOSX\/).*\.shp$/i).length > 0
+    } catch (error) {
+        log.error('Failed to read zip content', error)
+        return false
+    }
+}
+
+/**
+ * Unzips an archive containing an ESRI Shapefile (.shp, with optional .dbf, .prj and .cpg next to
+ * it). If the archive contains multiple Shapefiles, only the first one is used.
+ *
+ * @param {ArrayBuffer} zipContent
+ * @param {string} zipFileName
+ * @returns {Promise<ShapefileObject>}
+ */
+export async function unzipShapefile(zipContent, zipFileName) {
+    const zip = new JSZip()
+    try {
+        await zip.loadAsync(zipContent)
+    } catch (error) {
+        log.error(`Failed to unzip Shapefile archive ${zipFileName}: ${error}`)
+        throw new ShapefileError(`Failed to unzip Shapefile archive ${zipFileName}`)
+    }
+    // ignoring MacOS resource forks, that have the same extensions as the real files
+    const shpFile = zip.file(/^(?!__MACOSX\/).*\.shp$/i)[0]
+    if (!shpFile) {
+        throw new ShapefileError(`No .shp file found in archive ${zipFileName}`)
+    }
+    const baseName = shpFile.name.slice(0, -'.shp'.length)
+    const findSibling = (extension) =>
+        zip.file(
+            new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\.${extension}$`, 'i')
+        )[0]
+
+    const shapefile = new ShapefileObject({ name: zipFileName })
+    shapefile.shp = await shpFile.async('arraybuffer')
+    shapefile.dbf = (await findSibling('dbf')?.async('arraybuffer')) ?? null
+    shapefile.prj = (await findSibling('prj')?.async('text')) ?? null
+    shapefile.cpg = (await findSibling('cpg')?.async('text')) ?? null
+    return shapefile
+}
+
+/**
+ * Parses a zipped ESRI Shapefile
+ *
+ * @param {ArrayBuffer} zipContent
+ * @param {string} zipFileName
+ * @returns {Promise<Object>} A GeoJSON FeatureCollection expressed in WGS84
+ */
+export async function parseShapefileZip(zipContent, zipFileName) {
+    const shapefile = await unzipShapefile(zipContent, zipFileName)
+    const knownProjection = getCoordinateSystemFromPrj(shapefile.prj)
+    let geometries
+    try {
+        // if the projection is one of ours, we do the reprojection ourselves (see normalizeGeoJsonData below),
+        // otherwise we let shpjs reproject to WGS84 using the .prj definition
+        geometries = parseShp(shapefile.shp, knownProjection ? undefined : shapefile.prj)
+    } catch (error) {
+        log.error(`Failed to parse Shapefile ${zipFileName}`, error)
+        throw new ShapefileError(`Failed to parse Shapefile ${zipFileName}`)
+    }
+    const attributes = shapefile.dbf ? parseDbf(shapefile.dbf, shapefile.cpg) : null
+    const featureCollection = combineShapefile([geometries, attributes])
+    // when shpjs has reprojected the data (unknown .prj), the result is in WGS84
+    return normalizeGeoJsonData(
+        featureCollection,
+        knownProjection ?? (shapefile.prj ? WGS84 : null)
+    )
+}
+
+/**
+ * Get the extent of some GeoJSON data expressed in WGS84
+ *
+ * @param {Object} geoJsonData
+ * @returns {[number, number, number, number] | null} Extent in WGS84, or `null` if the data has no
+ *   geometry
+ */
+export function getVectorFileExtent(geoJsonData) {
+    if (!geoJsonData?.features?.some((feature) => !!feature.geometry)) {
+        return null
+    }
+    const extent = bbox(geoJsonData)
+    if (isExtentEmpty(extent) || extent.some((value) => !Number.isFinite(value))) {
+        return null
+    }
+    return extent
+}
+
+/**
+ * Detects the format of a vector file and parses its content
+ *
+ * @param {ArrayBuffer} content
+ * @param {string} fileName
+ * @returns {Promise<{ format: VectorFileFormats; geoJsonData: Object }>} The format of the file and
+ *   its content as a GeoJSON FeatureCollection expressed in WGS84
+ * @throws Error if the content is not a supported vector file
+ */
+export async function parseVectorFileContent(content, fileName) {
+    if (isZipContent(content)) {
+        return {
+            format: VectorFileFormats.SHAPEFILE,
+            geoJsonData: await parseShapefileZip(content, fileName),
+        }
+    }
+    if (isFlatGeobufContent(content)) {
+        return {
+            format: VectorFileFormats.FLATGEOBUF,
+            geoJsonData: parseFlatGeobuf(content),
+        }
+    }
+    const textContent = new TextDecoder('utf-8').decode(content)
+    if (isGeoJson(textContent)) {
+        return {
+            format: VectorFileFormats.GEOJSON,
+            geoJsonData: parseGeoJson(textContent),
+        }
+    }
+    throw new Error(`Unsupported vector file ${fileName}`)
+}
+
+export class EmptyVectorFileError extends Error {}
+export class ShapefileError extends Error {}
+export class UnsupportedProjectionError extends Error {}
@@ -86,6 +86,24 @@ const addWhat3WordFixtureAndIntercept = () => {
     }).as('coordinates-for-w3w')
 }
 
+/**
+ * Reverse geocoding of the location popup, identify requests on the address layer (and the
+ * administrative units) get a fixed answer. Other identify requests are left to
+ * addFeatureIdentificationIntercepts
+ */
+const addReverseGeocodingIntercepts = () => {
+    cy.intercept('**/rest/services/all/MapServer/identify**', (identifyRequest) => {
+        const { layers = '' } = identifyRequest.query
+        if (layers.includes('ch.swisstopo.amtliches-gebaeudeadressverzeichnis')) {
+            identifyRequest.alias = 'reverse-geocoding-address'
+            identifyRequest.reply({ fixture: 'reverse-geocoding/address.fixture' })
+        } else if (layers.includes('ch.swisstopo.swissboundaries3d-gemeinde-flaeche.fill')) {
+            identifyRequest.alias = 'reverse-geocoding-areas'
+            identifyRequest.reply({ fixture: 'reverse-geocoding/areas.fixture' })
+        }
+    })
+}
+
 const addIconsSetIntercept = () => {
     cy.intercept(`**/api/icons/sets`, {
         fixture: 'service-icons/sets.fixture.json',
@@ -294,6 +312,8 @@ export function getDefaultFixturesAndIntercepts() {
         addCesiumTilesetIntercepts,
         addHtmlPopupIntercepts,
         addFeatureIdentificationIntercepts,
+        // must come after addFeatureIdentificationIntercepts, to be matched first
+        addReverseGeocodingIntercepts,
     }
 }
 
@@ -326,19 +326,22 @@ describe('Testing of the compare slider', () => {
     })
 })
 
-describe('The compare Slider and the menu elements should not be available in 3d', () => {
-    context('compare slider non availability in 3d', () => {
-        it('does not shows up with layers, a compare slider parameter set, but in 3d', () => {
+describe('The compare Slider in 3d', () => {
+    context('compare slider in 3d', () => {
+        it('shows up with layers and a compare slider parameter set, only in vertical mode', () => {
             cy.goToMapView(
                 {
                     layers: ['test-1.wms.layer', 'test-2.wms.layer,,'].join(';'),
-                    compareRatio: '0.4',
+                    compareRatio: '0.4,horizontal',
                     '3d': true,
                     sr: WEBMERCATOR.epsgNumber,
                 },
                 true
             )
-            cy.get('[data-cy="compareSlider"]').should('not.exist')
+            cy.get('[data-cy="compareSlider"]').should('be.visible')
+            cy.get('[data-cy="compareSliderMode-vertical"]').should('not.be.disabled')
+            cy.get('[data-cy="compareSliderMode-horizontal"]').should('be.disabled')
+            cy.get('[data-cy="compareSliderMode-spyglass"]').should('be.disabled')
 
             cy.readStoreValue('state.ui.compareRatio').then((compareRatio) => {
                 expect(compareRatio).to.eq(0.4)
@@ -346,7 +349,7 @@ describe('The compare Slider and the menu elements should not be available in 3d
         })
     })
     context('Compare menu component with 3d', () => {
-        it('disappears when it is available in 2d and we swith to 3d', () => {
+        it('stays available when we switch to 3d', () => {
             cy.goToMapView(
                 {
                     sr: WEBMERCATOR.epsgNumber,
@@ -362,7 +365,7 @@ describe('The compare Slider and the menu elements should not be available in 3d
 
             cy.openMenuIfMobile()
 
-            cy.get('[data-cy="menu-advanced-tools-compare"]').should('not.exist')
+            cy.get('[data-cy="menu-advanced-tools-compare"]').should('be.visible')
         })
     })
 })
@@ -0,0 +1,107 @@
+/// <reference types="cypress" />
+
+import { recurse } from 'cypress-recurse'
+
+import { LV03Format, LV95Format } from '@/utils/coordinates/coordinateFormat'
+import { LV03, LV95 } from '@/utils/coordinates/coordinateSystems'
+
+describe('The Coordinate Conversion Tool', () => {
+    const fakeLV03Coordinate = [600000.12, 200000.34]
+
+    beforeEach(() => {
+        cy.intercept('**/lv95tolv03**', { coordinates: fakeLV03Coordinate }).as('reframe')
+        cy.goToMapView({}, true)
+        cy.openMenuIfMobile()
+        cy.get('[data-cy="menu-tray-tool-section"]:visible').click()
+        cy.get('[data-cy="menu-advanced-tools-coordinate-conversion"]:visible').click()
+    })
+
+    it('converts a pasted list of coordinates, keeps them on the map and exports them', () => {
+        cy.get('[data-cy="coordinate-conversion"]').should('be.visible')
+        cy.get('[data-cy="coordinate-conversion-convert-button"]').should('be.disabled')
+        cy.get('[data-cy="coordinate-conversion-download-button"]').should('be.disabled')
+
+        cy.get('[data-cy="coordinate-conversion-input"]').type(
+            'Bern;46.95, 7.44{enter}2600000, 1200000{enter}not a coordinate'
+        )
+        cy.get('[data-cy="coordinate-conversion-output-format"]').select(LV03Format.id)
+        cy.get('[data-cy="coordinate-conversion-convert-button"]').click()
+        cy.wait('@reframe')
+
+        cy.log('each line is listed, with invalid lines flagged')
+        cy.get('[data-cy="coordinate-conversion-summary"]')
+            .should('contain', '2')
+            .and('contain', '1')
+        cy.get('[data-cy="coordinate-conversion-result"]').should('have.length', 3)
+        cy.get('[data-cy="coordinate-conversion-result"]').first().should('contain', 'Bern')
+        cy.get('[data-cy="coordinate-conversion-result"]')
+            .eq(1)
+            .find('[data-cy="coordinate-conversion-output"]')
+            .should('contain', LV03Format.format(fakeLV03Coordinate, LV03))
+        cy.get('[data-cy="coordinate-conversion-result"]')
+            .last()
+            .should('have.class', 'text-danger')
+            .find('[data-cy="coordinate-conversion-output"]')
+            .should('not.exist')
+
+        cy.log('the converted points are added to the active layers')
+        cy.readStoreValue('state.layers.activeLayers').should((activeLayers) => {
+            const layer = activeLayers.find((layer) => layer.id === 'coordinate-conversion')
+            expect(layer).to.not.be.undefined
+            expect(layer.geoJsonData.features).to.have.length(2)
+        })
+
+        cy.log('changing the input clears the results, the points stay on the map')
+        cy.get('[data-cy="coordinate-conversion-output-format"]').select(LV95Format.id)
+        cy.get('[data-cy="coordinate-conversion-results"]').should('not.exist')
+        cy.readStoreValue('state.layers.activeLayers').should((activeLayers) => {
+            expect(
+                activeLayers.filter((layer) => layer.id === 'coordinate-conversion')
+            ).to.have.length(1)
+        })
+
+        cy.get('[data-cy="coordinate-conversion-convert-button"]').click()
+        cy.get('[data-cy="coordinate-conversion-result"]')
+            .eq(1)
+            .find('[data-cy="coordinate-conversion-output"]')
+            .should('contain', LV95Format.format([2600000, 1200000], LV95))
+
+        cy.log('the result can be downloaded as CSV')
+        const downloadsFolder = Cypress.config('downloadsFolder')
+        cy.task('clearFolder', downloadsFolder)
+        cy.get('[data-cy="coordinate-conversion-download-button"]').click()
+        recurse(
+            () => cy.task('findFiles', { folderName: downloadsFolder, extension: 'csv' }),
+            (files) => files.length > 0,
+            { delay: 100 }
+        ).then((files) => {
+            cy.readFile(`${downloadsFolder}/${files[files.length - 1]}`)
+                .should('contain', 'Label;Input')
+                .and('contain', '"Bern"')
+        })
+
+        cy.log('converting again replaces the points on the map')
+        cy.get('[data-cy="coordinate-conversion-input"]').clear()
+        cy.get('[data-cy="coordinate-conversion-input"]').type('2600000, 1200000')
+        cy.get('[data-cy="coordinate-conversion-convert-button"]').click()
+        cy.readStoreValue('state.layers.activeLayers').should((activeLayers) => {
+            const layers = activeLayers.filter((layer) => layer.id === 'coordinate-conversion')
+            expect(layers).to.have.length(1)
+            expect(layers[0].geoJsonData.features).to.have.length(1)
+        })
+
+        cy.log('closing the tool keeps the points on the map, until the layer is removed')
+        cy.get('[data-cy="modal-close-button"]').click()
+        cy.get('[data-cy="coordinate-conversion"]').should('not.exist')
+        cy.readStoreValue('state.layers.activeLayers').should((activeLayers) => {
+            expect(activeLayers.find((layer) => layer.id === 'coordinate-conversion')).to.not.be
+                .undefined
+        })
+        cy.openMenuIfMobile()
+        cy.get('[data-cy^="button-remove-layer-coordinate-conversion-"]:visible').click()
+        cy.readStoreValue('state.layers.activeLayers').should((activeLayers) => {
+            expect(activeLayers.find((layer) => layer.id === 'coordinate-conversion')).to.be
+                .undefined
+        })
+    })
+})
@@ -983,6 +983,15 @@ describe('Drawing module tests', () => {
                     expect(agnosticContent).to.be.equal(agnosticMockCsv)
                 })
             })
+            // and as GPX, with the elevations of the profile
+            cy.get('[data-cy="profile-popup-gpx-download-button"]').click()
+            checkFiles('gpx', (content) => {
+                expect(content).to.contain(
+                    '<trkpt lat="46.675203" lon="8.801551"><ele>1341.7</ele>'
+                )
+                expect(content.match(/<trkpt /g)).to.have.length(4)
+            })
+            cy.task('clearFolder', downloadsFolder)
             cy.get('[data-cy="infobox-close"]').should('be.visible').click()
 
             // it exports KML when clicking on the export button (without choosing format)
@@ -1167,6 +1176,21 @@ describe('Drawing module tests', () => {
             )
             cy.get('[data-cy="profile-graph"]').trigger('mouseleave')
 
+            cy.log('check that markers split the profile in segments')
+            cy.get('[data-cy="profile-slope-legend"]').should('be.visible')
+            cy.get('[data-cy="profile-sections-table"]').should('not.exist')
+            cy.get('[data-cy="profile-graph"]').click('center')
+            cy.get('[data-cy="profile-sections-table"]').should('be.visible')
+            cy.get('[data-cy="profile-sections-table"] tbody tr').should('have.length', 2)
+            cy.get('[data-cy="profile-section-0"] [data-cy="profile-section-ascent"]').should(
+                'contain.text',
+                '0.10 m'
+            )
+            cy.get('[data-cy="profile-section-0"]').click()
+            cy.get('[data-cy="profile-section-0"]').should('have.class', 'table-primary')
+            cy.get('[data-cy="profile-remove-marker-0"]').click()
+            cy.get('[data-cy="profile-sections-table"]').should('not.exist')
+
             cy.log('check that profile gets updated when feature is modified')
             cy.get('[data-cy="ol-map"]').click(150, 200)
             cy.wait('@profile')
@@ -1,7 +1,6 @@
 /// <reference types="cypress" />
 
-import { encodeExternalLayerParam } from '@/api/layers/layers-external.api'
-import { encodeLayerParam } from '@/router/storeSync/layersParamParser'
+import { encodeExternalLayerParam, encodeLayerParam } from '@/router/storeSync/urlParamParsers'
 import { WEBMERCATOR, WGS84 } from '@/utils/coordinates/coordinateSystems.js'
 
 /**
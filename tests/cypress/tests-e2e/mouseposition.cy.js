@@ -163,6 +163,18 @@ describe('Test mouse position and interactions', () => {
             })
             cy.log('it uses the elevation API in the location popup')
 
+            cy.wait(['@reverse-geocoding-address', '@reverse-geocoding-areas'])
+            cy.get('[data-cy="location-popup-address"]').should('contain', 'Bundesgasse 1')
+            cy.get('[data-cy="location-popup-postal-code"]').should('contain', '3011 Bern')
+            cy.get('[data-cy="location-popup-municipality"]').should('contain', 'Bern')
+            cy.get('[data-cy="location-popup-canton"]').should('contain', 'Bern / Berne')
+            cy.get('[data-cy="location-popup-parcel"]').should('contain', '1234')
+            cy.get('[data-cy="location-popup-parcel-extra-value"]').should(
+                'contain',
+                'CH123456789012'
+            )
+            cy.log('it reverse geocodes the position in the location popup')
+
             const [lon, lat] = centerWGS84
             cy.get('[data-cy="location-popup-lv95"]')
                 .invoke('text')
@@ -80,6 +80,125 @@ describe('Testing print', () => {
         })
     })
 
+    context('Print in the browser', () => {
+        it('proposes layouts to print in the browser when the print server is unreachable', () => {
+            cy.intercept('GET', '**/capabilities.json', { statusCode: 500 }).as('capabilities')
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            cy.get('[data-cy="menu-print-form"]').should('be.visible')
+            cy.get('[data-cy="print-server-unavailable"]').should('be.visible')
+            cy.get('[data-cy="print-layout-selector"]').find('option').should('have.length', 4)
+            cy.get('[data-cy="print-output-selector"]')
+                .find('option')
+                .should('have.length', 2)
+                .first()
+                .should('have.value', 'pdf')
+            cy.get('[data-cy="print-dpi-selector"]').should('be.visible')
+            cy.get('[data-cy="checkboxGrid"]').should('be.disabled')
+        })
+        it('prints the map in the browser without sending a request to the print server', () => {
+            cy.intercept('POST', '**/report.pdf', cy.spy().as('printRequest'))
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            cy.get('[data-cy="print-output-selector"]').select('png')
+            cy.get('[data-cy="print-dpi-selector"]').select('96')
+            cy.get('[data-cy="print-map-button"]').should('be.visible').click()
+            cy.get('[data-cy="menu-print-form"] .valid-feedback').should('be.visible')
+            cy.get('@printRequest').should('not.have.been.called')
+        })
+    })
+
+    context('Print atlas', () => {
+        function createAreaAtlas() {
+            cy.get('[data-cy="print-scale-selector"]').select(`1:${formatThousand(500000)}`)
+            cy.get('[data-cy="checkboxAtlas"]').check()
+            cy.get('[data-cy="print-atlas-type"]').select('area')
+            cy.get('[data-cy="print-atlas-create"]').click()
+            cy.get('[data-cy="print-atlas-page-count"]').should('be.visible')
+        }
+
+        it('prints the atlas in the browser with layouts that can not print several pages', () => {
+            // the layouts of the geoadmin print server have no datasource attribute
+            cy.intercept('POST', '**/report.pdf', cy.spy().as('printRequest'))
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            cy.get('[data-cy="checkboxAtlas"]').check()
+            cy.get('[data-cy="print-atlas-type"]').select('line')
+            cy.get('[data-cy="print-atlas-create"]').click()
+            cy.get('[data-cy="print-atlas-no-line"]').should('be.visible')
+
+            createAreaAtlas()
+            cy.get('[data-cy="print-output-selector"]')
+                .find('option')
+                .should('have.length', 1)
+                .first()
+                .should('have.value', 'pdf')
+            cy.get('[data-cy="print-dpi-selector"]').select('96')
+            cy.get('[data-cy="print-map-button"]').click()
+            cy.get('[data-cy="menu-print-form"] .valid-feedback').should('be.visible')
+            cy.get('@printRequest').should('not.have.been.called')
+
+            cy.get('[data-cy="checkboxAtlas"]').uncheck()
+            cy.readStoreValue('state.print.atlas').should('be.null')
+        })
+        it('sends all the pages of the atlas in one job to layouts with a datasource', () => {
+            cy.fixture('print/capabilities.json').then((capabilities) => {
+                capabilities.layouts.forEach((layout) =>
+                    layout.attributes.push({ name: 'pages', type: 'DataSourceAttributeValue' })
+                )
+                cy.intercept('GET', '**/capabilities.json', capabilities).as('capabilities')
+            })
+            interceptPrintRequest()
+            interceptPrintStatus()
+            interceptDownloadReport()
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            createAreaAtlas()
+            cy.get('[data-cy="print-output-selector"]')
+                .find('option')
+                .should('have.length', 1)
+                .first()
+                .should('have.value', 'server')
+            cy.get('[data-cy="print-map-button"]').click()
+            cy.readStoreValue('getters.atlasFrames').then((atlasFrames) => {
+                cy.wait('@printRequest').then((interception) => {
+                    const { attributes } = interception.request.body
+                    expect(attributes).to.not.haveOwnProperty('map')
+                    // an overview page, then one page per frame
+                    expect(attributes.pages).to.have.length(atlasFrames.length + 1)
+                    const [overview, firstPage] = attributes.pages
+                    expect(overview.map.layers[0].geoJson.features).to.have.length(
+                        atlasFrames.length
+                    )
+                    expect(firstPage.map.scale).to.eq(500000)
+                    expect(firstPage.map.center).to.deep.eq([
+                        (atlasFrames[0][0] + atlasFrames[0][2]) / 2,
+                        (atlasFrames[0][1] + atlasFrames[0][3]) / 2,
+                    ])
+                })
+            })
+            cy.get('@printRequest.all').should('have.length', 1)
+        })
+        it('prints the atlas in the browser when the print server is unreachable', () => {
+            cy.intercept('GET', '**/capabilities.json', { statusCode: 500 }).as('capabilities')
+            cy.intercept('POST', '**/report.pdf', cy.spy().as('printRequest'))
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            createAreaAtlas()
+            cy.readStoreValue('getters.atlasFrames').should('have.length.greaterThan', 0)
+            cy.get('[data-cy="print-output-selector"]')
+                .find('option')
+                .should('have.length', 1)
+                .first()
+                .should('have.value', 'pdf')
+
+            cy.get('[data-cy="print-dpi-selector"]').select('96')
+            cy.get('[data-cy="print-map-button"]').click()
+            cy.get('[data-cy="menu-print-form"] .valid-feedback').should('be.visible')
+            cy.get('@printRequest').should('not.have.been.called')
+        })
+    })
+
     context('Send print request', () => {
         beforeEach(() => {
             cy.goToMapView()
@@ -173,6 +292,60 @@ describe('Testing print', () => {
                 expect(layers[1]['matrixSet']).to.equals('EPSG:3857')
             })
         })
+
+        it('should send the rotation and grid projection to mapfishprint', () => {
+            // the layouts of the geoadmin print server have no title nor comment
+            cy.get('[data-cy="print-title"]').should('not.exist')
+            cy.get('[data-cy="print-comment"]').should('not.exist')
+            cy.get('[data-cy="print-rotation"]').clear()
+            cy.get('[data-cy="print-rotation"]').type('30')
+            cy.readStoreValue('state.print.printRotation').should('eq', 30)
+            cy.get('[data-cy="print-grid-projection"]').should('not.exist')
+            cy.get('[data-cy="checkboxGrid"]').check()
+            cy.get('[data-cy="print-grid-projection"]').should('have.value', 'EPSG:2056')
+            cy.get('[data-cy="print-grid-projection"]').select('EPSG:4326')
+
+            cy.get('[data-cy="print-map-button"]').should('be.visible').click()
+
+            cy.wait('@printRequest').then((interception) => {
+                const attributes = interception.request.body.attributes
+                expect(attributes).to.not.haveOwnProperty('title')
+                expect(attributes).to.not.haveOwnProperty('comment')
+
+                const mapAttributes = attributes.map
+                // the map is rotated the other way than the print frame
+                expect(mapAttributes['rotation']).to.equals(-30)
+                expect(mapAttributes['projection']).to.equals('EPSG:2056')
+                const gridLayer = mapAttributes.layers.find((layer) =>
+                    layer.layers?.some((name) => name.startsWith('org.epsg.grid_'))
+                )
+                expect(gridLayer.layers).to.deep.equal(['org.epsg.grid_4326'])
+            })
+        })
+
+        it('should send the title and comment to layouts having them', () => {
+            cy.fixture('print/capabilities.json').then((capabilities) => {
+                capabilities.layouts.forEach((layout) =>
+                    layout.attributes.push(
+                        { name: 'title', type: 'String', default: '' },
+                        { name: 'comment', type: 'String', default: '' }
+                    )
+                )
+                cy.intercept('GET', '**/capabilities.json', capabilities).as('capabilities')
+            })
+            cy.goToMapView()
+            cy.get('[data-cy="menu-print-section"]').should('be.visible').click()
+            cy.get('[data-cy="print-title"]').type('My hike')
+            cy.get('[data-cy="print-comment"]').type('Meeting point at the station')
+
+            cy.get('[data-cy="print-map-button"]').should('be.visible').click()
+
+            cy.wait('@printRequest').then((interception) => {
+                const attributes = interception.request.body.attributes
+                expect(attributes['title']).to.equal('My hike')
+                expect(attributes['comment']).to.equal('Meeting point at the station')
+            })
+        })
     })
     context('Send print request with layers', () => {
         function startPrintWithKml(kmlFixture) {
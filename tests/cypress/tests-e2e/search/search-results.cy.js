@@ -289,7 +289,6 @@ describe('Test the search bar result handling', () => {
         )
         // clearing selected entry by clearing the search bar and re-entering a search text
         cy.get('[data-cy="searchbar-clear"]').click()
-        cy.readStoreValue('state.map.pinnedLocation').should('be.null')
         cy.get(searchbarSelector).paste('test')
         cy.wait(['@search-locations', '@search-layers'])
 
@@ -380,4 +379,80 @@ describe('Test the search bar result handling', () => {
 
         cy.get('@layerFeatureSearchCategory').should('be.visible')
     })
+    it('searches features of imported KML files', () => {
+        const kmlFileUrl = 'https://example.com/valid-kml-file.kml'
+        cy.intercept('HEAD', kmlFileUrl, { statusCode: 200 })
+        cy.intercept('GET', kmlFileUrl, {
+            fixture: 'import-tool/external-kml-file.kml',
+        }).as('getKmlFile')
+        cy.goToMapView({ layers: `KML|${kmlFileUrl}` })
+        cy.wait('@getKmlFile')
+
+        cy.get(searchbarSelector).paste('sample placemark')
+        cy.wait(['@search-locations', '@search-layers'])
+        cy.get('[data-cy="search-results-localfeatures"] [data-cy="search-result-entry"]')
+            .should('have.length', 1)
+            .first()
+            .click()
+        cy.readStoreValue('getters.selectedFeatures').should('have.length', 1)
+        cy.readStoreValue('getters.selectedFeatures[0].title').should('eq', 'Sample Placemark')
+    })
+    it('keeps recent searches and favourites, and navigates between categories with the keyboard', () => {
+        cy.goToMapView()
+        cy.get(searchbarSelector).paste('test')
+        cy.wait(['@search-locations', '@search-layers'])
+
+        cy.log('Checking that results can be starred as favourites')
+        cy.get('[data-cy="search-results-locations"] [data-cy="search-result-entry"]')
+            .first()
+            .find('[data-cy="search-result-favourite-button"]')
+            .click()
+        cy.get('[data-cy="search-results-favourites"] [data-cy="search-result-entry"]')
+            .should('have.length', 1)
+            .invoke('text')
+            .should('contain', expectedLocationLabel.replaceAll(/<\/?b>/g, ''))
+        cy.window()
+            .its('localStorage')
+            .invoke('getItem', 'web-mapviewer.search.favourites')
+            .should('contain', 'Test location')
+
+        cy.log('Checking that PageDown/PageUp go from one category to the next')
+        const checkFocusedCategory = (category) =>
+            cy
+                .focused()
+                .parents('[data-cy^="search-results-"]')
+                .first()
+                .should('have.attr', 'data-cy', `search-results-${category}`)
+        // favourites are listed first
+        cy.get(searchbarSelector).type('{downArrow}')
+        checkFocusedCategory('favourites')
+        cy.focused().type('{pageDown}')
+        checkFocusedCategory('locations')
+        cy.focused().type('{pageDown}')
+        checkFocusedCategory('layers')
+        cy.focused().type('{pageUp}')
+        checkFocusedCategory('locations')
+
+        cy.log('Checking that a selected result adds the query to the recent searches')
+        cy.focused().type('{enter}')
+        cy.readStoreValue('state.search.recentSearches').should('deep.equal', [
+            expectedLocationLabel.replaceAll(/<\/?b>/g, ''),
+        ])
+
+        cy.log('Checking that recent searches and favourites are kept after a reload')
+        cy.reload()
+        cy.waitMapIsReady()
+        cy.get('[data-cy="searchbar-clear"]').click()
+        cy.get(searchbarSelector).click()
+        cy.get('[data-cy="search-results-recentsearches"] [data-cy="search-result-entry"]').should(
+            'have.length',
+            1
+        )
+        cy.get('[data-cy="search-results-favourites"] [data-cy="search-result-entry"]').should(
+            'have.length',
+            1
+        )
+        cy.get('[data-cy="search-result-remove-recent-button"]').click()
+        cy.readStoreValue('state.search.recentSearches').should('be.empty')
+    })
 })
@@ -0,0 +1,57 @@
+/// <reference types="cypress" />
+
+describe('Testing of the split screen', () => {
+    it('shows the second map with its own layers from the URL', () => {
+        cy.goToMapView(
+            {
+                layers: 'test-1.wms.layer',
+                splitScreen: true,
+                splitBgLayer: 'test.background.layer2',
+                splitLayers: ['test-2.wms.layer', 'test-3.wms.layer,f'].join(';'),
+            },
+            true
+        )
+        cy.readStoreValue('state.splitScreen.active').should('be.true')
+        cy.readStoreValue('state.splitScreen.backgroundLayerId').should(
+            'eq',
+            'test.background.layer2'
+        )
+        cy.readStoreValue('state.splitScreen.layers').then((layers) => {
+            expect(layers.map((layer) => layer.id)).to.deep.eq([
+                'test-2.wms.layer',
+                'test-3.wms.layer',
+            ])
+            expect(layers[1].visible).to.be.false
+        })
+        // the main map keeps its own layers
+        cy.readStoreValue('state.layers.activeLayers').then((layers) => {
+            expect(layers.map((layer) => layer.id)).to.deep.eq(['test-1.wms.layer'])
+        })
+        cy.get('[data-cy="split-screen-map"]').should('be.visible')
+        cy.get('[data-cy="split-screen-layer-1"]').should('contain', 'WMS test layer 3')
+
+        cy.log('Editing the layers of the second map updates the URL')
+        cy.get('[data-cy="split-screen-layer-remove-0"]').click()
+        cy.get('[data-cy="split-screen-background"]').select('void')
+        cy.url().should('contain', 'splitLayers=test-3.wms.layer,f')
+        cy.url().should('contain', 'splitBgLayer=void')
+    })
+    it('toggles the split screen from the menu', () => {
+        cy.goToMapView({}, true)
+        cy.get('[data-cy="split-screen"]').should('not.exist')
+        cy.openMenuIfMobile()
+        cy.get('[data-cy="menu-tray-tool-section"]').click()
+        cy.get('[data-cy="menu-advanced-tools-split_screen"]').click()
+        cy.closeMenuIfMobile()
+        cy.get('[data-cy="split-screen"]').should('be.visible')
+        cy.readStoreValue('state.splitScreen.backgroundLayerId').then((bgLayerId) => {
+            cy.readStoreValue('state.layers.currentBackgroundLayerId').should('eq', bgLayerId)
+        })
+        cy.url().should('contain', 'splitScreen')
+
+        cy.get('[data-cy="split-screen-add-layer"]').type('WMS test layer 1{enter}')
+        cy.readStoreValue('state.splitScreen.layers').then((layers) => {
+            expect(layers.map((layer) => layer.id)).to.deep.eq(['test-1.wms.layer'])
+        })
+    })
+})
@@ -376,5 +376,63 @@ describe('Cypress tests covering the time slider, its functionalities and its UR
             cy.viewport(1920, 1080)
             cy.get('[data-cy="time-slider-bar-cursor-year"]').should('have.value', 1999)
         })
+
+        it('selects a range of years and locks layers on their own year', () => {
+            cy.viewport(1920, 1080)
+            cy.goToMapView({
+                layers: `${time_layer_std};${time_layer_odd}@year=2009`,
+                timeSlider: '2017,2015-2018',
+            })
+            cy.get('[data-cy="time-slider-range-start"]').should('have.value', '2015')
+            cy.get('[data-cy="time-slider-range-end"]').should('have.value', '2018')
+            cy.get(`[data-cy="time-slider-timeline-count-${time_layer_std}"]`).should(
+                'contain',
+                '(4/7)'
+            )
+            cy.get(`[data-cy="time-slider-timeline-count-${time_layer_odd}"]`).should(
+                'contain',
+                '(2/8)'
+            )
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_odd}-2015"]`).should(
+                'have.class',
+                'in-range'
+            )
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_odd}-2013"]`).should(
+                'not.have.class',
+                'in-range'
+            )
+
+            cy.log('Changing the range updates the URL')
+            cy.get('[data-cy="time-slider-range-start"]').clear()
+            cy.get('[data-cy="time-slider-range-start"]').type('2010{enter}')
+            cy.url().should('contain', 'timeSlider=2017,2010-2018')
+            cy.get(`[data-cy="time-slider-timeline-count-${time_layer_odd}"]`).should(
+                'contain',
+                '(4/8)'
+            )
+
+            cy.log('A locked layer keeps its year when the time slider moves')
+            cy.get(`[data-cy="time-slider-timeline-lock-${time_layer_odd}"]`).click()
+            cy.url().should('contain', `timeSlider=2017,2010-2018,${time_layer_odd}`)
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_odd}-2011"]`).click()
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_odd}-2011"]`).should(
+                'have.class',
+                'current'
+            )
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_std}-2016"]`).click()
+            cy.get('[data-cy="time-slider-bar-cursor-year"]').should('have.value', '2016')
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_odd}-2011"]`).should(
+                'have.class',
+                'current'
+            )
+            cy.get(`[data-cy="time-slider-timeline-entry-${time_layer_std}-2016"]`).should(
+                'have.class',
+                'current'
+            )
+
+            cy.log('Clearing the range keeps the locked layers in the URL')
+            cy.get('[data-cy="time-slider-range-clear"]').click()
+            cy.url().should('contain', `timeSlider=2016,,${time_layer_odd}`)
+        })
     })
 })
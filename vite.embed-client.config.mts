@@ -0,0 +1,39 @@
+import gitDescribe from 'git-describe'
+import { fileURLToPath, URL } from 'url'
+import { defineConfig } from 'vite'
+
+// Same versioning as the app (see vite.config.mts), so that the client matches the viewer it embeds
+let appVersion = process.env.APP_VERSION
+if (!appVersion) {
+    appVersion = 'v' + gitDescribe.gitDescribeSync().semverString.replace('+', '-')
+}
+
+/**
+ * Builds the embed client library (src/embedClient) as a standalone bundle, that third-party pages
+ * can load to embed the viewer.
+ */
+export default defineConfig(({ mode }) => {
+    return {
+        // the client is a single script, the assets of the app (favicon, manifest, ...) aren't needed
+        publicDir: false,
+        build: {
+            emptyOutDir: true,
+            outDir: './dist/embed-client',
+            lib: {
+                entry: fileURLToPath(new URL('./src/embedClient/index.js', import.meta.url)),
+                name: 'GeoadminEmbed',
+                formats: ['es', 'umd'],
+                fileName: (format) => `geoadmin-embed-${appVersion}.${format}.js`,
+            },
+        },
+        resolve: {
+            alias: {
+                '@': fileURLToPath(new URL('./src', import.meta.url)),
+            },
+        },
+        define: {
+            __APP_VERSION__: JSON.stringify(appVersion),
+            VITE_ENVIRONMENT: JSON.stringify(mode),
+        },
+    }
+})